@@ -0,0 +1,25 @@
+// Recompute card_index columns/rows derived from the PokePulse catalogue cache.
+// import-cards.js runs this after every rebuild; safe to run by hand at any time.
+//
+// Usage: node src/backfill-card-index.js
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { backfillCardIndex } = require('./lib/card-index-backfill');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false,
+});
+
+async function run() {
+  console.log('🔄 Backfilling card_index from pokepulse_catalogue...');
+  await backfillCardIndex(pool);
+  await pool.end();
+  console.log('✅ Backfill complete');
+}
+
+run().catch(err => {
+  console.error('❌ Backfill failed:', err);
+  process.exit(1);
+});
@@ -214,10 +214,10 @@ async function run() {
     return;
   }
 
-  console.log('\n🔄 Running migrate.js to backfill card_index image_url from PokePulse...');
-  const migrateResult = spawnSync('node', [path.join(__dirname, 'migrate.js')], { stdio: 'inherit' });
-  if (migrateResult.status !== 0) {
-    console.error('❌ migrate.js failed (exit code ' + migrateResult.status + ').');
+  console.log('\n🔄 Running backfill-card-index.js to backfill card_index image_url from PokePulse...');
+  const backfillResult = spawnSync('node', [path.join(__dirname, 'backfill-card-index.js')], { stdio: 'inherit' });
+  if (backfillResult.status !== 0) {
+    console.error('❌ backfill-card-index.js failed (exit code ' + backfillResult.status + ').');
   }
 }
 
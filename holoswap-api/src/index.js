@@ -16,7 +16,12 @@ const pricingRoutes = require('./routes/pricing');
 const vendingRoutes = require('./routes/vending');
 const watchlistRoutes = require('./routes/watchlist');
 const sellerRoutes = require('./routes/seller-submissions');
+const publicRoutes = require('./routes/public');
 const { startPriceMonitor } = require('./jobs/price-monitor');
+const { startMatchDigest } = require('./jobs/match-alerts');
+const { startPortfolioSnapshots } = require('./jobs/portfolio-snapshots');
+const { startTrackingSync } = require('./jobs/tracking-sync');
+const { SCAN_URL_PREFIX, scanStorageDir } = require('./lib/scan-storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,6 +34,9 @@ app.use(cors({
 
 app.set('trust proxy', true);
 
+// Card scans stored on local disk (see lib/scan-storage.js)
+app.use(SCAN_URL_PREFIX, express.static(scanStorageDir(), { index: false }));
+
 app.use('/api/waitlist', waitlistRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/cards', cardsRoutes);
@@ -43,6 +51,7 @@ app.use('/api/pricing', pricingRoutes);
 app.use('/api/vending', vendingRoutes);
 app.use('/api/watchlist', watchlistRoutes);
 app.use('/api/seller', sellerRoutes);
+app.use('/api/public', publicRoutes);
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'holoswap-api', timestamp: new Date().toISOString() });
@@ -55,4 +64,7 @@ app.use((req, res) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log('HoloSwap API running on port ' + PORT);
   startPriceMonitor();
+  startMatchDigest();
+  startPortfolioSnapshots();
+  startTrackingSync();
 });
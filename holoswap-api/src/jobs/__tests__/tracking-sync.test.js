@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const mock = require('../../lib/carrier-mock');
+
+// Stand in for the pg pool before the job loads it: one trade, its parcels,
+// and the tracking_events table. A transaction that rolls back puts the
+// events back as they were at BEGIN.
+const SELLER = 1;
+const BUYER = 2;
+let trade;
+let parcels;
+let events;
+let snapshot;
+let failOn = null;
+const fakeDb = {
+  async query(sql, params = []) {
+    if (sql === 'BEGIN') snapshot = [...events];
+    if (sql === 'ROLLBACK') events = snapshot;
+    if (failOn && sql.includes(failOn)) throw new Error(`${failOn} failed`);
+
+    const delivered = number => events.some(e => e.tracking_number === number && e.delivered);
+    if (sql.includes('UNION')) {
+      return {
+        rows: parcels.filter(number => !delivered(number)).map(number => ({
+          trade_id: trade.id, tracking_number: number, direction: 'inbound', carrier: 'mock',
+        })),
+      };
+    }
+    if (sql.includes('INSERT INTO tracking_events')) {
+      const [, trackingNumber, , codes, descriptions, locations, deliveries, times] = params;
+      const added = codes
+        .map((code, i) => ({
+          tracking_number: trackingNumber, event_code: code, description: descriptions[i],
+          location: locations[i], delivered: deliveries[i], occurred_at: times[i],
+        }))
+        .filter(e => !events.some(seen => seen.tracking_number === e.tracking_number
+          && seen.event_code === e.event_code && seen.occurred_at === e.occurred_at));
+      events.push(...added);
+      return { rows: added };
+    }
+    if (sql.includes('undelivered')) {
+      return { rows: [{ undelivered: parcels.filter(number => !delivered(number)).length }] };
+    }
+    if (sql.startsWith('SELECT * FROM trades')) return { rows: [{ ...trade }] };
+    if (sql.includes('UPDATE trades')) {
+      trade.status = params[0];
+      return { rows: [{ ...trade }] };
+    }
+    if (sql.startsWith('SELECT seller_id, buyer_id')) {
+      return { rows: [{ seller_id: trade.seller_id, buyer_id: trade.buyer_id }] };
+    }
+    return { rows: [] };
+  },
+  async connect() {
+    return { query: fakeDb.query, release() {} };
+  },
+};
+const dbPath = path.join(__dirname, '..', '..', 'db.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+// Notifications are only recorded
+const notified = [];
+const notificationsPath = path.join(__dirname, '..', '..', 'lib', 'notifications.js');
+require.cache[notificationsPath] = {
+  id: notificationsPath,
+  filename: notificationsPath,
+  loaded: true,
+  exports: { async dispatchNotification(userId, alertId, notice) { notified.push({ userId, ...notice }); } },
+};
+
+const { runTrackingSync } = require('../tracking-sync');
+
+function setUp(t, trackingNumbers) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  mock.reset();
+  trade = { id: 1, seller_id: SELLER, buyer_id: BUYER, status: 'shipped' };
+  parcels = trackingNumbers;
+  events = [];
+  failOn = null;
+  notified.length = 0;
+}
+
+test('the last parcel delivered moves the trade to received and tells both parties', async (t) => {
+  setUp(t, ['MK000000001GB', 'MK000000002GB']);
+  mock.scan('MK000000001GB');
+  mock.deliver('MK000000001GB', { location: 'Leeds' });
+  mock.scan('MK000000002GB');
+
+  await runTrackingSync();
+  assert.equal(trade.status, 'shipped');
+  assert.deepEqual(notified.map(n => n.userId), [SELLER, BUYER]);
+  assert.match(notified[0].body, /MK000000001GB \(Leeds\)\. We're still waiting/);
+
+  notified.length = 0;
+  mock.deliver('MK000000002GB');
+  await runTrackingSync();
+  assert.equal(trade.status, 'received');
+  assert.deepEqual(notified.map(n => n.userId), [SELLER, BUYER]);
+  assert.match(notified[0].body, /Everything's arrived/);
+  assert.equal(events.filter(e => e.delivered).length, 2);
+});
+
+test('a delivery whose move to received fails is retried on the next run', async (t) => {
+  setUp(t, ['MK000000001GB']);
+  mock.deliver('MK000000001GB');
+
+  failOn = 'UPDATE trades';
+  await runTrackingSync();
+  assert.equal(trade.status, 'shipped');
+  assert.deepEqual(events, []);
+  assert.deepEqual(notified, []);
+  assert.equal(console.error.mock.callCount(), 1);
+
+  failOn = null;
+  await runTrackingSync();
+  assert.equal(trade.status, 'received');
+  assert.deepEqual(notified.map(n => n.userId), [SELLER, BUYER]);
+});
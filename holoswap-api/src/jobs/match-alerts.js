@@ -0,0 +1,109 @@
+const cron = require('node-cron');
+const pool = require('../db');
+const { dispatchNotification } = require('../lib/notifications');
+const { findWantMatches } = require('../lib/matching');
+const { buildInstantAlert, buildDigest } = require('../lib/match-alerts');
+
+const MATCHES_URL = '/trades';
+
+// Called when a card becomes listed. Users who opted in get an alert now
+// ('instant') or in the next daily digest ('digest'); each user hears about a
+// given card once, however many of their wants it matches.
+async function notifyWantMatches(cardId) {
+  const matches = await findWantMatches(pool, { cardIds: [cardId] });
+  if (matches.length === 0) return;
+
+  const buyerIds = [...new Set(matches.map(m => m.buyer_id))];
+  const settings = await pool.query(
+    `SELECT user_id, match_alerts FROM notification_settings
+     WHERE user_id = ANY($1) AND match_alerts <> 'off'`,
+    [buyerIds]
+  );
+
+  let sent = 0;
+  let queued = 0;
+  for (const { user_id: userId, match_alerts: mode } of settings.rows) {
+    try {
+      const match = matches.find(m => m.buyer_id === userId);
+      const alert = await pool.query(
+        `INSERT INTO want_match_alerts (user_id, card_id, want_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, card_id) DO NOTHING
+         RETURNING id`,
+        [userId, cardId, match.want_id]
+      );
+      if (alert.rows.length === 0) continue;
+
+      if (mode !== 'instant') {
+        queued++;
+        continue;
+      }
+
+      await dispatchNotification(userId, null, { ...buildInstantAlert(match), url: MATCHES_URL });
+      await pool.query('UPDATE want_match_alerts SET notified_at = NOW() WHERE id = $1', [alert.rows[0].id]);
+      sent++;
+    } catch (err) {
+      console.error(`[MatchAlerts] Failed for user ${userId}, card ${cardId}:`, err.message);
+    }
+  }
+
+  if (sent || queued) {
+    console.log(`[MatchAlerts] Card ${cardId}: ${sent} sent, ${queued} queued for digest`);
+  }
+}
+
+// Send each digest user one notification covering everything queued since
+// the last run. Cards that were unlisted in the meantime are dropped.
+async function runMatchDigest() {
+  console.log('[MatchAlerts] Starting digest run...');
+
+  try {
+    const pending = await pool.query(
+      `SELECT a.id, a.user_id, c.card_name, c.card_set, c.card_number, c.condition,
+        c.estimated_value, c.status
+       FROM want_match_alerts a
+       JOIN cards c ON a.card_id = c.id
+       JOIN notification_settings s ON s.user_id = a.user_id
+       WHERE a.notified_at IS NULL AND s.match_alerts <> 'off'
+       ORDER BY a.user_id, a.created_at`
+    );
+
+    const byUser = new Map();
+    for (const row of pending.rows) {
+      if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+      byUser.get(row.user_id).push(row);
+    }
+
+    let digests = 0;
+    for (const [userId, rows] of byUser) {
+      try {
+        const stillListed = rows.filter(r => r.status === 'listed');
+        if (stillListed.length > 0) {
+          await dispatchNotification(userId, null, { ...buildDigest(stillListed), url: MATCHES_URL });
+          digests++;
+        }
+        await pool.query(
+          'UPDATE want_match_alerts SET notified_at = NOW() WHERE id = ANY($1)',
+          [rows.map(r => r.id)]
+        );
+      } catch (err) {
+        console.error(`[MatchAlerts] Digest failed for user ${userId}:`, err.message);
+      }
+    }
+
+    console.log(`[MatchAlerts] Digest run complete — ${digests} digest(s) sent`);
+  } catch (err) {
+    console.error('[MatchAlerts] Digest run failed:', err);
+  }
+}
+
+function startMatchDigest() {
+  // Once a day, 8am server time
+  cron.schedule('0 8 * * *', () => {
+    runMatchDigest();
+  });
+
+  console.log('[MatchAlerts] Digest scheduled — runs daily at 08:00');
+}
+
+module.exports = { notifyWantMatches, runMatchDigest, startMatchDigest };
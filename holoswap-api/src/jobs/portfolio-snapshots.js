@@ -0,0 +1,45 @@
+const cron = require('node-cron');
+const pool = require('../db');
+const { NOT_OWNED_STATUSES, loadPortfolioCards, summarise, recordSnapshot } = require('../lib/portfolio');
+
+// Snapshot the value of every collection once a day, after the overnight
+// price-monitor run, so the portfolio chart has a point per day even for
+// users who don't open it
+async function runPortfolioSnapshots() {
+  console.log('[Portfolio] Starting snapshot run...');
+  const startTime = Date.now();
+
+  try {
+    const users = await pool.query(
+      'SELECT DISTINCT user_id FROM cards WHERE status <> ALL($1)',
+      [NOT_OWNED_STATUSES]
+    );
+
+    let snapshots = 0;
+    for (const { user_id: userId } of users.rows) {
+      try {
+        const cards = await loadPortfolioCards(pool, userId);
+        await recordSnapshot(pool, userId, summarise(cards));
+        snapshots++;
+      } catch (err) {
+        console.error(`[Portfolio] Snapshot failed for user ${userId}:`, err.message);
+      }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`[Portfolio] Done in ${duration}s — ${snapshots} snapshot(s) saved`);
+  } catch (err) {
+    console.error('[Portfolio] Snapshot run failed:', err);
+  }
+}
+
+function startPortfolioSnapshots() {
+  // Once a day, 5am server time
+  cron.schedule('0 5 * * *', () => {
+    runPortfolioSnapshots();
+  });
+
+  console.log('[Portfolio] Snapshots scheduled — runs daily at 05:00');
+}
+
+module.exports = { runPortfolioSnapshots, startPortfolioSnapshots };
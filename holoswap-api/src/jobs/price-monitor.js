@@ -6,9 +6,14 @@ const {
   formatPricingData,
   extractPricingRecords,
   savePriceHistory,
+  saveGradedPriceHistory,
   findCachedProducts,
   convertSetIdToPokePulse,
 } = require('../lib/pricing');
+const { rowGrading, slabLabel } = require('../lib/grading');
+const { buildMaxPriceAlert } = require('../lib/match-alerts');
+
+const WANTS_URL = '/wants';
 
 const BATCH_SIZE = 50;
 
@@ -44,12 +49,13 @@ async function runPriceMonitor() {
   const startTime = Date.now();
 
   try {
-    // Step 1: Get distinct cards to check (deduplicated across all users)
+    // Step 1: Get distinct cards to check (deduplicated across all users).
+    // A graded slab is its own product, so each grade is checked separately.
     const cards = await pool.query(
-      `SELECT DISTINCT ON (set_id, card_number)
-        set_id, card_number, card_name, product_id
+      `SELECT DISTINCT ON (set_id, card_number, grading_company, slab_grade)
+        set_id, card_number, card_name, product_id, grading_company, slab_grade
        FROM price_watchlist
-       ORDER BY set_id, card_number`
+       ORDER BY set_id, card_number, grading_company, slab_grade, product_id NULLS LAST`
     );
 
     if (cards.rows.length === 0) {
@@ -64,12 +70,14 @@ async function runPriceMonitor() {
     for (const card of toResolve) {
       try {
         const ppSetId = convertSetIdToPokePulse(card.set_id);
-        const cached = await findCachedProducts(ppSetId, card.card_number);
+        const cached = await findCachedProducts(ppSetId, card.card_number, rowGrading(card));
         if (cached.length > 0) {
-          // Use first ungraded variant
+          // Use first variant with the matching grade (ungraded for raw cards)
           await pool.query(
-            `UPDATE price_watchlist SET product_id = $1 WHERE set_id = $2 AND card_number = $3 AND product_id IS NULL`,
-            [cached[0].product_id, card.set_id, card.card_number]
+            `UPDATE price_watchlist SET product_id = $1
+             WHERE set_id = $2 AND card_number = $3 AND product_id IS NULL
+               AND grading_company IS NOT DISTINCT FROM $4 AND slab_grade IS NOT DISTINCT FROM $5`,
+            [cached[0].product_id, card.set_id, card.card_number, card.grading_company, card.slab_grade]
           );
           card.product_id = cached[0].product_id;
         }
@@ -109,28 +117,40 @@ async function runPriceMonitor() {
 
           // Get old price before updating
           const oldResult = await pool.query(
-            `SELECT last_price FROM price_watchlist WHERE set_id = $1 AND card_number = $2 AND last_price IS NOT NULL LIMIT 1`,
-            [card.set_id, card.card_number]
+            `SELECT last_price FROM price_watchlist
+             WHERE set_id = $1 AND card_number = $2 AND last_price IS NOT NULL
+               AND grading_company IS NOT DISTINCT FROM $3 AND slab_grade IS NOT DISTINCT FROM $4
+             LIMIT 1`,
+            [card.set_id, card.card_number, card.grading_company, card.slab_grade]
           );
           const oldPrice = oldResult.rows.length > 0 ? parseFloat(oldResult.rows[0].last_price) : null;
 
-          // Update all watchlist entries for this card (across users)
+          // Update all watchlist entries for this card and grade (across users)
           await pool.query(
-            `UPDATE price_watchlist SET last_price = $1, last_checked = NOW() WHERE set_id = $2 AND card_number = $3`,
-            [newPrice, card.set_id, card.card_number]
+            `UPDATE price_watchlist SET last_price = $1, last_checked = NOW()
+             WHERE set_id = $2 AND card_number = $3
+               AND grading_company IS NOT DISTINCT FROM $4 AND slab_grade IS NOT DISTINCT FROM $5`,
+            [newPrice, card.set_id, card.card_number, card.grading_company, card.slab_grade]
           );
           priceUpdates++;
 
           // Save to price history
-          await savePriceHistory(card.set_id, card.card_number, card.card_name, pricing);
+          const grading = rowGrading(card);
+          if (grading) {
+            await saveGradedPriceHistory(card.product_id,
+              { setId: card.set_id, cardNumber: card.card_number, cardName: card.card_name }, pricing);
+          } else {
+            await savePriceHistory(card.set_id, card.card_number, card.card_name, pricing);
+          }
 
           // Step 5: Evaluate alerts for this card
           if (oldPrice) {
             const alerts = await pool.query(
               `SELECT pa.* FROM price_alerts pa
                JOIN price_watchlist pw ON pw.id = pa.watchlist_id
-               WHERE pw.set_id = $1 AND pw.card_number = $2 AND pa.is_active = TRUE`,
-              [card.set_id, card.card_number]
+               WHERE pw.set_id = $1 AND pw.card_number = $2 AND pa.is_active = TRUE
+                 AND pw.grading_company IS NOT DISTINCT FROM $3 AND pw.slab_grade IS NOT DISTINCT FROM $4`,
+              [card.set_id, card.card_number, card.grading_company, card.slab_grade]
             );
 
             for (const alert of alerts.rows) {
@@ -147,14 +167,24 @@ async function runPriceMonitor() {
               // Dispatch notification (lazy-load to avoid circular deps)
               try {
                 const { dispatchNotification } = require('../lib/notifications');
-                const pctChange = ((newPrice - oldPrice) / oldPrice * 100).toFixed(1);
-                const direction = newPrice > oldPrice ? 'up' : 'down';
-                const arrow = direction === 'up' ? '📈' : '📉';
-
-                await dispatchNotification(alert.user_id, alert.id, {
-                  title: `${arrow} ${card.card_name} price ${direction}`,
-                  body: `${card.card_name} (${card.set_id} #${card.card_number}) is now £${newPrice.toFixed(2)} (${direction === 'up' ? '+' : ''}${pctChange}% from £${oldPrice.toFixed(2)})`
-                });
+
+                if (alert.want_id) {
+                  // A want's max-price alert (see lib/wants.js)
+                  await dispatchNotification(alert.user_id, alert.id, {
+                    ...buildMaxPriceAlert(card, newPrice, parseFloat(alert.threshold)),
+                    url: WANTS_URL,
+                  });
+                } else {
+                  const pctChange = ((newPrice - oldPrice) / oldPrice * 100).toFixed(1);
+                  const direction = newPrice > oldPrice ? 'up' : 'down';
+                  const arrow = direction === 'up' ? '📈' : '📉';
+                  const name = grading ? `${card.card_name} ${slabLabel(grading)}` : card.card_name;
+
+                  await dispatchNotification(alert.user_id, alert.id, {
+                    title: `${arrow} ${name} price ${direction}`,
+                    body: `${name} (${card.set_id} #${card.card_number}) is now £${newPrice.toFixed(2)} (${direction === 'up' ? '+' : ''}${pctChange}% from £${oldPrice.toFixed(2)})`
+                  });
+                }
               } catch (notifErr) {
                 console.error(`[PriceMonitor] Notification dispatch error:`, notifErr.message);
               }
@@ -0,0 +1,110 @@
+const cron = require('node-cron');
+const pool = require('../db');
+const { withTransaction } = require('../lib/db-transaction');
+const { dispatchNotification } = require('../lib/notifications');
+const { applyTransition } = require('../lib/trade-state');
+const { setTradeCardStatus } = require('../lib/trade-bundles');
+const { getCarrier } = require('../lib/carriers');
+const {
+  loadOpenShipments, recordTrackingEvents, allInboundDelivered, buildDeliveryNotice,
+} = require('../lib/tracking');
+
+const TRADES_URL = '/trades';
+
+// Once every card posted to HoloSwap is delivered, the trade is received —
+// the same move as PUT /api/admin/trades/:id/received. Returns whether it moved.
+async function markReceivedIfDelivered(client, tradeId, carrier, trackingNumber) {
+  const locked = await client.query('SELECT * FROM trades WHERE id = $1 FOR UPDATE', [tradeId]);
+  const trade = locked.rows[0];
+  if (!trade || trade.status !== 'shipped') return false;
+  if (!(await allInboundDelivered(client, tradeId))) return false;
+
+  await applyTransition(client, trade, 'received', {
+    notes: `Delivered to HoloSwap — ${carrier.label} tracking ${trackingNumber}`,
+  });
+  await setTradeCardStatus(client, tradeId, 'received');
+  return true;
+}
+
+// Store a parcel's new scans and, when one is its delivery, make the move
+// to received in the same transaction. If the move fails the scans are
+// rolled back with it, so the parcel is still open and is polled again next run.
+async function recordScans(shipment, carrier, events) {
+  return withTransaction(async (client) => {
+    const added = await recordTrackingEvents(client, shipment, events);
+    const delivery = added.find(e => e.delivered);
+    const received = Boolean(delivery) && shipment.direction === 'inbound'
+      && await markReceivedIfDelivered(client, shipment.trade_id, carrier, shipment.tracking_number);
+    return { added, delivery, received };
+  });
+}
+
+// Poll each open trade parcel's carrier (see lib/tracking.js). Parcels with
+// a carrier we can't track yet (no API keys) are skipped.
+async function runTrackingSync() {
+  console.log('[Tracking] Starting sync...');
+  const startTime = Date.now();
+
+  try {
+    const shipments = await loadOpenShipments(pool);
+
+    let checked = 0;
+    let newEvents = 0;
+    let deliveries = 0;
+    let received = 0;
+    const untracked = new Set();
+    for (const shipment of shipments) {
+      try {
+        const carrier = getCarrier(shipment.carrier);
+        if (!carrier.trackingConfigured()) {
+          untracked.add(carrier.label);
+          continue;
+        }
+        checked++;
+
+        const tracking = await carrier.track(shipment.tracking_number);
+        if (!tracking) continue;
+
+        const { added, delivery, received: moved } = await recordScans(shipment, carrier, tracking.events);
+        newEvents += added.length;
+        if (!delivery) continue;
+        deliveries++;
+        if (moved) received++;
+
+        const notice = buildDeliveryNotice({
+          tradeId: shipment.trade_id,
+          direction: shipment.direction,
+          carrier: carrier.label,
+          trackingNumber: shipment.tracking_number,
+          location: delivery.location,
+          received: moved,
+        });
+        const parties = await pool.query('SELECT seller_id, buyer_id FROM trades WHERE id = $1', [shipment.trade_id]);
+        for (const userId of Object.values(parties.rows[0])) {
+          await dispatchNotification(userId, null, { ...notice, url: TRADES_URL });
+        }
+      } catch (err) {
+        console.error(`[Tracking] Failed for trade ${shipment.trade_id}, ${shipment.tracking_number}:`, err.message);
+      }
+    }
+
+    if (untracked.size > 0) {
+      console.log(`[Tracking] No tracking API keys for ${[...untracked].join(', ')} — those parcels were skipped`);
+    }
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`[Tracking] Done in ${duration}s — ${checked} parcel(s) checked, ${newEvents} new scan(s), ${deliveries} delivered, ${received} trade(s) received`);
+  } catch (err) {
+    console.error('[Tracking] Sync failed:', err);
+  }
+}
+
+function startTrackingSync() {
+  // Every 2 hours, on the half hour so it doesn't share a slot with the price monitor
+  cron.schedule('30 */2 * * *', () => {
+    runTrackingSync();
+  });
+
+  console.log('[Tracking] Sync scheduled — runs every 2 hours');
+}
+
+module.exports = { runTrackingSync, startTrackingSync };
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseCsv, detectLayout, readImportRows, locateRow, buildCandidateLookup, matchImportRow, countRows, planImport,
+} = require('../card-import');
+const { buildSetIndex } = require('../matching');
+
+const setIndex = buildSetIndex([
+  { set_id: 'base1', set_name: 'Base Set', pokepulse_set_id: 'bsu' },
+  { set_id: 'sv03.5', set_name: '151', pokepulse_set_id: 'sv3pt5' },
+]);
+
+const index = [
+  { id: 'base1-4', name: 'Charizard', local_id: '4', set_id: 'base1', set_name: 'Base Set', set_total: 102, set_official_total: 102, rarity: 'Rare Holo' },
+  { id: 'base4-4', name: 'Charizard', local_id: '4', set_id: 'base4', set_name: 'Base Set 2', set_total: 130, set_official_total: 130, rarity: 'Rare Holo' },
+  { id: 'sv03.5-199', name: 'Charizard ex', local_id: '199', set_id: 'sv03.5', set_name: '151', set_total: 207, set_official_total: 165, rarity: 'Special' },
+  { id: 'base1-2', name: 'Blastoise', local_id: '2', set_id: 'base1', set_name: 'Base Set', set_total: 102, set_official_total: 102, rarity: 'Rare Holo' },
+];
+const lookup = buildCandidateLookup(index);
+
+const match = input => {
+  const row = { issues: [], quantity: 1, ...input };
+  return matchImportRow({ ...row, ...locateRow(row, setIndex) }, lookup);
+};
+
+test('CSV parsing handles quotes, doubled quotes, CRLF, a BOM and other delimiters', () => {
+  assert.deepEqual(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\r\n\r\n'), [['a', 'b'], ['x, y', 'say "hi"']]);
+  assert.deepEqual(parseCsv('name;number\nPikachu;58'), [['name', 'number'], ['Pikachu', '58']]);
+  assert.deepEqual(parseCsv('name\tqty\nPikachu\t2'), [['name', 'qty'], ['Pikachu', '2']]);
+});
+
+test('columns are found by header, and tracker exports are recognised', () => {
+  const tcgplayer = detectLayout(['Quantity', 'Name', 'Simple Name', 'Set', 'Card Number', 'Printing', 'Condition']);
+  assert.equal(tcgplayer.layout, 'tcgplayer');
+  assert.equal(tcgplayer.columns.name, 2);
+  assert.equal(tcgplayer.columns.number, 4);
+
+  const dragonShield = detectLayout(['Folder Name', 'Quantity', 'Trade Quantity', 'Card Name', 'Set Code', 'Set Name', 'Card Number', 'Condition', 'Printing', 'Price Bought']);
+  assert.equal(dragonShield.layout, 'dragon_shield');
+  assert.equal(dragonShield.columns.set_code, 4);
+  assert.equal(dragonShield.columns.price_paid, 9);
+
+  assert.equal(detectLayout(['name', 'set', 'number', 'condition', 'quantity', 'price paid']).layout, 'generic');
+});
+
+test('rows are read with conditions, variants and prices normalised', () => {
+  const { rows } = readImportRows([
+    'Name,Set,Number,Condition,Quantity,Price Paid,Printing',
+    'Charizard,Base Set,4/102,Near Mint Holofoil,2,£150.00,Holofoil',
+    'Pikachu,,58,LightPlayed,,,',
+    'Mew,,,mint,lots,abc,',
+    ',,,,,,',
+  ].join('\n'));
+
+  assert.equal(rows.length, 3);
+  assert.deepEqual(
+    { ...rows[0], issues: undefined },
+    { line: 2, name: 'Charizard', set: 'Base Set', set_code: null, number: '4/102', condition: 'NM', condition_text: 'Near Mint Holofoil',
+      quantity: 2, price_paid: 150, variant: 'holo', rarity: null, issues: undefined }
+  );
+  assert.equal(rows[1].condition, 'LP');
+  assert.equal(rows[1].quantity, 1);
+  assert.equal(rows[2].issues.length, 2);
+});
+
+test('files without a usable header are rejected', () => {
+  assert.throws(() => readImportRows('name'), /header row and at least one card/);
+  assert.throws(() => readImportRows('foo,bar\n1,2'), /card name or number column/);
+});
+
+test('rows locate their set from a set code, set name or the number itself', () => {
+  assert.deepEqual(locateRow({ set_code: 'BS', number: '004' }, setIndex), { set_id: 'base1', card_number: '4', total: null });
+  assert.deepEqual(locateRow({ set: 'Base Set', number: '4/102' }, setIndex), { set_id: 'base1', card_number: '4', total: '102' });
+  assert.equal(locateRow({ number: 'MEW 199/165' }, setIndex).set_id, 'sv03.5');
+  assert.deepEqual(locateRow({ number: 'SV107/SV122' }, setIndex), { set_id: null, card_number: 'SV107', total: 'SV122' });
+});
+
+test('rows match, are ambiguous, or go unmatched', () => {
+  const exact = match({ name: 'Charizard', set: 'Base Set', number: '4' });
+  assert.equal(exact.status, 'matched');
+  assert.equal(exact.match.card_index_id, 'base1-4');
+
+  // No set: the printed total picks Base Set over Base Set 2
+  assert.equal(match({ name: 'Charizard', number: '4/102' }).match.card_index_id, 'base1-4');
+
+  const twoSets = match({ name: 'Charizard' });
+  assert.equal(twoSets.status, 'ambiguous');
+  assert.deepEqual(twoSets.candidates.map(c => c.card_index_id), ['base1-4', 'base4-4']);
+
+  const wrongName = match({ name: 'Venusaur', set: 'Base Set', number: '4' });
+  assert.equal(wrongName.status, 'ambiguous');
+  assert.match(wrongName.reason, /No card called "Venusaur"/);
+
+  assert.equal(match({ name: 'Missingno', set: 'Base Set', number: '999' }).status, 'unmatched');
+  assert.equal(match({ name: 'Charizard', issues: ['Price paid must be an amount'] }).status, 'invalid');
+});
+
+test('counts cover every status and the number of cards', () => {
+  const counts = countRows([
+    { status: 'matched', quantity: 3 }, { status: 'ambiguous', quantity: 1 }, { status: 'invalid', quantity: 2 },
+  ]);
+  assert.deepEqual(counts, { matched: 1, ambiguous: 1, unmatched: 0, invalid: 1, cards: 4 });
+});
+
+test('committing adds a card per line with its quantity and skips what the user didn\'t resolve', () => {
+  const rows = [
+    { line: 2, status: 'matched', quantity: 2, condition: 'NM', variant: 'holo', price_paid: 150, match: { card_index_id: 'base1-4', name: 'Charizard', set_name: 'Base Set', local_id: '4', rarity: 'Rare Holo', image_url: 'x' } },
+    { line: 3, status: 'ambiguous', quantity: 1, condition: null, variant: null, price_paid: null },
+    { line: 4, status: 'ambiguous', quantity: 1, condition: 'LP', variant: null, price_paid: null },
+    { line: 5, status: 'unmatched', quantity: 1, name: 'Custom Proxy', set: 'Homemade', number: '1', condition: null, variant: null, price_paid: 1 },
+    { line: 6, status: 'invalid', quantity: 1, reason: 'Quantity must be a whole number up to 500' },
+    { line: 7, status: 'matched', quantity: 1, match: { name: 'Blastoise' } },
+    { line: 8, status: 'matched', quantity: 0, match: { name: 'Blastoise' } },
+  ];
+  const picked = new Map([['base4-4', { name: 'Charizard', set_name: 'Base Set 2', local_id: '4', rarity: 'Rare Holo', image_url: null }]]);
+
+  const plan = planImport(rows, { resolutions: { 4: 'base4-4' }, skip: [7] }, picked);
+  assert.equal(plan.cards.length, 2);
+  assert.deepEqual(plan.cards[0], {
+    card_index_id: 'base1-4', card_name: 'Charizard', card_set: 'Base Set', card_number: '4', rarity: 'Rare Holo', image_url: 'x',
+    condition: 'NM', variant: 'holo', quantity: 2, purchase_price: 150,
+  });
+  assert.equal(plan.cards[1].card_set, 'Base Set 2');
+  assert.equal(plan.cards[1].card_index_id, 'base4-4');
+  assert.deepEqual(plan.skipped.map(s => [s.line, s.reason]), [
+    [3, 'No card picked'], [5, 'No match'], [6, 'Quantity must be a whole number up to 500'], [7, 'Skipped'], [8, 'Quantity is 0'],
+  ]);
+
+  const withUnmatched = planImport(rows, { skip: [3, 4, 7], includeUnmatched: true });
+  assert.equal(withUnmatched.cards.at(-1).card_name, 'Custom Proxy');
+  assert.equal(withUnmatched.cards.at(-1).card_index_id, null);
+
+  assert.throws(() => planImport(rows, { resolutions: { 3: 'nope' } }), /Line 3: unknown card nope/);
+});
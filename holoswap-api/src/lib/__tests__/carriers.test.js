@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const {
+  getCarrier, countryCode, countryName, userAddress, hasDeliveryAddress, hubAddress, parseWeight, buildShipment,
+} = require('../carriers');
+const royalMail = require('../carrier-royal-mail');
+const easyPost = require('../carrier-easypost');
+const mock = require('../carrier-mock');
+
+const hub = hubAddress({
+  HOLOSWAP_HUB_ADDRESS_LINE1: '1 Card Street', HOLOSWAP_HUB_CITY: 'Leeds', HOLOSWAP_HUB_POSTCODE: 'LS1 1AA',
+});
+const ash = { display_name: 'Ash', email: 'ash@x', address_line1: '2 Route Road', city: 'Pallet', postcode: 'M1 1AA', country: 'United Kingdom' };
+const cards = [
+  { card_name: 'Charizard ex', card_set: '151', card_number: '6' },
+  { card_name: 'Pikachu', card_set: '151', card_number: '25' },
+];
+
+test('every carrier has the whole adapter interface', () => {
+  for (const name of ['royal_mail', 'easypost', 'mock']) {
+    const carrier = getCarrier(name);
+    for (const fn of ['configured', 'trackingConfigured', 'createOrder', 'getOrder', 'fetchLabel', 'track', 'cancel', 'trackingUrl']) {
+      assert.equal(typeof carrier[fn], 'function', `${name}.${fn}`);
+    }
+  }
+  assert.equal(getCarrier().name, 'royal_mail');
+  assert.throws(() => getCarrier('pigeon'), /Unknown carrier "pigeon"/);
+});
+
+test('countries are read from names, codes and what people call them', () => {
+  assert.equal(countryCode(null), 'GB');
+  assert.equal(countryCode('United Kingdom'), 'GB');
+  assert.equal(countryCode(' scotland '), 'GB');
+  assert.equal(countryCode('ie'), 'IE');
+  assert.equal(countryCode('USA'), 'US');
+  assert.equal(countryName('germany'), 'Germany');
+  assert.throws(() => countryCode('Kanto'), err => err.status === 400 && /can't post to "Kanto"/.test(err.message));
+});
+
+test('addresses come from users rows, and abroad a postcode is optional', () => {
+  const buyer = userAddress({ buyer_name: 'Misty', buyer_address_line1: '3 Bay', buyer_city: 'Dublin', buyer_country: 'Ireland' }, 'buyer_');
+  assert.deepEqual([buyer.name, buyer.countryCode, buyer.postcode], ['Misty', 'IE', '']);
+  assert.equal(hasDeliveryAddress(buyer), true);
+  assert.equal(hasDeliveryAddress(userAddress({ ...ash, postcode: null })), false);
+  assert.equal(hubAddress({}), null);
+});
+
+test('a shipment shares its value between the cards and knows when it crosses a border', () => {
+  const shipment = buildShipment({ reference: 'HS-1', from: hub, to: userAddress(ash), cards, value: 40, weight: 100 });
+  assert.deepEqual(shipment.items, [
+    { description: 'Charizard ex - 151 #6', value: 20 },
+    { description: 'Pikachu - 151 #25', value: 20 },
+  ]);
+  assert.equal(shipment.international, false);
+  assert.equal(buildShipment({ reference: 'HS-1', to: userAddress({ ...ash, country: 'FR' }), cards, value: 40, weight: 100 }).international, true);
+});
+
+test('parcel weights are positive grams, 100 g when not given', () => {
+  assert.equal(parseWeight(undefined), 100);
+  assert.equal(parseWeight('250'), 250);
+  for (const bad of ['heavy', 0, -5, {}]) {
+    assert.throws(() => parseWeight(bad), err => err.status === 400);
+  }
+});
+
+test('Royal Mail orders go to any country, with customs and an international service abroad', () => {
+  const home = royalMail.buildOrder(buildShipment({ reference: 'HS-1', to: userAddress(ash), cards, value: 40, weight: 100 })).items[0];
+  assert.equal(home.recipient.address.countryCode, 'GB');
+  assert.equal(home.postageDetails.serviceCode, 'SD1');
+  assert.equal(home.sender, undefined);
+  assert.deepEqual(home.packages[0].contents.map(c => [c.name, c.unitValue, c.unitWeightInGrams, c.customsCode]), [
+    ['Charizard ex - 151 #6', 20, 50, undefined],
+    ['Pikachu - 151 #25', 20, 50, undefined],
+  ]);
+
+  const abroad = royalMail.buildOrder(buildShipment({
+    reference: 'HS-2', from: hub, to: userAddress({ ...ash, country: 'Ireland' }), cards, value: 40, weight: 100,
+  })).items[0];
+  assert.equal(abroad.recipient.address.countryCode, 'IE');
+  assert.equal(abroad.postageDetails.serviceCode, 'MP7');
+  assert.equal(abroad.sender.tradingName, 'HoloSwap');
+  assert.equal(abroad.packages[0].contents[0].customsCode, '950440');
+
+  // Inbound from abroad can't go Royal Mail
+  assert.throws(() => royalMail.buildOrder(buildShipment({
+    reference: 'HS-IN-1', from: userAddress({ ...ash, country: 'France' }), to: hub, cards, value: 40, weight: 100,
+  })), /only be posted from the UK/);
+});
+
+const piece = (events, statusCategory = 'IN TRANSIT') => ({
+  mailPieces: { mailPieceId: 'AB123456789GB', summary: { statusCategory }, events },
+});
+
+const scans = [
+  { eventCode: 'EVKSP', eventName: 'Delivered', eventDateTime: '2026-10-14T11:02:00+01:00', locationName: 'Leeds DO' },
+  { eventCode: 'EVNMI', eventName: 'Forwarded - Mis-sort', eventDateTime: '2026-10-13T07:40:00+01:00', locationName: 'Leeds MC' },
+  { eventCode: 'EVAIP', eventName: 'Sender despatching item' },
+];
+
+// A stand-in for the Royal Mail Tracking API: one parcel delivered, one not
+// yet scanned (404), anything else a server error
+async function withStandIn(fn) {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push({ url: req.url, clientId: req.headers['x-ibm-client-id'], terms: req.headers['x-accept-rmg-terms'] });
+    const [, number] = req.url.match(/^\/mailpieces\/v2\/([^/]+)\/events$/) || [];
+    if (number === 'AB123456789GB') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(piece(scans, 'DELIVERED')));
+    }
+    if (number === 'AB000000000GB') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ httpCode: 404, httpMessage: 'Not Found' }));
+    }
+    res.writeHead(500);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/mailpieces/v2`, seen);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('Royal Mail scans come back oldest first, and a delivered scan marks the parcel delivered', () => {
+  const { delivered, events } = royalMail.parseTrackingResponse(piece(scans));
+  assert.equal(delivered, true);
+  assert.deepEqual(events.map(e => [e.event_code, e.delivered, e.location]), [
+    ['EVNMI', false, 'Leeds MC'],
+    ['EVKSP', true, 'Leeds DO'],
+  ]);
+  assert.equal(events[1].occurred_at, '2026-10-14T10:02:00.000Z');
+  assert.equal(royalMail.parseTrackingResponse(piece(scans.slice(1))).delivered, false);
+  assert.deepEqual(royalMail.parseTrackingResponse({}), { delivered: false, events: [] });
+});
+
+test('Royal Mail tracking is fetched from the Tracking API', async () => {
+  process.env.ROYAL_MAIL_TRACKING_CLIENT_ID = 'client-id';
+  await withStandIn(async (baseUrl, seen) => {
+    const tracking = await royalMail.track('AB123456789GB', { baseUrl });
+    assert.equal(tracking.delivered, true);
+    assert.equal(tracking.events.length, 2);
+    assert.deepEqual(seen[0], { url: '/mailpieces/v2/AB123456789GB/events', clientId: 'client-id', terms: 'yes' });
+
+    // Not scanned yet
+    assert.equal(await royalMail.track('AB000000000GB', { baseUrl }), null);
+    await assert.rejects(royalMail.track('ZZ', { baseUrl }), /tracking error 500/);
+  });
+  delete process.env.ROYAL_MAIL_TRACKING_CLIENT_ID;
+});
+
+test('EasyPost shipments need a return address and carry customs abroad', () => {
+  const abroad = buildShipment({ reference: 'HS-3', from: hub, to: userAddress({ ...ash, country: 'US', county: 'NY' }), cards, value: 40, weight: 100 });
+  const { shipment } = easyPost.buildShipment(abroad);
+  assert.deepEqual([shipment.to_address.country, shipment.to_address.state, shipment.parcel.weight], ['US', 'NY', 3.5]);
+  assert.deepEqual(shipment.customs_info.customs_items.map(i => [i.description, i.value, i.origin_country]), [
+    ['Charizard ex - 151 #6', 20, 'GB'],
+    ['Pikachu - 151 #25', 20, 'GB'],
+  ]);
+  assert.equal(easyPost.buildShipment({ ...abroad, international: false }).shipment.customs_info, undefined);
+  assert.throws(() => easyPost.buildShipment({ ...abroad, from: null }), err => err.status === 503);
+});
+
+test('EasyPost buys the cheapest rate unless a service is asked for', () => {
+  const rates = [{ id: 'a', service: 'Express', rate: '12.00' }, { id: 'b', service: 'Standard', rate: '4.10' }];
+  assert.equal(easyPost.chooseRate(rates, null).id, 'b');
+  assert.equal(easyPost.chooseRate(rates, 'express').id, 'a');
+  assert.throws(() => easyPost.chooseRate(rates, 'Overnight'), /No "Overnight" rate/);
+  assert.equal(easyPost.chooseRate([], null), null);
+});
+
+test('EasyPost trackers read like Royal Mail scans', () => {
+  assert.equal(easyPost.parseTracker({ status: 'unknown', tracking_details: [] }), null);
+  const tracking = easyPost.parseTracker({
+    status: 'delivered',
+    tracking_details: [
+      { status: 'delivered', message: 'Delivered', datetime: '2026-10-14T10:00:00Z', tracking_location: { city: 'Dublin' } },
+      { status: 'in_transit', message: 'Arrived at hub', datetime: '2026-10-13T10:00:00Z', tracking_location: {} },
+    ],
+  });
+  assert.deepEqual(tracking.events.map(e => [e.event_code, e.location, e.delivered]), [
+    ['in_transit', null, false],
+    ['delivered', 'Dublin', true],
+  ]);
+  assert.equal(tracking.delivered, true);
+});
+
+test('the mock carrier buys, tracks and cancels labels in memory', async () => {
+  mock.reset();
+  const order = await mock.createOrder(buildShipment({ reference: 'HS-4', from: hub, to: userAddress(ash), cards, value: 40, weight: 100 }));
+  assert.deepEqual([order.orderId, order.trackingNumber], ['MOCK-1', 'MK000000001GB']);
+  assert.match((await mock.fetchLabel(order.orderId)).toString(), /^%PDF/);
+
+  assert.equal(await mock.track(order.trackingNumber), null);
+  mock.scan(order.trackingNumber, { at: '2026-10-13T10:00:00Z' });
+  mock.deliver(order.trackingNumber, { location: 'Pallet', at: '2026-10-14T10:00:00Z' });
+  const tracking = await mock.track(order.trackingNumber);
+  assert.equal(tracking.delivered, true);
+  assert.deepEqual(tracking.events.map(e => e.event_code), ['SCAN', 'DELIVERED']);
+
+  await mock.cancel(order.orderId);
+  assert.equal((await mock.getOrder(order.orderId)).status, 'cancelled');
+  await assert.rejects(mock.cancel(order.orderId), err => err.status === 409);
+  await assert.rejects(mock.getOrder('MOCK-9'), err => err.status === 404);
+});
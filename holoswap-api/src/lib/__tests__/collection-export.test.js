@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CARD_COLUMNS, WANT_COLUMNS, parseExportFormat, toCsv, pickColumns, exportFilename } = require('../collection-export');
+const { cardDetail, renderChecklist } = require('../checklist-pdf');
+const { readImportRows } = require('../card-import');
+
+const columns = [{ header: 'Name', key: 'card_name' }, { header: 'Value', key: 'value' }, { header: 'Notes', key: 'notes' }];
+
+test('CSV cells are quoted when needed and formulas are defused', () => {
+  const csv = toCsv([
+    { card_name: 'Charizard', value: 320.5, notes: 'Shadowless, "crisp"' },
+    { card_name: '=HYPERLINK("x")', value: null, notes: 'two\nlines' },
+  ], columns);
+  assert.equal(csv, [
+    'Name,Value,Notes',
+    'Charizard,320.5,"Shadowless, ""crisp"""',
+    '"\'=HYPERLINK(""x"")",,"two\nlines"',
+    '',
+  ].join('\r\n'));
+});
+
+test('a want\'s acceptable printings share one cell', () => {
+  const csv = toCsv([{ quantity: 2, card_name: 'Charizard', variants: ['holo', 'first_edition'], priority: 'high' }], WANT_COLUMNS);
+  assert.equal(csv.split('\r\n')[1], '2,Charizard,,,,holo / first_edition,,high,,,');
+});
+
+test('exported card CSVs can be imported again', () => {
+  const csv = toCsv([{ quantity: 3, card_name: 'Charizard', card_set: 'Base Set', card_number: '4', condition: 'NM', variant: 'holo', purchase_price: '150.00' }], CARD_COLUMNS);
+  const { rows } = readImportRows(csv);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].name, 'Charizard');
+  assert.equal(rows[0].set, 'Base Set');
+  assert.equal(rows[0].condition, 'NM');
+  assert.equal(rows[0].price_paid, 150);
+  assert.equal(rows[0].quantity, 3);
+});
+
+test('formats and filenames', () => {
+  assert.equal(parseExportFormat(undefined), 'csv');
+  assert.equal(parseExportFormat('PDF'), 'pdf');
+  assert.throws(() => parseExportFormat('xlsx'), /format must be one of/);
+  assert.equal(exportFilename('binder-Holo Rares!', 'pdf', new Date('2026-10-18T12:00:00Z')), 'holoswap-binder-holo-rares-2026-10-18.pdf');
+  assert.deepEqual(pickColumns([{ card_name: 'Mew', id: 7 }], columns), [{ card_name: 'Mew', value: null, notes: null }]);
+});
+
+test('checklist lines and PDF rendering', async () => {
+  assert.equal(cardDetail({ card_set: 'Base Set', card_number: '4', condition: 'NM', grading_company: 'PSA', slab_grade: '10.0' }), 'Base Set #4 · NM · PSA 10');
+  assert.equal(cardDetail({ card_set: '151', min_condition: 'LP' }), '151 · LP or better');
+  assert.equal(cardDetail({ card_set: '151', card_number: '25', condition: 'NM', quantity: 3 }), '×3 · 151 #25 · NM');
+
+  const fetched = [];
+  const pdf = await renderChecklist(
+    { title: 'Want list', items: [{ card_name: 'Mew', image_url: 'https://img/a.webp', value: 12 }], totals: { card_count: 1, total_value: 12 } },
+    { fetcher: async url => { fetched.push(url); return null; } }
+  );
+  assert.equal(pdf.subarray(0, 4).toString(), '%PDF');
+  assert.deepEqual(fetched, ['https://img/a.webp']);
+});
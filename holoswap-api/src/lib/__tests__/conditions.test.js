@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normaliseCondition, conditionRank, meetsMinCondition,
+  parseSubgrades, overallGrade, gradeToCondition, parseConditionInput,
+} = require('../conditions');
+
+const subgrades = { centering: 9, corners: 8.5, edges: 9, surface: 9.5 };
+
+test('free-text conditions normalise to codes', () => {
+  assert.equal(normaliseCondition('Near Mint'), 'NM');
+  assert.equal(normaliseCondition('played'), 'MP');
+  assert.equal(normaliseCondition('unknown'), null);
+  assert.ok(conditionRank('NM') > conditionRank('DMG'));
+  assert.ok(meetsMinCondition('LP', 'MP'));
+  assert.ok(!meetsMinCondition('HP', 'MP'));
+});
+
+test('sub-grades must all be 1–10 in half points', () => {
+  assert.deepEqual(parseSubgrades({ ...subgrades, surface: '9.5' }), subgrades);
+  assert.throws(() => parseSubgrades({ ...subgrades, edges: undefined }), /edges/);
+  assert.throws(() => parseSubgrades({ ...subgrades, corners: 8.3 }), /corners/);
+  assert.throws(() => parseSubgrades({ ...subgrades, centering: 11 }), { status: 400 });
+  assert.throws(() => parseSubgrades([9, 9, 9, 9]), { status: 400 });
+});
+
+test('the overall grade is the average, held to one above the weakest sub-grade', () => {
+  assert.equal(overallGrade(subgrades), 9);
+  assert.equal(overallGrade({ centering: 10, corners: 10, edges: 10, surface: 4 }), 5);
+  assert.equal(overallGrade({ centering: 7, corners: 7.5, edges: 7.5, surface: 7.5 }), 7);
+});
+
+test('grades map onto condition codes', () => {
+  assert.equal(gradeToCondition(10), 'NM');
+  assert.equal(gradeToCondition(7), 'NM');
+  assert.equal(gradeToCondition(6.5), 'LP');
+  assert.equal(gradeToCondition(3), 'MP');
+  assert.equal(gradeToCondition(2), 'HP');
+  assert.equal(gradeToCondition(1.5), 'DMG');
+});
+
+test('condition input is validated, with sub-grades deciding the condition', () => {
+  assert.deepEqual(parseConditionInput({ condition: 'Lightly Played' }), { condition: 'LP', subgrades: null, grade: null });
+  assert.deepEqual(parseConditionInput({ condition: 'NM', subgrades: { ...subgrades, corners: 4 } }), {
+    condition: 'LP', subgrades: { ...subgrades, corners: 4 }, grade: 5,
+  });
+  assert.equal(parseConditionInput({}).condition, undefined);
+  assert.equal(parseConditionInput({ condition: 'unknown' }).condition, 'unknown');
+  assert.throws(() => parseConditionInput({ condition: 'unknown' }, { allowUnknown: false }), { status: 400 });
+  assert.throws(() => parseConditionInput({ condition: 'pristine-ish' }), /must be one of/);
+});
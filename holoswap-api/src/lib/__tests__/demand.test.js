@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRegion, parseBoardSize, demandForCard, loadDemandBoard, loadDemandSummary } = require('../demand');
+
+// Records each query and answers with `rows`
+const fakeDb = (rows = []) => ({
+  calls: [],
+  async query(sql, params) {
+    this.calls.push({ sql, params });
+    return { rows };
+  },
+});
+
+test('regions are postcode areas', () => {
+  assert.equal(parseRegion(' ls '), 'LS');
+  assert.equal(parseRegion(undefined), null);
+  assert.throws(() => parseRegion('LS1'), /postcode area/);
+});
+
+test('board sizes fall back to the default and are capped', () => {
+  assert.equal(parseBoardSize(undefined), 50);
+  assert.equal(parseBoardSize('0'), 50);
+  assert.equal(parseBoardSize('10'), 10);
+  assert.equal(parseBoardSize('5000'), 200);
+});
+
+test('the board is grouped, thresholded and limited in the query', async () => {
+  const db = fakeDb();
+  await loadDemandBoard(db, { setIds: ['sv03.5'], region: 'LS', limit: 10 });
+  const [{ sql, params }] = db.calls;
+  assert.match(sql, /GROUP BY demand_key/);
+  assert.match(sql, /HAVING COUNT\(DISTINCT user_id\) >= \$3/);
+  assert.match(sql, /LIMIT \$4/);
+  assert.deepEqual(params, [['sv03.5'], 'LS', 2, 10]);
+  assert.doesNotMatch(sql, /max_price|notes|postcode AS/);
+});
+
+test('set and region summaries follow the same threshold', async () => {
+  const db = fakeDb([
+    { kind: 'set', grp: 'sv03.5', set_name: '151', collectors: 3 },
+    { kind: 'region', grp: 'LS', set_name: null, collectors: 2 },
+  ]);
+  const summary = await loadDemandSummary(db, { region: 'LS' });
+  assert.deepEqual(db.calls[0].params, [null, 'LS', 2]);
+  assert.deepEqual(summary, {
+    sets: [{ set_id: 'sv03.5', set_name: '151', collectors: 3 }],
+    regions: [{ region: 'LS', collectors: 2 }],
+  });
+});
+
+test('a card answers its own demand and set-wide demand for its name', () => {
+  const board = [
+    { set_id: 'sv03.5', card_name: 'Charizard ex', card_number: '006', collectors: 4 },
+    { set_id: 'sv03.5', card_name: 'Charizard ex', card_number: null, collectors: 2 },
+    { set_id: 'sv03.5', card_name: 'Charizard ex', card_number: '199', collectors: 9 },
+    { set_id: 'sv01', card_name: 'Charizard ex', card_number: '006', collectors: 3 },
+  ];
+  const found = demandForCard(board, { set_id: 'sv03.5', card_number: '6', card_name: 'charizard EX' });
+  assert.deepEqual(found.map(r => r.collectors), [4, 2]);
+});
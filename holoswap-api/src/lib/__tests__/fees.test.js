@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pickFeeRule, calculateFee, describeFee, parseFeeRule } = require('../fees');
+
+const standard = { id: 1, name: 'Standard', min_value: '0.00', max_value: null, percent: '8.00', pro_percent: '5.00', min_fee: '0.50', max_fee: '50.00' };
+const highValue = { id: 2, name: 'High value', min_value: '500.00', max_value: null, percent: '6.00', pro_percent: null, min_fee: '0.00', max_fee: null };
+
+test('the narrowest matching band wins', () => {
+  assert.equal(pickFeeRule([standard, highValue], 100).id, 1);
+  assert.equal(pickFeeRule([standard, highValue], 500).id, 2);
+  assert.equal(pickFeeRule([{ ...standard, max_value: '10.00' }], 10), null);
+  assert.equal(pickFeeRule([{ ...standard, active: false }], 10), null);
+});
+
+test('fees are a percentage clamped to the rule minimum and maximum', () => {
+  assert.equal(calculateFee(100, standard).fee, 8);
+  assert.equal(calculateFee(2, standard).fee, 0.5);
+  assert.equal(calculateFee(1000, standard).fee, 50);
+  // The minimum never takes more than the trade is worth
+  assert.equal(calculateFee(0.3, standard).fee, 0.3);
+});
+
+test('pro sellers pay the pro rate when the rule has one', () => {
+  assert.deepEqual(calculateFee(100, standard, { isPro: true }), { fee: 5, percent: 5, rule_id: 1, rule_name: 'Standard' });
+  assert.equal(calculateFee(1000, highValue, { isPro: true }).fee, 60);
+});
+
+test('no matching rule means no fee', () => {
+  assert.deepEqual(calculateFee(100, null), { fee: 0, percent: 0, rule_id: null, rule_name: null });
+});
+
+test('rules are described for sellers', () => {
+  assert.equal(describeFee(standard), '8% (min £0.50, max £50.00)');
+  assert.equal(describeFee(highValue), '6%');
+});
+
+test('fee rule input is validated', () => {
+  assert.deepEqual(parseFeeRule({ name: ' Tier ', percent: '7.5', min_value: 20, max_value: 100 }), {
+    name: 'Tier', percent: 7.5, min_value: 20, max_value: 100,
+  });
+  assert.throws(() => parseFeeRule({ percent: 5 }), { status: 400 });
+  assert.throws(() => parseFeeRule({ name: 'x', percent: 120 }), { status: 400 });
+  assert.throws(() => parseFeeRule({ name: 'x', percent: 5, min_value: 50, max_value: 10 }), { status: 400 });
+  assert.throws(() => parseFeeRule({ name: 'x', percent: 5, min_fee: 2, max_fee: 1 }), { status: 400 });
+  assert.deepEqual(parseFeeRule({ max_fee: null, active: false }, { partial: true }), { max_fee: null, active: false });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseProductGrading, productSuffix, matchesGrading, parseSlab, rowGrading, slabLabel,
+} = require('../grading');
+
+test('product ids carry the grading company and grade at the end', () => {
+  assert.deepEqual(parseProductGrading('card:bsu|4|null|null|PSA|10'), { company: 'PSA', grade: 10 });
+  assert.deepEqual(parseProductGrading('card:bsu|4|holo|null|BGS|9.5'), { company: 'BGS', grade: 9.5 });
+  assert.equal(parseProductGrading('card:bsu|4|null|null|null|null'), null);
+  assert.equal(parseProductGrading('sealed:bsu-booster'), null);
+  assert.equal(parseProductGrading(null), null);
+});
+
+test('the product suffix picks out the slab, or the raw card', () => {
+  assert.equal(productSuffix({ company: 'PSA', grade: 10 }), '|PSA|10');
+  assert.equal(productSuffix({ company: 'CGC', grade: '8.5' }), '|CGC|8.5');
+  assert.equal(productSuffix(null), '|null|null');
+});
+
+test('products match only the same company and grade', () => {
+  const psa10 = { company: 'PSA', grade: 10 };
+  assert.equal(matchesGrading('card:bsu|4|null|null|PSA|10', psa10), true);
+  assert.equal(matchesGrading('card:bsu|4|null|null|PSA|9', psa10), false);
+  assert.equal(matchesGrading('card:bsu|4|null|null|CGC|10', psa10), false);
+  assert.equal(matchesGrading('card:bsu|4|null|null|null|null', psa10), false);
+  assert.equal(matchesGrading('card:bsu|4|null|null|null|null', null), true);
+  assert.equal(matchesGrading('card:bsu|4|null|null|PSA|10', null), false);
+});
+
+test('slabs are validated against each company\'s grade scale', () => {
+  assert.deepEqual(parseSlab({ grading_company: 'psa', slab_grade: '10', cert_number: ' 12345678 ' }),
+    { company: 'PSA', grade: 10, certNumber: '12345678' });
+  assert.deepEqual(parseSlab({ grading_company: 'BGS', slab_grade: 9.5 }), { company: 'BGS', grade: 9.5, certNumber: null });
+
+  assert.throws(() => parseSlab({ grading_company: 'PSA', slab_grade: 9.5 }), /isn't a PSA grade/);
+  assert.throws(() => parseSlab({ grading_company: 'CGC', slab_grade: 11 }), /isn't a CGC grade/);
+  assert.throws(() => parseSlab({ grading_company: 'SGC', slab_grade: 10 }), /Grading company must be one of/);
+  assert.throws(() => parseSlab({ grading_company: 'PSA' }), /isn't a PSA grade/);
+  assert.throws(() => parseSlab({ slab_grade: 10 }), /needs a grading company/);
+  assert.throws(() => parseSlab({ grading_company: 'PSA', slab_grade: 10, cert_number: 'no spaces allowed' }), /cert number/);
+});
+
+test('a body without slab fields leaves grading alone; a blank company clears it', () => {
+  assert.equal(parseSlab({ card_name: 'Charizard' }), undefined);
+  assert.equal(parseSlab({ grading_company: null }), null);
+  assert.equal(parseSlab({ grading_company: '' }), null);
+});
+
+test('grading is read back from table rows and labelled', () => {
+  assert.deepEqual(rowGrading({ grading_company: 'PSA', slab_grade: '10.0' }), { company: 'PSA', grade: 10 });
+  assert.equal(rowGrading({ grading_company: null, slab_grade: null }), null);
+  assert.equal(slabLabel({ company: 'BGS', grade: 9.5 }), 'BGS 9.5');
+  assert.equal(slabLabel(null), null);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseQuantity, parseKeep, checkStackable, printingKey, groupInventory, spareCopies, findDuplicates,
+} = require('../inventory');
+
+const copy = (id, fields) => ({
+  id, card_index_id: 'sv03.5-25', card_name: 'Pikachu', card_set: '151', card_number: '25',
+  variant: null, condition: 'NM', quantity: 1, status: 'pending', grading_company: null, ...fields,
+});
+
+test('quantities and keep counts are validated', () => {
+  assert.equal(parseQuantity(undefined), undefined);
+  assert.equal(parseQuantity('12'), 12);
+  assert.throws(() => parseQuantity(0), /whole number from 1/);
+  assert.throws(() => parseQuantity(1.5), /whole number from 1/);
+  assert.equal(parseKeep(undefined), 1);
+  assert.equal(parseKeep('0'), 0);
+  assert.throws(() => parseKeep(-1), /keep must be/);
+});
+
+test('only unslabbed cards in the collection can be stacked', () => {
+  assert.doesNotThrow(() => checkStackable({ quantity: 12, status: 'pending' }));
+  assert.doesNotThrow(() => checkStackable({ quantity: 1, status: 'listed', grading_company: 'PSA' }));
+  assert.throws(() => checkStackable({ quantity: 2, status: 'listed' }), /Only cards in your collection/);
+  assert.throws(() => checkStackable({ quantity: 2, status: 'pending', grading_company: 'PSA' }), /graded slab/);
+});
+
+test('copies of a printing are grouped with a count per condition', () => {
+  const groups = groupInventory([
+    copy(1, { quantity: 10 }),
+    copy(2, { quantity: 2, condition: 'LP' }),
+    copy(3, { variant: 'Reverse Holo' }),
+    copy(4, { grading_company: 'PSA' }),
+    copy(5, { card_index_id: null, card_name: 'Custom', quantity: 3 }),
+  ]);
+  assert.deepEqual(groups.map(g => [g.card_name, g.variant, g.quantity]), [
+    ['Custom', null, 3], ['Pikachu', null, 12], ['Pikachu', 'reverse', 1], ['Pikachu', null, 1],
+  ]);
+  assert.deepEqual(groups[1].conditions, { NM: 10, LP: 2 });
+  assert.equal(printingKey(copy(4, { grading_company: 'PSA' })), null);
+});
+
+test('the best copies are kept and the rest are spare, worst first', () => {
+  const spares = spareCopies([
+    copy(1, { condition: 'LP', quantity: 2 }),
+    copy(2, { condition: 'NM', quantity: 2 }),
+    copy(3, { condition: 'NM', status: 'listed' }),
+  ], 1);
+  assert.deepEqual(spares.map(c => [c.id, c.spare]), [[1, 2], [2, 1]]);
+  assert.deepEqual(spareCopies([copy(1, { quantity: 3 })], 5), []);
+});
+
+test('duplicates leave out slabs, unlinked cards and printings with nothing spare', () => {
+  const duplicates = findDuplicates([
+    copy(1, { quantity: 12 }),
+    copy(2, { variant: 'reverse' }),
+    copy(3, { grading_company: 'PSA' }),
+    copy(4, { grading_company: 'PSA' }),
+    copy(5, { card_index_id: null, quantity: 4 }),
+  ], 2);
+  assert.equal(duplicates.length, 1);
+  assert.equal(duplicates[0].spare_quantity, 10);
+  assert.deepEqual(duplicates[0].spares.map(c => [c.id, c.spare]), [[1, 10]]);
+});
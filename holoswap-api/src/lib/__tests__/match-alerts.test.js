@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DIGEST_MAX_LINES, describeCard, buildInstantAlert, buildDigest, buildMaxPriceAlert } = require('../match-alerts');
+
+const card = { card_name: 'Charizard', card_set: 'Base Set', card_number: '4', condition: 'NM', estimated_value: '300' };
+
+test('cards are described with set, number, condition and price when known', () => {
+  assert.equal(describeCard(card), 'Charizard (Base Set #4) — NM, £300.00');
+  assert.equal(describeCard({ card_name: 'Pikachu', condition: 'unknown', estimated_value: null }), 'Pikachu');
+});
+
+test('an instant alert names the card', () => {
+  const alert = buildInstantAlert(card);
+  assert.match(alert.title, /Charizard/);
+  assert.match(alert.body, /on your want list/);
+});
+
+test('a digest lists every card up to the cap, then a count of the rest', () => {
+  assert.match(buildDigest([card]).title, /A card on your want list/);
+
+  const many = Array.from({ length: DIGEST_MAX_LINES + 3 }, (_, i) => ({ ...card, card_number: String(i + 1) }));
+  const digest = buildDigest(many);
+  assert.match(digest.title, new RegExp(`${many.length} cards`));
+  const lines = digest.body.split('\n');
+  assert.equal(lines.length, DIGEST_MAX_LINES + 1);
+  assert.equal(lines[lines.length - 1], '…and 3 more');
+});
+
+test('a max-price alert gives the market price and the want\'s limit', () => {
+  const alert = buildMaxPriceAlert({ card_name: 'Charizard', set_id: 'base1', card_number: '4' }, 249.5, 250);
+  assert.match(alert.title, /Charizard is under your max price/);
+  assert.equal(alert.body, 'Charizard (base1 #4) is now £249.50 — within the £250.00 you\'d pay on your want list.');
+});
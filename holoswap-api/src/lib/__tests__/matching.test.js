@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normaliseCardNumber, normaliseVariant, buildSetIndex, resolveSetKey, resolveSetId,
+  wantMatchesCard, postcodeArea, proximity, rankMatches,
+} = require('../matching');
+
+const setIndex = buildSetIndex([
+  { set_id: 'base1', set_name: 'Base Set', pokepulse_set_id: 'bsu' },
+  { set_id: 'sv03.5', set_name: '151', pokepulse_set_id: 'sv3pt5' },
+  { set_id: 'swsh12.5', set_name: 'Crown Zenith', pokepulse_set_id: 'swsh12pt5' },
+]);
+
+test('card numbers ignore leading zeros and the set total', () => {
+  assert.equal(normaliseCardNumber('004'), '4');
+  assert.equal(normaliseCardNumber('4/102'), '4');
+  assert.equal(normaliseCardNumber('sv004 / sv122'), 'SV4');
+  assert.equal(normaliseCardNumber('100'), '100');
+  assert.equal(normaliseCardNumber('0'), '0');
+  assert.equal(normaliseCardNumber(''), null);
+});
+
+test('free-text sets resolve through card_index names, ids and printed set codes', () => {
+  for (const spelling of ['Base Set', 'base set', 'base1', 'BS', 'bsu']) {
+    assert.equal(resolveSetKey(spelling, setIndex), 'base1', spelling);
+  }
+  assert.equal(resolveSetKey('sv3.5', setIndex), 'sv03.5');
+  assert.equal(resolveSetKey('CRZ', setIndex), 'swsh12.5');
+  assert.equal(resolveSetKey('Some Custom Set', setIndex), 'somecustomset');
+  assert.equal(resolveSetId('Crown Zenith', setIndex), 'swsh12.5');
+  assert.equal(resolveSetId('Some Custom Set', setIndex), null);
+});
+
+test('variants accept common spellings', () => {
+  assert.equal(normaliseVariant('Reverse Holo'), 'reverse');
+  assert.equal(normaliseVariant('1st Edition'), 'first_edition');
+  assert.equal(normaliseVariant('sparkly'), null);
+});
+
+const want = { card_set: 'Base Set', card_number: '4', min_condition: 'LP', variants: null };
+const card = { card_set: 'base1', card_number: '004/102', condition: 'NM', variant: 'holo' };
+
+test('a want matches across set spellings and zero-padded numbers', () => {
+  assert.ok(wantMatchesCard(want, card, setIndex));
+  assert.equal(wantMatchesCard(want, { ...card, card_number: '40' }, setIndex), false);
+  assert.equal(wantMatchesCard(want, { ...card, card_set: 'Jungle' }, setIndex), false);
+  assert.equal(wantMatchesCard({ ...want, card_set: null }, card, setIndex), false);
+});
+
+test('min_condition filters out worse cards but lets ungraded ones through', () => {
+  assert.ok(wantMatchesCard(want, { ...card, condition: 'LP' }, setIndex));
+  assert.equal(wantMatchesCard(want, { ...card, condition: 'MP' }, setIndex), false);
+  assert.equal(wantMatchesCard(want, { ...card, condition: 'Damaged' }, setIndex), false);
+  assert.ok(wantMatchesCard(want, { ...card, condition: 'unknown' }, setIndex));
+  assert.ok(wantMatchesCard({ ...want, min_condition: 'played' }, { ...card, condition: 'MP' }, setIndex));
+});
+
+test('a wanted variant must match exactly', () => {
+  const wantsFirstEd = { ...want, variants: ['first_edition'] };
+  assert.equal(wantMatchesCard(wantsFirstEd, card, setIndex), false);
+  assert.equal(wantMatchesCard(wantsFirstEd, { ...card, variant: null }, setIndex), false);
+  assert.ok(wantMatchesCard(wantsFirstEd, { ...card, variant: '1st Edition' }, setIndex));
+});
+
+test('any of several acceptable variants will do', () => {
+  const wantsEither = { ...want, variants: ['holo', 'first_edition'] };
+  assert.ok(wantMatchesCard(wantsEither, card, setIndex));
+  assert.ok(wantMatchesCard(wantsEither, { ...card, variant: '1st Edition' }, setIndex));
+  assert.equal(wantMatchesCard(wantsEither, { ...card, variant: 'reverse' }, setIndex), false);
+});
+
+test('wants linked to card_index match cards linked to the same card', () => {
+  const linked = { ...want, card_set: 'Whatever', card_number: '99', card_index_id: 'base1-4' };
+  assert.ok(wantMatchesCard(linked, { ...card, card_index_id: 'base1-4' }, setIndex));
+  assert.equal(wantMatchesCard(linked, { ...card, card_index_id: 'base1-5' }, setIndex), false);
+  // An unlinked card falls back to set and number
+  assert.ok(wantMatchesCard({ ...want, card_index_id: 'base1-4' }, card, setIndex));
+});
+
+test('a set-wide want matches any card of that name in the set', () => {
+  const setWide = { card_name: 'Charizard', set_id: 'base1', card_number: null, min_condition: 'LP', variants: null };
+  assert.ok(wantMatchesCard(setWide, { ...card, card_name: 'charizard ' }, setIndex));
+  assert.equal(wantMatchesCard(setWide, { ...card, card_name: 'Charmander' }, setIndex), false);
+  assert.equal(wantMatchesCard(setWide, { ...card, card_name: 'Charizard', card_set: 'Jungle' }, setIndex), false);
+});
+
+test('proximity compares postcode districts, areas and cities', () => {
+  assert.equal(proximity({ postcode: 'LS1 4AB' }, { postcode: 'ls14xy' }), 'same_district');
+  assert.equal(proximity({ postcode: 'LS1 4AB' }, { postcode: 'LS6 2AA' }), 'nearby');
+  assert.equal(proximity({ city: 'Leeds' }, { city: 'leeds ' }), 'nearby');
+  assert.equal(proximity({ postcode: 'LS1 4AB' }, { postcode: 'M1 1AA' }), 'further');
+  assert.equal(proximity({ postcode: 'LS1 4AB' }, {}), 'unknown');
+  assert.equal(postcodeArea('sw1a 1aa'), 'SW');
+  assert.equal(postcodeArea(null), null);
+});
+
+test('matches rank by condition, then price, then distance', () => {
+  const ranked = rankMatches([
+    { id: 'mp-cheap', condition: 'MP', estimated_value: '1.00', proximity: 'same_district' },
+    { id: 'nm-far', condition: 'NM', estimated_value: '5.00', proximity: 'further' },
+    { id: 'nm-near', condition: 'NM', estimated_value: '5.00', proximity: 'nearby' },
+    { id: 'nm-cheap', condition: 'Near Mint', estimated_value: '4.00', proximity: 'unknown' },
+    { id: 'nm-unpriced', condition: 'NM', estimated_value: null, proximity: 'same_district' },
+    { id: 'ungraded', condition: 'unknown', estimated_value: '0.50', proximity: 'same_district' },
+  ]);
+  assert.deepEqual(ranked.map(m => m.id), ['nm-cheap', 'nm-near', 'nm-far', 'nm-unpriced', 'mp-cheap', 'ungraded']);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseMigrationFilename, loadMigrations, pendingMigrations, migrationsToRollBack,
+} = require('../migrations');
+
+const noop = async () => {};
+const m = version => ({ version, name: `m${version}`, filename: `${version}_m${version}.js`, up: noop, down: noop });
+
+test('migration filenames parse into a numeric version and a name', () => {
+  assert.deepEqual(parseMigrationFilename('003_trades_table.js'), { version: 3, name: 'trades_table' });
+});
+
+test('non-migration files are ignored', () => {
+  assert.equal(parseMigrationFilename('README.md'), null);
+  assert.equal(parseMigrationFilename('helpers.js'), null);
+});
+
+test('the repo\'s own migrations load in version order with up/down functions', () => {
+  const migrations = loadMigrations();
+  assert.ok(migrations.length > 0);
+  const versions = migrations.map(x => x.version);
+  assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  for (const migration of migrations) {
+    assert.equal(typeof migration.up, 'function', migration.filename);
+    // The baseline can't be rolled back (see 001_baseline_schema.js)
+    if (migration.version === 1) continue;
+    assert.equal(typeof migration.down, 'function', migration.filename);
+  }
+});
+
+test('rolling back never drops the baseline schema', () => {
+  const migrations = loadMigrations();
+  const applied = migrations.map(x => x.version);
+  assert.equal(migrationsToRollBack(migrations, applied, applied.length - 1).length, applied.length - 1);
+  assert.throws(() => migrationsToRollBack(migrations, applied, applied.length), /001_baseline_schema\.js has no down\(\)/);
+});
+
+test('duplicate version numbers are rejected', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  try {
+    fs.writeFileSync(path.join(dir, '001_a.js'), 'module.exports = { up: async () => {} };');
+    fs.writeFileSync(path.join(dir, '001_b.js'), 'module.exports = { up: async () => {} };');
+    assert.throws(() => loadMigrations(dir), /Duplicate migration version 1/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('pending migrations are the unapplied ones, oldest first', () => {
+  const pending = pendingMigrations([m(1), m(2), m(3), m(4)], [1, 3]);
+  assert.deepEqual(pending.map(x => x.version), [2, 4]);
+});
+
+test('rollback picks the newest applied migrations first', () => {
+  const toRollBack = migrationsToRollBack([m(1), m(2), m(3)], [1, 2, 3], 2);
+  assert.deepEqual(toRollBack.map(x => x.version), [3, 2]);
+});
+
+test('rollback refuses a migration without a down()', () => {
+  assert.throws(() => migrationsToRollBack([m(1), { ...m(2), down: undefined }], [1, 2]), /has no down\(\)/);
+});
+
+test('rollback refuses an applied version whose file is missing', () => {
+  assert.throws(() => migrationsToRollBack([m(1)], [1, 2]), /file is missing/);
+});
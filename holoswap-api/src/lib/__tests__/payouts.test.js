@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculatePayout, parseMonth, reconcile } = require('../payouts');
+
+test('payouts are the trade value less the HoloSwap fee', () => {
+  assert.deepEqual(calculatePayout({ price: '50.00', holoswap_fee: '2.50' }), { gross: 50, fee: 2.5, net: 47.5 });
+  assert.deepEqual(calculatePayout({ price: '50.00', agreed_price: '40.00', holoswap_fee: null }), { gross: 40, fee: 0, net: 40 });
+});
+
+test('an explicit amount overrides the trade value', () => {
+  assert.deepEqual(calculatePayout({ price: null, holoswap_fee: '1.00' }, '20'), { gross: 20, fee: 1, net: 19 });
+  assert.throws(() => calculatePayout({ price: null }), { status: 400 });
+  assert.throws(() => calculatePayout({ price: '10' }, 'lots'), { status: 400 });
+  assert.throws(() => calculatePayout({ price: '10', holoswap_fee: '12' }), { status: 400 });
+});
+
+test('months parse to a half-open UTC range', () => {
+  const { start, end } = parseMonth('2024-12');
+  assert.equal(start.toISOString(), '2024-12-01T00:00:00.000Z');
+  assert.equal(end.toISOString(), '2025-01-01T00:00:00.000Z');
+  assert.throws(() => parseMonth('2024-13'), { status: 400 });
+  assert.throws(() => parseMonth(undefined), { status: 400 });
+});
+
+test('reconciliation flags unpaid, mismatched and early payouts', () => {
+  const completed = [
+    { id: 1, price: '50.00', holoswap_fee: '2.50', payout_id: 10, payout_gross: '50.00' },
+    { id: 2, price: '30.00', holoswap_fee: '1.50', payout_id: null },
+    { id: 3, price: '20.00', agreed_price: '18.00', holoswap_fee: '1.00', payout_id: 11, payout_gross: '20.00' },
+  ];
+  const payouts = [
+    { id: 10, trade_id: 1, gross_amount: '50.00', fee_amount: '2.50', net_amount: '47.50', trade_status: 'complete' },
+    { id: 12, trade_id: 4, gross_amount: '10.00', fee_amount: '0.50', net_amount: '9.50', trade_status: 'refunded' },
+  ];
+
+  const report = reconcile(completed, payouts);
+  assert.deepEqual(report.unpaid.map(t => t.id), [2]);
+  assert.deepEqual(report.mismatched.map(t => t.id), [3]);
+  assert.deepEqual(report.not_complete.map(p => p.id), [12]);
+  assert.equal(report.totals.completed_value, 98);
+  assert.equal(report.totals.fees_due, 5);
+  assert.equal(report.totals.net_paid, 57);
+  assert.equal(report.totals.unpaid_value, 28.5);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePurchase, priceKey, valueCard, summarise, breakdown } = require('../portfolio');
+
+const prices = new Map([
+  [priceKey('base1', '4'), { market_price: '320.00', snapshot_date: '2026-10-17' }],
+  [priceKey('base1', '4', { company: 'PSA', grade: 10 }), { market_price: '9500.00', snapshot_date: '2026-10-16' }],
+]);
+
+test('price keys ignore leading zeros and the set total', () => {
+  assert.equal(priceKey('base1', '004/102'), priceKey('base1', '4'));
+  assert.notEqual(priceKey('base1', '4'), priceKey('base1', '4', { company: 'PSA', grade: 10 }));
+});
+
+test('cards are valued from market history, graded history for slabs, then their estimate', () => {
+  assert.deepEqual(valueCard({ set_id: 'base1', card_number: '4/102' }, prices),
+    { value: 320, price_source: 'market', priced_on: '2026-10-17' });
+  assert.equal(valueCard({ set_id: 'base1', card_number: '4', grading_company: 'PSA', slab_grade: '10.0' }, prices).value, 9500);
+
+  // A slab with no graded price isn't worth the raw price
+  assert.deepEqual(valueCard({ set_id: 'base1', card_number: '4', grading_company: 'BGS', slab_grade: '9.5', estimated_value: '700' }, prices),
+    { value: 700, price_source: 'estimate', priced_on: null });
+  assert.equal(valueCard({ set_id: 'base2', card_number: '1' }, prices).value, null);
+});
+
+test('gain only counts cards with both a value and a purchase price', () => {
+  const totals = summarise([
+    { value: 320, purchase_price: '200.00' },
+    { value: 50, purchase_price: null },
+    { value: null, purchase_price: '30' },
+  ]);
+  assert.deepEqual(totals, {
+    card_count: 3,
+    priced_count: 2,
+    total_value: 370,
+    cost_basis: 230,
+    unrealised_gain: 120,
+    unrealised_gain_pct: 60,
+  });
+  assert.equal(summarise([{ value: 10, purchase_price: null }]).unrealised_gain_pct, null);
+
+  // Values and purchase prices are per copy
+  const stack = summarise([{ value: 2.5, purchase_price: '1.00', quantity: 12 }]);
+  assert.deepEqual([stack.card_count, stack.priced_count, stack.total_value, stack.cost_basis, stack.unrealised_gain], [12, 12, 30, 12, 18]);
+});
+
+test('breakdowns put a card in every group it belongs to, most valuable first', () => {
+  const cards = [
+    { value: 10, binders: [1] },
+    { value: 100, binders: [1, 2] },
+    { value: 5, binders: [] },
+  ];
+  const groups = breakdown(cards, c => (c.binders.length ? c.binders : [null]));
+  assert.deepEqual(groups.map(g => [g.key, g.total_value, g.card_count]), [[1, 110, 2], [2, 100, 1], [null, 5, 1]]);
+});
+
+test('purchase fields are validated, and left alone when not sent', () => {
+  assert.deepEqual(parsePurchase({}), { price: undefined, date: undefined });
+  assert.deepEqual(parsePurchase({ purchase_price: '12.345', purchased_at: '2024-02-29' }), { price: 12.35, date: '2024-02-29' });
+  assert.deepEqual(parsePurchase({ purchase_price: '', purchased_at: null }), { price: null, date: null });
+  assert.throws(() => parsePurchase({ purchase_price: -1 }), /Invalid purchase price/);
+  assert.throws(() => parsePurchase({ purchase_price: 'ten' }), /Invalid purchase price/);
+  assert.throws(() => parsePurchase({ purchased_at: '29/02/2024' }), /YYYY-MM-DD/);
+  assert.throws(() => parsePurchase({ purchased_at: '2999-01-01' }), /future/);
+});
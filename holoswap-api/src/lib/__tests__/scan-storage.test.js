@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { SCAN_MAX_BYTES, detectImageType, scanFileName, createLocalStorage, storeScan } = require('../scan-storage');
+
+const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(16)]);
+const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]);
+const webp = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBP'), Buffer.alloc(8)]);
+
+test('image types are detected from the file contents', () => {
+  assert.equal(detectImageType(jpeg), 'image/jpeg');
+  assert.equal(detectImageType(png), 'image/png');
+  assert.equal(detectImageType(webp), 'image/webp');
+  assert.equal(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg">')), null);
+  assert.equal(detectImageType(Buffer.alloc(4)), null);
+});
+
+test('scan file names carry the card and side but cannot be guessed', () => {
+  const name = scanFileName(12, 'front', 'image/png');
+  assert.match(name, /^card-12-front-[0-9a-f]{24}\.png$/);
+  assert.notEqual(name, scanFileName(12, 'front', 'image/png'));
+});
+
+test('scans are saved to and removed from local disk', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'holoswap-scans-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const storage = createLocalStorage(dir);
+
+  const url = await storeScan(storage, { cardId: 3, side: 'back', buffer: jpeg });
+  assert.match(url, /^\/uploads\/scans\/card-3-back-[0-9a-f]+\.jpg$/);
+  assert.deepEqual(await fs.readFile(path.join(dir, path.basename(url))), jpeg);
+
+  await storage.remove(url);
+  assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('uploads that are not usable images are rejected', async () => {
+  const storage = { save: async () => assert.fail('should not save') };
+  await assert.rejects(storeScan(storage, { cardId: 1, side: 'side', buffer: jpeg }), { status: 400 });
+  await assert.rejects(storeScan(storage, { cardId: 1, side: 'front', buffer: {} }), { status: 400 });
+  await assert.rejects(storeScan(storage, { cardId: 1, side: 'front', buffer: Buffer.from('not an image at all') }), { status: 400 });
+  const huge = Buffer.concat([jpeg, Buffer.alloc(SCAN_MAX_BYTES)]);
+  await assert.rejects(storeScan(storage, { cardId: 1, side: 'front', buffer: huge }), /10 MB/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseProgressMode, isSecretRare, checklistSlots, setProgress, missingWants } = require('../set-progress');
+const { buildSetIndex } = require('../matching');
+
+const card = (localId, fields = {}) => ({
+  id: `sv03.5-${localId}`, name: `Card ${localId}`, local_id: localId, rarity: 'Common', image_url: null,
+  set_id: 'sv03.5', set_name: '151', set_total: 207, set_official_total: 165,
+  variants_normal: true, variants_holo: false, variants_reverse: true, ...fields,
+});
+
+const index = [
+  card('002'),
+  card('001'),
+  card('003', { variants_reverse: false, variants_holo: true, variants_normal: false }),
+  card('199', { rarity: 'Special Illustration Rare', variants_reverse: false, variants_holo: true, variants_normal: false }),
+];
+
+test('secret rares are numbered past the printed total', () => {
+  assert.equal(isSecretRare(card('199')), true);
+  assert.equal(isSecretRare(card('165')), false);
+  assert.equal(isSecretRare(card('TG01')), false);
+  assert.equal(isSecretRare(card('103', { set_official_total: null, set_total: 102 })), true);
+  assert.throws(() => parseProgressMode('everything'), /mode must be one of/);
+});
+
+test('each mode has its own checklist, in number order', () => {
+  assert.deepEqual(checklistSlots(index, 'standard').map(s => s.card_number), ['001', '002', '003']);
+  assert.deepEqual(checklistSlots(index, 'full').map(s => s.card_number), ['001', '002', '003', '199']);
+  assert.deepEqual(checklistSlots(index, 'master').map(s => [s.card_number, s.variant]), [
+    ['001', 'normal'], ['001', 'reverse'], ['002', 'normal'], ['002', 'reverse'], ['003', null], ['199', null],
+  ]);
+});
+
+test('progress counts owned slots, secret rares and master-set reverse holos', () => {
+  const owned = [
+    { card_index_id: 'sv03.5-001', variant: null, quantity: 3 },
+    { card_index_id: 'sv03.5-002', variant: 'Reverse Holo', quantity: 1 },
+    { card_index_id: 'sv03.5-199', variant: 'holo', quantity: 1 },
+  ];
+
+  const standard = setProgress(checklistSlots(index, 'standard'), owned, 'standard');
+  assert.deepEqual([standard.total, standard.owned_count, standard.missing_count, standard.percent], [3, 2, 1, 66.7]);
+  assert.equal(standard.secret_rares, null);
+  assert.equal(standard.cards[0].owned, 3);
+
+  const full = setProgress(checklistSlots(index, 'full'), owned, 'full');
+  assert.deepEqual(full.secret_rares, { total: 1, owned: 1 });
+
+  // In master mode the reverse only fills the reverse slot
+  const master = setProgress(checklistSlots(index, 'master'), owned, 'master');
+  assert.deepEqual(master.cards.map(c => c.owned), [3, 0, 0, 1, 0, 1]);
+  assert.deepEqual(master.reverse_holos, { total: 2, owned: 1 });
+});
+
+test('cards already wanted aren\'t added to the want list again', () => {
+  const setIndex = buildSetIndex([{ set_id: 'sv03.5', set_name: '151', pokepulse_set_id: 'sv3pt5' }]);
+  const progress = setProgress(checklistSlots(index, 'master'), [], 'master');
+  const wants = [
+    { card_set: '151', card_number: '1', variants: null },
+    { card_set: 'MEW', card_number: '002/165', variants: ['reverse'] },
+    { card_set: 'Base Set', card_number: '3', variants: null },
+  ];
+  assert.deepEqual(missingWants(progress, wants, setIndex, 'sv03.5').map(c => [c.card_number, c.variant]), [
+    ['002', 'normal'], ['003', null], ['199', null],
+  ]);
+});
+
+test('a set-wide want covers every card with its name', () => {
+  const setIndex = buildSetIndex([{ set_id: 'sv03.5', set_name: '151', pokepulse_set_id: 'sv3pt5' }]);
+  const progress = setProgress(checklistSlots(index, 'master'), [], 'master');
+  const wants = [{ set_id: 'sv03.5', card_name: 'card 002', card_number: null, variants: null }];
+  assert.deepEqual(missingWants(progress, wants, setIndex, 'sv03.5').map(c => [c.card_number, c.variant]), [
+    ['001', 'normal'], ['001', 'reverse'], ['003', null], ['199', null],
+  ]);
+});
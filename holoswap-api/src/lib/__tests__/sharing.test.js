@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVisibility, parseSlug, newShareToken, publicCard, reputation } = require('../sharing');
+
+test('binder visibility and profile slugs are validated', () => {
+  assert.equal(parseVisibility('Unlisted'), 'unlisted');
+  assert.throws(() => parseVisibility('friends'), /Visibility must be one of/);
+
+  assert.equal(parseSlug('  Ash-Ketchum '), 'ash-ketchum');
+  assert.throws(() => parseSlug('ab'), /3–30 letters/);
+  assert.throws(() => parseSlug('ash--ketchum'), /3–30 letters/);
+  assert.throws(() => parseSlug('-ash'), /3–30 letters/);
+  assert.throws(() => parseSlug('ash_k'), /3–30 letters/);
+  assert.throws(() => parseSlug('admin'), err => err.status === 409);
+});
+
+test('share links are unguessable and URL-safe', () => {
+  const token = newShareToken();
+  assert.match(token, /^[A-Za-z0-9_-]{16}$/);
+  assert.notEqual(token, newShareToken());
+});
+
+test('public cards leave out prices paid, notes and certs', () => {
+  const card = publicCard({
+    id: 1, card_name: 'Charizard', status: 'listed', quantity: 1,
+    purchase_price: '200.00', notes: 'from mum', cert_number: '123', user_id: 9, estimated_value: '300',
+  });
+  assert.equal(card.listed, true);
+  for (const key of ['purchase_price', 'notes', 'cert_number', 'user_id', 'estimated_value']) {
+    assert.equal(key in card, false, key);
+  }
+});
+
+test('reputation counts completed trades and refunds on sales', () => {
+  assert.deepEqual(reputation({ completed_as_seller: 9, completed_as_buyer: 4, refunded_as_seller: 1 }), {
+    completed_trades: 13,
+    completed_as_seller: 9,
+    completed_as_buyer: 4,
+    refunded_as_seller: 1,
+    seller_success_pct: 90,
+  });
+  assert.equal(reputation({}).seller_success_pct, null);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSetIndex } = require('../matching');
+const { parseRules, compileRules, matchesRules } = require('../smart-binders');
+
+const setIndex = buildSetIndex([{ set_id: 'sv03.5', set_name: '151', pokepulse_set_id: 'sv3pt5' }]);
+
+const card = (overrides = {}) => ({
+  id: 1, card_set: '151', set_key: 'sv03.5', rarity: 'Special Illustration Rare', status: 'verified',
+  card_type: 'Fire', illustrator: 'Mitsuhiro Arita', index_rarity: null, value: 120, ...overrides,
+});
+
+const matches = (rules, c) => matchesRules(c, compileRules(parseRules(rules), setIndex));
+
+test('rules are validated and normalised', () => {
+  assert.equal(parseRules(undefined), undefined);
+  assert.equal(parseRules(null), null);
+  assert.deepEqual(parseRules({ set: ' 151 ', card_type: ['Fire', 'Water'], min_value: '25', illustrator: '' }), {
+    set: ['151'], card_type: ['Fire', 'Water'], min_value: 25,
+  });
+  assert.throws(() => parseRules({}), /at least one rule/);
+  assert.throws(() => parseRules({ illustrator: '' }), /at least one rule/);
+  assert.throws(() => parseRules([]), /must be an object/);
+  assert.throws(() => parseRules({ colour: 'red' }), /Unknown rule "colour"/);
+  assert.throws(() => parseRules({ min_value: -1 }), /min_value must be an amount/);
+  assert.throws(() => parseRules({ status: 'verified' }), /status must be one of: listed/);
+  assert.throws(() => parseRules({ rarity: ['Rare', ''] }), err => err.status === 400);
+});
+
+test('a set rule matches by set name, id or code', () => {
+  assert.equal(matches({ set: 'sv3pt5' }, card()), true);
+  assert.equal(matches({ set: ['Base Set', 'sv03.5'] }, card()), true);
+  assert.equal(matches({ set: 'Base Set' }, card()), false);
+});
+
+test('rarity, card type and illustrator ignore case; illustrator matches part of a name', () => {
+  assert.equal(matches({ rarity: 'special illustration rare' }, card()), true);
+  assert.equal(matches({ rarity: 'Rare Holo' }, card({ rarity: null, index_rarity: 'Rare Holo' })), true);
+  assert.equal(matches({ card_type: 'fire' }, card()), true);
+  assert.equal(matches({ card_type: 'Water' }, card()), false);
+  assert.equal(matches({ card_type: 'Fire' }, card({ card_type: null })), false);
+  assert.equal(matches({ illustrator: 'arita' }, card()), true);
+  assert.equal(matches({ illustrator: 'Sugimori' }, card()), false);
+});
+
+test('min_value needs a value above it, and status picks listed cards', () => {
+  assert.equal(matches({ min_value: 100 }, card()), true);
+  assert.equal(matches({ min_value: 120 }, card()), false);
+  assert.equal(matches({ min_value: 0 }, card({ value: null })), false);
+  assert.equal(matches({ status: 'listed' }, card()), false);
+  assert.equal(matches({ status: 'listed' }, card({ status: 'listed' })), true);
+});
+
+test('every rule has to match', () => {
+  const rules = { set: '151', card_type: 'Fire', min_value: 50 };
+  assert.equal(matches(rules, card()), true);
+  assert.equal(matches(rules, card({ value: 10 })), false);
+  assert.equal(matches(rules, card({ set_key: 'base1' })), false);
+});
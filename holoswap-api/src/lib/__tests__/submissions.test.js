@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTradeIds, declaredValue } = require('../submissions');
+
+test('trade ids are a list of positive ids', () => {
+  assert.equal(parseTradeIds(undefined), null);
+  assert.deepEqual(parseTradeIds(['3', 3, 4]), [3, 4]);
+  assert.deepEqual(parseTradeIds('7'), [7]);
+  assert.throws(() => parseTradeIds([]), /list of trade ids/);
+  assert.throws(() => parseTradeIds(['x']), /list of trade ids/);
+});
+
+test('a parcel is declared at what its cards are worth', () => {
+  const items = [
+    { card_name: 'Charizard ex', card_set: '151', card_number: '6', estimated_value: '40.00' },
+    { card_name: 'Pikachu', card_set: '151', card_number: '25', estimated_value: null },
+  ];
+  assert.equal(declaredValue(items), 40);
+  assert.equal(declaredValue([items[1]]), 5);
+});
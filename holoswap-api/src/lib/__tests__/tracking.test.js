@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDeliveryNotice } = require('../tracking');
+
+test('delivery notices say what happens next', () => {
+  const inbound = buildDeliveryNotice({ tradeId: 7, direction: 'inbound', trackingNumber: 'AB1', location: 'Leeds DO', received: true });
+  assert.equal(inbound.title, '📬 Cards for trade #7 reached HoloSwap');
+  assert.match(inbound.body, /^Royal Mail delivered AB1 \(Leeds DO\)\. Everything's arrived/);
+  assert.match(buildDeliveryNotice({ tradeId: 7, direction: 'inbound', trackingNumber: 'AB1' }).body, /still waiting/);
+  assert.match(buildDeliveryNotice({ tradeId: 7, direction: 'outbound', carrier: 'EasyPost', trackingNumber: 'AB2' }).body, /^EasyPost delivered AB2\. .*confirm receipt/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_CARDS_PER_SIDE, parseOffer, parseFailedCards, buildSwapProposals } = require('../trade-bundles');
+
+test('parseOffer still accepts the single card_id shape', () => {
+  assert.deepEqual(parseOffer({ card_id: '12', seller_id: 3 }), {
+    requestedCardIds: [12], offeredCardIds: [], cashAmount: 0, cashPayer: null,
+  });
+});
+
+test('parseOffer de-duplicates cards and defaults the cash payer to the buyer', () => {
+  const offer = parseOffer({ card_ids: [4, 4, 5], offered_card_ids: [9], cash_amount: '2.505' });
+  assert.deepEqual(offer.requestedCardIds, [4, 5]);
+  assert.deepEqual(offer.offeredCardIds, [9]);
+  assert.equal(offer.cashAmount, 2.51);
+  assert.equal(offer.cashPayer, 'buyer');
+});
+
+test('parseOffer rejects bad offers with a 400', () => {
+  const bad = [
+    {},
+    { card_ids: [] },
+    { card_ids: ['abc'] },
+    { card_ids: [1], offered_card_ids: [1] },
+    { card_ids: [1], cash_amount: -5 },
+    { card_ids: [1], cash_amount: 5, cash_payer: 'holoswap' },
+    { card_ids: Array.from({ length: MAX_CARDS_PER_SIDE + 1 }, (_, i) => i + 1) },
+  ];
+  for (const body of bad) {
+    assert.throws(() => parseOffer(body), err => err.status === 400, JSON.stringify(body));
+  }
+});
+
+const theirs = (cardId, sellerId, value) => ({
+  card_id: cardId, seller_id: sellerId, seller_name: `User ${sellerId}`, seller_city: 'Leeds', estimated_value: value,
+});
+const mine = (cardId, buyerId, value) => ({
+  card_id: cardId, buyer_id: buyerId, buyer_name: `User ${buyerId}`, buyer_city: 'Leeds', estimated_value: value,
+});
+
+test('failed cards must be card ids from the trade being rejected', () => {
+  assert.equal(parseFailedCards(undefined, [4, 5]), null);
+  assert.equal(parseFailedCards([], [4, 5]), null);
+  assert.deepEqual(parseFailedCards(['5', 5], [4, 5]), [5]);
+  assert.throws(() => parseFailedCards(['x'], [4, 5]), err => err.status === 400 && /card_ids must be card ids/.test(err.message));
+  assert.throws(() => parseFailedCards([9], [4, 5]), /Card 9 isn't in this trade/);
+});
+
+test('swap proposals only include users on both sides of the match', () => {
+  const swaps = buildSwapProposals(
+    [theirs(1, 10, '12.00'), theirs(2, 20, '3.00')],
+    [mine(7, 10, '5.00'), mine(8, 30, '1.00')]
+  );
+  assert.equal(swaps.length, 1);
+  assert.equal(swaps[0].user_id, 10);
+  assert.deepEqual(swaps[0].their_cards.map(c => c.card_id), [1]);
+  assert.deepEqual(swaps[0].your_cards.map(c => c.card_id), [7]);
+});
+
+test('swap proposals suggest the cash that evens up the values', () => {
+  const [swap] = buildSwapProposals([theirs(1, 10, '12.00')], [mine(7, 10, '5.00')]);
+  assert.deepEqual(swap.suggested_cash, { amount: 7, payer: 'you' });
+
+  const [even] = buildSwapProposals([theirs(1, 10, '5.00')], [mine(7, 10, '5.00')]);
+  assert.deepEqual(even.suggested_cash, { amount: 0, payer: null });
+});
+
+test('a card matching several wants is only counted once', () => {
+  const [swap] = buildSwapProposals(
+    [theirs(1, 10, '4.00'), theirs(1, 10, '4.00')],
+    [mine(7, 10, '4.00'), mine(7, 10, '4.00')]
+  );
+  assert.equal(swap.their_cards.length, 1);
+  assert.equal(swap.your_cards.length, 1);
+  assert.equal(swap.suggested_cash.payer, null);
+});
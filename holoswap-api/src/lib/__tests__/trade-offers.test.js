@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_OFFER_HOURS, MAX_OFFER_HOURS,
+  parseOfferInput, offerExpiry, offerResponseError, tradeValue, sellerPayout, defaultRefund, acceptOffer,
+} = require('../trade-offers');
+
+const NOW = new Date('2026-03-20T12:00:00Z');
+
+test('parseOfferInput rounds the amount and defaults the expiry', () => {
+  assert.deepEqual(parseOfferInput({ amount: '12.345', message: '  fair? ' }), {
+    amount: 12.35, message: 'fair?', expiresInHours: DEFAULT_OFFER_HOURS,
+  });
+});
+
+test('parseOfferInput rejects missing or negative amounts and silly expiries', () => {
+  for (const body of [{}, { amount: '' }, { amount: -1 }, { amount: 'lots' },
+    { amount: 5, expires_in_hours: 0 }, { amount: 5, expires_in_hours: MAX_OFFER_HOURS + 1 }]) {
+    assert.throws(() => parseOfferInput(body), err => err.status === 400, JSON.stringify(body));
+  }
+});
+
+test('offerExpiry counts hours from now', () => {
+  assert.equal(offerExpiry(24, NOW).toISOString(), '2026-03-21T12:00:00.000Z');
+});
+
+test('only the other side can respond to a pending, unexpired offer', () => {
+  const offer = { from_user_id: 1, status: 'pending', expires_at: '2026-03-21T12:00:00Z' };
+  assert.equal(offerResponseError(offer, 2, NOW), null);
+  assert.match(offerResponseError(offer, 1, NOW), /your own offer/);
+  assert.match(offerResponseError({ ...offer, status: 'countered' }, 2, NOW), /already been countered/);
+  assert.match(offerResponseError({ ...offer, expires_at: '2026-03-20T11:00:00Z' }, 2, NOW), /expired/);
+});
+
+test('the agreed price wins over the recorded price; payout takes off the fee', () => {
+  assert.equal(tradeValue({ agreed_price: '20.00', price: '25.00' }), 20);
+  assert.equal(tradeValue({ agreed_price: null, price: '25.00' }), 25);
+  assert.equal(tradeValue({ agreed_price: '0.00', price: null }), 0);
+  assert.equal(tradeValue({ agreed_price: null, price: null }), null);
+  assert.equal(sellerPayout({ agreed_price: '20.00', holoswap_fee: '1.50' }), 18.5);
+  assert.equal(sellerPayout({ agreed_price: null, price: null }), null);
+});
+
+test('a refund defaults to the agreed price, or the buyer\'s cash in an unpriced bundle', () => {
+  assert.equal(defaultRefund({ agreed_price: '20.00', price: '25.00' }), 20);
+  assert.equal(defaultRefund({ agreed_price: null, price: null, cash_amount: '7.50', cash_payer_id: 2, buyer_id: 2 }), 7.5);
+  assert.equal(defaultRefund({ agreed_price: null, price: null, cash_amount: '7.50', cash_payer_id: 1, buyer_id: 2 }), null);
+  assert.equal(defaultRefund({ agreed_price: null, price: null, cash_amount: '0.00', cash_payer_id: null, buyer_id: 2 }), null);
+});
+
+test('acceptOffer closes the offer and accepts the trade at its amount', async () => {
+  const calls = [];
+  const db = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      return { rows: [{ id: 7, status: 'accepted', agreed_price: params[5] }] };
+    },
+  };
+  const trade = await acceptOffer(db, { id: 7, status: 'requested' }, { id: 3, amount: '18.00' }, 2);
+
+  assert.match(calls[0].sql, /SET status = 'accepted'/);
+  assert.deepEqual(calls[0].params, [3]);
+  assert.match(calls[1].sql, /agreed_price = \$6/);
+  assert.equal(calls[1].params[4], 'Agreed price £18.00');
+  assert.equal(trade.agreed_price, '18.00');
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TRADE_STATUSES, DISPUTE_OUTCOMES,
+  canTransition, canCancel, partyCancelRefusal, canOpenDispute, assertTransition, applyTransition,
+} = require('../trade-state');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HAPPY_PATH = [
+  'requested', 'accepted', 'shipped', 'received', 'verified',
+  'payment_received', 'processed', 'shipped_to_buyer', 'complete',
+];
+
+test('every step of the happy path is a legal transition', () => {
+  for (let i = 0; i < HAPPY_PATH.length - 1; i++) {
+    assert.ok(canTransition(HAPPY_PATH[i], HAPPY_PATH[i + 1]), `${HAPPY_PATH[i]} → ${HAPPY_PATH[i + 1]}`);
+  }
+});
+
+test('completing a requested trade is refused with a 409', () => {
+  assert.throws(() => assertTransition('requested', 'complete'), err => err.status === 409);
+});
+
+test('steps cannot be skipped or reversed', () => {
+  assert.equal(canTransition('accepted', 'received'), false);
+  assert.equal(canTransition('verified', 'processed'), false);
+  assert.equal(canTransition('shipped', 'accepted'), false);
+});
+
+test('only a requested trade can be declined', () => {
+  assert.ok(canTransition('requested', 'declined'));
+  assert.equal(canTransition('accepted', 'declined'), false);
+});
+
+test('parties can cancel until the card ships; admins until it reaches the buyer', () => {
+  assert.ok(canCancel('requested'));
+  assert.ok(canCancel('accepted'));
+  assert.equal(canCancel('shipped'), false);
+  assert.ok(canCancel('shipped', { isAdmin: true }));
+  assert.ok(canCancel('processed', { isAdmin: true }));
+  assert.equal(canCancel('shipped_to_buyer', { isAdmin: true }), false);
+  assert.equal(canCancel('complete', { isAdmin: true }), false);
+});
+
+test('parties are told why they can\'t cancel', () => {
+  assert.equal(partyCancelRefusal('accepted'), null);
+  assert.match(partyCancelRefusal('shipped'), /contact HoloSwap/);
+  assert.match(partyCancelRefusal('payment_received'), /contact HoloSwap/);
+  assert.equal(partyCancelRefusal('complete'), "A complete trade can't be cancelled");
+});
+
+test('rejection only follows receipt at HoloSwap', () => {
+  assert.ok(canTransition('received', 'rejected'));
+  assert.equal(canTransition('verified', 'rejected'), false);
+});
+
+test('dead-end statuses have no way out', () => {
+  for (const status of ['refunded', 'declined', 'rejected', 'cancelled']) {
+    for (const to of TRADE_STATUSES) {
+      assert.equal(canTransition(status, to), false, `${status} → ${to}`);
+    }
+  }
+});
+
+test('a dispute can be opened once the card is with the buyer, within the window', () => {
+  const now = new Date('2026-03-20T12:00:00Z');
+  assert.ok(canOpenDispute('shipped_to_buyer', null, now));
+  assert.ok(canOpenDispute('complete', new Date(now - 13 * DAY_MS), now));
+  assert.equal(canOpenDispute('complete', new Date(now - 15 * DAY_MS), now), false);
+  assert.equal(canOpenDispute('complete', null, now), false);
+  assert.equal(canOpenDispute('processed', null, now), false);
+});
+
+test('every dispute outcome is a legal move out of disputed', () => {
+  for (const [outcome, status] of Object.entries(DISPUTE_OUTCOMES)) {
+    assert.ok(canTransition('disputed', status), `${outcome} → ${status}`);
+  }
+});
+
+test('unknown target statuses are a 400, not a 409', () => {
+  assert.throws(() => assertTransition('requested', 'dispatched'), err => err.status === 400);
+});
+
+test('applyTransition guards the UPDATE on the current status', async () => {
+  const calls = [];
+  const db = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      return { rows: [{ id: 7, status: params[0], tracking_number: params[5] }] };
+    },
+  };
+  const updated = await applyTransition(db, { id: 7, status: 'accepted' }, 'shipped', {
+    actorId: 3, notes: 'Tracking: AB123', fields: { tracking_number: 'AB123' },
+  });
+
+  assert.equal(updated.status, 'shipped');
+  assert.match(calls[0].sql, /WHERE id = \$2 AND status = \$3/);
+  assert.match(calls[0].sql, /tracking_number = \$6/);
+  assert.deepEqual(calls[0].params, ['shipped', 7, 'accepted', 3, 'Tracking: AB123', 'AB123']);
+});
+
+test('applyTransition logs the change to trade_events in the same statement', async () => {
+  const calls = [];
+  const db = { async query(sql, params) { calls.push(sql); return { rows: [{ id: 7, status: params[0] }] }; } };
+  await applyTransition(db, { id: 7, status: 'requested' }, 'accepted', { actorId: 3 });
+
+  assert.equal(calls.length, 1);
+  assert.match(calls[0], /INSERT INTO trade_events \(trade_id, actor_id, from_status, to_status, notes\)/);
+});
+
+test('applyTransition reports a lost race as a 409', async () => {
+  const db = { async query() { return { rows: [] }; } };
+  await assert.rejects(applyTransition(db, { id: 7, status: 'requested' }, 'accepted'), err => err.status === 409);
+});
+
+test('applyTransition never touches the database for an illegal jump', async () => {
+  let queried = false;
+  const db = { async query() { queried = true; return { rows: [] }; } };
+  await assert.rejects(applyTransition(db, { id: 7, status: 'requested' }, 'complete'), err => err.status === 409);
+  assert.equal(queried, false);
+});
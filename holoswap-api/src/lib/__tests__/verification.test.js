@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CHECKLIST, parseChecklist, checklistResult, describeChecklist } = require('../verification');
+
+const allPass = Object.fromEntries(CHECKLIST.map(({ key }) => [key, { pass: true }]));
+
+test('a checklist needs a pass or fail for every check', () => {
+  assert.deepEqual(parseChecklist({ ...allPass, edges: { pass: false, notes: '  whitening top left ' } }).edges, {
+    pass: false, notes: 'whitening top left',
+  });
+  assert.throws(() => parseChecklist(null), { status: 400 });
+  assert.throws(() => parseChecklist({ ...allPass, corners: undefined }), /Corners/);
+  assert.throws(() => parseChecklist({ ...allPass, surface: { pass: 'yes' } }), /Surface/);
+  assert.throws(() => parseChecklist({ ...allPass, centering: { pass: true, notes: 'x'.repeat(1001) } }), { status: 400 });
+});
+
+test('a report passes only when every check does', () => {
+  assert.equal(checklistResult(parseChecklist(allPass)), 'pass');
+  assert.equal(checklistResult(parseChecklist({ ...allPass, authenticity: { pass: false } })), 'fail');
+});
+
+test('reports are shown as a labelled list in checklist order', () => {
+  const described = describeChecklist(parseChecklist(allPass));
+  assert.deepEqual(described.map(c => c.key), ['centering', 'surface', 'edges', 'corners', 'authenticity']);
+  assert.equal(described[4].label, 'Authenticity markers');
+});
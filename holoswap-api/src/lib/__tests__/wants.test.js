@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVariants, parseWantFields } = require('../wants');
+
+test('variants accept a list or a single printing, and all or none means any', () => {
+  assert.deepEqual(parseVariants(['Reverse Holo', 'holo', 'RH']), ['reverse', 'holo']);
+  assert.deepEqual(parseVariants('1st Edition'), ['first_edition']);
+  assert.equal(parseVariants(null), null);
+  assert.equal(parseVariants([]), null);
+  assert.equal(parseVariants(['normal', 'holo', 'reverse', 'first_edition']), null);
+  assert.throws(() => parseVariants(['holo', 'sparkly']), /Variant must be one of/);
+});
+
+test('a new want gets defaults for anything not sent', () => {
+  assert.deepEqual(parseWantFields({}), {
+    priority: 'normal', min_condition: 'MP', variants: null, quantity: 1, max_price: null, notes: null,
+  });
+  assert.deepEqual(parseWantFields({ priority: 'HIGH', variant: 'holo', quantity: '2', max_price: '49.999' }), {
+    priority: 'high', min_condition: 'MP', variants: ['holo'], quantity: 2, max_price: 50, notes: null,
+  });
+});
+
+test('an update only carries the fields sent, and null clears the max price', () => {
+  assert.deepEqual(parseWantFields({ max_price: null }, { partial: true }), { max_price: null });
+  assert.deepEqual(parseWantFields({ variants: ['reverse'], notes: '' }, { partial: true }), { variants: ['reverse'], notes: null });
+  assert.deepEqual(parseWantFields({}, { partial: true }), {});
+});
+
+test('bad want fields are rejected', () => {
+  assert.throws(() => parseWantFields({ priority: 'urgent' }), /Priority must be one of: high, normal, low/);
+  assert.throws(() => parseWantFields({ max_price: 0 }), /Max price must be an amount above 0/);
+  assert.throws(() => parseWantFields({ max_price: 'lots' }), err => err.status === 400);
+  assert.throws(() => parseWantFields({ quantity: 0 }), /Quantity must be a whole number/);
+  assert.throws(() => parseWantFields({ min_condition: 'pristine' }), /Minimum condition must be one of/);
+});
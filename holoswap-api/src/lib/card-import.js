@@ -0,0 +1,396 @@
+// Bulk collection import. A CSV — our own layout (name, set, number,
+// condition, quantity, price paid) or an export from another collection
+// tracker — is read into rows, each row is resolved against card_index, and
+// the user sees matched / ambiguous / unmatched rows before anything is added.
+//
+// Columns are found by header name, so any layout whose headers we recognise
+// works; LAYOUTS only names the trackers we've seen so the preview can say
+// which one it thought the file came from.
+
+const { SET_CODE_MAP } = require('./set-codes');
+const { parseCardInput } = require('./card-input');
+const { loadSetIndex, resolveSetId, normaliseCardNumber, normaliseVariant } = require('./matching');
+const { normaliseCondition } = require('./conditions');
+
+const MAX_IMPORT_ROWS = 5000;
+const MAX_ROW_QUANTITY = 500;
+const MAX_CANDIDATES = 10;
+
+const ROW_STATUSES = ['matched', 'ambiguous', 'unmatched', 'invalid'];
+
+// Header spellings for each field, most specific first
+const COLUMN_ALIASES = {
+  name: ['simplename', 'cardname', 'name', 'productname', 'card', 'pokemon'],
+  set: ['setname', 'set', 'expansion', 'edition', 'series'],
+  set_code: ['setcode', 'setabbreviation', 'code'],
+  number: ['cardnumber', 'collectornumber', 'number', 'num', 'no', '#'],
+  condition: ['condition', 'cardcondition'],
+  quantity: ['quantity', 'qty', 'count', 'copies', 'amount'],
+  price_paid: ['pricepaid', 'purchaseprice', 'pricebought', 'averagecostpaid', 'costpaid', 'buyprice', 'cost', 'paid'],
+  variant: ['printing', 'variant', 'variance', 'finish', 'foil'],
+  rarity: ['rarity'],
+};
+
+// Tracker exports, recognised by headers only they use
+const LAYOUTS = [
+  { name: 'tcgplayer', headers: ['simplename', 'printing'] },
+  { name: 'dragon_shield', headers: ['foldername', 'tradequantity'] },
+  { name: 'collectr', headers: ['portfolioname', 'averagecostpaid'] },
+];
+
+function importError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function cleanHeader(raw) {
+  return String(raw).toLowerCase().replace(/[^a-z0-9#]/g, '');
+}
+
+// Lowercase letters and digits only, minus TCGplayer-style ' - 4/102' and
+// '(Holo)' suffixes, so names from different trackers compare equal
+function cleanName(raw) {
+  return String(raw || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, '')
+    .replace(/\s+-\s+.*$/, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF. The delimiter is
+// whichever of , ; or tab appears most in the header line.
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// { layout, columns } for a header row — columns maps each field we found to its index
+function detectLayout(headerRow) {
+  const headers = headerRow.map(cleanHeader);
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    for (const alias of aliases) {
+      const index = headers.indexOf(alias);
+      if (index !== -1 && !Object.values(columns).includes(index)) {
+        columns[field] = index;
+        break;
+      }
+    }
+  }
+
+  const layout = LAYOUTS.find(l => l.headers.every(h => headers.includes(h)));
+  return { layout: layout ? layout.name : 'generic', columns };
+}
+
+function parseAmount(raw) {
+  const cleaned = String(raw).replace(/[£$€,\s]/g, '');
+  const value = Number(cleaned);
+  return cleaned !== '' && Number.isFinite(value) && value >= 0 ? Math.round(value * 100) / 100 : null;
+}
+
+// Read a CSV into { layout, rows }. Each row keeps its line number and the
+// values we read from it; problems that stop it being imported go in `issues`.
+function readImportRows(text) {
+  const table = parseCsv(text);
+  if (table.length < 2) throw importError('The file needs a header row and at least one card');
+  if (table.length - 1 > MAX_IMPORT_ROWS) {
+    throw importError(`Imports are limited to ${MAX_IMPORT_ROWS} rows — split the file and import it in parts`);
+  }
+
+  const { layout, columns } = detectLayout(table[0]);
+  if (columns.name === undefined && columns.number === undefined) {
+    throw importError("Couldn't find a card name or number column in the header row");
+  }
+
+  const rows = table.slice(1).map((values, i) => {
+    const get = field => (columns[field] === undefined ? '' : (values[columns[field]] || '').trim());
+    const issues = [];
+
+    let quantity = 1;
+    if (get('quantity') !== '') {
+      quantity = Number(get('quantity'));
+      if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_ROW_QUANTITY) {
+        issues.push(`Quantity must be a whole number up to ${MAX_ROW_QUANTITY}`);
+      }
+    }
+
+    let pricePaid = null;
+    if (get('price_paid') !== '') {
+      pricePaid = parseAmount(get('price_paid'));
+      if (pricePaid === null) issues.push('Price paid must be an amount');
+    }
+
+    // 'Near Mint Holofoil' — some trackers put the printing in with the condition
+    const condition = normaliseCondition(get('condition'))
+      || normaliseCondition(get('condition').replace(/\b(reverse\s+)?holo(foil)?\b|\b1st edition\b|\bunlimited\b|\bfoil\b|\bnormal\b/gi, ''));
+
+    if (!get('name') && !get('number')) issues.push('Row has no card name or number');
+
+    return {
+      line: i + 2,
+      name: get('name') || null,
+      set: get('set') || null,
+      set_code: get('set_code') || null,
+      number: get('number') || null,
+      condition: condition || null,
+      condition_text: get('condition') || null,
+      quantity,
+      price_paid: pricePaid,
+      variant: normaliseVariant(get('variant')),
+      rarity: get('rarity') || null,
+      issues,
+    };
+  });
+
+  return { layout, rows };
+}
+
+// Work out the set_id, card number and printed set total a row points at.
+// The number column goes through parseCardInput, so 'MEW 151/165',
+// 'SV107/SV122' and '4/102' all work as well as a bare '4'.
+function locateRow(row, setIndex) {
+  let setId = null;
+  if (row.set_code) setId = SET_CODE_MAP[row.set_code.toUpperCase()] || resolveSetId(row.set_code, setIndex);
+  if (!setId && row.set) setId = resolveSetId(row.set, setIndex);
+
+  let number = null;
+  let total = null;
+  if (row.number) {
+    const parsed = parseCardInput(row.number);
+    if (parsed.type === 'set_number') {
+      number = parsed.cardNumber;
+      if (!setId) setId = SET_CODE_MAP[parsed.setCode] || resolveSetId(parsed.setCode, setIndex);
+    } else if (parsed.type === 'prefixed_number' || parsed.type === 'number_only') {
+      number = parsed.cardNumber;
+      total = parsed.total || null;
+    } else {
+      number = row.number;
+    }
+  }
+
+  return { set_id: setId, card_number: normaliseCardNumber(number), total: normaliseCardNumber(total) };
+}
+
+// Group card_index rows for matching
+function buildCandidateLookup(indexRows) {
+  const lookup = { bySetNumber: new Map(), byNumber: new Map(), byName: new Map() };
+  const add = (map, key, row) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(row);
+  };
+  for (const row of indexRows) {
+    const number = normaliseCardNumber(row.local_id);
+    add(lookup.bySetNumber, number && `${row.set_id}|${number}`, row);
+    add(lookup.byNumber, number, row);
+    add(lookup.byName, cleanName(row.name), row);
+  }
+  return lookup;
+}
+
+function describeCandidate(row) {
+  return {
+    card_index_id: row.id,
+    name: row.name,
+    set_id: row.set_id,
+    set_name: row.set_name,
+    local_id: row.local_id,
+    rarity: row.rarity,
+    image_url: row.image_url,
+  };
+}
+
+// Resolve one located row against the candidate lookup.
+// Returns { status, match, candidates, reason }.
+function matchImportRow(row, lookup) {
+  if (row.issues.length > 0) {
+    return { status: 'invalid', match: null, candidates: [], reason: row.issues.join('; ') };
+  }
+
+  let candidates;
+  if (row.set_id && row.card_number) {
+    candidates = lookup.bySetNumber.get(`${row.set_id}|${row.card_number}`) || [];
+  } else if (row.card_number) {
+    candidates = lookup.byNumber.get(row.card_number) || [];
+    if (row.total && /^\d+$/.test(row.total)) {
+      // '4/102' — the printed total narrows it to sets of that size
+      candidates = candidates.filter(c =>
+        [c.set_official_total, c.set_total].some(t => t != null && String(t) === row.total));
+    } else if (row.total) {
+      // 'SV107/SV122' — sets that also have a card numbered SV122
+      const sets = new Set((lookup.byNumber.get(row.total) || []).map(c => c.set_id));
+      candidates = candidates.filter(c => sets.has(c.set_id));
+    }
+  } else {
+    candidates = lookup.byName.get(cleanName(row.name)) || [];
+    if (row.set_id) candidates = candidates.filter(c => c.set_id === row.set_id);
+  }
+
+  let reason = null;
+  if (row.name && candidates.length > 0) {
+    const named = candidates.filter(c => cleanName(c.name) === cleanName(row.name));
+    if (named.length > 0) {
+      candidates = named;
+    } else {
+      reason = `No card called "${row.name}" there — check the set and number`;
+    }
+  }
+
+  if (candidates.length === 0) {
+    return { status: 'unmatched', match: null, candidates: [], reason: 'No card in the index matches this row' };
+  }
+  if (candidates.length === 1 && !reason) {
+    return { status: 'matched', match: describeCandidate(candidates[0]), candidates: [], reason: null };
+  }
+  return {
+    status: 'ambiguous',
+    match: null,
+    candidates: candidates.slice(0, MAX_CANDIDATES).map(describeCandidate),
+    reason: reason || `${candidates.length} cards match — pick one`,
+  };
+}
+
+// Resolve every row of an import against card_index in one round trip
+async function resolveImportRows(db, rows) {
+  const setIndex = await loadSetIndex(db);
+  const located = rows.map(row => ({ ...row, ...locateRow(row, setIndex) }));
+
+  const setIds = [...new Set(located.filter(r => r.set_id).map(r => r.set_id))];
+  const numbers = [...new Set(located.filter(r => !r.set_id && r.card_number).flatMap(r => [r.card_number, r.total]))]
+    .filter(Boolean);
+  const names = [...new Set(located.filter(r => !r.card_number && r.name).map(r => r.name.toLowerCase()))];
+
+  const index = await db.query(
+    `SELECT id, name, local_id, set_id, set_name, set_total, set_official_total, rarity, image_url
+     FROM card_index
+     WHERE set_id = ANY($1)
+       OR regexp_replace(UPPER(local_id), '(^|[^0-9])0+([0-9])', '\\1\\2', 'g') = ANY($2)
+       OR LOWER(name) = ANY($3)`,
+    [setIds, numbers, names]
+  );
+  const lookup = buildCandidateLookup(index.rows);
+
+  return located.map(row => ({ ...row, ...matchImportRow(row, lookup) }));
+}
+
+function countRows(rows) {
+  const counts = Object.fromEntries(ROW_STATUSES.map(status => [status, 0]));
+  for (const row of rows) counts[row.status]++;
+  counts.cards = rows.filter(r => r.status !== 'invalid').reduce((total, r) => total + r.quantity, 0);
+  return counts;
+}
+
+// Turn a reviewed preview into the cards to add. `choices`:
+//   resolutions  { line: card_index_id } — picks for ambiguous/unmatched rows
+//   skip         [line] — rows to leave out
+//   includeUnmatched — add unmatched rows as typed rather than skipping them
+// `picked` is a Map of card_index id → row for the resolutions.
+// One cards row per line, with the line's quantity, linked to its card_index card.
+function planImport(rows, { resolutions = {}, skip = [], includeUnmatched = false } = {}, picked = new Map()) {
+  const skipLines = new Set(skip.map(Number));
+  const cards = [];
+  const skipped = [];
+
+  for (const row of rows) {
+    const pickId = resolutions[row.line];
+    let card = null;
+
+    if (skipLines.has(row.line)) {
+      skipped.push({ line: row.line, reason: 'Skipped' });
+      continue;
+    }
+    if (row.status === 'invalid') {
+      skipped.push({ line: row.line, reason: row.reason });
+      continue;
+    }
+
+    if (pickId !== undefined) {
+      const chosen = picked.get(pickId);
+      if (!chosen) throw importError(`Line ${row.line}: unknown card ${pickId}`);
+      card = { card_index_id: pickId, card_name: chosen.name, card_set: chosen.set_name, card_number: chosen.local_id, rarity: chosen.rarity, image_url: chosen.image_url };
+    } else if (row.status === 'matched') {
+      const m = row.match;
+      card = { card_index_id: m.card_index_id, card_name: m.name, card_set: m.set_name, card_number: m.local_id, rarity: m.rarity, image_url: m.image_url };
+    } else if (row.status === 'unmatched' && includeUnmatched && row.name) {
+      card = { card_index_id: null, card_name: row.name, card_set: row.set || row.set_code, card_number: row.number, rarity: row.rarity, image_url: null };
+    } else {
+      skipped.push({ line: row.line, reason: row.status === 'ambiguous' ? 'No card picked' : 'No match' });
+      continue;
+    }
+
+    // A quantity of 0 is a tracker's "no longer owned" row
+    if (row.quantity === 0) {
+      skipped.push({ line: row.line, reason: 'Quantity is 0' });
+      continue;
+    }
+
+    cards.push({
+      ...card,
+      rarity: card.rarity || row.rarity,
+      condition: row.condition,
+      variant: row.variant,
+      quantity: row.quantity,
+      purchase_price: row.price_paid,
+    });
+  }
+
+  return { cards, skipped };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  MAX_ROW_QUANTITY,
+  ROW_STATUSES,
+  LAYOUTS,
+  parseCsv,
+  detectLayout,
+  readImportRows,
+  locateRow,
+  buildCandidateLookup,
+  matchImportRow,
+  resolveImportRows,
+  countRows,
+  planImport,
+};
@@ -0,0 +1,108 @@
+// card_index backfills derived from the PokePulse catalogue cache.
+// Run once by migration 002, and again by backfill-card-index.js after every
+// import-cards.js rebuild (the import TRUNCATEs card_index, so the derived
+// columns and rows have to be recomputed).
+//
+// `db` is anything with a pg-style query() — a Pool or a transaction client.
+
+async function backfillCardIndex(db) {
+  // Backfill pokepulse_set_id from existing set_id (pure SQL, no API calls)
+  const backfill = await db.query(`
+    UPDATE card_index
+    SET pokepulse_set_id = CASE
+      WHEN set_id LIKE '%.%' THEN
+        regexp_replace(split_part(set_id, '.', 1), '(\\D+)0*(\\d+)', '\\1\\2') || 'pt' || split_part(set_id, '.', 2)
+      ELSE
+        regexp_replace(set_id, '(\\D+)0*(\\d+)', '\\1\\2')
+    END
+    WHERE pokepulse_set_id IS NULL
+  `);
+  if (backfill.rowCount > 0) {
+    console.log(`   🔄 Backfilled pokepulse_set_id on ${backfill.rowCount} card_index rows`);
+  }
+
+  // Fix set IDs that don't follow standard conversion (matches POKEPULSE_SET_OVERRIDES in pricing.js)
+  const overrideFix = await db.query(`
+    UPDATE card_index SET pokepulse_set_id = 'm1' WHERE set_id = 'me01' AND pokepulse_set_id != 'm1';
+    UPDATE card_index SET pokepulse_set_id = 'me02' WHERE set_id = 'me02' AND pokepulse_set_id != 'me02';
+    UPDATE card_index SET pokepulse_set_id = 'mep' WHERE set_id IN ('MEP', 'mep') AND pokepulse_set_id != 'mep';
+    UPDATE card_index SET pokepulse_set_id = 'rsv10pt5' WHERE set_id = 'sv10.5w' AND pokepulse_set_id != 'rsv10pt5';
+    UPDATE card_index SET pokepulse_set_id = 'zsv10pt5' WHERE set_id = 'sv10.5b' AND pokepulse_set_id != 'zsv10pt5';
+    UPDATE card_index SET pokepulse_set_id = 'cel25' WHERE set_id = 'swsh7.5' AND pokepulse_set_id != 'cel25';
+    UPDATE card_index SET pokepulse_set_id = 'pgo' WHERE set_id = 'swsh10.5' AND pokepulse_set_id != 'pgo';
+    UPDATE card_index SET pokepulse_set_id = 'sm3pt5' WHERE set_id = 'sm35' AND pokepulse_set_id != 'sm3pt5';
+    UPDATE card_index SET pokepulse_set_id = 'bsu' WHERE set_id = 'base1' AND pokepulse_set_id != 'bsu';
+    UPDATE card_index SET pokepulse_set_id = 'tr' WHERE set_id = 'base5' AND pokepulse_set_id != 'tr';
+    -- Radiant Collection subsets are split into their own set on PokePulse
+    UPDATE card_index SET pokepulse_set_id = 'gen' WHERE set_id = 'g1' AND local_id LIKE 'RC%' AND pokepulse_set_id != 'gen';
+    UPDATE card_index SET pokepulse_set_id = 'ltr' WHERE set_id = 'bw11' AND local_id LIKE 'RC%' AND pokepulse_set_id != 'ltr';
+  `);
+  // Multi-statement queries return one result per statement
+  const overrideCount = Array.isArray(overrideFix)
+    ? overrideFix.reduce((sum, r) => sum + (r.rowCount || 0), 0)
+    : overrideFix.rowCount;
+  if (overrideCount > 0) {
+    console.log(`   🔄 Fixed pokepulse_set_id overrides for ${overrideCount} rows`);
+  }
+
+  // Insert card_index rows for cards PokePulse has but tcgdex doesn't (e.g. mep #029-036).
+  // Only handles plain set-prefix + numeric ids ('MEP031'); structured ids like 'RC28/RC32' are skipped.
+  const cardBackfill = await db.query(`
+    INSERT INTO card_index (
+      id, name, local_id, set_id, set_name, set_total, set_official_total,
+      set_logo, set_symbol, image_url, pokepulse_set_id, category
+    )
+    SELECT DISTINCT ON (parent.set_id, lpad(regexp_replace(pp.card_number, '\\D', '', 'g'), 3, '0'))
+      parent.set_id || '-' || lpad(regexp_replace(pp.card_number, '\\D', '', 'g'), 3, '0') AS id,
+      pp.card_name,
+      lpad(regexp_replace(pp.card_number, '\\D', '', 'g'), 3, '0') AS local_id,
+      parent.set_id,
+      parent.set_name,
+      parent.set_total,
+      parent.set_official_total,
+      parent.set_logo,
+      parent.set_symbol,
+      pp.image_url,
+      parent.pokepulse_set_id,
+      'Pokemon' AS category
+    FROM pokepulse_catalogue pp
+    JOIN (
+      SELECT DISTINCT ON (pokepulse_set_id)
+        pokepulse_set_id, set_id, set_name, set_total, set_official_total, set_logo, set_symbol
+      FROM card_index
+      WHERE pokepulse_set_id IS NOT NULL
+      ORDER BY pokepulse_set_id, id
+    ) parent ON parent.pokepulse_set_id = pp.set_id
+    WHERE pp.material IS NULL
+      AND pp.card_number ~ '^[A-Za-z]+[0-9]+$'
+    ON CONFLICT (id) DO NOTHING
+  `);
+  if (cardBackfill.rowCount > 0) {
+    console.log(`   ➕ Inserted ${cardBackfill.rowCount} card_index rows from pokepulse_catalogue (cards missing from tcgdex)`);
+  }
+
+  // Backfill missing card_index.image_url from pokepulse_catalogue (for sets tcgdex doesn't host images for, e.g. mep)
+  // PokePulse stores card_number with a set prefix (e.g. 'MEP001') while card_index.local_id is unprefixed ('001'),
+  // so match on the trailing numeric portion when both sides are purely numeric.
+  const imageBackfill = await db.query(`
+    UPDATE card_index ci
+    SET image_url = pp.image_url
+    FROM pokepulse_catalogue pp
+    WHERE ci.image_url IS NULL
+      AND pp.image_url IS NOT NULL
+      AND ci.pokepulse_set_id = pp.set_id
+      AND (
+        ci.local_id = pp.card_number
+        OR (
+          ci.local_id ~ '^[0-9]+$'
+          AND pp.card_number ~ '[0-9]+$'
+          AND ci.local_id::int = NULLIF(regexp_replace(pp.card_number, '\\D', '', 'g'), '')::int
+        )
+      )
+  `);
+  if (imageBackfill.rowCount > 0) {
+    console.log(`   🖼️  Backfilled image_url on ${imageBackfill.rowCount} card_index rows from pokepulse_catalogue`);
+  }
+}
+
+module.exports = { backfillCardIndex };
@@ -0,0 +1,177 @@
+// EasyPost: one API in front of DPD, Evri, DHL, UPS and others, which covers
+// the international parcels Click & Drop can't price well. The cheapest rate
+// wins unless the shipment asks for a service by name (e.g. 'Express').
+// The carrier adapter interface is described in lib/carriers.js.
+
+const EASYPOST_API = 'https://api.easypost.com/v2';
+
+const GRAMS_PER_OUNCE = 28.3495;
+
+// Customs for international parcels: trading cards go under playing cards
+const CUSTOMS_CODE = '950440';
+
+function easyPostError(message, status = 400, body = undefined) {
+  return Object.assign(new Error(message), { status, body });
+}
+
+function configured() {
+  return Boolean(process.env.EASYPOST_API_KEY);
+}
+
+async function easyPost(path, { method = 'GET', body } = {}) {
+  if (!configured()) throw easyPostError('EasyPost is not set up (missing EASYPOST_API_KEY)', 503);
+
+  const response = await fetch(`${EASYPOST_API}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Basic ${Buffer.from(`${process.env.EASYPOST_API_KEY}:`).toString('base64')}`,
+      'Content-Type': 'application/json',
+    },
+    body: body && JSON.stringify(body),
+  });
+  const result = await response.json().catch(() => null);
+  if (!response.ok) {
+    console.error('EasyPost error:', JSON.stringify(result));
+    throw easyPostError(result?.error?.message || `EasyPost API error ${response.status}`, response.status === 404 ? 404 : 400, { details: result });
+  }
+  return result;
+}
+
+function easyPostAddress(address) {
+  return {
+    name: address.name,
+    street1: address.line1,
+    street2: address.line2 || null,
+    city: address.city,
+    state: address.county || null,
+    zip: address.postcode || null,
+    country: address.countryCode,
+    email: address.email || null,
+  };
+}
+
+function ounces(grams) {
+  return Math.round((grams / GRAMS_PER_OUNCE) * 10) / 10;
+}
+
+// The shipment to rate. EasyPost labels always need a return address.
+function buildShipment(shipment) {
+  if (!shipment.from) {
+    throw easyPostError('EasyPost labels need the HoloSwap hub address (HOLOSWAP_HUB_*)', 503);
+  }
+  const { items, weight } = shipment;
+
+  return {
+    shipment: {
+      reference: shipment.reference,
+      to_address: easyPostAddress(shipment.to),
+      from_address: easyPostAddress(shipment.from),
+      parcel: { weight: ounces(weight) },
+      ...(shipment.international && {
+        customs_info: {
+          contents_type: 'merchandise',
+          customs_certify: true,
+          customs_signer: shipment.from.name,
+          eel_pfc: 'NOEEI 30.37(a)',
+          non_delivery_option: 'return',
+          customs_items: items.map(item => ({
+            description: item.description,
+            quantity: 1,
+            value: item.value,
+            currency: 'GBP',
+            weight: ounces(weight / items.length),
+            hs_tariff_number: CUSTOMS_CODE,
+            origin_country: shipment.from.countryCode,
+          })),
+        },
+      }),
+      options: { label_format: 'PDF', currency: 'GBP' },
+    },
+  };
+}
+
+// The asked-for service if it's offered, otherwise the cheapest rate
+function chooseRate(rates, serviceCode) {
+  if (serviceCode) {
+    const wanted = rates.find(r => r.service.toLowerCase() === serviceCode.toLowerCase());
+    if (!wanted) throw easyPostError(`No "${serviceCode}" rate for this parcel`);
+    return wanted;
+  }
+  return [...rates].sort((a, b) => parseFloat(a.rate) - parseFloat(b.rate))[0] || null;
+}
+
+async function createOrder(shipment) {
+  const created = await easyPost('/shipments', { method: 'POST', body: buildShipment(shipment) });
+  const rate = chooseRate(created.rates || [], shipment.serviceCode);
+  if (!rate) throw easyPostError('EasyPost has no rates for this parcel', 400, { details: created.messages });
+
+  const bought = await easyPost(`/shipments/${created.id}/buy`, { method: 'POST', body: { rate: { id: rate.id } } });
+  return {
+    orderId: bought.id,
+    trackingNumber: bought.tracking_code || null,
+    // The PDF is fetched from its URL (fetchLabel), not returned inline
+    label: null,
+    raw: bought,
+  };
+}
+
+async function getOrder(orderId) {
+  return easyPost(`/shipments/${orderId}`);
+}
+
+async function fetchLabel(orderId) {
+  const shipment = await getOrder(orderId);
+  const url = shipment.postage_label?.label_pdf_url || shipment.postage_label?.label_url;
+  if (!url) throw easyPostError('This shipment has no label yet', 404);
+
+  const response = await fetch(url);
+  if (!response.ok) throw easyPostError('Failed to get label', 400);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function cancel(orderId) {
+  const refunded = await easyPost(`/shipments/${orderId}/refund`, { method: 'POST' });
+  if (refunded.refund_status === 'rejected') {
+    throw easyPostError('EasyPost could not cancel the label', 400, { details: refunded });
+  }
+}
+
+// A tracker as { delivered, events }, oldest first; null before the first scan
+function parseTracker(tracker) {
+  const events = (tracker.tracking_details || [])
+    .filter(d => d.datetime)
+    .map(d => ({
+      event_code: d.status || '',
+      description: d.message || null,
+      location: d.tracking_location?.city || null,
+      delivered: d.status === 'delivered',
+      occurred_at: new Date(d.datetime).toISOString(),
+    }))
+    .sort((a, b) => a.occurred_at.localeCompare(b.occurred_at));
+
+  if (events.length === 0 && ['unknown', 'pre_transit'].includes(tracker.status)) return null;
+  return { delivered: tracker.status === 'delivered' || events.some(e => e.delivered), events };
+}
+
+async function track(trackingNumber) {
+  // Creating a tracker for a number EasyPost already follows returns the existing one
+  const tracker = await easyPost('/trackers', { method: 'POST', body: { tracker: { tracking_code: trackingNumber } } });
+  return parseTracker(tracker);
+}
+
+module.exports = {
+  name: 'easypost',
+  label: 'EasyPost',
+  configured,
+  trackingConfigured: configured,
+  createOrder,
+  getOrder,
+  fetchLabel,
+  track,
+  cancel,
+  // Tracking pages are per tracker (tracker.public_url), not per number
+  trackingUrl: () => null,
+  buildShipment,
+  chooseRate,
+  parseTracker,
+};
@@ -0,0 +1,89 @@
+// An in-memory carrier for tests and local development
+// (SHIPPING_CARRIER=mock). Orders get MK… tracking numbers, and scan() /
+// deliver() script what track() reports. The carrier adapter interface is
+// described in lib/carriers.js.
+
+const MOCK_LABEL = Buffer.from('%PDF-1.4\n% HoloSwap mock label\n');
+
+const orders = new Map();
+const scans = new Map();
+let nextId = 1;
+
+function mockError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function findOrder(orderId) {
+  const order = orders.get(String(orderId));
+  if (!order) throw mockError('Order not found', 404);
+  return order;
+}
+
+async function createOrder(shipment) {
+  if (!shipment.to?.line1) throw mockError('Mock carrier rejected order: no address', 400);
+  const id = String(nextId++);
+  const order = {
+    orderId: `MOCK-${id}`,
+    trackingNumber: `MK${id.padStart(9, '0')}GB`,
+    status: 'created',
+    shipment,
+  };
+  orders.set(order.orderId, order);
+  return { orderId: order.orderId, trackingNumber: order.trackingNumber, label: MOCK_LABEL.toString('base64'), raw: order };
+}
+
+async function getOrder(orderId) {
+  return findOrder(orderId);
+}
+
+async function fetchLabel(orderId) {
+  findOrder(orderId);
+  return MOCK_LABEL;
+}
+
+async function cancel(orderId) {
+  const order = findOrder(orderId);
+  if (order.status === 'cancelled') throw mockError('Already cancelled', 409);
+  order.status = 'cancelled';
+}
+
+// Record a scan for a tracking number
+function scan(trackingNumber, { code = 'SCAN', description = 'In transit', location = null, delivered = false, at = new Date() } = {}) {
+  if (!scans.has(trackingNumber)) scans.set(trackingNumber, []);
+  scans.get(trackingNumber).push({
+    event_code: code, description, location, delivered, occurred_at: new Date(at).toISOString(),
+  });
+}
+
+function deliver(trackingNumber, { location = null, at = new Date() } = {}) {
+  scan(trackingNumber, { code: 'DELIVERED', description: 'Delivered', location, delivered: true, at });
+}
+
+async function track(trackingNumber) {
+  const events = scans.get(trackingNumber);
+  if (!events) return null;
+  return { delivered: events.some(e => e.delivered), events: [...events] };
+}
+
+function reset() {
+  orders.clear();
+  scans.clear();
+  nextId = 1;
+}
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock carrier',
+  configured: () => true,
+  trackingConfigured: () => true,
+  createOrder,
+  getOrder,
+  fetchLabel,
+  track,
+  cancel,
+  trackingUrl: trackingNumber => `https://tracking.invalid/${encodeURIComponent(trackingNumber)}`,
+  orders,
+  scan,
+  deliver,
+  reset,
+};
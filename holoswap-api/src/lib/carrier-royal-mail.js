@@ -0,0 +1,249 @@
+// Royal Mail: Click & Drop for orders and labels, the Tracking API v2 for
+// scans. The carrier adapter interface is described in lib/carriers.js.
+
+const ROYAL_MAIL_API = 'https://api.parcel.royalmail.com/api/v1';
+const ROYAL_MAIL_KEY = process.env.ROYAL_MAIL_API_KEY || 'a9d519f6-c9eb-4a44-a7d9-8a2bc7da016b';
+const ROYAL_MAIL_TRACKING_API = 'https://api.royalmail.net/mailpieces/v2';
+
+// Special Delivery 1pm at home, International Tracked & Signed abroad
+const DEFAULT_SERVICE = 'SD1';
+const DEFAULT_INTERNATIONAL_SERVICE = 'MP7';
+
+// Customs for international parcels: trading cards go under playing cards
+const CUSTOMS_DESCRIPTION = 'Trading cards';
+const CUSTOMS_CODE = '950440';
+
+// Royal Mail event codes for a delivered item
+const DELIVERED_EVENT_CODES = ['EVKSP', 'EVKOP'];
+
+function royalMailError(message, status = 400, body = undefined) {
+  return Object.assign(new Error(message), { status, body });
+}
+
+function trackingConfigured() {
+  return Boolean(process.env.ROYAL_MAIL_TRACKING_CLIENT_ID && process.env.ROYAL_MAIL_TRACKING_CLIENT_SECRET);
+}
+
+function trackingUrl(trackingNumber) {
+  return `https://www.royalmail.com/track-your-item#/tracking-results/${encodeURIComponent(trackingNumber)}`;
+}
+
+// Package format and dimensions for a service code
+function packageFor(serviceCode) {
+  const letterServices = ['BPL1', 'BPL2', 'BPR1', 'BPR2', 'STL1', 'STL2'];
+  const largeLetterServices = ['TPN24', 'TPS48'];
+  let packageFormat = 'smallParcel';
+  if (letterServices.includes(serviceCode)) packageFormat = 'letter';
+  if (largeLetterServices.includes(serviceCode)) packageFormat = 'largeLetter';
+
+  const dimensionsByFormat = {
+    letter: { heightInMms: 5, widthInMms: 100, depthInMms: 150 },
+    largeLetter: { heightInMms: 25, widthInMms: 176, depthInMms: 250 },
+    smallParcel: { heightInMms: 25, widthInMms: 160, depthInMms: 230 },
+  };
+  return { packageFormat, dimensions: dimensionsByFormat[packageFormat] };
+}
+
+function clickAndDropAddress(address) {
+  return {
+    fullName: address.name,
+    addressLine1: address.line1,
+    addressLine2: address.line2,
+    city: address.city,
+    county: address.county,
+    postcode: address.postcode,
+    countryCode: address.countryCode,
+  };
+}
+
+// The Click & Drop order for a shipment. Without a `from` the label carries
+// the account's own return address. Royal Mail only collects in the UK.
+function buildOrder(shipment) {
+  if (shipment.from && shipment.from.countryCode !== 'GB') {
+    throw royalMailError('Royal Mail labels can only be posted from the UK — choose another carrier');
+  }
+  const serviceCode = shipment.serviceCode
+    || (shipment.international ? DEFAULT_INTERNATIONAL_SERVICE : DEFAULT_SERVICE);
+  const { packageFormat, dimensions } = packageFor(serviceCode);
+  const { weight, items } = shipment;
+
+  return {
+    items: [{
+      orderReference: shipment.reference,
+      recipient: {
+        address: clickAndDropAddress(shipment.to),
+        emailAddress: shipment.to.email,
+      },
+      ...(shipment.from && { sender: { tradingName: shipment.from.name, emailAddress: shipment.from.email } }),
+      billing: {
+        address: clickAndDropAddress(shipment.to),
+      },
+      packages: [{
+        weightInGrams: weight,
+        packageFormatIdentifier: packageFormat,
+        dimensions,
+        contents: items.map(item => ({
+          name: item.description,
+          quantity: 1,
+          unitValue: item.value,
+          unitWeightInGrams: Math.round(weight / items.length),
+          ...(shipment.international && { customsDescription: CUSTOMS_DESCRIPTION, customsCode: CUSTOMS_CODE }),
+        })),
+      }],
+      orderDate: new Date().toISOString(),
+      subtotal: shipment.value,
+      shippingCostCharged: 0,
+      total: shipment.value,
+      currencyCode: 'GBP',
+      postageDetails: {
+        serviceCode,
+        sendNotificationsTo: 'sender',
+      },
+      label: {
+        includeLabelInResponse: true,
+      },
+    }],
+  };
+}
+
+async function createOrder(shipment) {
+  const response = await fetch(`${ROYAL_MAIL_API}/orders`, {
+    method: 'POST',
+    headers: {
+      'Authorization': ROYAL_MAIL_KEY,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(buildOrder(shipment)),
+  });
+
+  const responseText = await response.text();
+  console.log('Royal Mail response status:', response.status);
+  console.log('Royal Mail response body:', responseText);
+
+  let result;
+  try {
+    result = JSON.parse(responseText);
+  } catch (parseErr) {
+    console.error('Failed to parse Royal Mail response:', responseText);
+    throw royalMailError('Invalid response from Royal Mail', 400, { raw: responseText.substring(0, 500) });
+  }
+
+  if (!response.ok) {
+    console.error('Royal Mail error:', JSON.stringify(result));
+    throw royalMailError('Royal Mail API error', 400, { details: result });
+  }
+
+  // RM may return createdOrders and/or failedOrders
+  const createdOrder = result.createdOrders?.[0];
+  const failedOrder = result.failedOrders?.[0];
+
+  if (failedOrder && !createdOrder) {
+    console.error('Royal Mail order failed:', JSON.stringify(failedOrder));
+    throw royalMailError('Royal Mail rejected order', 400, { details: failedOrder });
+  }
+
+  return {
+    orderId: createdOrder?.orderIdentifier != null ? String(createdOrder.orderIdentifier) : null,
+    trackingNumber: createdOrder?.trackingNumber || null,
+    label: createdOrder?.label || null,
+    raw: result,
+  };
+}
+
+async function getOrder(orderId) {
+  const response = await fetch(`${ROYAL_MAIL_API}/orders/${orderId}`, {
+    headers: {
+      'Authorization': ROYAL_MAIL_KEY,
+    },
+  });
+  return response.json();
+}
+
+async function fetchLabel(orderId) {
+  const response = await fetch(
+    `${ROYAL_MAIL_API}/orders/${orderId}/label?documentType=postageLabel&includeReturnsLabel=false&includeCN=false`,
+    {
+      headers: {
+        'Authorization': ROYAL_MAIL_KEY,
+      },
+    }
+  );
+
+  if (!response.ok) {
+    throw royalMailError('Failed to get label', 400, { details: await response.json() });
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function cancel(orderId) {
+  const response = await fetch(`${ROYAL_MAIL_API}/orders/${orderId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': ROYAL_MAIL_KEY,
+    },
+  });
+  if (!response.ok) {
+    const details = await response.json().catch(() => null);
+    throw royalMailError('Royal Mail could not cancel the label', 400, { details });
+  }
+}
+
+function isDeliveryEvent(event) {
+  return DELIVERED_EVENT_CODES.includes(event.eventCode) || /^delivered\b/i.test(event.eventName || '');
+}
+
+// A Tracking API v2 events response as { delivered, events }, oldest scan first
+function parseTrackingResponse(body) {
+  const piece = body?.mailPieces || {};
+  const events = (piece.events || [])
+    .filter(e => e.eventDateTime)
+    .map(e => ({
+      event_code: e.eventCode || '',
+      description: e.eventName || null,
+      location: e.locationName || null,
+      delivered: isDeliveryEvent(e),
+      occurred_at: new Date(e.eventDateTime).toISOString(),
+    }))
+    .sort((a, b) => a.occurred_at.localeCompare(b.occurred_at));
+
+  return {
+    delivered: piece.summary?.statusCategory === 'DELIVERED' || events.some(e => e.delivered),
+    events,
+  };
+}
+
+// Scans for one tracking number, or null when Royal Mail doesn't know it
+// yet (it only appears once the parcel is first scanned)
+async function track(trackingNumber, { baseUrl = process.env.ROYAL_MAIL_TRACKING_API || ROYAL_MAIL_TRACKING_API } = {}) {
+  const response = await fetch(`${baseUrl}/${encodeURIComponent(trackingNumber)}/events`, {
+    headers: {
+      'X-IBM-Client-Id': process.env.ROYAL_MAIL_TRACKING_CLIENT_ID || '',
+      'X-IBM-Client-Secret': process.env.ROYAL_MAIL_TRACKING_CLIENT_SECRET || '',
+      'X-Accept-RMG-Terms': 'yes',
+      'Accept': 'application/json',
+    },
+  });
+
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw royalMailError(`Royal Mail tracking error ${response.status} for ${trackingNumber}`, 502);
+  }
+  return parseTrackingResponse(await response.json());
+}
+
+module.exports = {
+  name: 'royal_mail',
+  label: 'Royal Mail',
+  // Orders fall back to the shared Click & Drop key
+  configured: () => true,
+  trackingConfigured,
+  createOrder,
+  getOrder,
+  fetchLabel,
+  track,
+  cancel,
+  trackingUrl,
+  DELIVERED_EVENT_CODES,
+  buildOrder,
+  parseTrackingResponse,
+};
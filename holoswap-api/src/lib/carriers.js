@@ -0,0 +1,166 @@
+// Shipping carriers behind one interface, so routes/shipping.js and the
+// tracking sync job (jobs/tracking-sync.js) don't care who carries a parcel.
+// Every adapter (lib/carrier-*.js) is an object with:
+//
+//   name, label            'royal_mail', 'Royal Mail'
+//   configured()           whether it can buy labels (its API keys are set)
+//   trackingConfigured()   whether it can track parcels
+//   createOrder(shipment)  buy postage → { orderId, trackingNumber, label, raw }
+//                          (label is base64 PDF when the carrier sends one back)
+//   getOrder(orderId)      the carrier's view of an order
+//   fetchLabel(orderId)    the label PDF as a Buffer
+//   track(trackingNumber)  { delivered, events } (see lib/tracking.js), or
+//                          null when the carrier hasn't seen the parcel yet
+//   cancel(orderId)        void the label
+//   trackingUrl(number)    the carrier's public tracking page, or null
+//
+// Shipments come from buildShipment(); addresses from userAddress() and
+// hubAddress(). Carrier failures throw with err.status (400 for a rejected
+// order) and err.body (the carrier's reply).
+
+const ROYAL_MAIL = require('./carrier-royal-mail');
+const EASYPOST = require('./carrier-easypost');
+const MOCK = require('./carrier-mock');
+
+const DEFAULT_WEIGHT_GRAMS = 100;
+
+const CARRIERS = {
+  [ROYAL_MAIL.name]: ROYAL_MAIL,
+  [EASYPOST.name]: EASYPOST,
+  [MOCK.name]: MOCK,
+};
+
+// Countries we post to, by ISO code, and other names people type for them
+const COUNTRIES = {
+  GB: 'United Kingdom', IE: 'Ireland', FR: 'France', DE: 'Germany', NL: 'Netherlands', BE: 'Belgium',
+  LU: 'Luxembourg', ES: 'Spain', PT: 'Portugal', IT: 'Italy', AT: 'Austria', CH: 'Switzerland',
+  DK: 'Denmark', SE: 'Sweden', NO: 'Norway', FI: 'Finland', PL: 'Poland', CZ: 'Czechia',
+  US: 'United States', CA: 'Canada', AU: 'Australia', NZ: 'New Zealand', JP: 'Japan',
+};
+const COUNTRY_ALIASES = {
+  'uk': 'GB', 'great britain': 'GB', 'britain': 'GB', 'england': 'GB', 'scotland': 'GB', 'wales': 'GB',
+  'northern ireland': 'GB', 'republic of ireland': 'IE', 'eire': 'IE', 'holland': 'NL',
+  'czech republic': 'CZ', 'usa': 'US', 'united states of america': 'US', 'america': 'US',
+};
+
+function carrierError(message, status = 400, body = undefined) {
+  return Object.assign(new Error(message), { status, body });
+}
+
+function defaultCarrierName() {
+  return process.env.SHIPPING_CARRIER || ROYAL_MAIL.name;
+}
+
+// The adapter called `name` (the default carrier when not given)
+function getCarrier(name) {
+  const carrier = CARRIERS[name || defaultCarrierName()];
+  if (!carrier) {
+    throw carrierError(`Unknown carrier "${name}". Carriers are: ${Object.keys(CARRIERS).join(', ')}`);
+  }
+  return carrier;
+}
+
+// The adapter to buy a label from, which has to have its API keys
+function labelCarrier(name) {
+  const carrier = getCarrier(name);
+  if (!carrier.configured()) throw carrierError(`${carrier.label} labels are not set up`, 503);
+  return carrier;
+}
+
+// A users.country value (a name or ISO code) as its ISO code. Blank is the
+// UK, which is what every account defaults to.
+function countryCode(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return 'GB';
+  const upper = text.toUpperCase();
+  if (COUNTRIES[upper]) return upper;
+  const lower = text.toLowerCase();
+  if (COUNTRY_ALIASES[lower]) return COUNTRY_ALIASES[lower];
+  const code = Object.keys(COUNTRIES).find(c => COUNTRIES[c].toLowerCase() === lower);
+  if (!code) throw carrierError(`We can't post to "${text}" yet`);
+  return code;
+}
+
+function countryName(raw) {
+  return COUNTRIES[countryCode(raw)];
+}
+
+// A users row (or the same columns under a prefix, e.g. buyer_) as an address
+function userAddress(user, prefix = '') {
+  const field = name => user[`${prefix}${name}`];
+  return {
+    name: field('display_name') || field('name') || 'Pokemon Trainer',
+    email: field('email') || '',
+    line1: field('address_line1'),
+    line2: field('address_line2') || '',
+    city: field('city'),
+    county: field('county') || '',
+    postcode: field('postcode') || '',
+    countryCode: countryCode(field('country')),
+  };
+}
+
+// Enough to post to: a street and town everywhere, and a postcode in the UK
+function hasDeliveryAddress(address) {
+  return Boolean(address.line1 && address.city && (address.postcode || address.countryCode !== 'GB'));
+}
+
+// HoloSwap's hub (HOLOSWAP_HUB_* env vars): where traders post cards and
+// where outbound parcels come from. Null until it's configured.
+function hubAddress(env = process.env) {
+  if (!env.HOLOSWAP_HUB_ADDRESS_LINE1 || !env.HOLOSWAP_HUB_CITY || !env.HOLOSWAP_HUB_POSTCODE) return null;
+  return {
+    name: env.HOLOSWAP_HUB_NAME || 'HoloSwap',
+    email: '',
+    line1: env.HOLOSWAP_HUB_ADDRESS_LINE1,
+    line2: env.HOLOSWAP_HUB_ADDRESS_LINE2 || '',
+    city: env.HOLOSWAP_HUB_CITY,
+    county: '',
+    postcode: env.HOLOSWAP_HUB_POSTCODE,
+    countryCode: 'GB',
+  };
+}
+
+// A parcel weight in grams from a request body, 100 g when it isn't given
+function parseWeight(raw) {
+  if (raw == null || raw === '') return DEFAULT_WEIGHT_GRAMS;
+  const weight = Number(raw);
+  if (!Number.isFinite(weight) || weight <= 0) {
+    throw carrierError('weight must be a positive number of grams');
+  }
+  return weight;
+}
+
+// A shipment of `cards` ({ card_name, card_set, card_number }) declared at
+// `value`, shared out between them. `from` may be null where the carrier
+// fills in the account's own address (Royal Mail does).
+function buildShipment({ reference, from = null, to, cards, value, weight, serviceCode = null }) {
+  return {
+    reference,
+    from,
+    to,
+    items: cards.map(c => ({
+      description: `${c.card_name} - ${c.card_set} #${c.card_number}`,
+      value: Math.round((value / cards.length) * 100) / 100,
+    })),
+    value,
+    weight,
+    serviceCode,
+    international: to.countryCode !== (from?.countryCode || 'GB'),
+  };
+}
+
+module.exports = {
+  CARRIERS,
+  COUNTRIES,
+  defaultCarrierName,
+  getCarrier,
+  labelCarrier,
+  countryCode,
+  countryName,
+  userAddress,
+  hasDeliveryAddress,
+  hubAddress,
+  parseWeight,
+  buildShipment,
+};
@@ -0,0 +1,134 @@
+// Printable checklist / inventory PDF — one line per card with a tick box,
+// thumbnail, set and number, condition and current value, plus totals. Used
+// for insurance records and for carrying a want list round card shows.
+
+const PDFDocument = require('pdfkit');
+
+const MAX_PDF_IMAGES = 300;
+const IMAGE_TIMEOUT_MS = 5000;
+const IMAGE_CONCURRENCY = 6;
+
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 62;
+const THUMB_WIDTH = 40;
+const THUMB_HEIGHT = 56;
+
+const money = n => (n == null ? '—' : `£${Number(n).toFixed(2)}`);
+
+// Fetch a card image for the PDF. tcgdex serves .webp by default, which PDFs
+// can't embed, so ask for the .jpg of the same image. Null if it can't be had.
+async function fetchImage(url) {
+  if (!url || !/^https?:\/\//.test(url)) return null;
+  try {
+    const response = await fetch(url.replace(/\.webp$/, '.jpg'), { signal: AbortSignal.timeout(IMAGE_TIMEOUT_MS) });
+    if (!response.ok) return null;
+    return Buffer.from(await response.arrayBuffer());
+  } catch (err) {
+    return null;
+  }
+}
+
+// Map of url → image buffer for the first MAX_PDF_IMAGES distinct urls
+async function loadImages(urls, fetcher) {
+  const unique = [...new Set(urls.filter(Boolean))].slice(0, MAX_PDF_IMAGES);
+  const images = new Map();
+  let next = 0;
+  const worker = async () => {
+    while (next < unique.length) {
+      const url = unique[next++];
+      const image = await fetcher(url);
+      if (image) images.set(url, image);
+    }
+  };
+  await Promise.all(Array.from({ length: IMAGE_CONCURRENCY }, worker));
+  return images;
+}
+
+// The detail line under a card's name: 'Base Set #4 · NM · PSA 10', or '×3 · Base Set #4 · NM'
+function cardDetail(item) {
+  const where = [item.card_set, item.card_number ? `#${item.card_number}` : null].filter(Boolean).join(' ');
+  const slab = item.grading_company ? `${item.grading_company} ${Number(item.slab_grade)}` : null;
+  const condition = item.condition && item.condition !== 'unknown' ? item.condition : null;
+  return [item.quantity > 1 ? `×${item.quantity}` : null, where, condition, item.min_condition ? `${item.min_condition} or better` : null, slab].filter(Boolean).join(' · ');
+}
+
+// Render the checklist and resolve with the PDF as a Buffer.
+//   title, subtitle — page heading
+//   items — rows with card_name, card_set, card_number, condition, value, image_url, …
+//   totals — optional { total_value, card_count } for the heading
+//   images — false to leave thumbnails out; fetcher — swaps fetchImage (for tests)
+async function renderChecklist({ title, subtitle = null, items, totals = null }, { images = true, fetcher = fetchImage } = {}) {
+  const thumbnails = images ? await loadImages(items.map(i => i.image_url), fetcher) : new Map();
+
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, bufferPages: true, info: { Title: title, Creator: 'HoloSwap' } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const bottom = doc.page.height - PAGE_MARGIN - 20;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(title);
+  if (subtitle) doc.font('Helvetica').fontSize(10).fillColor('#555').text(subtitle);
+  if (totals) {
+    doc.font('Helvetica').fontSize(10).fillColor('#555')
+      .text(`${totals.card_count} card${totals.card_count === 1 ? '' : 's'} · total value ${money(totals.total_value)}`);
+  }
+  doc.fillColor('#000').moveDown(1);
+
+  let y = doc.y;
+  for (const item of items) {
+    if (y + ROW_HEIGHT > bottom) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+
+    const textX = PAGE_MARGIN + 20 + (images ? THUMB_WIDTH + 10 : 0);
+    doc.lineWidth(0.8).rect(PAGE_MARGIN, y + 6, 11, 11).stroke();
+
+    if (images) {
+      const thumb = thumbnails.get(item.image_url);
+      let drawn = false;
+      if (thumb) {
+        try {
+          doc.image(thumb, PAGE_MARGIN + 20, y, { fit: [THUMB_WIDTH, THUMB_HEIGHT] });
+          drawn = true;
+        } catch (err) {
+          // Not a format PDFKit can embed — fall through to the empty frame
+        }
+      }
+      if (!drawn) doc.lineWidth(0.5).strokeColor('#bbb').rect(PAGE_MARGIN + 20, y, THUMB_WIDTH, THUMB_HEIGHT).stroke().strokeColor('#000');
+    }
+
+    doc.font('Helvetica-Bold').fontSize(11).text(item.card_name, textX, y + 4, { width: width - textX + PAGE_MARGIN - 80, lineBreak: false, ellipsis: true });
+    doc.font('Helvetica').fontSize(9).fillColor('#555')
+      .text(cardDetail(item), textX, y + 20, { width: width - textX + PAGE_MARGIN - 80, lineBreak: false, ellipsis: true });
+    doc.fillColor('#000').font('Helvetica-Bold').fontSize(11)
+      .text(money(item.value), PAGE_MARGIN + width - 80, y + 4, { width: 80, align: 'right' });
+
+    doc.lineWidth(0.3).strokeColor('#ddd')
+      .moveTo(PAGE_MARGIN, y + ROW_HEIGHT - 3).lineTo(PAGE_MARGIN + width, y + ROW_HEIGHT - 3).stroke().strokeColor('#000');
+    y += ROW_HEIGHT;
+  }
+
+  if (items.length === 0) doc.font('Helvetica').fontSize(11).text('Nothing to list yet.', PAGE_MARGIN, y);
+
+  // Footer on every page
+  const range = doc.bufferedPageRange();
+  for (let i = 0; i < range.count; i++) {
+    doc.switchToPage(range.start + i);
+    doc.page.margins.bottom = 0; // writing below the margin would otherwise start a new page
+    doc.font('Helvetica').fontSize(8).fillColor('#888').text(
+      `HoloSwap · ${new Date().toISOString().slice(0, 10)} · page ${i + 1} of ${range.count}`,
+      PAGE_MARGIN, doc.page.height - PAGE_MARGIN, { width, align: 'center', lineBreak: false }
+    );
+  }
+
+  doc.end();
+  return done;
+}
+
+module.exports = { MAX_PDF_IMAGES, cardDetail, fetchImage, renderChecklist };
@@ -0,0 +1,124 @@
+// Getting data back out: cards, a binder or the want list as CSV or JSON
+// (and a PDF checklist — see lib/checklist-pdf.js). CSV headers use the names
+// lib/card-import.js reads, so an export can be imported again.
+
+const { loadSetIndex, resolveSetId } = require('./matching');
+const { priceKey, loadLatestPrices } = require('./portfolio');
+const { renderChecklist } = require('./checklist-pdf');
+
+const EXPORT_FORMATS = ['csv', 'json', 'pdf'];
+
+const CARD_COLUMNS = [
+  { header: 'Quantity', key: 'quantity' },
+  { header: 'Name', key: 'card_name' },
+  { header: 'Set', key: 'card_set' },
+  { header: 'Number', key: 'card_number' },
+  { header: 'Rarity', key: 'rarity' },
+  { header: 'Printing', key: 'variant' },
+  { header: 'Condition', key: 'condition' },
+  { header: 'Grade', key: 'grade' },
+  { header: 'Grading Company', key: 'grading_company' },
+  { header: 'Slab Grade', key: 'slab_grade' },
+  { header: 'Cert Number', key: 'cert_number' },
+  { header: 'Status', key: 'status' },
+  { header: 'Price Paid', key: 'purchase_price' },
+  { header: 'Purchased', key: 'purchased_at' },
+  { header: 'Value', key: 'value' },
+  { header: 'Value Source', key: 'price_source' },
+  { header: 'Notes', key: 'notes' },
+  { header: 'Image', key: 'image_url' },
+];
+
+const WANT_COLUMNS = [
+  { header: 'Quantity', key: 'quantity' },
+  { header: 'Name', key: 'card_name' },
+  { header: 'Set', key: 'card_set' },
+  { header: 'Number', key: 'card_number' },
+  { header: 'Rarity', key: 'rarity' },
+  { header: 'Printing', key: 'variants' },
+  { header: 'Min Condition', key: 'min_condition' },
+  { header: 'Priority', key: 'priority' },
+  { header: 'Max Price', key: 'max_price' },
+  { header: 'Value', key: 'value' },
+  { header: 'Notes', key: 'notes' },
+];
+
+function parseExportFormat(raw) {
+  const format = String(raw || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    const err = new Error(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return format;
+}
+
+function formatCell(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (Array.isArray(value)) return formatCell(value.join(' / '));
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text for `rows` with the given { header, key } columns
+function toCsv(rows, columns) {
+  const lines = [columns.map(c => formatCell(c.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(c => formatCell(row[c.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Just the exported columns of each row, for the JSON export
+function pickColumns(rows, columns) {
+  return rows.map(row => Object.fromEntries(columns.map(c => [c.key, row[c.key] ?? null])));
+}
+
+// 'holoswap-cards-2026-10-18.csv'; names are reduced to something safe for a header
+function exportFilename(name, format, date = new Date()) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'export';
+  return `holoswap-${slug}-${date.toISOString().slice(0, 10)}.${format}`;
+}
+
+// Want-list rows with the current market value of each wanted card
+async function valueWants(db, wants) {
+  const setIndex = await loadSetIndex(db);
+  const located = wants.map(want => ({ ...want, set_id: want.set_id || resolveSetId(want.card_set, setIndex) }));
+  const prices = await loadLatestPrices(db, [...new Set(located.map(w => w.set_id).filter(Boolean))]);
+  return located.map(want => {
+    const market = want.set_id && want.card_number ? prices.get(priceKey(want.set_id, want.card_number)) : null;
+    return { ...want, value: market ? Math.round(parseFloat(market.market_price) * 100) / 100 : null };
+  });
+}
+
+// Send `rows` as a download in `format`. PDFs are a checklist titled `title`;
+// `images: false` leaves the thumbnails out.
+async function sendExport(res, { format, name, columns, rows, title, subtitle = null, totals = null, images = true }) {
+  res.attachment(exportFilename(name, format));
+
+  if (format === 'csv') {
+    return res.type('text/csv').send(toCsv(rows, columns));
+  }
+  if (format === 'json') {
+    return res.json({ exported_at: new Date().toISOString(), totals, items: pickColumns(rows, columns) });
+  }
+
+  const pdf = await renderChecklist({ title, subtitle, items: rows, totals }, { images });
+  res.type('application/pdf').send(pdf);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CARD_COLUMNS,
+  WANT_COLUMNS,
+  parseExportFormat,
+  toCsv,
+  pickColumns,
+  exportFilename,
+  valueWants,
+  sendExport,
+};
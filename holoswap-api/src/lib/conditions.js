@@ -0,0 +1,140 @@
+// Card condition grades, best first. Stored values are the short codes (or
+// 'unknown' for cards nobody has graded); older rows may still hold free text
+// ('Near Mint', 'played'), so always go through normaliseCondition() before
+// comparing. parseConditionInput() is what routes use to validate writes.
+//
+// A card can also carry sub-grades — centering, corners, edges and surface,
+// each 1–10 in half points — from which the overall grade and its condition
+// code are computed.
+const CONDITIONS = ['NM', 'LP', 'MP', 'HP', 'DMG'];
+const CONDITION_UNKNOWN = 'unknown';
+
+const CONDITION_NAMES = {
+  NM: 'Near Mint',
+  LP: 'Lightly Played',
+  MP: 'Moderately Played',
+  HP: 'Heavily Played',
+  DMG: 'Damaged',
+};
+
+const CONDITION_ALIASES = {
+  nm: 'NM', nearmint: 'NM', mint: 'NM', m: 'NM',
+  lp: 'LP', lightlyplayed: 'LP', lightplayed: 'LP', excellent: 'LP', ex: 'LP',
+  mp: 'MP', moderatelyplayed: 'MP', played: 'MP', good: 'MP', gd: 'MP',
+  hp: 'HP', heavilyplayed: 'HP', poor: 'HP',
+  dmg: 'DMG', damaged: 'DMG',
+};
+
+// 'Near Mint', 'nm', 'near-mint' → 'NM'; null when it isn't a known grade
+function normaliseCondition(raw) {
+  if (!raw) return null;
+  const key = String(raw).toLowerCase().replace(/[^a-z]/g, '');
+  return CONDITION_ALIASES[key] || null;
+}
+
+// Higher is better: NM = 5 … DMG = 1, unknown = 0
+function conditionRank(raw) {
+  const code = normaliseCondition(raw);
+  return code ? CONDITIONS.length - CONDITIONS.indexOf(code) : 0;
+}
+
+// Does a card in `condition` satisfy a want asking for at least `minCondition`?
+// No minimum accepts anything; a card of unknown condition is let through
+// (HoloSwap grades it on arrival) and ranked last by the matcher.
+function meetsMinCondition(condition, minCondition) {
+  const min = conditionRank(minCondition);
+  const actual = conditionRank(condition);
+  if (!min || !actual) return true;
+  return actual >= min;
+}
+
+const SUBGRADES = ['centering', 'corners', 'edges', 'surface'];
+const GRADE_MIN = 1;
+const GRADE_MAX = 10;
+
+// Lowest overall grade for each condition code
+const GRADE_BANDS = [
+  { code: 'NM', min: 7 },
+  { code: 'LP', min: 5 },
+  { code: 'MP', min: 3 },
+  { code: 'HP', min: 2 },
+  { code: 'DMG', min: GRADE_MIN },
+];
+
+function conditionError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Validate { centering, corners, edges, surface } — all four, 1–10 in half points
+function parseSubgrades(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw conditionError(`Sub-grades need ${SUBGRADES.join(', ')}`);
+  }
+
+  const subgrades = {};
+  for (const key of SUBGRADES) {
+    const value = Number(input[key]);
+    if (input[key] == null || input[key] === '' || !Number.isFinite(value)
+      || value < GRADE_MIN || value > GRADE_MAX || value * 2 !== Math.round(value * 2)) {
+      throw conditionError(`${key} must be a grade from ${GRADE_MIN} to ${GRADE_MAX} in half points`);
+    }
+    subgrades[key] = value;
+  }
+  return subgrades;
+}
+
+// The average rounded down to a half point, but never more than one grade
+// above the weakest sub-grade — one bad corner drags the whole card down.
+function overallGrade(subgrades) {
+  const values = SUBGRADES.map(key => subgrades[key]);
+  const average = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.min(Math.floor(average * 2) / 2, Math.min(...values) + 1);
+}
+
+function gradeToCondition(grade) {
+  return GRADE_BANDS.find(band => grade >= band.min).code;
+}
+
+// Validate the condition fields of a request body. Sub-grades, when given,
+// decide the condition; otherwise `condition` must be a known grade (or
+// 'unknown' where allowUnknown). Returns { condition, subgrades, grade } —
+// condition is undefined when the body doesn't touch it, so updates can
+// leave the stored value alone.
+function parseConditionInput({ condition, subgrades } = {}, { allowUnknown = true } = {}) {
+  if (subgrades != null) {
+    const parsed = parseSubgrades(subgrades);
+    const grade = overallGrade(parsed);
+    return { condition: gradeToCondition(grade), subgrades: parsed, grade };
+  }
+
+  if (condition == null || condition === '') return { condition: undefined, subgrades: undefined, grade: undefined };
+
+  if (allowUnknown && String(condition).toLowerCase() === CONDITION_UNKNOWN) {
+    return { condition: CONDITION_UNKNOWN, subgrades: null, grade: null };
+  }
+  const code = normaliseCondition(condition);
+  if (!code) {
+    throw conditionError(`Condition must be one of: ${CONDITIONS.join(', ')}${allowUnknown ? `, ${CONDITION_UNKNOWN}` : ''}`);
+  }
+  // A new condition by hand replaces any earlier sub-grades
+  return { condition: code, subgrades: null, grade: null };
+}
+
+module.exports = {
+  CONDITIONS,
+  CONDITION_NAMES,
+  CONDITION_UNKNOWN,
+  SUBGRADES,
+  GRADE_MIN,
+  GRADE_MAX,
+  GRADE_BANDS,
+  normaliseCondition,
+  conditionRank,
+  meetsMinCondition,
+  parseSubgrades,
+  overallGrade,
+  gradeToCondition,
+  parseConditionInput,
+};
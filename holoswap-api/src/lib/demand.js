@@ -0,0 +1,134 @@
+// The public wanted board (GET /api/public/wanted) and its cross-reference
+// against vending buy lookups: want lists added up across collectors, with
+// nobody named. A card wanted by fewer than DEMAND_MIN_COLLECTORS collectors
+// is left off, so a board narrowed to one region can't point at anyone's list.
+// Regions are postcode areas (LS, M, SW); postcodes themselves stay in here.
+//
+// Only wants whose set is known count (see lib/wants.js). Max prices and
+// notes are never read. The adding up happens in SQL, so the public board
+// never pulls want lists into Node.
+//
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+const { normaliseCardNumber } = require('./matching');
+
+const DEMAND_MIN_COLLECTORS = 2;
+const DEFAULT_BOARD_SIZE = 50;
+const MAX_BOARD_SIZE = 200;
+
+// A region filter: a postcode area, one or two letters
+function parseRegion(raw) {
+  if (raw === undefined || raw === '') return null;
+  const region = String(raw).trim().toUpperCase();
+  if (!/^[A-Z]{1,2}$/.test(region)) {
+    const err = new Error('region must be a postcode area, like LS or M');
+    err.status = 400;
+    throw err;
+  }
+  return region;
+}
+
+function parseBoardSize(raw) {
+  const size = parseInt(raw, 10);
+  return Number.isInteger(size) && size > 0 ? Math.min(size, MAX_BOARD_SIZE) : DEFAULT_BOARD_SIZE;
+}
+
+// Every counted want, with its owner's region (the SQL twin of postcodeArea in
+// lib/matching.js) in place of their postcode, its card's key and catalogue
+// details where the want is linked. Wants for the same card share a key: the
+// card_index card, else the set and number (normalised like
+// normaliseCardNumber), else for set-wide wants the set and name.
+const DEMAND_WANTS_SQL = `
+  SELECT w.id, w.user_id, w.card_index_id, w.set_id,
+    COALESCE(ci.set_name, w.card_set) AS set_name,
+    COALESCE(ci.name, w.card_name) AS card_name,
+    COALESCE(ci.local_id, w.card_number) AS card_number,
+    COALESCE(ci.rarity, w.rarity) AS rarity,
+    ci.image_url, COALESCE(w.quantity, 1) AS quantity, w.priority,
+    COALESCE(
+      w.card_index_id,
+      w.set_id || '|#' || NULLIF(regexp_replace(
+        UPPER(regexp_replace(split_part(w.card_number, '/', 1), '\\s+', '', 'g')),
+        '(^|[^0-9])0+(?=\\d)', '\\1', 'g'), ''),
+      w.set_id || '|' || LOWER(TRIM(w.card_name))
+    ) AS demand_key,
+    substring(
+      CASE WHEN length(pc.compact) > 4 THEN left(pc.compact, -3) ELSE pc.compact END
+      FROM '^[A-Z]+'
+    ) AS region
+  FROM want_list w
+  JOIN users u ON u.id = w.user_id
+  CROSS JOIN LATERAL (SELECT UPPER(regexp_replace(COALESCE(u.postcode, ''), '\\s+', '', 'g')) AS compact) pc
+  LEFT JOIN card_index ci ON ci.id = w.card_index_id
+  WHERE w.set_id IS NOT NULL AND ($1::text[] IS NULL OR w.set_id = ANY($1))`;
+
+// Wants (in `setIds`, from `region`, if given) added up into one row per card:
+// how many collectors want it, how many copies, and how many of those
+// collectors have it at high priority. Most wanted first, `limit` rows at most.
+async function loadDemandBoard(db, { setIds = null, region = null, limit = null, minCollectors = DEMAND_MIN_COLLECTORS } = {}) {
+  const result = await db.query(
+    `WITH wants AS (${DEMAND_WANTS_SQL})
+     SELECT
+       (ARRAY_AGG(card_index_id ORDER BY id))[1] AS card_index_id,
+       (ARRAY_AGG(set_id ORDER BY id))[1] AS set_id,
+       (ARRAY_AGG(set_name ORDER BY id))[1] AS set_name,
+       (ARRAY_AGG(card_name ORDER BY id))[1] AS card_name,
+       -- null for set-wide wants: any card of that name in the set
+       (ARRAY_AGG(card_number ORDER BY id))[1] AS card_number,
+       (ARRAY_AGG(rarity ORDER BY id))[1] AS rarity,
+       (ARRAY_AGG(image_url ORDER BY id))[1] AS image_url,
+       COUNT(DISTINCT user_id)::int AS collectors,
+       SUM(quantity)::int AS copies,
+       (COUNT(DISTINCT user_id) FILTER (WHERE priority = 'high'))::int AS high_priority
+     FROM wants
+     WHERE $2::text IS NULL OR region = $2
+     GROUP BY demand_key
+     HAVING COUNT(DISTINCT user_id) >= $3
+     ORDER BY collectors DESC, copies DESC, card_name
+     LIMIT $4`,
+    [setIds, region, minCollectors, limit]
+  );
+  return result.rows;
+}
+
+// Distinct collectors per set and per region among the same wants, under the
+// same threshold
+async function loadDemandSummary(db, { setIds = null, region = null, minCollectors = DEMAND_MIN_COLLECTORS } = {}) {
+  const result = await db.query(
+    `WITH wants AS (${DEMAND_WANTS_SQL}),
+     counted AS (SELECT * FROM wants WHERE $2::text IS NULL OR region = $2)
+     SELECT 'set' AS kind, set_id AS grp, (ARRAY_AGG(set_name ORDER BY id))[1] AS set_name,
+       COUNT(DISTINCT user_id)::int AS collectors
+     FROM counted GROUP BY set_id HAVING COUNT(DISTINCT user_id) >= $3
+     UNION ALL
+     SELECT 'region', region, NULL, COUNT(DISTINCT user_id)::int
+     FROM counted WHERE region IS NOT NULL GROUP BY region HAVING COUNT(DISTINCT user_id) >= $3
+     ORDER BY collectors DESC, grp`,
+    [setIds, region, minCollectors]
+  );
+  return {
+    sets: result.rows.filter(r => r.kind === 'set')
+      .map(r => ({ set_id: r.grp, set_name: r.set_name, collectors: r.collectors })),
+    regions: result.rows.filter(r => r.kind === 'region')
+      .map(r => ({ region: r.grp, collectors: r.collectors })),
+  };
+}
+
+// The board rows a card ({ set_id, card_number, card_name }) answers: wants
+// for that card and set-wide wants for its name
+function demandForCard(board, card) {
+  const number = normaliseCardNumber(card.card_number);
+  const name = String(card.card_name || '').trim().toLowerCase();
+  return board.filter(row => row.set_id === card.set_id && (row.card_number
+    ? normaliseCardNumber(row.card_number) === number
+    : row.card_name.trim().toLowerCase() === name));
+}
+
+module.exports = {
+  DEMAND_MIN_COLLECTORS,
+  parseRegion,
+  parseBoardSize,
+  demandForCard,
+  loadDemandBoard,
+  loadDemandSummary,
+};
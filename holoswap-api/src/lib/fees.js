@@ -0,0 +1,131 @@
+// Platform fees. fee_rules rows cover bands of trade value; the fee is a
+// percentage of the value clamped to the rule's min/max, at the lower
+// pro_percent rate for is_pro sellers. Stored on the trade at
+// payment-received and deducted from the seller's payout.
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+function feeError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const round = n => Math.round(n * 100) / 100;
+const num = v => (v == null || v === '' ? null : parseFloat(v));
+
+// The active rule whose band contains `value`. Where bands overlap the one
+// starting highest wins, so a tier can be carved out of a catch-all rule.
+function pickFeeRule(rules, value) {
+  return rules
+    .filter(r => r.active !== false)
+    .filter(r => value >= num(r.min_value) && (num(r.max_value) === null || value < num(r.max_value)))
+    .sort((a, b) => num(b.min_value) - num(a.min_value))[0] || null;
+}
+
+// { fee, percent, rule_id, rule_name } for a trade worth `value`. With no
+// matching rule nothing is charged.
+function calculateFee(value, rule, { isPro = false } = {}) {
+  if (!rule) return { fee: 0, percent: 0, rule_id: null, rule_name: null };
+
+  const percent = isPro && num(rule.pro_percent) !== null ? num(rule.pro_percent) : num(rule.percent);
+  let fee = value * percent / 100;
+  fee = Math.max(fee, num(rule.min_fee) || 0);
+  if (num(rule.max_fee) !== null) fee = Math.min(fee, num(rule.max_fee));
+  // A minimum fee never takes more than the trade is worth
+  fee = Math.min(fee, value);
+
+  return { fee: round(fee), percent, rule_id: rule.id ?? null, rule_name: rule.name ?? null };
+}
+
+// "8% (min £0.50, max £50.00)"
+function describeFee({ percent, min_fee, max_fee }) {
+  const limits = [
+    num(min_fee) ? `min £${num(min_fee).toFixed(2)}` : null,
+    num(max_fee) !== null ? `max £${num(max_fee).toFixed(2)}` : null,
+  ].filter(Boolean);
+  return `${num(percent)}%${limits.length ? ` (${limits.join(', ')})` : ''}`;
+}
+
+// Validate a fee rule from an admin request body. `partial` allows updates
+// that only send some fields.
+function parseFeeRule(body = {}, { partial = false } = {}) {
+  const rule = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) throw feeError('Fee rules need a name');
+    rule.name = body.name.trim().slice(0, 100);
+  }
+
+  const money = (field, { required = false, nullable = true } = {}) => {
+    if (body[field] === undefined && (partial || !required)) return;
+    const value = num(body[field]);
+    if (value === null) {
+      if (!nullable) throw feeError(`${field} is required`);
+      rule[field] = null;
+      return;
+    }
+    if (!Number.isFinite(value) || value < 0) throw feeError(`Invalid ${field}`);
+    rule[field] = round(value);
+  };
+  const percent = (field, { required = false } = {}) => {
+    if (body[field] === undefined && (partial || !required)) return;
+    const value = num(body[field]);
+    if (value === null && !required) {
+      rule[field] = null;
+      return;
+    }
+    if (!Number.isFinite(value) || value < 0 || value > 100) throw feeError(`${field} must be between 0 and 100`);
+    rule[field] = value;
+  };
+
+  percent('percent', { required: true });
+  percent('pro_percent');
+  money('min_value', { nullable: false });
+  money('max_value');
+  money('min_fee', { nullable: false });
+  money('max_fee');
+
+  if (rule.min_value != null && rule.max_value != null && rule.max_value <= rule.min_value) {
+    throw feeError('max_value must be more than min_value');
+  }
+  if (rule.min_fee != null && rule.max_fee != null && rule.max_fee < rule.min_fee) {
+    throw feeError('max_fee must be at least min_fee');
+  }
+  if (body.active !== undefined) rule.active = Boolean(body.active);
+
+  return rule;
+}
+
+async function loadFeeRules(db) {
+  const result = await db.query('SELECT * FROM fee_rules WHERE active = true ORDER BY min_value');
+  return result.rows;
+}
+
+// The fee `sellerId` would pay on a trade worth `value`. Pass `rules` and
+// `isPro` when quoting many trades to skip the lookups.
+async function quoteFee(db, { value, sellerId, rules = null, isPro = null }) {
+  if (isPro === null) {
+    const seller = await db.query('SELECT is_pro FROM users WHERE id = $1', [sellerId]);
+    isPro = Boolean(seller.rows[0]?.is_pro);
+  }
+  const activeRules = rules || await loadFeeRules(db);
+  const rule = pickFeeRule(activeRules, value);
+  const quote = calculateFee(value, rule, { isPro });
+
+  return {
+    ...quote,
+    value: round(value),
+    is_pro: isPro,
+    payout: round(value - quote.fee),
+    description: rule ? describeFee({ ...rule, percent: quote.percent }) : 'No fee',
+  };
+}
+
+module.exports = {
+  pickFeeRule,
+  calculateFee,
+  describeFee,
+  parseFeeRule,
+  loadFeeRules,
+  quoteFee,
+};
@@ -0,0 +1,101 @@
+// Graded slabs (PSA / BGS / CGC). PokePulse product ids end in the grading
+// company and grade — card:set|num|material|promo|gradingCo|grade — with
+// '|null|null' for raw cards, so a slab's price comes from the product with
+// the matching suffix rather than the raw NM record.
+
+const GRADING_COMPANIES = ['PSA', 'BGS', 'CGC'];
+
+// PSA has half grades from 1.5 to 8.5 only; BGS and CGC go up in halves to 10
+const GRADE_STEPS = {
+  PSA: [1, 1.5, 2, 2.5, 3, 3.5, 4, 4.5, 5, 5.5, 6, 6.5, 7, 7.5, 8, 8.5, 9, 10],
+  BGS: Array.from({ length: 19 }, (_, i) => 1 + i / 2),
+  CGC: Array.from({ length: 19 }, (_, i) => 1 + i / 2),
+};
+
+const CERT_NUMBER_PATTERN = /^[A-Za-z0-9-]{4,30}$/;
+
+function slabError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// '10', '9.5' — the form grades take in product ids and labels
+function formatGrade(grade) {
+  return String(Number(grade));
+}
+
+// 'card:bsu|4|null|null|PSA|10' → { company: 'PSA', grade: 10 }; raw cards → null
+function parseProductGrading(productId) {
+  if (!productId) return null;
+  const parts = String(productId).split('|');
+  if (parts.length < 6) return null;
+  const company = parts[parts.length - 2];
+  const grade = parts[parts.length - 1];
+  if (!company || company === 'null' || !grade || grade === 'null') return null;
+  return { company: company.toUpperCase(), grade: Number(grade) };
+}
+
+// The product_id suffix to look for — '|PSA|10', or '|null|null' for raw cards
+function productSuffix(grading) {
+  return grading ? `|${grading.company}|${formatGrade(grading.grade)}` : '|null|null';
+}
+
+function matchesGrading(productId, grading) {
+  const parsed = parseProductGrading(productId);
+  if (!grading) return parsed === null;
+  return parsed !== null && parsed.company === grading.company && parsed.grade === Number(grading.grade);
+}
+
+// Validate { grading_company, slab_grade, cert_number } from a request body.
+// Returns { company, grade, certNumber } for a slab, null for a raw card, and
+// undefined when the body doesn't mention grading at all.
+function parseSlab(body = {}) {
+  const { grading_company: company, slab_grade: grade, cert_number: certNumber } = body;
+  if (company === undefined && grade === undefined && certNumber === undefined) return undefined;
+  if (company == null || company === '') {
+    if (grade != null && grade !== '') throw slabError('A slab grade needs a grading company');
+    return null;
+  }
+
+  const code = String(company).toUpperCase();
+  if (!GRADING_COMPANIES.includes(code)) {
+    throw slabError(`Grading company must be one of: ${GRADING_COMPANIES.join(', ')}`);
+  }
+
+  const value = Number(grade);
+  if (grade == null || grade === '' || !GRADE_STEPS[code].includes(value)) {
+    throw slabError(`That isn't a ${code} grade`);
+  }
+
+  let cert = null;
+  if (certNumber != null && certNumber !== '') {
+    cert = String(certNumber).trim();
+    if (!CERT_NUMBER_PATTERN.test(cert)) throw slabError('Invalid cert number');
+  }
+
+  return { company: code, grade: value, certNumber: cert };
+}
+
+// { company, grade } from a row's grading_company / slab_grade columns; null for raw
+function rowGrading(row) {
+  if (!row || !row.grading_company) return null;
+  return { company: row.grading_company, grade: Number(row.slab_grade) };
+}
+
+// 'PSA 10'
+function slabLabel(grading) {
+  return grading ? `${grading.company} ${formatGrade(grading.grade)}` : null;
+}
+
+module.exports = {
+  GRADING_COMPANIES,
+  GRADE_STEPS,
+  formatGrade,
+  parseProductGrading,
+  productSuffix,
+  matchesGrading,
+  parseSlab,
+  rowGrading,
+  slabLabel,
+};
@@ -0,0 +1,327 @@
+// Quantity-aware inventory. A cards row still in its owner's hands (status
+// 'pending') can be a stack of identical copies — same condition, printing and
+// no slab — so twelve copies of a common are one row with quantity 12. A copy
+// in a different condition is its own row, and a copy has to be split off its
+// stack before it can be sent in, listed or traded.
+//
+// Rows are linked to card_index by card_index_id, which is what duplicates are
+// counted on: every copy past the ones a collector keeps (best condition first)
+// is a tradeable duplicate, and those are matched against other users' want
+// lists for GET /api/trades/matches and /selling.
+//
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+const { conditionRank } = require('./conditions');
+const {
+  loadSetIndex, resolveSetId, normaliseCardNumber, normaliseVariant,
+  wantMatchesCard, proximity, rankMatches,
+} = require('./matching');
+const { NOT_OWNED_STATUSES } = require('./portfolio');
+
+const MAX_CARD_QUANTITY = 999;
+const MAX_KEEP = 99;
+
+// The only status a card can be stacked in — everything else is a single
+// physical copy on its way through HoloSwap
+const IN_HAND_STATUS = 'pending';
+
+function inventoryError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Validate a quantity from a request body: undefined when not sent
+function parseQuantity(raw) {
+  if (raw === undefined) return undefined;
+  const quantity = Number(raw);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_CARD_QUANTITY) {
+    throw inventoryError(`Quantity must be a whole number from 1 to ${MAX_CARD_QUANTITY}`);
+  }
+  return quantity;
+}
+
+// How many copies of each card to hold back from the duplicates (?keep=)
+function parseKeep(raw) {
+  if (raw === undefined || raw === '') return 1;
+  const keep = Number(raw);
+  if (!Number.isInteger(keep) || keep < 0 || keep > MAX_KEEP) {
+    throw inventoryError(`keep must be a whole number from 0 to ${MAX_KEEP}`);
+  }
+  return keep;
+}
+
+// Throw unless a card with these fields may hold more than one copy
+function checkStackable({ quantity, status, grading_company: gradingCompany }) {
+  if (quantity <= 1) return;
+  if (gradingCompany) throw inventoryError('A graded slab is a single card — add each slab separately');
+  if (status !== IN_HAND_STATUS) {
+    throw inventoryError("Only cards in your collection can be stacked — this one is already with HoloSwap or traded");
+  }
+}
+
+// Copies with the same key are the same printing. Slabs and cards not linked
+// to card_index have no key and are never counted as duplicates.
+function printingKey(card) {
+  if (!card.card_index_id || card.grading_company) return null;
+  return `${card.card_index_id}|${normaliseVariant(card.variant) || ''}`;
+}
+
+// Owned cards grouped by printing, each with its total quantity and how many
+// copies are in each condition. Unlinked cards and slabs are groups of their own.
+function groupInventory(cards) {
+  const groups = new Map();
+  for (const card of cards) {
+    const key = printingKey(card) || `card:${card.id}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        card_index_id: card.card_index_id || null,
+        card_name: card.card_name,
+        card_set: card.card_set,
+        card_number: card.card_number,
+        variant: normaliseVariant(card.variant),
+        quantity: 0,
+        conditions: {},
+        copies: [],
+      });
+    }
+    const group = groups.get(key);
+    group.quantity += card.quantity;
+    group.conditions[card.condition] = (group.conditions[card.condition] || 0) + card.quantity;
+    group.copies.push(card);
+  }
+  return [...groups.values()].sort((a, b) => String(a.card_name).localeCompare(String(b.card_name)));
+}
+
+// The copies of one printing that can go: in-hand copies past the best `keep`,
+// worst condition first. Each comes back with `spare`, how many of its stack are spare.
+function spareCopies(copies, keep) {
+  const inHand = copies
+    .filter(c => c.status === IN_HAND_STATUS)
+    .sort((a, b) => conditionRank(b.condition) - conditionRank(a.condition) || (Number(b.grade) || 0) - (Number(a.grade) || 0));
+
+  let toKeep = keep;
+  const spares = [];
+  for (const copy of inHand) {
+    const kept = Math.min(toKeep, copy.quantity);
+    toKeep -= kept;
+    if (copy.quantity > kept) spares.push({ ...copy, spare: copy.quantity - kept });
+  }
+  return spares.reverse();
+}
+
+// Inventory groups with tradeable duplicates, each with spare_quantity and its spares
+function findDuplicates(cards, keep = 1) {
+  return groupInventory(cards)
+    .filter(group => printingKey(group.copies[0]))
+    .map(group => {
+      const spares = spareCopies(group.copies, keep);
+      return { ...group, spare_quantity: spares.reduce((total, c) => total + c.spare, 0), spares };
+    })
+    .filter(group => group.spare_quantity > 0);
+}
+
+// A user's owned cards with their quantities
+async function loadInventory(db, userId) {
+  const result = await db.query(
+    `SELECT id, card_index_id, card_name, card_set, card_number, rarity, variant, condition, grade,
+       grading_company, slab_grade, quantity, status, image_url, estimated_value
+     FROM cards
+     WHERE user_id = $1 AND status <> ALL($2)
+     ORDER BY card_name, created_at`,
+    [userId, NOT_OWNED_STATUSES]
+  );
+  return result.rows;
+}
+
+// The card_index row a card is a copy of: the given card_index_id, else the
+// only catalogue card with its set and number. Null when there isn't one.
+async function findCardIndexEntry(db, { card_index_id: cardIndexId, card_set: cardSet, card_number: cardNumber }) {
+  if (cardIndexId) {
+    const byId = await db.query(
+      'SELECT id, name, set_id, set_name, local_id, rarity, image_url FROM card_index WHERE id = $1',
+      [cardIndexId]
+    );
+    return byId.rows[0] || null;
+  }
+
+  const setId = resolveSetId(cardSet, await loadSetIndex(db));
+  const number = normaliseCardNumber(cardNumber);
+  if (!setId || !number) return null;
+
+  const found = await db.query(
+    `SELECT id, name, set_id, set_name, local_id, rarity, image_url FROM card_index
+     WHERE set_id = $1 AND regexp_replace(UPPER(local_id), '(^|[^0-9])0+([0-9])', '\\1\\2', 'g') = $2
+     LIMIT 2`,
+    [setId, number]
+  );
+  return found.rows.length === 1 ? found.rows[0] : null;
+}
+
+// Link cards that have no card_index_id yet, from their set and number.
+// Run by migration 017; cards added since are linked as they're saved.
+async function backfillCardIndexIds(db) {
+  const unlinked = await db.query(
+    'SELECT id, card_set, card_number FROM cards WHERE card_index_id IS NULL AND card_set IS NOT NULL AND card_number IS NOT NULL'
+  );
+  if (unlinked.rows.length === 0) return 0;
+
+  const setIndex = await loadSetIndex(db);
+  const located = unlinked.rows
+    .map(card => ({ id: card.id, setId: resolveSetId(card.card_set, setIndex), number: normaliseCardNumber(card.card_number) }))
+    .filter(card => card.setId && card.number);
+  if (located.length === 0) return 0;
+
+  // Only link where the set and number pick out exactly one catalogue card
+  const result = await db.query(
+    `UPDATE cards c SET card_index_id = m.card_index_id
+     FROM (
+       SELECT u.card_id, MIN(ci.id) AS card_index_id
+       FROM unnest($1::int[], $2::text[], $3::text[]) AS u(card_id, set_id, number)
+       JOIN card_index ci ON ci.set_id = u.set_id
+         AND regexp_replace(UPPER(ci.local_id), '(^|[^0-9])0+([0-9])', '\\1\\2', 'g') = u.number
+       GROUP BY u.card_id
+       HAVING COUNT(*) = 1
+     ) m
+     WHERE c.id = m.card_id`,
+    [located.map(c => c.id), located.map(c => c.setId), located.map(c => c.number)]
+  );
+  if (result.rowCount > 0) {
+    console.log(`   🔄 Linked ${result.rowCount} cards to card_index`);
+  }
+  return result.rowCount;
+}
+
+// The digits of a card number, as the want-list join compares them
+const numberDigits = raw => String(raw || '').split('/')[0].replace(/\D/g, '').replace(/^0+/, '');
+
+// Want/spare-copy pairs, shaped like findWantMatches() rows plus spare_quantity:
+// a buyer's wants against other collectors' duplicates, or a seller's
+// duplicates against other collectors' wants. Spare copies aren't listed —
+// they tell the seller their extras are wanted, so they can send them in.
+async function findDuplicateMatches(db, { buyerId = null, sellerId = null, keep = 1 } = {}) {
+  const params = [IN_HAND_STATUS];
+  const filters = [];
+  if (sellerId) {
+    params.push(sellerId);
+    filters.push(`c.user_id = $${params.length}`);
+  }
+  if (buyerId) {
+    params.push(buyerId);
+    filters.push(`c.user_id != $${params.length}`);
+    filters.push(`EXISTS (
+      SELECT 1 FROM want_list w WHERE w.user_id = $${params.length}
+      AND (w.card_index_id = c.card_index_id
+        OR ltrim(regexp_replace(split_part(w.card_number, '/', 1), '\\D', '', 'g'), '0')
+          = ltrim(regexp_replace(split_part(c.card_number, '/', 1), '\\D', '', 'g'), '0')
+        OR (w.card_number IS NULL AND LOWER(w.card_name) = LOWER(c.card_name))))`);
+  }
+  params.push(keep);
+
+  // Narrowed to collectors holding more than `keep` copies of the card;
+  // spareCopies() then works out which copies those are
+  const copies = await db.query(
+    `SELECT c.id, c.user_id, c.card_index_id, c.card_name, c.card_set, c.card_number, c.rarity, c.condition,
+       c.grade, c.variant, c.grading_company, c.image_url, c.estimated_value, c.quantity, c.status,
+       seller.display_name as seller_name, seller.city as seller_city, seller.postcode as seller_postcode
+     FROM cards c
+     JOIN users seller ON c.user_id = seller.id
+     WHERE c.status = $1 AND c.card_index_id IS NOT NULL AND c.grading_company IS NULL
+     AND ${filters.length ? filters.join(' AND ') : 'TRUE'}
+     AND (c.user_id, c.card_index_id) IN (
+       SELECT user_id, card_index_id FROM cards
+       WHERE status = $1 AND card_index_id IS NOT NULL AND grading_company IS NULL
+       GROUP BY user_id, card_index_id
+       HAVING SUM(quantity) > $${params.length}
+     )`,
+    params
+  );
+
+  const stacks = new Map();
+  for (const copy of copies.rows) {
+    const key = `${copy.user_id}|${printingKey(copy)}`;
+    if (!stacks.has(key)) stacks.set(key, []);
+    stacks.get(key).push(copy);
+  }
+  const spares = [...stacks.values()].flatMap(group => spareCopies(group, keep));
+  if (spares.length === 0) return [];
+
+  const wants = await db.query(
+    `SELECT w.id, w.user_id, w.card_index_id, w.set_id, w.card_name, w.card_set, w.card_number, w.min_condition,
+       w.variants, w.priority, w.quantity,
+       buyer.display_name as buyer_name, buyer.city as buyer_city, buyer.postcode as buyer_postcode
+     FROM want_list w
+     JOIN users buyer ON w.user_id = buyer.id
+     WHERE (w.card_index_id = ANY($1)
+       OR ltrim(regexp_replace(split_part(w.card_number, '/', 1), '\\D', '', 'g'), '0') = ANY($2)
+       OR (w.card_number IS NULL AND LOWER(w.card_name) = ANY($3)))
+     ${buyerId ? 'AND w.user_id = $4' : ''}`,
+    [
+      [...new Set(spares.map(c => c.card_index_id))],
+      [...new Set(spares.map(c => numberDigits(c.card_number)))],
+      [...new Set(spares.map(c => c.card_name.toLowerCase()))],
+      ...(buyerId ? [buyerId] : []),
+    ]
+  );
+
+  const setIndex = await loadSetIndex(db);
+  const matches = [];
+  for (const want of wants.rows) {
+    for (const card of spares) {
+      if (want.user_id === card.user_id || !wantMatchesCard(want, card, setIndex)) continue;
+      matches.push({
+        want_id: want.id,
+        buyer_id: want.user_id,
+        wanted_card: want.card_name,
+        wanted_set: want.card_set,
+        wanted_number: want.card_number,
+        wanted_card_index_id: want.card_index_id,
+        wanted_set_id: want.set_id,
+        min_condition: want.min_condition,
+        wanted_variants: want.variants,
+        want_priority: want.priority,
+        wanted_quantity: want.quantity,
+        card_id: card.id,
+        card_index_id: card.card_index_id,
+        card_name: card.card_name,
+        card_set: card.card_set,
+        card_number: card.card_number,
+        rarity: card.rarity,
+        condition: card.condition,
+        variant: card.variant,
+        image_url: card.image_url,
+        estimated_value: card.estimated_value,
+        spare_quantity: card.spare,
+        seller_id: card.user_id,
+        seller_name: card.seller_name,
+        seller_city: card.seller_city,
+        buyer_name: want.buyer_name,
+        buyer_city: want.buyer_city,
+        // Postcodes are only used to rank — never sent to the other user
+        proximity: proximity(
+          { postcode: want.buyer_postcode, city: want.buyer_city },
+          { postcode: card.seller_postcode, city: card.seller_city }
+        ),
+      });
+    }
+  }
+
+  return rankMatches(matches);
+}
+
+module.exports = {
+  MAX_CARD_QUANTITY,
+  IN_HAND_STATUS,
+  parseQuantity,
+  parseKeep,
+  checkStackable,
+  printingKey,
+  groupInventory,
+  spareCopies,
+  findDuplicates,
+  loadInventory,
+  findCardIndexEntry,
+  backfillCardIndexIds,
+  findDuplicateMatches,
+};
@@ -0,0 +1,56 @@
+// Message text for want-list alerts: match alerts (sent by jobs/match-alerts.js)
+// and max-price alerts (sent by jobs/price-monitor.js — see lib/wants.js).
+
+const MATCH_ALERT_MODES = ['off', 'instant', 'digest'];
+
+// Digests list this many cards, then "…and N more"
+const DIGEST_MAX_LINES = 10;
+
+function describeCard(card) {
+  const where = [card.card_set, card.card_number ? `#${card.card_number}` : null].filter(Boolean).join(' ');
+  const details = [
+    card.condition && card.condition !== 'unknown' ? card.condition : null,
+    card.estimated_value != null ? `£${parseFloat(card.estimated_value).toFixed(2)}` : null,
+  ].filter(Boolean).join(', ');
+  return `${card.card_name}${where ? ` (${where})` : ''}${details ? ` — ${details}` : ''}`;
+}
+
+function buildInstantAlert(card) {
+  return {
+    title: `🔔 ${card.card_name} is on HoloSwap`,
+    body: `${describeCard(card)} has just been listed and it's on your want list.`,
+  };
+}
+
+function buildDigest(cards) {
+  const lines = cards.slice(0, DIGEST_MAX_LINES).map(c => `• ${describeCard(c)}`);
+  if (cards.length > DIGEST_MAX_LINES) {
+    lines.push(`…and ${cards.length - DIGEST_MAX_LINES} more`);
+  }
+
+  return {
+    title: cards.length === 1
+      ? '🔔 A card on your want list was listed'
+      : `🔔 ${cards.length} cards on your want list were listed`,
+    body: lines.join('\n'),
+  };
+}
+
+// The market price of a wanted card (set_id / card_number, as on the
+// watchlist) has dropped to the want's max price or below
+function buildMaxPriceAlert(card, price, maxPrice) {
+  return {
+    title: `🏷️ ${card.card_name} is under your max price`,
+    body: `${card.card_name} (${card.set_id} #${card.card_number}) is now £${price.toFixed(2)} — `
+      + `within the £${maxPrice.toFixed(2)} you'd pay on your want list.`,
+  };
+}
+
+module.exports = {
+  MATCH_ALERT_MODES,
+  DIGEST_MAX_LINES,
+  describeCard,
+  buildInstantAlert,
+  buildDigest,
+  buildMaxPriceAlert,
+};
@@ -0,0 +1,280 @@
+// Want-list matching engine. Pairs want_list rows with other users' listed
+// cards, behind GET /api/trades/matches and /selling.
+//
+// Free text on either side is normalised before comparing:
+//   sets     "Base Set", "base1", "BS" → base1 (via card_index and SET_CODE_MAP)
+//   numbers  "004", "4/102" → "4"; "SV004" → "SV4"
+//   variants "Reverse Holo", "RH" → reverse
+// Wants linked to card_index match cards linked to the same card outright.
+// Matches then have to meet the want's min_condition and variants, and are
+// ranked by condition, then price, then how close the two users are.
+
+const { SET_CODE_MAP } = require('./set-codes');
+const { conditionRank, meetsMinCondition } = require('./conditions');
+const { INACTIVE_STATUSES } = require('./trade-state');
+
+const VARIANTS = ['normal', 'holo', 'reverse', 'first_edition'];
+
+const VARIANT_ALIASES = {
+  normal: 'normal', nonholo: 'normal', regular: 'normal',
+  holo: 'holo', holofoil: 'holo', holorare: 'holo',
+  reverse: 'reverse', reverseholo: 'reverse', reverseholofoil: 'reverse', rh: 'reverse', revholo: 'reverse',
+  firstedition: 'first_edition', '1stedition': 'first_edition', '1st': 'first_edition',
+  '1sted': 'first_edition', firsted: 'first_edition',
+};
+
+// Proximity tiers, nearest first
+const PROXIMITY = ['same_district', 'nearby', 'further', 'unknown'];
+
+const SET_INDEX_TTL_MS = 60 * 60 * 1000;
+let setIndexCache = null;
+let setIndexLoadedAt = 0;
+
+// Drop leading zeros from every run of digits: 'SV004' → 'SV4', 'sv03.5' → 'sv3.5'
+function stripLeadingZeros(str) {
+  return str.replace(/(^|[^0-9])0+(?=\d)/g, '$1');
+}
+
+function normaliseCardNumber(raw) {
+  if (raw == null) return null;
+  const number = String(raw).split('/')[0].replace(/\s+/g, '').toUpperCase();
+  return number ? stripLeadingZeros(number) : null;
+}
+
+function normaliseVariant(raw) {
+  if (!raw) return null;
+  return VARIANT_ALIASES[String(raw).toLowerCase().replace(/[^a-z0-9]/g, '')] || null;
+}
+
+// Lowercase and strip punctuation so 'Scarlet & Violet—151' and 'scarlet and violet 151' agree
+function cleanSetText(raw) {
+  const cleaned = String(raw)
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/pok[eé]mon/g, '')
+    .replace(/[^a-z0-9.]/g, '');
+  return stripLeadingZeros(cleaned);
+}
+
+// Map every spelling of a set we know about to its tcgdex set_id.
+// `rows` are card_index { set_id, set_name, pokepulse_set_id } rows.
+function buildSetIndex(rows) {
+  const index = new Map();
+  const add = (text, setId) => {
+    if (!text || !setId) return;
+    const key = cleanSetText(text);
+    if (key && !index.has(key)) index.set(key, setId);
+  };
+
+  for (const row of rows) {
+    add(row.set_id, row.set_id);
+    add(row.set_name, row.set_id);
+    add(row.pokepulse_set_id, row.set_id);
+  }
+  for (const [code, setId] of Object.entries(SET_CODE_MAP)) {
+    add(code, setId);
+  }
+  return index;
+}
+
+// The set_id for free-text `raw`, or its cleaned text when the set is unknown
+// (so two identical spellings of an unknown set still match)
+function resolveSetKey(raw, setIndex) {
+  if (!raw) return null;
+  const cleaned = cleanSetText(raw);
+  if (!cleaned) return null;
+  return setIndex.get(cleaned) || cleaned;
+}
+
+// The set_id for free-text `raw`, or null when it isn't a set we know
+function resolveSetId(raw, setIndex) {
+  if (!raw) return null;
+  return setIndex.get(cleanSetText(raw)) || null;
+}
+
+// Does `card` satisfy `want`? Both are rows with card_set / card_number and
+// maybe card_index_id; the want also has min_condition and variants (null for
+// any printing). A want with a set but no number is set-wide: any card of that
+// name in the set will do.
+function wantMatchesCard(want, card, setIndex) {
+  if (want.card_index_id && card.card_index_id) {
+    if (want.card_index_id !== card.card_index_id) return false;
+  } else {
+    const wantSet = want.set_id || resolveSetKey(want.card_set, setIndex);
+    if (!wantSet || wantSet !== resolveSetKey(card.card_set, setIndex)) return false;
+
+    if (want.card_number) {
+      if (normaliseCardNumber(want.card_number) !== normaliseCardNumber(card.card_number)) return false;
+    } else if (!want.card_name || want.card_name.trim().toLowerCase() !== String(card.card_name || '').trim().toLowerCase()) {
+      return false;
+    }
+  }
+
+  if (!meetsMinCondition(card.condition, want.min_condition)) return false;
+
+  const accepted = (want.variants || []).map(normaliseVariant).filter(Boolean);
+  if (accepted.length > 0 && !accepted.includes(normaliseVariant(card.variant))) return false;
+
+  return true;
+}
+
+function outwardCode(postcode) {
+  const compact = String(postcode || '').toUpperCase().replace(/\s+/g, '');
+  if (!compact) return null;
+  return compact.length > 4 ? compact.slice(0, -3) : compact;
+}
+
+// The letters a UK postcode starts with: 'LS' for LS1 4AB, 'M' for M1 1AA
+function postcodeArea(postcode) {
+  return outwardCode(postcode)?.match(/^[A-Z]+/)?.[0] || null;
+}
+
+// How close two users are, from postcode and city: UK postcodes share an
+// outward code within a district and a letter prefix within an area
+function proximity(a, b) {
+  const outA = outwardCode(a.postcode);
+  const outB = outwardCode(b.postcode);
+  if (outA && outB) {
+    if (outA === outB) return 'same_district';
+    if (postcodeArea(outA) === postcodeArea(outB)) return 'nearby';
+  }
+
+  const cityA = (a.city || '').trim().toLowerCase();
+  const cityB = (b.city || '').trim().toLowerCase();
+  if (cityA && cityA === cityB) return 'nearby';
+
+  return (outA || cityA) && (outB || cityB) ? 'further' : 'unknown';
+}
+
+// Best condition first, then cheapest (unpriced last), then nearest
+function rankMatches(matches) {
+  const price = m => (m.estimated_value == null ? Infinity : parseFloat(m.estimated_value));
+  return [...matches].sort((a, b) =>
+    conditionRank(b.condition) - conditionRank(a.condition)
+    || price(a) - price(b)
+    || PROXIMITY.indexOf(a.proximity) - PROXIMITY.indexOf(b.proximity)
+  );
+}
+
+async function loadSetIndex(db) {
+  if (setIndexCache && Date.now() - setIndexLoadedAt < SET_INDEX_TTL_MS) return setIndexCache;
+
+  const result = await db.query(
+    'SELECT DISTINCT set_id, set_name, pokepulse_set_id FROM card_index WHERE set_id IS NOT NULL'
+  );
+  setIndexCache = buildSetIndex(result.rows);
+  setIndexLoadedAt = Date.now();
+  return setIndexCache;
+}
+
+// Want/card pairs for a buyer (their wants), a seller (their listed cards) or
+// specific cards — any combination of the three filters. Cards already in an
+// active trade are left out.
+async function findWantMatches(db, { buyerId = null, sellerId = null, cardIds = null } = {}) {
+  const params = [INACTIVE_STATUSES];
+  const filters = [];
+  if (buyerId) {
+    params.push(buyerId);
+    filters.push(`w.user_id = $${params.length}`);
+  }
+  if (sellerId) {
+    params.push(sellerId);
+    filters.push(`c.user_id = $${params.length}`);
+  }
+  if (cardIds) {
+    params.push(cardIds);
+    filters.push(`c.id = ANY($${params.length})`);
+  }
+
+  // The join only compares card_index links, the digits of the card number or
+  // (set-wide wants) the name; wantMatchesCard() does the real comparison on
+  // the much smaller candidate set
+  const result = await db.query(
+    `SELECT
+      w.id as want_id,
+      w.user_id as buyer_id,
+      w.card_name as wanted_card,
+      w.card_set as wanted_set,
+      w.card_number as wanted_number,
+      w.card_index_id as wanted_card_index_id,
+      w.set_id as wanted_set_id,
+      w.min_condition,
+      w.variants as wanted_variants,
+      w.priority as want_priority,
+      w.quantity as wanted_quantity,
+      c.id as card_id,
+      c.card_index_id,
+      c.card_name,
+      c.card_set,
+      c.card_number,
+      c.rarity,
+      c.condition,
+      c.variant,
+      c.image_url,
+      c.estimated_value,
+      c.user_id as seller_id,
+      seller.display_name as seller_name,
+      seller.city as seller_city,
+      seller.postcode as seller_postcode,
+      buyer.display_name as buyer_name,
+      buyer.city as buyer_city,
+      buyer.postcode as buyer_postcode
+     FROM want_list w
+     JOIN cards c ON c.user_id != w.user_id
+       AND c.status = 'listed'
+       AND (
+         w.card_index_id = c.card_index_id
+         OR ltrim(regexp_replace(split_part(c.card_number, '/', 1), '\\D', '', 'g'), '0')
+           = ltrim(regexp_replace(split_part(w.card_number, '/', 1), '\\D', '', 'g'), '0')
+         OR (w.card_number IS NULL AND LOWER(w.card_name) = LOWER(c.card_name))
+       )
+     JOIN users seller ON c.user_id = seller.id
+     JOIN users buyer ON w.user_id = buyer.id
+     WHERE ${filters.length ? filters.join(' AND ') : 'TRUE'}
+     AND NOT EXISTS (
+       SELECT 1 FROM trade_items ti
+       JOIN trades ON trades.id = ti.trade_id
+       WHERE ti.card_id = c.id
+       AND trades.status <> ALL($1)
+     )`,
+    params
+  );
+
+  const setIndex = await loadSetIndex(db);
+
+  const matches = result.rows
+    .filter(row => wantMatchesCard(
+      {
+        card_index_id: row.wanted_card_index_id, set_id: row.wanted_set_id, card_name: row.wanted_card,
+        card_set: row.wanted_set, card_number: row.wanted_number, min_condition: row.min_condition, variants: row.wanted_variants,
+      },
+      row,
+      setIndex
+    ))
+    .map(({ seller_postcode, buyer_postcode, ...row }) => ({
+      ...row,
+      // Postcodes are only used to rank — never sent to the other user
+      proximity: proximity(
+        { postcode: buyer_postcode, city: row.buyer_city },
+        { postcode: seller_postcode, city: row.seller_city }
+      ),
+    }));
+
+  return rankMatches(matches);
+}
+
+module.exports = {
+  VARIANTS,
+  PROXIMITY,
+  normaliseCardNumber,
+  normaliseVariant,
+  buildSetIndex,
+  resolveSetKey,
+  resolveSetId,
+  wantMatchesCard,
+  postcodeArea,
+  proximity,
+  rankMatches,
+  loadSetIndex,
+  findWantMatches,
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migration files live in src/migrations and are named NNN_description.js.
+// Each exports { up(client), down(client) }; both run inside a transaction.
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Parse a migration filename into { version, name }, or null if it isn't one
+function parseMigrationFilename(filename) {
+  const match = filename.match(MIGRATION_FILE);
+  if (!match) return null;
+  return { version: parseInt(match[1], 10), name: match[2] };
+}
+
+// Load and validate every migration in `dir`, sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  const seen = new Map();
+
+  for (const filename of fs.readdirSync(dir)) {
+    const parsed = parseMigrationFilename(filename);
+    if (!parsed) continue;
+
+    if (seen.has(parsed.version)) {
+      throw new Error(`Duplicate migration version ${parsed.version}: ${seen.get(parsed.version)} and ${filename}`);
+    }
+    seen.set(parsed.version, filename);
+
+    const mod = require(path.join(dir, filename));
+    if (typeof mod.up !== 'function') {
+      throw new Error(`Migration ${filename} does not export an up() function`);
+    }
+
+    migrations.push({ ...parsed, filename, up: mod.up, down: mod.down });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+// Migrations not yet recorded in schema_migrations, oldest first
+function pendingMigrations(migrations, appliedVersions) {
+  const applied = new Set(appliedVersions);
+  return migrations.filter(m => !applied.has(m.version));
+}
+
+// The last `steps` applied migrations, newest first (the order they roll back in)
+function migrationsToRollBack(migrations, appliedVersions, steps = 1) {
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  const newestFirst = [...appliedVersions].sort((a, b) => b - a).slice(0, steps);
+
+  return newestFirst.map(version => {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Migration ${version} is recorded as applied but its file is missing`);
+    }
+    if (typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.filename} has no down() and can't be rolled back`);
+    }
+    return migration;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  parseMigrationFilename,
+  loadMigrations,
+  pendingMigrations,
+  migrationsToRollBack,
+};
@@ -29,7 +29,7 @@ async function logNotification(userId, alertId, channel, title, body, status, er
 
 // ─── Channel Dispatchers ─────────────────────────────────────
 
-async function sendWebPush(subscription, title, body) {
+async function sendWebPush(subscription, title, body, url = '/price-watch') {
   const wp = getWebPush();
   if (!wp) throw new Error('Web Push not configured (missing VAPID keys)');
 
@@ -37,7 +37,7 @@ async function sendWebPush(subscription, title, body) {
     title,
     body,
     icon: '/logo192.png',
-    url: '/price-watch'
+    url
   });
 
   await wp.sendNotification(subscription, payload);
@@ -103,7 +103,8 @@ async function sendNtfy(topic, title, body) {
 
 // ─── Main Dispatch ───────────────────────────────────────────
 
-async function dispatchNotification(userId, alertId, { title, body }) {
+// `url` is where a tapped web push opens (defaults to the price watch page)
+async function dispatchNotification(userId, alertId, { title, body, url }) {
   // Get user's notification settings
   const result = await pool.query(
     'SELECT * FROM notification_settings WHERE user_id = $1',
@@ -126,7 +127,7 @@ async function dispatchNotification(userId, alertId, { title, body }) {
             const sub = typeof settings.web_push_sub === 'string'
               ? JSON.parse(settings.web_push_sub)
               : settings.web_push_sub;
-            await sendWebPush(sub, title, body);
+            await sendWebPush(sub, title, body, url);
             await logNotification(userId, alertId, 'web_push', title, body, 'sent');
           }
           break;
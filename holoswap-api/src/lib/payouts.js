@@ -0,0 +1,132 @@
+// Seller payouts ledger — amounts, recording a payout against a trade, and
+// the month-end reconciliation of payouts against completed trades.
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+const { recordTradeEvent } = require('./trade-state');
+const { tradeValue, sellerPayout } = require('./trade-offers');
+
+const PAYOUT_METHODS = ['bank_transfer', 'paypal', 'store_credit', 'cash', 'other'];
+
+// Statuses where the buyer has paid and nothing is in dispute
+const PAYABLE_STATUSES = ['payment_received', 'processed', 'shipped_to_buyer', 'complete'];
+
+function payoutError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const round = n => Math.round(n * 100) / 100;
+
+// { gross, fee, net } for a trade. `amount` overrides the gross (for trades
+// with no agreed price, or a part payment agreed with the seller).
+function calculatePayout(trade, amount = null) {
+  let gross = tradeValue(trade);
+  if (amount != null && amount !== '') {
+    gross = Number(amount);
+    if (!Number.isFinite(gross) || gross < 0) throw payoutError('Invalid payout amount');
+  }
+  if (gross === null) {
+    throw payoutError('This trade has no agreed price — pass the amount to pay');
+  }
+
+  const fee = round(parseFloat(trade.holoswap_fee) || 0);
+  gross = round(gross);
+  if (fee > gross) throw payoutError("HoloSwap's fee is more than the payout");
+
+  return { gross, fee, net: round(gross - fee) };
+}
+
+// 'YYYY-MM' → the UTC start of that month and of the next
+function parseMonth(month) {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  if (!match || +match[2] < 1 || +match[2] > 12) {
+    throw payoutError('month must look like YYYY-MM');
+  }
+  const start = new Date(Date.UTC(+match[1], +match[2] - 1, 1));
+  const end = new Date(Date.UTC(+match[1], +match[2], 1));
+  return { start, end };
+}
+
+// Compare trades completed in a period with payouts made in it.
+//   completedTrades: [{ id, agreed_price, price, holoswap_fee, payout_id, payout_gross }]
+//     (payout_* from that trade's payout, whenever it was made)
+//   payouts: [{ id, trade_id, gross_amount, fee_amount, net_amount, trade_status }]
+function reconcile(completedTrades, payouts) {
+  const sum = (rows, fn) => round(rows.reduce((total, row) => total + (fn(row) || 0), 0));
+
+  const unpaid = completedTrades.filter(t => !t.payout_id);
+  const mismatched = completedTrades.filter(t =>
+    t.payout_id && tradeValue(t) !== null && Math.abs(parseFloat(t.payout_gross) - tradeValue(t)) >= 0.005
+  );
+  // Paid out on trades that haven't completed — early payouts, or refunds after paying
+  const notComplete = payouts.filter(p => p.trade_status !== 'complete');
+
+  return {
+    totals: {
+      completed_trades: completedTrades.length,
+      completed_value: sum(completedTrades, tradeValue),
+      fees_due: sum(completedTrades, t => parseFloat(t.holoswap_fee)),
+      payouts: payouts.length,
+      gross_paid: sum(payouts, p => parseFloat(p.gross_amount)),
+      fees_kept: sum(payouts, p => parseFloat(p.fee_amount)),
+      net_paid: sum(payouts, p => parseFloat(p.net_amount)),
+      unpaid_value: sum(unpaid, sellerPayout),
+    },
+    unpaid,
+    mismatched,
+    not_complete: notComplete,
+  };
+}
+
+// Pay the seller for `trade` (a full trades row, ideally locked FOR UPDATE).
+// Adds the ledger row, flips seller_paid and logs it on the trade timeline.
+async function recordPayout(db, { trade, method = 'bank_transfer', reference = null, batchId = null, amount = null, notes = null, paidBy }) {
+  if (trade.status === 'disputed' || trade.status === 'refunded') {
+    throw payoutError(`Seller payout is on hold — this trade is ${trade.status}`, 409);
+  }
+  if (!PAYABLE_STATUSES.includes(trade.status) || trade.payment_status !== 'paid') {
+    throw payoutError("The buyer hasn't paid for this trade yet", 409);
+  }
+  if (!PAYOUT_METHODS.includes(method)) {
+    throw payoutError(`Payout method must be one of: ${PAYOUT_METHODS.join(', ')}`);
+  }
+
+  const existing = await db.query('SELECT id FROM payouts WHERE trade_id = $1', [trade.id]);
+  if (existing.rows.length > 0) {
+    throw payoutError('The seller has already been paid for this trade', 409);
+  }
+
+  if (batchId) {
+    const batch = await db.query('SELECT id FROM payout_batches WHERE id = $1', [batchId]);
+    if (batch.rows.length === 0) throw payoutError('Unknown payout batch');
+  }
+
+  const { gross, fee, net } = calculatePayout(trade, amount);
+
+  const result = await db.query(
+    `INSERT INTO payouts (trade_id, seller_id, batch_id, description, gross_amount, fee_amount, net_amount,
+       method, reference, notes, paid_by)
+     SELECT $1, $2, $3, c.card_name, $4, $5, $6, $7, $8, $9, $10
+     FROM (SELECT 1) x LEFT JOIN cards c ON c.id = $11
+     RETURNING *`,
+    [trade.id, trade.seller_id, batchId, gross, fee, net, method, reference, notes, paidBy, trade.card_id]
+  );
+
+  await db.query('UPDATE trades SET seller_paid = true, updated_at = NOW() WHERE id = $1', [trade.id]);
+  await recordTradeEvent(db, {
+    tradeId: trade.id, actorId: paidBy, fromStatus: trade.status, toStatus: trade.status,
+    notes: `Seller paid £${net.toFixed(2)} by ${method.replace('_', ' ')}${reference ? ` (ref ${reference})` : ''}`,
+  });
+
+  return result.rows[0];
+}
+
+module.exports = {
+  PAYOUT_METHODS,
+  PAYABLE_STATUSES,
+  calculatePayout,
+  parseMonth,
+  reconcile,
+  recordPayout,
+};
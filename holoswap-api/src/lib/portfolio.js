@@ -0,0 +1,210 @@
+// Collection valuation behind GET /api/profile/portfolio and the nightly
+// snapshot job. Each owned card is priced from the latest market_price_history
+// row for its set and number (graded_price_history for slabs), falling back to
+// the card's estimated_value. Market prices are raw NM — no condition discount.
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+const { loadSetIndex, resolveSetId, normaliseCardNumber } = require('./matching');
+const { rowGrading, formatGrade } = require('./grading');
+
+// Cards that have left the collection
+const NOT_OWNED_STATUSES = ['traded', 'returned'];
+
+const round = n => Math.round(n * 100) / 100;
+
+function portfolioError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Validate purchase_price / purchased_at from a card body. Each comes back
+// undefined when not sent (leave it alone) and null when blanked.
+function parsePurchase({ purchase_price: price, purchased_at: date } = {}) {
+  const result = { price: undefined, date: undefined };
+
+  if (price !== undefined) {
+    if (price === null || price === '') {
+      result.price = null;
+    } else {
+      const value = Number(price);
+      if (!Number.isFinite(value) || value < 0) throw portfolioError('Invalid purchase price');
+      result.price = round(value);
+    }
+  }
+
+  if (date !== undefined) {
+    if (date === null || date === '') {
+      result.date = null;
+    } else if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+      throw portfolioError('purchased_at must look like YYYY-MM-DD');
+    } else if (new Date(date) > new Date()) {
+      throw portfolioError("purchased_at can't be in the future");
+    } else {
+      result.date = date;
+    }
+  }
+
+  return result;
+}
+
+function priceKey(setId, cardNumber, grading = null) {
+  const key = `${setId}|${normaliseCardNumber(cardNumber)}`;
+  return grading ? `${key}|${grading.company}|${formatGrade(grading.grade)}` : key;
+}
+
+// { value, price_source, priced_on } for one card. `prices` maps priceKey() to
+// { market_price, snapshot_date } rows; card.set_id is its resolved set.
+function valueCard(card, prices) {
+  const grading = rowGrading(card);
+  const market = card.set_id && card.card_number ? prices.get(priceKey(card.set_id, card.card_number, grading)) : null;
+  if (market) {
+    return { value: round(parseFloat(market.market_price)), price_source: grading ? 'graded' : 'market', priced_on: market.snapshot_date };
+  }
+  if (card.estimated_value != null) {
+    return { value: round(parseFloat(card.estimated_value)), price_source: 'estimate', priced_on: null };
+  }
+  return { value: null, price_source: null, priced_on: null };
+}
+
+// Totals for valued cards ({ value, purchase_price, quantity }) — value and
+// purchase price are per copy. Gain only counts cards with both a value and a
+// purchase price, so unpriced cards don't read as losses.
+function summarise(cards) {
+  let totalValue = 0;
+  let costBasis = 0;
+  let gainValue = 0;
+  let gainCost = 0;
+  let priced = 0;
+  let count = 0;
+
+  for (const card of cards) {
+    const copies = card.quantity ?? 1;
+    const cost = card.purchase_price == null ? null : parseFloat(card.purchase_price) * copies;
+    const value = card.value == null ? null : card.value * copies;
+    count += copies;
+    if (value != null) {
+      priced += copies;
+      totalValue += value;
+    }
+    if (cost != null) {
+      costBasis += cost;
+      if (value != null) {
+        gainValue += value;
+        gainCost += cost;
+      }
+    }
+  }
+
+  const gain = round(gainValue - gainCost);
+  return {
+    card_count: count,
+    priced_count: priced,
+    total_value: round(totalValue),
+    cost_basis: round(costBasis),
+    unrealised_gain: gain,
+    unrealised_gain_pct: gainCost > 0 ? round((gain / gainCost) * 100) : null,
+  };
+}
+
+// Group cards by `keysOf(card)` (a key or an array of keys — a card can be in
+// several binders) and summarise each group, most valuable first
+function breakdown(cards, keysOf) {
+  const groups = new Map();
+  for (const card of cards) {
+    const keys = [].concat(keysOf(card));
+    for (const key of keys) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(card);
+    }
+  }
+  return [...groups.entries()]
+    .map(([key, groupCards]) => ({ key, cards: groupCards, ...summarise(groupCards) }))
+    .sort((a, b) => b.total_value - a.total_value);
+}
+
+// Latest price per set + number (and grade for slabs) for the given sets
+async function loadLatestPrices(db, setIds, { graded = false } = {}) {
+  const prices = new Map();
+  if (setIds.length === 0) return prices;
+
+  const raw = await db.query(
+    `SELECT DISTINCT ON (set_id, card_number) set_id, card_number, market_price, snapshot_date
+     FROM market_price_history
+     WHERE set_id = ANY($1) AND market_price > 0
+     ORDER BY set_id, card_number, snapshot_date DESC`,
+    [setIds]
+  );
+  // '004' and '4' are the same card — keep whichever was priced most recently
+  const keep = (key, row) => {
+    const existing = prices.get(key);
+    if (!existing || row.snapshot_date > existing.snapshot_date) prices.set(key, row);
+  };
+  for (const row of raw.rows) keep(priceKey(row.set_id, row.card_number), row);
+
+  if (graded) {
+    const slabs = await db.query(
+      `SELECT DISTINCT ON (set_id, card_number, grading_company, slab_grade)
+         set_id, card_number, grading_company, slab_grade, market_price, snapshot_date
+       FROM graded_price_history
+       WHERE set_id = ANY($1) AND market_price > 0
+       ORDER BY set_id, card_number, grading_company, slab_grade, snapshot_date DESC`,
+      [setIds]
+    );
+    for (const row of slabs.rows) keep(priceKey(row.set_id, row.card_number, rowGrading(row)), row);
+  }
+
+  return prices;
+}
+
+// A user's owned cards, each with its resolved set_id (null if unknown), binder_ids and value
+async function loadPortfolioCards(db, userId) {
+  const result = await db.query(
+    `SELECT c.id, c.card_name, c.card_set, c.card_number, c.rarity, c.condition, c.grade, c.variant, c.status, c.notes,
+       c.grading_company, c.slab_grade, c.cert_number, c.image_url, c.estimated_value, c.purchase_price, c.purchased_at,
+       c.quantity, c.card_index_id, c.created_at,
+       COALESCE(array_agg(bc.binder_id) FILTER (WHERE bc.binder_id IS NOT NULL), '{}') AS binder_ids
+     FROM cards c
+     LEFT JOIN binder_cards bc ON bc.card_id = c.id
+     WHERE c.user_id = $1 AND c.status <> ALL($2)
+     GROUP BY c.id
+     ORDER BY c.created_at DESC`,
+    [userId, NOT_OWNED_STATUSES]
+  );
+  if (result.rows.length === 0) return [];
+
+  const setIndex = await loadSetIndex(db);
+  const cards = result.rows.map(card => ({ ...card, set_id: resolveSetId(card.card_set, setIndex) }));
+  const setIds = [...new Set(cards.map(c => c.set_id).filter(Boolean))];
+  const prices = await loadLatestPrices(db, setIds, { graded: cards.some(c => c.grading_company) });
+
+  return cards.map(card => ({ ...card, ...valueCard(card, prices) }));
+}
+
+// Upsert today's snapshot for a user from their summarise() totals
+async function recordSnapshot(db, userId, totals) {
+  await db.query(
+    `INSERT INTO portfolio_snapshots (user_id, snapshot_date, card_count, priced_count, total_value, cost_basis, unrealised_gain)
+     VALUES ($1, CURRENT_DATE, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id, snapshot_date) DO UPDATE SET
+       card_count = EXCLUDED.card_count,
+       priced_count = EXCLUDED.priced_count,
+       total_value = EXCLUDED.total_value,
+       cost_basis = EXCLUDED.cost_basis,
+       unrealised_gain = EXCLUDED.unrealised_gain,
+       created_at = NOW()`,
+    [userId, totals.card_count, totals.priced_count, totals.total_value, totals.cost_basis, totals.unrealised_gain]
+  );
+}
+
+module.exports = {
+  NOT_OWNED_STATUSES,
+  parsePurchase,
+  priceKey,
+  valueCard,
+  summarise,
+  breakdown,
+  loadLatestPrices,
+  loadPortfolioCards,
+  recordSnapshot,
+};
@@ -2,6 +2,8 @@
 // Used by both /api/pricing and /api/vending routes
 
 const pool = require('../db');
+const { CONDITION_NAMES } = require('./conditions');
+const { parseProductGrading, productSuffix, matchesGrading, slabLabel } = require('./grading');
 
 // Cache management
 const catalogueCache = new Map();
@@ -81,8 +83,9 @@ function convertSetIdToPokePulse(tcgdexSetId) {
   return tcgdexSetId.replace(/(\D+)0*(\d+)/, '$1$2');
 }
 
-// Search PokePulse catalogue for card
-async function searchCatalogue(pokePulseSetId, cardName) {
+// Search PokePulse catalogue for card. Graded slabs are left out unless
+// `graded` — there's a product per company and grade, so ask for more.
+async function searchCatalogue(pokePulseSetId, cardName, { graded = false } = {}) {
   const url = 'https://catalogueservicev2-production.up.railway.app/api/cards/search';
 
   const response = await fetch(url, {
@@ -94,8 +97,8 @@ async function searchCatalogue(pokePulseSetId, cardName) {
     body: JSON.stringify({
       ...(pokePulseSetId && { setId: pokePulseSetId }),
       cardName: cardName,
-      excludeGraded: true,
-      limit: 10
+      excludeGraded: !graded,
+      limit: graded ? 50 : 10
     })
   });
 
@@ -146,10 +149,16 @@ function matchCardNumber(catalogueNum, searchNum) {
   return false;
 }
 
-// Return ALL matching variants for a card number (excludeGraded already handled by API)
-function findMatchingCards(catalogueResults, cardNumber) {
+// Return ALL matching variants for a card number. Raw searches already have
+// graded products excluded by the API; pass `grading` ({ company, grade }) to
+// keep only that slab's products from a graded search.
+function findMatchingCards(catalogueResults, cardNumber, grading = null) {
   console.log(`Finding matches for card number "${cardNumber}" among ${catalogueResults.length} results`);
 
+  if (grading) {
+    catalogueResults = catalogueResults.filter(card => matchesGrading(card.product_id, grading));
+  }
+
   // Match by card number across all variants
   const matches = catalogueResults.filter(card =>
     card.card_number && matchCardNumber(card.card_number, cardNumber)
@@ -197,19 +206,12 @@ function formatPricingData(pricingRecords, productId, cached) {
   let lastSoldPrice = null;
   let lastSoldDate = null;
 
-  const conditionMap = {
-    'NM': 'Near Mint',
-    'LP': 'Lightly Played',
-    'MP': 'Moderately Played',
-    'HP': 'Heavily Played',
-    'DMG': 'Damaged'
-  };
 
   pricingRecords.forEach(record => {
     const condition = record.condition?.toUpperCase() || 'UNKNOWN';
     const value = parseFloat(record.value) || 0;
 
-    const displayCondition = conditionMap[condition] || condition;
+    const displayCondition = CONDITION_NAMES[condition] || condition;
 
     conditions[displayCondition] = {
       low: value * 0.9,
@@ -223,7 +225,7 @@ function formatPricingData(pricingRecords, productId, cached) {
     if (record.conditionPricing && typeof record.conditionPricing === 'object') {
       for (const [code, data] of Object.entries(record.conditionPricing)) {
         const upper = code.toUpperCase();
-        const display = conditionMap[upper] || upper;
+        const display = CONDITION_NAMES[upper] || upper;
         const v = parseFloat(data?.value) || 0;
         if (v > 0 && !conditions[display]) {
           conditions[display] = { low: v * 0.9, market: v, high: v * 1.1 };
@@ -256,8 +258,22 @@ function formatPricingData(pricingRecords, productId, cached) {
     }
   });
 
+  // Slab products aren't split by condition — their headline price is the
+  // product's own record rather than an NM one
+  const grading = parseProductGrading(productId);
+  if (grading && !marketPrice) {
+    const record = pricingRecords.find(r => parseFloat(r.value) > 0);
+    if (record) {
+      marketPrice = parseFloat(record.value);
+      currency = record.currency === '£' ? 'GBP' : (record.currency || currency);
+      lastSoldPrice = record.last_sold_price || null;
+      lastSoldDate = record.last_sold_date || null;
+    }
+  }
+
   return {
     productId,
+    grading,
     marketPrice,
     currency,
     conditions,
@@ -372,7 +388,8 @@ function analyzeBuyRecommendation(pricingData) {
 // Stores product_id mappings so we can skip catalogue API calls
 // ============================================================
 
-// Look up cached product_ids from DB (returns all ungraded variants for a card)
+// Look up cached product_ids from DB (returns all ungraded variants for a card,
+// or with `grading` ({ company, grade }) the variants of that slab)
 // Same-card siblings on PokePulse: 'bsu' (Base Set Unlimited) and its 'bss' (Shadowless),
 // 'bs1s' (1st Edition Shadowless) printings live under different PokePulse set_ids but are
 // all the same card from the tcgdex/card_index perspective. Looking up any of these returns
@@ -387,9 +404,11 @@ function expandSetIds(pokePulseSetId) {
   return [pokePulseSetId, ...(SIBLING_PP_SETS[pokePulseSetId] || [])];
 }
 
-async function findCachedProducts(pokePulseSetId, cardNumber) {
+async function findCachedProducts(pokePulseSetId, cardNumber, grading = null) {
   try {
     const setIds = expandSetIds(pokePulseSetId);
+    const suffix = `%${productSuffix(grading)}`;
+    const label = `${pokePulseSetId} #${cardNumber}${grading ? ` ${slabLabel(grading)}` : ''}`;
     // product_id format: card:set|num|material|promo|gradingCo|grade
     // Ungraded cards end with '|null|null'; graded end with e.g. '|PSA|10'.
     // Dedupe by (set_id, material, promo) so siblings keep their distinct printings.
@@ -399,12 +418,12 @@ async function findCachedProducts(pokePulseSetId, cardNumber) {
               split_part(product_id, '|', 4) AS promo
        FROM pokepulse_catalogue
        WHERE set_id = ANY($1::text[]) AND card_number = $2
-         AND product_id LIKE '%|null|null'
+         AND product_id LIKE $3
        ORDER BY set_id, COALESCE(material, ''), split_part(product_id, '|', 4), product_id`,
-      [setIds, cardNumber]
+      [setIds, cardNumber, suffix]
     );
     if (result.rows.length > 0) {
-      console.log(`[PP Cache] HIT: ${pokePulseSetId} #${cardNumber} → ${result.rows.length} variant(s)`);
+      console.log(`[PP Cache] HIT: ${label} → ${result.rows.length} variant(s)`);
       return result.rows;
     }
     // Match by either the slash form ('4' → '4/102', not '40/102') or by comparing
@@ -416,7 +435,7 @@ async function findCachedProducts(pokePulseSetId, cardNumber) {
               split_part(product_id, '|', 4) AS promo
        FROM pokepulse_catalogue
        WHERE set_id = ANY($1::text[])
-         AND product_id LIKE '%|null|null'
+         AND product_id LIKE $4
          AND (
            card_number LIKE $2
            OR (
@@ -426,13 +445,13 @@ async function findCachedProducts(pokePulseSetId, cardNumber) {
            )
          )
        ORDER BY set_id, COALESCE(material, ''), split_part(product_id, '|', 4), product_id`,
-      [setIds, cardNumber + '/%', isNaN(numericInput) ? null : numericInput]
+      [setIds, cardNumber + '/%', isNaN(numericInput) ? null : numericInput, suffix]
     );
     if (fuzzy.rows.length > 0) {
-      console.log(`[PP Cache] FUZZY HIT: ${pokePulseSetId} #${cardNumber} → ${fuzzy.rows.length} variant(s)`);
+      console.log(`[PP Cache] FUZZY HIT: ${label} → ${fuzzy.rows.length} variant(s)`);
       return fuzzy.rows;
     }
-    console.log(`[PP Cache] MISS: ${pokePulseSetId} #${cardNumber}`);
+    console.log(`[PP Cache] MISS: ${label}`);
     return [];
   } catch (err) {
     console.error('[PP Cache] Lookup error:', err.message);
@@ -526,6 +545,40 @@ async function savePriceHistory(setId, cardNumber, cardName, pricingData) {
   }
 }
 
+// Save a graded product's price snapshot (one per product per day). Kept apart
+// from market_price_history, which is raw NM only.
+async function saveGradedPriceHistory(productId, { setId, cardNumber, cardName }, pricingData) {
+  const grading = parseProductGrading(productId);
+  if (!pricingData || !grading) return;
+
+  try {
+    await pool.query(
+      `INSERT INTO graded_price_history
+        (product_id, set_id, card_number, card_name, grading_company, slab_grade,
+         market_price, last_sold_price, last_sold_date, snapshot_date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_DATE)
+       ON CONFLICT (product_id, snapshot_date)
+       DO UPDATE SET
+         market_price = EXCLUDED.market_price,
+         last_sold_price = EXCLUDED.last_sold_price,
+         last_sold_date = EXCLUDED.last_sold_date`,
+      [
+        productId,
+        setId || null,
+        cardNumber || null,
+        cardName || null,
+        grading.company,
+        grading.grade,
+        pricingData.marketPrice || null,
+        pricingData.lastSoldPrice || null,
+        pricingData.lastSoldDate || null
+      ]
+    );
+  } catch (err) {
+    console.error('[Pricing] Failed to save graded price history:', err.message);
+  }
+}
+
 module.exports = {
   catalogueCache,
   marketDataCache,
@@ -544,6 +597,7 @@ module.exports = {
   formatPricingData,
   analyzeBuyRecommendation,
   savePriceHistory,
+  saveGradedPriceHistory,
   findCachedProducts,
   cacheCatalogueResults,
   getCatalogueStats,
@@ -0,0 +1,84 @@
+// Storage for card scans (front/back photos taken at verification).
+// Files go to local disk by default — SCAN_STORAGE_DIR, or uploads/scans in
+// the project — and are served by index.js under SCAN_URL_PREFIX. Another
+// backend only needs the same save/remove shape.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const SCAN_URL_PREFIX = '/uploads/scans';
+const SCAN_MAX_BYTES = 10 * 1024 * 1024;
+const SCAN_SIDES = ['front', 'back'];
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+// Sniff the real type from the file's first bytes rather than trusting Content-Type
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+// Random suffix so scan URLs can't be guessed from the card id
+function scanFileName(cardId, side, type) {
+  return `card-${cardId}-${side}-${crypto.randomBytes(12).toString('hex')}.${IMAGE_EXTENSIONS[type]}`;
+}
+
+function scanStorageDir() {
+  return process.env.SCAN_STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads', 'scans');
+}
+
+function createLocalStorage(dir = scanStorageDir()) {
+  return {
+    dir,
+
+    // Returns the URL the file is served at
+    async save(name, buffer) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, name), buffer);
+      return `${SCAN_URL_PREFIX}/${name}`;
+    },
+
+    async remove(url) {
+      if (!url || !url.startsWith(`${SCAN_URL_PREFIX}/`)) return;
+      const name = path.basename(url);
+      await fs.rm(path.join(dir, name), { force: true });
+    },
+  };
+}
+
+// Validate an uploaded scan and store it. Throws 400 for anything that isn't a
+// JPEG, PNG or WebP image.
+async function storeScan(storage, { cardId, side, buffer }) {
+  const err = (message) => Object.assign(new Error(message), { status: 400 });
+
+  if (!SCAN_SIDES.includes(side)) throw err('Scan side must be front or back');
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw err('Send the image as the request body (Content-Type image/jpeg, image/png or image/webp)');
+  }
+  if (buffer.length > SCAN_MAX_BYTES) throw err('Scans can be up to 10 MB');
+
+  const type = detectImageType(buffer);
+  if (!type) throw err('Scans must be JPEG, PNG or WebP images');
+
+  return storage.save(scanFileName(cardId, side, type), buffer);
+}
+
+module.exports = {
+  SCAN_URL_PREFIX,
+  SCAN_MAX_BYTES,
+  SCAN_SIDES,
+  IMAGE_EXTENSIONS,
+  detectImageType,
+  scanFileName,
+  scanStorageDir,
+  createLocalStorage,
+  storeScan,
+};
@@ -0,0 +1,177 @@
+// Set completion behind GET /api/profile/sets and /sets/:setId/progress.
+// A set's checklist comes from card_index; owned cards count through their
+// card_index_id link (see lib/inventory.js), whatever their condition.
+//
+// Modes:
+//   standard  the numbered set — up to set_official_total, no secret rares
+//   full      every card in the set, secret rares included
+//   master    full, plus a reverse holo of every card printed in reverse holo
+//
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+const { normaliseVariant, resolveSetKey, normaliseCardNumber, loadSetIndex } = require('./matching');
+const { NOT_OWNED_STATUSES } = require('./portfolio');
+
+const SET_PROGRESS_MODES = ['standard', 'full', 'master'];
+
+const INDEX_COLUMNS = `id, name, local_id, rarity, image_url, set_id, set_name, set_logo, set_total, set_official_total,
+  variants_normal, variants_holo, variants_reverse, variants_first_ed`;
+
+function parseProgressMode(raw) {
+  const mode = String(raw || 'standard').toLowerCase();
+  if (!SET_PROGRESS_MODES.includes(mode)) {
+    const err = new Error(`mode must be one of: ${SET_PROGRESS_MODES.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return mode;
+}
+
+// Numbered past the printed total: 'SIR 199/165'. Lettered subsets (TG01, RC5)
+// aren't numbered against the total, so they're never secret.
+function isSecretRare(card) {
+  const officialTotal = card.set_official_total || card.set_total;
+  if (!officialTotal || !/^\d+$/.test(String(card.local_id || ''))) return false;
+  return parseInt(card.local_id, 10) > officialTotal;
+}
+
+// Cards printed in reverse holo as well as normal or holo get a second master-set slot
+const hasReverseSlot = card => Boolean(card.variants_reverse && (card.variants_normal || card.variants_holo));
+
+// Order a checklist by number, lettered subsets after the main run
+function byNumber(a, b) {
+  const na = /^\d+$/.test(a.local_id) ? parseInt(a.local_id, 10) : Infinity;
+  const nb = /^\d+$/.test(b.local_id) ? parseInt(b.local_id, 10) : Infinity;
+  return na - nb || String(a.local_id).localeCompare(String(b.local_id), undefined, { numeric: true });
+}
+
+// The slots to fill for `mode`, from a set's card_index rows. Each slot is a
+// card and a variant: null (any printing), or in master mode 'reverse' and the
+// card's regular printing ('normal' or 'holo') alongside it.
+function checklistSlots(indexCards, mode) {
+  const slots = [];
+  for (const card of [...indexCards].sort(byNumber)) {
+    const secret = isSecretRare(card);
+    if (secret && mode === 'standard') continue;
+
+    const slot = {
+      card_index_id: card.id, card_name: card.name, card_number: card.local_id,
+      rarity: card.rarity, image_url: card.image_url, secret_rare: secret,
+    };
+    if (mode === 'master' && hasReverseSlot(card)) {
+      slots.push({ ...slot, variant: card.variants_normal ? 'normal' : 'holo' }, { ...slot, variant: 'reverse' });
+    } else {
+      slots.push({ ...slot, variant: null });
+    }
+  }
+  return slots;
+}
+
+// Fill `slots` from owned cards ({ card_index_id, variant, quantity }). In
+// master mode a reverse holo fills the reverse slot and nothing else does.
+function setProgress(slots, ownedCards, mode) {
+  const master = mode === 'master';
+  const owned = new Map();
+  for (const card of ownedCards) {
+    const reverse = master && normaliseVariant(card.variant) === 'reverse';
+    const key = `${card.card_index_id}|${reverse ? 'reverse' : ''}`;
+    owned.set(key, (owned.get(key) || 0) + (card.quantity ?? 1));
+  }
+  const cards = slots.map(slot => {
+    let quantity = owned.get(`${slot.card_index_id}|${slot.variant === 'reverse' ? 'reverse' : ''}`) || 0;
+    // A card with only the one slot (say, only printed in reverse) is filled by any copy
+    if (master && slot.variant === null) quantity += owned.get(`${slot.card_index_id}|reverse`) || 0;
+    return { ...slot, owned: quantity };
+  });
+
+  const count = (list) => ({ total: list.length, owned: list.filter(c => c.owned > 0).length });
+  const all = count(cards);
+  return {
+    mode,
+    total: all.total,
+    owned_count: all.owned,
+    missing_count: all.total - all.owned,
+    percent: all.total ? Math.round((all.owned / all.total) * 1000) / 10 : 0,
+    secret_rares: mode === 'standard' ? null : count(cards.filter(c => c.secret_rare)),
+    reverse_holos: master ? count(cards.filter(c => c.variant === 'reverse')) : null,
+    cards,
+  };
+}
+
+// A user's owned cards linked to card_index, with their set
+async function loadOwnedIndexCards(db, userId, setId = null) {
+  const result = await db.query(
+    `SELECT c.card_index_id, c.variant, c.quantity, ci.set_id
+     FROM cards c
+     JOIN card_index ci ON ci.id = c.card_index_id
+     WHERE c.user_id = $1 AND c.status <> ALL($2) AND ($3::text IS NULL OR ci.set_id = $3)`,
+    [userId, NOT_OWNED_STATUSES, setId]
+  );
+  return result.rows;
+}
+
+// Every card_index row in the given sets
+async function loadSetCards(db, setIds) {
+  if (setIds.length === 0) return [];
+  const result = await db.query(`SELECT ${INDEX_COLUMNS} FROM card_index WHERE set_id = ANY($1)`, [setIds]);
+  return result.rows;
+}
+
+// What a set looks like on its own: id, name, logo and its two totals
+function describeSet(indexCards) {
+  const first = indexCards[0];
+  return {
+    set_id: first.set_id,
+    set_name: first.set_name,
+    set_logo: first.set_logo,
+    official_total: first.set_official_total || first.set_total,
+    total: indexCards.length,
+  };
+}
+
+// The tcgdex set_id for a URL parameter (an id, name or set code), or null
+async function findSetId(db, raw) {
+  const setIndex = await loadSetIndex(db);
+  const key = resolveSetKey(raw, setIndex);
+  if (!key) return null;
+  const found = await db.query('SELECT 1 FROM card_index WHERE set_id = $1 LIMIT 1', [key]);
+  return found.rows.length ? key : null;
+}
+
+// Missing slots that aren't already on the want list. A want for any printing
+// covers both of a card's slots; a reverse-holo-only want only covers its
+// reverse slot. Set-wide wants (no number) cover every card with their name.
+function missingWants(progress, existingWants, setIndex, setId) {
+  const wanted = new Map();
+  for (const want of existingWants) {
+    if ((want.set_id || resolveSetKey(want.card_set, setIndex)) !== setId) continue;
+    const key = want.card_number ? normaliseCardNumber(want.card_number) : `name:${String(want.card_name).toLowerCase()}`;
+    if (!wanted.has(key)) wanted.set(key, new Set());
+    const variants = (want.variants || []).map(normaliseVariant).filter(Boolean);
+    for (const variant of variants.length ? variants : [null]) wanted.get(key).add(variant);
+  }
+
+  const covered = (card) => {
+    const variants = new Set([
+      ...(wanted.get(normaliseCardNumber(card.card_number)) || []),
+      ...(wanted.get(`name:${String(card.card_name).toLowerCase()}`) || []),
+    ]);
+    if (variants.size === 0) return false;
+    if (variants.has(null)) return true;
+    return card.variant === 'reverse' ? variants.has('reverse') : [...variants].some(v => v !== 'reverse');
+  };
+  return progress.cards.filter(card => card.owned === 0 && !covered(card));
+}
+
+module.exports = {
+  SET_PROGRESS_MODES,
+  parseProgressMode,
+  isSecretRare,
+  checklistSlots,
+  setProgress,
+  loadOwnedIndexCards,
+  loadSetCards,
+  describeSet,
+  findSetId,
+  missingWants,
+};
@@ -0,0 +1,134 @@
+// Public collector profiles and shareable binders, behind /api/public.
+// Profiles are opt-in (users.profile_public, at users.profile_slug). Binders
+// are private, unlisted (reachable by their share link only) or public (also
+// listed on the owner's profile). Nothing here exposes an email, postcode,
+// address, price paid or note — public views go through publicCard() and
+// publicProfile().
+//
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+const crypto = require('crypto');
+const { NOT_OWNED_STATUSES } = require('./portfolio');
+const { loadSmartBinderCards } = require('./smart-binders');
+
+const BINDER_VISIBILITIES = ['private', 'unlisted', 'public'];
+
+const SLUG_MIN = 3;
+const SLUG_MAX = 30;
+
+// Slugs that would read as HoloSwap's own pages
+const RESERVED_SLUGS = new Set([
+  'admin', 'api', 'binders', 'help', 'holoswap', 'login', 'logout', 'me', 'settings', 'signup', 'support', 'u',
+]);
+
+function sharingError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseVisibility(raw) {
+  const visibility = String(raw).toLowerCase();
+  if (!BINDER_VISIBILITIES.includes(visibility)) {
+    throw sharingError(`Visibility must be one of: ${BINDER_VISIBILITIES.join(', ')}`);
+  }
+  return visibility;
+}
+
+// A profile slug: lowercase letters, digits and single hyphens, 3–30 long
+function parseSlug(raw) {
+  const slug = String(raw || '').trim().toLowerCase();
+  if (slug.length < SLUG_MIN || slug.length > SLUG_MAX || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug)) {
+    throw sharingError(`Profile URLs are ${SLUG_MIN}–${SLUG_MAX} letters, numbers and hyphens`);
+  }
+  if (RESERVED_SLUGS.has(slug)) throw sharingError('That profile URL is taken', 409);
+  return slug;
+}
+
+// The link token for an unlisted or public binder
+function newShareToken() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+// The parts of a card anyone may see
+function publicCard(card) {
+  return {
+    id: card.id,
+    card_name: card.card_name,
+    card_set: card.card_set,
+    card_number: card.card_number,
+    rarity: card.rarity,
+    variant: card.variant,
+    condition: card.condition,
+    grading_company: card.grading_company,
+    slab_grade: card.slab_grade,
+    quantity: card.quantity,
+    image_url: card.image_url,
+    listed: card.status === 'listed',
+  };
+}
+
+function publicProfile(user) {
+  return {
+    slug: user.profile_slug,
+    display_name: user.display_name,
+    avatar_url: user.avatar_url,
+    city: user.city,
+    bio: user.bio,
+    member_since: user.created_at,
+  };
+}
+
+// Trade reputation from a user's trade counts: completed trades either way,
+// and how many of the trades they sold in ended in a refund
+function reputation({ completed_as_seller: asSeller = 0, completed_as_buyer: asBuyer = 0, refunded_as_seller: refunded = 0 }) {
+  const sold = asSeller + refunded;
+  return {
+    completed_trades: asSeller + asBuyer,
+    completed_as_seller: asSeller,
+    completed_as_buyer: asBuyer,
+    refunded_as_seller: refunded,
+    seller_success_pct: sold > 0 ? Math.round((asSeller / sold) * 1000) / 10 : null,
+  };
+}
+
+async function loadReputation(db, userId) {
+  const result = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE status = 'complete' AND seller_id = $1)::int AS completed_as_seller,
+       COUNT(*) FILTER (WHERE status = 'complete' AND buyer_id = $1)::int AS completed_as_buyer,
+       COUNT(*) FILTER (WHERE status = 'refunded' AND seller_id = $1)::int AS refunded_as_seller,
+       MAX(updated_at) FILTER (WHERE status = 'complete') AS last_trade_at
+     FROM trades
+     WHERE seller_id = $1 OR buyer_id = $1`,
+    [userId]
+  );
+  return { ...reputation(result.rows[0]), last_trade_at: result.rows[0].last_trade_at };
+}
+
+// A binder's ({ id, user_id, rules }) cards in binder order, as public cards.
+// A smart binder's come from its rules (see lib/smart-binders.js).
+async function loadBinderCards(db, binder) {
+  if (binder.rules) return (await loadSmartBinderCards(db, binder)).map(publicCard);
+
+  const result = await db.query(
+    `SELECT c.* FROM binder_cards bc
+     JOIN cards c ON c.id = bc.card_id
+     WHERE bc.binder_id = $1 AND c.status <> ALL($2)
+     ORDER BY bc.position ASC, bc.added_at ASC`,
+    [binder.id, NOT_OWNED_STATUSES]
+  );
+  return result.rows.map(publicCard);
+}
+
+module.exports = {
+  BINDER_VISIBILITIES,
+  parseVisibility,
+  parseSlug,
+  newShareToken,
+  publicCard,
+  publicProfile,
+  reputation,
+  loadReputation,
+  loadBinderCards,
+};
@@ -0,0 +1,152 @@
+// Smart binders: a binder whose `rules` pick its cards, worked out live from
+// the owner's cards (joined to card_index for card type and illustrator)
+// rather than stored in binder_cards. Rules all have to match:
+//
+//   set          set name, id or code — or a list of them
+//   rarity       rarity, or a list (case doesn't matter)
+//   card_type    card_index card type (Fire, Water, …), or a list
+//   illustrator  part of the illustrator's name
+//   min_value    worth more than this (see lib/portfolio.js for valuation)
+//   status       'listed' — only cards listed on HoloSwap
+//
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+const { loadSetIndex, resolveSetKey } = require('./matching');
+const { loadPortfolioCards } = require('./portfolio');
+
+const LIST_RULES = ['set', 'rarity', 'card_type'];
+const RULE_FIELDS = [...LIST_RULES, 'illustrator', 'min_value', 'status'];
+const SMART_STATUSES = ['listed'];
+const MAX_RULE_VALUES = 20;
+
+function ruleError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Validate binder rules from a request body. undefined (not sent) and null
+// (back to a manual binder) come straight back.
+function parseRules(raw) {
+  if (raw === undefined || raw === null) return raw;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw ruleError('rules must be an object');
+
+  const rules = {};
+  for (const [field, value] of Object.entries(raw)) {
+    if (!RULE_FIELDS.includes(field)) {
+      throw ruleError(`Unknown rule "${field}". Rules are: ${RULE_FIELDS.join(', ')}`);
+    }
+    if (value === null || value === undefined || value === '') continue;
+
+    if (LIST_RULES.includes(field)) {
+      const values = [].concat(value).map(v => (typeof v === 'string' ? v.trim() : ''));
+      if (values.length === 0 || values.length > MAX_RULE_VALUES || values.some(v => !v)) {
+        throw ruleError(`${field} must be a name or a list of up to ${MAX_RULE_VALUES} names`);
+      }
+      rules[field] = values;
+    } else if (field === 'illustrator') {
+      if (typeof value !== 'string' || !value.trim()) throw ruleError('illustrator must be a name');
+      rules.illustrator = value.trim();
+    } else if (field === 'min_value') {
+      const amount = Number(value);
+      if (!Number.isFinite(amount) || amount < 0) throw ruleError('min_value must be an amount');
+      rules.min_value = amount;
+    } else if (field === 'status') {
+      if (!SMART_STATUSES.includes(value)) throw ruleError(`status must be one of: ${SMART_STATUSES.join(', ')}`);
+      rules.status = value;
+    }
+  }
+
+  if (Object.keys(rules).length === 0) throw ruleError('A smart binder needs at least one rule');
+  return rules;
+}
+
+const lower = value => String(value || '').toLowerCase();
+
+// Rules with their sets resolved the way cards' sets are, so 'MEW', '151'
+// and 'sv03.5' all pick out the same set
+function compileRules(rules, setIndex) {
+  return {
+    ...rules,
+    set: rules.set ? new Set(rules.set.map(s => resolveSetKey(s, setIndex))) : null,
+    rarity: rules.rarity ? new Set(rules.rarity.map(lower)) : null,
+    card_type: rules.card_type ? new Set(rules.card_type.map(lower)) : null,
+    illustrator: rules.illustrator ? lower(rules.illustrator) : null,
+  };
+}
+
+// Does a card (from attachRuleDetails) meet every compiled rule?
+function matchesRules(card, compiled) {
+  if (compiled.set && !compiled.set.has(card.set_key)) return false;
+  if (compiled.rarity && !compiled.rarity.has(lower(card.rarity || card.index_rarity))) return false;
+  if (compiled.card_type && !compiled.card_type.has(lower(card.card_type))) return false;
+  if (compiled.illustrator && !lower(card.illustrator).includes(compiled.illustrator)) return false;
+  if (compiled.min_value != null && !(card.value != null && card.value > compiled.min_value)) return false;
+  if (compiled.status && card.status !== compiled.status) return false;
+  return true;
+}
+
+// Add what the rules look at to valued cards: set_key, and card_type,
+// illustrator and rarity from the card_index card each one is linked to
+async function attachRuleDetails(db, cards) {
+  const setIndex = await loadSetIndex(db);
+  const ids = [...new Set(cards.map(c => c.card_index_id).filter(Boolean))];
+  const details = new Map();
+  if (ids.length > 0) {
+    const result = await db.query(
+      'SELECT id, card_type, illustrator, rarity FROM card_index WHERE id = ANY($1)',
+      [ids]
+    );
+    for (const row of result.rows) details.set(row.id, row);
+  }
+
+  return cards.map(card => {
+    const detail = details.get(card.card_index_id);
+    return {
+      ...card,
+      set_key: card.set_id || resolveSetKey(card.card_set, setIndex),
+      card_type: detail?.card_type ?? null,
+      illustrator: detail?.illustrator ?? null,
+      index_rarity: detail?.rarity ?? null,
+    };
+  });
+}
+
+// Order a smart binder's cards: by set, then number
+function bySetAndNumber(a, b) {
+  return String(a.card_set || '').localeCompare(String(b.card_set || ''))
+    || String(a.card_number || '').localeCompare(String(b.card_number || ''), undefined, { numeric: true })
+    || a.id - b.id;
+}
+
+// The cards in each smart binder (those with rules) among a user's binders,
+// as a Map of binder id → valued cards. Pass `cards` from loadPortfolioCards
+// when they're already loaded.
+async function loadSmartBinders(db, userId, binders, cards = null) {
+  const smart = binders.filter(b => b.rules);
+  if (smart.length === 0) return new Map();
+
+  const detailed = await attachRuleDetails(db, cards || await loadPortfolioCards(db, userId));
+  const setIndex = await loadSetIndex(db);
+  const filled = new Map();
+  for (const binder of smart) {
+    const compiled = compileRules(binder.rules, setIndex);
+    filled.set(binder.id, detailed.filter(card => matchesRules(card, compiled)).sort(bySetAndNumber));
+  }
+  return filled;
+}
+
+// The valued cards in one smart binder ({ id, user_id, rules })
+async function loadSmartBinderCards(db, binder) {
+  return (await loadSmartBinders(db, binder.user_id, [binder])).get(binder.id);
+}
+
+module.exports = {
+  RULE_FIELDS,
+  parseRules,
+  compileRules,
+  matchesRules,
+  attachRuleDetails,
+  loadSmartBinders,
+  loadSmartBinderCards,
+};
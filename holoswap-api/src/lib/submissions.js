@@ -0,0 +1,93 @@
+// Inbound labels for traders posting cards to the HoloSwap hub. A submission
+// is one parcel: a label from the trader's address (in whatever country
+// users.country says) to the hub (hubAddress() in lib/carriers.js), covering
+// the cards they still owe across their accepted trades. Each card's
+// trade_items row points at the submission, so marking the trade shipped
+// picks up the label's tracking number and the tracking sync job
+// (lib/tracking.js) follows the parcel in. Cancelling a label lets go of its
+// cards.
+//
+// The label is bought from the carrier outside any transaction: the
+// submission is saved as 'pending' with its cards first, then filled in once
+// the carrier replies, or marked 'failed' (cards let go) if it doesn't.
+//
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+const SUBMISSION_STATUSES = ['pending', 'label_created', 'failed', 'cancelled'];
+
+// Declared value when none of the cards in the parcel are priced
+const DEFAULT_DECLARED_VALUE = 5.00;
+
+function submissionError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseTradeIds(raw) {
+  if (raw === undefined || raw === null) return null;
+  const ids = (Array.isArray(raw) ? raw : [raw]).map(id => parseInt(id, 10));
+  if (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+    throw submissionError('trade_ids must be a list of trade ids');
+  }
+  return [...new Set(ids)];
+}
+
+function declaredValue(items) {
+  const total = items.reduce((sum, item) => sum + (parseFloat(item.estimated_value) || 0), 0);
+  return total > 0 ? Math.round(total * 100) / 100 : DEFAULT_DECLARED_VALUE;
+}
+
+// The cards `userId` still has to post for their accepted trades (only
+// `tradeIds` if given) that aren't already on a live label. Locks the rows
+// so two label requests can't both take the same card.
+async function loadUnlabelledItems(db, userId, tradeIds = null) {
+  const result = await db.query(
+    `SELECT ti.id, ti.trade_id, ti.card_id, c.card_name, c.card_set, c.card_number, c.estimated_value
+     FROM trade_items ti
+     JOIN trades t ON t.id = ti.trade_id
+     JOIN cards c ON c.id = ti.card_id
+     WHERE ti.owner_id = $1 AND t.status = 'accepted' AND ti.shipped_at IS NULL
+       AND ti.submission_id IS NULL
+       AND ($2::int[] IS NULL OR ti.trade_id = ANY($2))
+     ORDER BY ti.trade_id, ti.id
+     FOR UPDATE OF ti`,
+    [userId, tradeIds]
+  );
+  return result.rows;
+}
+
+// A user's submissions (or just `submissionId`), each with its cards
+async function loadSubmissions(db, userId, { submissionId = null } = {}) {
+  const result = await db.query(
+    `SELECT s.*,
+       COALESCE(json_agg(json_build_object(
+         'trade_id', ti.trade_id, 'card_id', c.id, 'card_name', c.card_name,
+         'card_set', c.card_set, 'card_number', c.card_number, 'shipped_at', ti.shipped_at
+       ) ORDER BY ti.trade_id, ti.id) FILTER (WHERE ti.id IS NOT NULL), '[]') AS items
+     FROM submissions s
+     LEFT JOIN trade_items ti ON ti.submission_id = s.id
+     LEFT JOIN cards c ON c.id = ti.card_id
+     WHERE s.user_id = $1 AND ($2::int IS NULL OR s.id = $2)
+     GROUP BY s.id
+     ORDER BY s.created_at DESC`,
+    [userId, submissionId]
+  );
+  return result.rows;
+}
+
+// Close a submission (`status` is 'cancelled' or 'failed') and let go of its
+// cards so they can go on another label
+async function releaseSubmission(db, submissionId, status) {
+  await db.query('UPDATE submissions SET status = $1, updated_at = NOW() WHERE id = $2', [status, submissionId]);
+  await db.query('UPDATE trade_items SET submission_id = NULL WHERE submission_id = $1', [submissionId]);
+}
+
+module.exports = {
+  SUBMISSION_STATUSES,
+  parseTradeIds,
+  declaredValue,
+  loadUnlabelledItems,
+  loadSubmissions,
+  releaseSubmission,
+};
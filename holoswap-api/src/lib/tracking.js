@@ -0,0 +1,102 @@
+// Tracking for trade parcels. jobs/tracking-sync.js polls every open
+// shipment through its carrier's track() (see lib/carriers.js), stores new
+// scans in tracking_events, moves a trade to received once every parcel
+// posted to HoloSwap has been delivered, and tells both parties about each
+// delivery. Parcels HoloSwap posts to the buyer are tracked too, but the trade
+// still completes when the buyer confirms receipt
+// (PUT /api/trades/:id/confirm-received).
+//
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+// Every parcel still worth polling, with its carrier: posted to HoloSwap for
+// a trade that isn't received yet, or posted to the buyer and not yet
+// confirmed. Parcels already seen delivered are skipped. A tracking number a
+// trader typed in themselves is taken to be Royal Mail.
+async function loadOpenShipments(db) {
+  const result = await db.query(
+    `SELECT DISTINCT t.id AS trade_id, ti.tracking_number, 'inbound' AS direction,
+       COALESCE(s.carrier, 'royal_mail') AS carrier
+     FROM trades t
+     JOIN trade_items ti ON ti.trade_id = t.id
+     LEFT JOIN submissions s ON s.id = ti.submission_id
+     WHERE t.status IN ('accepted', 'shipped')
+       AND ti.shipped_at IS NOT NULL AND ti.tracking_number IS NOT NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM tracking_events e
+         WHERE e.trade_id = t.id AND e.tracking_number = ti.tracking_number AND e.delivered
+       )
+     UNION
+     SELECT t.id, t.outbound_tracking, 'outbound', COALESCE(t.outbound_carrier, 'royal_mail')
+     FROM trades t
+     WHERE t.status = 'shipped_to_buyer' AND t.outbound_tracking IS NOT NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM tracking_events e
+         WHERE e.trade_id = t.id AND e.tracking_number = t.outbound_tracking AND e.delivered
+       )
+     ORDER BY trade_id`
+  );
+  return result.rows;
+}
+
+// Store the scans we haven't seen before and return them
+async function recordTrackingEvents(db, { trade_id: tradeId, tracking_number: trackingNumber, direction, carrier }, events) {
+  if (events.length === 0) return [];
+  const result = await db.query(
+    `INSERT INTO tracking_events (trade_id, tracking_number, direction, carrier, event_code, description, location, delivered, occurred_at)
+     SELECT $1, $2, $3, $9, e.event_code, e.description, e.location, e.delivered, e.occurred_at
+     FROM unnest($4::varchar[], $5::text[], $6::varchar[], $7::boolean[], $8::timestamptz[])
+       AS e(event_code, description, location, delivered, occurred_at)
+     ON CONFLICT (trade_id, tracking_number, event_code, occurred_at) DO NOTHING
+     RETURNING event_code, description, location, delivered, occurred_at`,
+    [
+      tradeId, trackingNumber, direction,
+      events.map(e => e.event_code),
+      events.map(e => e.description),
+      events.map(e => e.location),
+      events.map(e => e.delivered),
+      events.map(e => e.occurred_at),
+      carrier,
+    ]
+  );
+  return result.rows;
+}
+
+// True when every card in the trade was posted with a tracking number that
+// has since been delivered. Cards posted without tracking have to be
+// marked received by hand (PUT /api/admin/trades/:id/received).
+async function allInboundDelivered(db, tradeId) {
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS undelivered FROM trade_items ti
+     WHERE ti.trade_id = $1 AND NOT EXISTS (
+       SELECT 1 FROM tracking_events e
+       WHERE e.trade_id = ti.trade_id AND e.tracking_number = ti.tracking_number
+         AND e.direction = 'inbound' AND e.delivered
+     )`,
+    [tradeId]
+  );
+  return result.rows[0].undelivered === 0;
+}
+
+// The notification both parties get when a parcel in their trade is delivered
+function buildDeliveryNotice({ tradeId, direction, carrier = 'Royal Mail', trackingNumber, location = null, received = false }) {
+  const where = location ? ` (${location})` : '';
+  if (direction === 'outbound') {
+    return {
+      title: `📦 Trade #${tradeId} has been delivered`,
+      body: `${carrier} delivered ${trackingNumber}${where}. Once the cards are in hand, confirm receipt to complete the trade.`,
+    };
+  }
+  return {
+    title: `📬 Cards for trade #${tradeId} reached HoloSwap`,
+    body: `${carrier} delivered ${trackingNumber}${where}. ${received
+      ? "Everything's arrived — we'll check the cards over next."
+      : "We're still waiting on the rest of the trade's cards."}`,
+  };
+}
+
+module.exports = {
+  loadOpenShipments,
+  recordTrackingEvents,
+  allInboundDelivered,
+  buildDeliveryNotice,
+};
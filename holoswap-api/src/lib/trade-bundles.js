@@ -0,0 +1,237 @@
+// Multi-card trades: parsing offers, the card bookkeeping shared by the user
+// and admin trade routes, and pairing up two-way swap proposals.
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+const { INACTIVE_STATUSES } = require('./trade-state');
+
+const MAX_CARDS_PER_SIDE = 20;
+const CASH_PAYERS = ['buyer', 'seller'];
+
+// Correlated subquery listing a trade's cards — select it alongside `t.*`
+const TRADE_ITEMS_JSON = `(
+  SELECT COALESCE(json_agg(json_build_object(
+    'card_id', ic.id, 'owner_id', ti.owner_id,
+    'card_name', ic.card_name, 'card_set', ic.card_set, 'card_number', ic.card_number,
+    'rarity', ic.rarity, 'condition', ic.condition, 'image_url', ic.image_url,
+    'estimated_value', ic.estimated_value, 'status', ic.status,
+    'tracking_number', ti.tracking_number, 'shipped_at', ti.shipped_at
+  ) ORDER BY ti.id), '[]')
+  FROM trade_items ti JOIN cards ic ON ti.card_id = ic.id
+  WHERE ti.trade_id = t.id
+)`;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function toIdList(value, label) {
+  if (value == null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  const ids = list.map(v => parseInt(v, 10));
+  if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+    throw badRequest(`${label} must be card ids`);
+  }
+  return [...new Set(ids)];
+}
+
+// The cards named as failing verification when a trade is rejected, checked
+// against the trade's own cards. Null when none are named (they all failed).
+function parseFailedCards(value, tradeCardIds) {
+  if (value == null || (Array.isArray(value) && value.length === 0)) return null;
+  const ids = toIdList(value, 'card_ids');
+  const strays = ids.filter(id => !tradeCardIds.includes(id));
+  if (strays.length > 0) {
+    throw badRequest(`Card${strays.length === 1 ? '' : 's'} ${strays.join(', ')} ${strays.length === 1 ? "isn't" : "aren't"} in this trade`);
+  }
+  return ids;
+}
+
+// Normalise a POST /api/trades body. Accepts the old { card_id } shape as
+// well as { card_ids, offered_card_ids, cash_amount, cash_payer }.
+function parseOffer(body = {}) {
+  const requestedCardIds = toIdList(body.card_ids ?? body.card_id, 'card_ids');
+  const offeredCardIds = toIdList(body.offered_card_ids, 'offered_card_ids');
+
+  if (requestedCardIds.length === 0) {
+    throw badRequest('Pick at least one card to trade for');
+  }
+  if (requestedCardIds.length > MAX_CARDS_PER_SIDE || offeredCardIds.length > MAX_CARDS_PER_SIDE) {
+    throw badRequest(`A trade can hold at most ${MAX_CARDS_PER_SIDE} cards from each side`);
+  }
+  if (offeredCardIds.some(id => requestedCardIds.includes(id))) {
+    throw badRequest('A card can only be on one side of a trade');
+  }
+
+  const cashAmount = body.cash_amount == null || body.cash_amount === '' ? 0 : Number(body.cash_amount);
+  if (!Number.isFinite(cashAmount) || cashAmount < 0) {
+    throw badRequest('Invalid cash amount');
+  }
+
+  let cashPayer = null;
+  if (cashAmount > 0) {
+    cashPayer = body.cash_payer || 'buyer';
+    if (!CASH_PAYERS.includes(cashPayer)) {
+      throw badRequest(`cash_payer must be one of: ${CASH_PAYERS.join(', ')}`);
+    }
+  }
+
+  return {
+    requestedCardIds,
+    offeredCardIds,
+    cashAmount: Math.round(cashAmount * 100) / 100,
+    cashPayer,
+  };
+}
+
+// Group /matches rows (their cards I want) and /selling rows (my cards they
+// want) by counterparty. Anyone on both sides gets a swap proposal, with the
+// cash needed to even up the estimated values.
+function buildSwapProposals(theirCardsIWant, myCardsTheyWant) {
+  const byUser = new Map();
+  const entry = (userId, name, city) => {
+    if (!byUser.has(userId)) {
+      byUser.set(userId, { user_id: userId, display_name: name, city, their_cards: new Map(), your_cards: new Map() });
+    }
+    return byUser.get(userId);
+  };
+
+  for (const row of theirCardsIWant) {
+    entry(row.seller_id, row.seller_name, row.seller_city).their_cards.set(row.card_id, row);
+  }
+  for (const row of myCardsTheyWant) {
+    entry(row.buyer_id, row.buyer_name, row.buyer_city).your_cards.set(row.card_id, row);
+  }
+
+  const value = cards => cards.reduce((sum, c) => sum + (parseFloat(c.estimated_value) || 0), 0);
+  const round = n => Math.round(n * 100) / 100;
+
+  return [...byUser.values()]
+    .filter(u => u.their_cards.size > 0 && u.your_cards.size > 0)
+    .map(u => {
+      const theirCards = [...u.their_cards.values()];
+      const yourCards = [...u.your_cards.values()];
+      const theirValue = round(value(theirCards));
+      const yourValue = round(value(yourCards));
+      const difference = round(theirValue - yourValue);
+
+      return {
+        user_id: u.user_id,
+        display_name: u.display_name,
+        city: u.city,
+        their_cards: theirCards,
+        your_cards: yourCards,
+        their_value: theirValue,
+        your_value: yourValue,
+        // Positive balance: you'd add cash; negative: they would
+        suggested_cash: {
+          amount: Math.abs(difference),
+          payer: difference > 0 ? 'you' : difference < 0 ? 'them' : null,
+        },
+      };
+    })
+    .sort((a, b) =>
+      (b.their_cards.length + b.your_cards.length) - (a.their_cards.length + a.your_cards.length)
+      || a.suggested_cash.amount - b.suggested_cash.amount
+    );
+}
+
+// Which of `cardIds` are already tied up in a trade that's still going
+async function findCardsInActiveTrades(db, cardIds) {
+  const result = await db.query(
+    `SELECT DISTINCT ti.card_id
+     FROM trade_items ti
+     JOIN trades t ON ti.trade_id = t.id
+     WHERE ti.card_id = ANY($1) AND t.status <> ALL($2)`,
+    [cardIds, INACTIVE_STATUSES]
+  );
+  return result.rows.map(r => r.card_id);
+}
+
+async function insertTradeItems(db, tradeId, ownerId, cardIds) {
+  for (const cardId of cardIds) {
+    await db.query(
+      'INSERT INTO trade_items (trade_id, card_id, owner_id) VALUES ($1, $2, $3)',
+      [tradeId, cardId, ownerId]
+    );
+  }
+}
+
+// Set the status of every card in a trade, or just `cardIds` when given
+async function setTradeCardStatus(db, tradeId, status, { cardIds = null } = {}) {
+  const params = [status, tradeId];
+  let only = '';
+  if (cardIds) {
+    params.push(cardIds);
+    only = `AND ti.card_id = ANY($${params.length})`;
+  }
+
+  await db.query(
+    `UPDATE cards c SET status = $1, updated_at = NOW()
+     FROM trade_items ti
+     WHERE ti.card_id = c.id AND ti.trade_id = $2 ${only}`,
+    params
+  );
+}
+
+// After a cancellation, anything already posted to HoloSwap goes back to its owner
+async function returnPostedCards(db, tradeId) {
+  await db.query(
+    `UPDATE cards c SET status = 'returned', updated_at = NOW()
+     FROM trade_items ti
+     WHERE ti.card_id = c.id AND ti.trade_id = $1 AND ti.shipped_at IS NOT NULL`,
+    [tradeId]
+  );
+}
+
+// Each side now wants fewer of the cards they've just received: a want
+// (set-wide ones included) that takes the printing received is counted down
+// by the copies received and removed once it's filled
+async function clearFulfilledWants(db, trade) {
+  await db.query(
+    `WITH received AS (
+       SELECT w.id, SUM(c.quantity)::int AS copies
+       FROM want_list w
+       JOIN trade_items ti ON ti.trade_id = $1
+       JOIN cards c ON c.id = ti.card_id
+       LEFT JOIN card_index ci ON ci.id = c.card_index_id
+       WHERE w.user_id = CASE WHEN ti.owner_id = $2 THEN $3::int ELSE $2::int END
+         AND (w.card_index_id = c.card_index_id
+           OR (LOWER(w.card_set) = LOWER(c.card_set) AND w.card_number = c.card_number)
+           OR (w.card_number IS NULL AND w.set_id = ci.set_id AND LOWER(w.card_name) = LOWER(c.card_name)))
+         AND (w.variants IS NULL OR c.variant = ANY(w.variants))
+       GROUP BY w.id
+     ),
+     fulfilled AS (
+       DELETE FROM want_list w USING received r
+       WHERE w.id = r.id AND w.quantity <= r.copies
+       RETURNING w.id
+     )
+     UPDATE want_list w SET quantity = w.quantity - r.copies
+     FROM received r
+     WHERE w.id = r.id AND w.quantity > r.copies`,
+    [trade.id, trade.seller_id, trade.buyer_id]
+  );
+}
+
+// The steps behind every move to complete: each card has changed hands, and
+// each side wants fewer of what they received
+async function settleCompletedTrade(db, trade) {
+  await setTradeCardStatus(db, trade.id, 'traded');
+  await clearFulfilledWants(db, trade);
+}
+
+module.exports = {
+  MAX_CARDS_PER_SIDE,
+  TRADE_ITEMS_JSON,
+  parseOffer,
+  parseFailedCards,
+  buildSwapProposals,
+  findCardsInActiveTrades,
+  insertTradeItems,
+  setTradeCardStatus,
+  returnPostedCards,
+  clearFulfilledWants,
+  settleCompletedTrade,
+};
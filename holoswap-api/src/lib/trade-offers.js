@@ -0,0 +1,152 @@
+// Offers and counter-offers on a trade. An offer's amount is the cash the
+// buyer pays the seller; while a trade is 'requested' either side can make a
+// new offer, which replaces the one pending. Accepting an offer sets
+// trades.agreed_price and moves the trade to 'accepted'.
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+const { applyTransition } = require('./trade-state');
+
+const DEFAULT_OFFER_HOURS = 48;
+const MAX_OFFER_HOURS = 7 * 24;
+
+function offerError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Validate { amount, message, expires_in_hours } from a request body
+function parseOfferInput(body = {}) {
+  const amount = Number(body.amount);
+  if (body.amount == null || body.amount === '' || !Number.isFinite(amount) || amount < 0) {
+    throw offerError('Invalid offer amount');
+  }
+
+  const hours = body.expires_in_hours == null ? DEFAULT_OFFER_HOURS : Number(body.expires_in_hours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_OFFER_HOURS) {
+    throw offerError(`Offers can stay open for up to ${MAX_OFFER_HOURS} hours`);
+  }
+
+  const message = typeof body.message === 'string' && body.message.trim() ? body.message.trim() : null;
+
+  return { amount: Math.round(amount * 100) / 100, message, expiresInHours: hours };
+}
+
+function offerExpiry(hours, now = new Date()) {
+  return new Date(now.getTime() + hours * 60 * 60 * 1000);
+}
+
+// Why `userId` can't accept or decline `offer`, or null if they can
+function offerResponseError(offer, userId, now = new Date()) {
+  if (offer.from_user_id === userId) return "You can't respond to your own offer";
+  if (offer.status !== 'pending') return `This offer has already been ${offer.status}`;
+  if (new Date(offer.expires_at) <= now) return 'This offer has expired';
+  return null;
+}
+
+// What the trade is worth: the agreed price once there is one, otherwise the
+// price recorded at payment (null if neither is known yet)
+function tradeValue(trade) {
+  const value = trade.agreed_price ?? trade.price;
+  return value == null ? null : parseFloat(value);
+}
+
+// What HoloSwap owes the seller once the buyer has paid
+function sellerPayout(trade) {
+  const value = tradeValue(trade);
+  if (value === null) return null;
+  return Math.round((value - (parseFloat(trade.holoswap_fee) || 0)) * 100) / 100;
+}
+
+// What a dispute refunds unless the admin says otherwise: the trade value, or
+// for a bundle with no price the cash the buyer put in (null if neither)
+function defaultRefund(trade) {
+  const value = tradeValue(trade);
+  if (value !== null) return value;
+  const cash = parseFloat(trade.cash_amount) || 0;
+  return cash > 0 && trade.cash_payer_id === trade.buyer_id ? cash : null;
+}
+
+async function expireStaleOffers(db, tradeId) {
+  await db.query(
+    `UPDATE trade_offers SET status = 'expired'
+     WHERE trade_id = $1 AND status = 'pending' AND expires_at <= NOW()`,
+    [tradeId]
+  );
+}
+
+async function findPendingOffer(db, tradeId) {
+  await expireStaleOffers(db, tradeId);
+  const result = await db.query(
+    "SELECT * FROM trade_offers WHERE trade_id = $1 AND status = 'pending'",
+    [tradeId]
+  );
+  return result.rows[0] || null;
+}
+
+// A new offer closes the pending one — 'countered' if it came from the other
+// side, 'withdrawn' if its author is replacing it
+async function supersedePendingOffer(db, tradeId, byUserId) {
+  await db.query(
+    `UPDATE trade_offers
+     SET status = CASE WHEN from_user_id = $2 THEN 'withdrawn' ELSE 'countered' END, responded_at = NOW()
+     WHERE trade_id = $1 AND status = 'pending'`,
+    [tradeId, byUserId]
+  );
+}
+
+// The trade was declined or cancelled with an offer still open
+async function withdrawPendingOffers(db, tradeId) {
+  await db.query(
+    "UPDATE trade_offers SET status = 'withdrawn', responded_at = NOW() WHERE trade_id = $1 AND status = 'pending'",
+    [tradeId]
+  );
+}
+
+async function createOffer(db, { tradeId, fromUserId, amount, message = null, expiresAt }) {
+  await expireStaleOffers(db, tradeId);
+  await supersedePendingOffer(db, tradeId, fromUserId);
+
+  try {
+    const result = await db.query(
+      `INSERT INTO trade_offers (trade_id, from_user_id, amount, message, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [tradeId, fromUserId, amount, message, expiresAt]
+    );
+    return result.rows[0];
+  } catch (err) {
+    // The one-pending-offer index lost a race with the other party
+    if (err.code === '23505') throw offerError('The other side has just made an offer — refresh and try again', 409);
+    throw err;
+  }
+}
+
+// Agree the trade at `offer`'s amount. Callers check offerResponseError first.
+async function acceptOffer(db, trade, offer, actorId) {
+  await db.query(
+    "UPDATE trade_offers SET status = 'accepted', responded_at = NOW() WHERE id = $1",
+    [offer.id]
+  );
+  return applyTransition(db, trade, 'accepted', {
+    actorId,
+    notes: `Agreed price £${parseFloat(offer.amount).toFixed(2)}`,
+    fields: { agreed_price: offer.amount },
+  });
+}
+
+module.exports = {
+  DEFAULT_OFFER_HOURS,
+  MAX_OFFER_HOURS,
+  parseOfferInput,
+  offerExpiry,
+  offerResponseError,
+  tradeValue,
+  sellerPayout,
+  defaultRefund,
+  expireStaleOffers,
+  findPendingOffer,
+  withdrawPendingOffers,
+  createOffer,
+  acceptOffer,
+};
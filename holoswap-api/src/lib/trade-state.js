@@ -0,0 +1,149 @@
+// Trade state machine — the single source of truth for which status changes
+// are allowed. Both /api/trades (buyer/seller) and /api/admin/trades route
+// every status change through applyTransition(), which also writes the
+// trade_events row behind GET /api/trades/:id/timeline.
+//
+//   requested → accepted → shipped → received → verified → payment_received
+//     → processed → shipped_to_buyer → complete
+//
+// plus the dead ends: declined (seller says no), rejected (failed
+// verification) and cancelled. Once the buyer has the card either party can
+// raise a dispute (→ disputed), which an admin resolves to refunded or back
+// to complete.
+
+const TRANSITIONS = {
+  requested:        ['accepted', 'declined', 'cancelled'],
+  accepted:         ['shipped', 'cancelled'],
+  shipped:          ['received', 'cancelled'],
+  received:         ['verified', 'rejected', 'cancelled'],
+  verified:         ['payment_received', 'cancelled'],
+  payment_received: ['processed', 'cancelled'],
+  processed:        ['shipped_to_buyer', 'cancelled'],
+  shipped_to_buyer: ['complete', 'disputed'],
+  complete:         ['disputed'],
+  disputed:         ['complete', 'refunded'],
+  refunded:         [],
+  declined:         [],
+  rejected:         [],
+  cancelled:        [],
+};
+
+const TRADE_STATUSES = Object.keys(TRANSITIONS);
+
+// Trades in these states no longer hold the card — it can be traded again
+const INACTIVE_STATUSES = ['declined', 'rejected', 'cancelled'];
+
+// Nothing further can happen to a trade in these states (bar a dispute on a complete one)
+const FINAL_STATUSES = ['complete', 'refunded', ...INACTIVE_STATUSES];
+
+// Buyer and seller can only back out before the card is in the post; after
+// that HoloSwap has to cancel (and return the card) on their behalf
+const PARTY_CANCELLABLE_STATUSES = ['requested', 'accepted'];
+
+// Completed trades can be disputed for this long after completion
+const DISPUTE_WINDOW_DAYS = 14;
+
+// How each dispute outcome leaves the trade. A 'return' refunds the buyer
+// once the card is posted back to HoloSwap.
+const DISPUTE_OUTCOMES = {
+  refund: 'refunded',
+  return: 'refunded',
+  dismissed: 'complete',
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function canCancel(status, { isAdmin = false } = {}) {
+  if (!canTransition(status, 'cancelled')) return false;
+  return isAdmin || PARTY_CANCELLABLE_STATUSES.includes(status);
+}
+
+// Why the buyer or seller can't cancel a trade in `status` themselves, or null if they can
+function partyCancelRefusal(status) {
+  if (canCancel(status)) return null;
+  return canTransition(status, 'cancelled')
+    ? 'The card is already on its way — contact HoloSwap to cancel this trade'
+    : `A ${status} trade can't be cancelled`;
+}
+
+// completedAt is when the trade reached 'complete' (null if it hasn't)
+function canOpenDispute(status, completedAt, now = new Date()) {
+  if (status === 'shipped_to_buyer') return true;
+  if (status !== 'complete' || !completedAt) return false;
+  const ageMs = now.getTime() - new Date(completedAt).getTime();
+  return ageMs <= DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+}
+
+function assertTransition(from, to) {
+  if (!TRANSITIONS[to]) {
+    const err = new Error(`Unknown trade status "${to}"`);
+    err.status = 400;
+    throw err;
+  }
+  if (!canTransition(from, to)) {
+    const err = new Error(`Can't move a trade from ${from} to ${to}`);
+    err.status = 409;
+    throw err;
+  }
+}
+
+// Move `trade` (a full trades row) to `to`, optionally updating other columns
+// in the same statement, and log it to trade_events. actorId is the user who
+// made the change (null for system jobs). The WHERE on the current status
+// guards against two requests racing on the same trade. `db` is a pool or
+// transaction client.
+async function applyTransition(db, trade, to, { actorId = null, notes = null, fields = {} } = {}) {
+  assertTransition(trade.status, to);
+
+  const columns = Object.keys(fields);
+  const sets = ['status = $1', 'updated_at = NOW()', ...columns.map((col, i) => `${col} = $${i + 6}`)];
+
+  // Update and event insert share one statement so the log can't drift from the trade
+  const result = await db.query(
+    `WITH updated AS (
+       UPDATE trades SET ${sets.join(', ')} WHERE id = $2 AND status = $3 RETURNING *
+     ), event AS (
+       INSERT INTO trade_events (trade_id, actor_id, from_status, to_status, notes)
+       SELECT id, $4, $3, $1, $5 FROM updated
+     )
+     SELECT * FROM updated`,
+    [to, trade.id, trade.status, actorId, notes, ...columns.map(col => fields[col])]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('Trade was updated by someone else — refresh and try again');
+    err.status = 409;
+    throw err;
+  }
+
+  return result.rows[0];
+}
+
+// Log something that happened to a trade without a status change (or the
+// initial request, where fromStatus is null)
+async function recordTradeEvent(db, { tradeId, actorId = null, fromStatus = null, toStatus, notes = null }) {
+  await db.query(
+    `INSERT INTO trade_events (trade_id, actor_id, from_status, to_status, notes)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [tradeId, actorId, fromStatus, toStatus, notes]
+  );
+}
+
+module.exports = {
+  TRANSITIONS,
+  TRADE_STATUSES,
+  INACTIVE_STATUSES,
+  FINAL_STATUSES,
+  PARTY_CANCELLABLE_STATUSES,
+  DISPUTE_WINDOW_DAYS,
+  DISPUTE_OUTCOMES,
+  canTransition,
+  canCancel,
+  partyCancelRefusal,
+  canOpenDispute,
+  assertTransition,
+  applyTransition,
+  recordTradeEvent,
+};
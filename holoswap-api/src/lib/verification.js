@@ -0,0 +1,98 @@
+// Card inspection checklist recorded by admins at verification. Every check
+// is pass/fail with optional notes; a report passes only if all of them do.
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+const { FINAL_STATUSES } = require('./trade-state');
+
+const CHECKLIST = [
+  { key: 'centering', label: 'Centering' },
+  { key: 'surface', label: 'Surface' },
+  { key: 'edges', label: 'Edges' },
+  { key: 'corners', label: 'Corners' },
+  { key: 'authenticity', label: 'Authenticity markers' },
+];
+
+const MAX_NOTES_LENGTH = 1000;
+
+function checklistError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function cleanNotes(notes) {
+  if (notes == null) return null;
+  if (typeof notes !== 'string') throw checklistError('Notes must be text');
+  const trimmed = notes.trim();
+  if (trimmed.length > MAX_NOTES_LENGTH) throw checklistError(`Notes can be up to ${MAX_NOTES_LENGTH} characters`);
+  return trimmed || null;
+}
+
+// Validate { centering: { pass, notes }, surface: ..., ... } — every check is required
+function parseChecklist(checks) {
+  if (!checks || typeof checks !== 'object' || Array.isArray(checks)) {
+    throw checklistError(`checks must cover ${CHECKLIST.map(c => c.key).join(', ')}`);
+  }
+
+  const parsed = {};
+  for (const { key, label } of CHECKLIST) {
+    const check = checks[key];
+    if (!check || typeof check.pass !== 'boolean') {
+      throw checklistError(`${label}: pass must be true or false`);
+    }
+    parsed[key] = { pass: check.pass, notes: cleanNotes(check.notes) };
+  }
+  return parsed;
+}
+
+function checklistResult(checks) {
+  return CHECKLIST.every(({ key }) => checks[key]?.pass) ? 'pass' : 'fail';
+}
+
+// Checks as a labelled list, in checklist order, for display
+function describeChecklist(checks) {
+  return CHECKLIST.map(({ key, label }) => ({
+    key,
+    label,
+    pass: checks[key]?.pass ?? null,
+    notes: checks[key]?.notes ?? null,
+  }));
+}
+
+// The open trade a card is in, if any — new reports are filed against it
+async function findOpenTradeForCard(db, cardId) {
+  const result = await db.query(
+    `SELECT t.id FROM trade_items ti
+     JOIN trades t ON ti.trade_id = t.id
+     WHERE ti.card_id = $1 AND t.status <> ALL($2)
+     ORDER BY t.created_at DESC
+     LIMIT 1`,
+    [cardId, FINAL_STATUSES]
+  );
+  return result.rows[0]?.id ?? null;
+}
+
+// The latest report for each card on a trade
+async function findTradeReports(db, tradeId) {
+  const result = await db.query(
+    `SELECT DISTINCT ON (v.card_id) v.id, v.card_id, c.card_name, c.card_set, c.card_number,
+       v.result, v.checks, v.notes, v.scan_front, v.scan_back, v.created_at
+     FROM card_verifications v
+     JOIN trade_items ti ON ti.card_id = v.card_id AND ti.trade_id = v.trade_id
+     JOIN cards c ON v.card_id = c.id
+     WHERE v.trade_id = $1
+     ORDER BY v.card_id, v.created_at DESC`,
+    [tradeId]
+  );
+  return result.rows.map(r => ({ ...r, checks: describeChecklist(r.checks) }));
+}
+
+module.exports = {
+  CHECKLIST,
+  parseChecklist,
+  checklistResult,
+  describeChecklist,
+  cleanNotes,
+  findOpenTradeForCard,
+  findTradeReports,
+};
@@ -0,0 +1,210 @@
+// Want-list entries behind /api/wants. A want is linked to the card_index card
+// it's for, or — with a set and a name but no number — is a set-wide "any
+// printing" want that any card of that name in the set satisfies (see
+// wantMatchesCard in lib/matching.js). Free-text wants for cards the index
+// doesn't know still work as before. Each want also has:
+//
+//   priority   high, normal or low; the want list is sorted by it
+//   variants   the printings that will do, or null for any
+//   quantity   how many copies are wanted; completed trades count it down
+//   max_price  the most the collector will pay. A want linked to a card gets a
+//              'below' price alert on their watchlist, so the price monitor
+//              tells them when the market drops under it (syncMaxPriceAlert)
+//
+// DB helpers take `db` (a pool or transaction client) like trade-state.js.
+
+const { CONDITIONS, normaliseCondition } = require('./conditions');
+const { VARIANTS, normaliseVariant, normaliseCardNumber, loadSetIndex, resolveSetId } = require('./matching');
+const { parseQuantity, findCardIndexEntry } = require('./inventory');
+
+// Highest first — the order the want list is sorted in
+const WANT_PRIORITIES = ['high', 'normal', 'low'];
+
+function wantError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Acceptable printings from `variants` (a list) or the older single `variant`.
+// Null — nothing, or every printing there is — means any printing.
+function parseVariants(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  const variants = [];
+  for (const value of [].concat(raw)) {
+    const variant = normaliseVariant(value);
+    if (!variant) throw wantError(`Variant must be one of: ${VARIANTS.join(', ')}`);
+    if (!variants.includes(variant)) variants.push(variant);
+  }
+  return variants.length === 0 || variants.length === VARIANTS.length ? null : variants;
+}
+
+// The editable fields of a want from a request body. With `partial` (PUT)
+// only the fields sent come back; otherwise missing ones get their defaults.
+function parseWantFields(body, { partial = false } = {}) {
+  const sent = key => body[key] !== undefined;
+  const fields = {};
+
+  if (!partial || sent('priority')) {
+    const priority = String(body.priority ?? 'normal').toLowerCase();
+    if (!WANT_PRIORITIES.includes(priority)) {
+      throw wantError(`Priority must be one of: ${WANT_PRIORITIES.join(', ')}`);
+    }
+    fields.priority = priority;
+  }
+
+  if (!partial || sent('min_condition')) {
+    const minCondition = normaliseCondition(body.min_condition || 'MP');
+    if (!minCondition) throw wantError(`Minimum condition must be one of: ${CONDITIONS.join(', ')}`);
+    fields.min_condition = minCondition;
+  }
+
+  if (!partial || sent('variants') || sent('variant')) {
+    fields.variants = parseVariants(sent('variants') ? body.variants : body.variant);
+  }
+
+  if (!partial || sent('quantity')) fields.quantity = parseQuantity(body.quantity ?? 1);
+
+  if (!partial || sent('max_price')) {
+    if (body.max_price === null || body.max_price === undefined || body.max_price === '') {
+      fields.max_price = null;
+    } else {
+      const maxPrice = Number(body.max_price);
+      if (!Number.isFinite(maxPrice) || maxPrice <= 0) throw wantError('Max price must be an amount above 0');
+      fields.max_price = Math.round(maxPrice * 100) / 100;
+    }
+  }
+
+  if (!partial || sent('notes')) fields.notes = body.notes || null;
+
+  return fields;
+}
+
+// What a new want is for. card_index_id links it outright; a set and number
+// link it when they pick out one catalogue card; a set without a number makes
+// it set-wide. Anything the collector typed is kept over the catalogue's text.
+async function resolveWantCard(db, body) {
+  const { card_index_id: cardIndexId, card_name: cardName, card_set: cardSet, card_number: cardNumber, rarity } = body;
+
+  if (!cardIndexId && !cardName) throw wantError('Card name is required');
+
+  const entry = cardIndexId || cardNumber
+    ? await findCardIndexEntry(db, { card_index_id: cardIndexId, card_set: cardSet, card_number: cardNumber })
+    : null;
+  if (cardIndexId && !entry) throw wantError('Card not found in the card index', 404);
+
+  if (entry) {
+    return {
+      card_index_id: entry.id,
+      set_id: entry.set_id,
+      card_name: cardName || entry.name,
+      card_set: cardSet || entry.set_name,
+      card_number: cardNumber || entry.local_id,
+      rarity: rarity || entry.rarity,
+    };
+  }
+
+  return {
+    card_index_id: null,
+    set_id: cardSet ? resolveSetId(cardSet, await loadSetIndex(db)) : null,
+    card_name: cardName,
+    card_set: cardSet || null,
+    card_number: cardNumber || null,
+    rarity: rarity || null,
+  };
+}
+
+// Keep a want's max-price alert in step with the want: a linked want with a
+// max price has a 'below' alert on its owner's watchlist entry for the card
+// (added to the watchlist if need be); any other want has none. Deleting the
+// want deletes its alert; the watchlist entry stays.
+async function syncMaxPriceAlert(db, want) {
+  const card = want.max_price != null && want.card_index_id
+    ? (await db.query(
+      'SELECT name, set_id, set_name, local_id, image_url FROM card_index WHERE id = $1',
+      [want.card_index_id]
+    )).rows[0]
+    : null;
+
+  if (!card) {
+    await db.query('DELETE FROM price_alerts WHERE want_id = $1', [want.id]);
+    return null;
+  }
+
+  await db.query(
+    `INSERT INTO price_watchlist (user_id, set_id, card_number, card_name, set_name, image_url, product_type)
+     VALUES ($1, $2, $3, $4, $5, $6, 'card')
+     ON CONFLICT DO NOTHING`,
+    [want.user_id, card.set_id, card.local_id, card.name, card.set_name, card.image_url]
+  );
+  const watch = await db.query(
+    `SELECT id FROM price_watchlist
+     WHERE user_id = $1 AND set_id = $2 AND card_number = $3 AND product_type = 'card' AND grading_company IS NULL`,
+    [want.user_id, card.set_id, card.local_id]
+  );
+
+  const alert = await db.query(
+    `INSERT INTO price_alerts (user_id, watchlist_id, alert_type, threshold, want_id)
+     VALUES ($1, $2, 'below', $3, $4)
+     ON CONFLICT (want_id) DO UPDATE SET
+       watchlist_id = EXCLUDED.watchlist_id,
+       threshold = EXCLUDED.threshold,
+       is_active = TRUE
+     RETURNING *`,
+    [want.user_id, watch.rows[0].id, want.max_price, want.id]
+  );
+  return alert.rows[0];
+}
+
+// Link wants that have no card_index_id yet, from their set and number, and
+// record the set of any want whose set is known. Run by migration 020; wants
+// added since are linked as they're saved.
+async function backfillWantLinks(db) {
+  const unlinked = await db.query(
+    'SELECT id, card_set, card_number FROM want_list WHERE card_index_id IS NULL AND card_set IS NOT NULL'
+  );
+  if (unlinked.rows.length === 0) return 0;
+
+  const setIndex = await loadSetIndex(db);
+  const located = unlinked.rows
+    .map(want => ({ id: want.id, setId: resolveSetId(want.card_set, setIndex), number: normaliseCardNumber(want.card_number) }))
+    .filter(want => want.setId);
+  if (located.length === 0) return 0;
+
+  const ids = located.map(w => w.id);
+  const setIds = located.map(w => w.setId);
+  await db.query(
+    `UPDATE want_list w SET set_id = u.set_id
+     FROM unnest($1::int[], $2::text[]) AS u(want_id, set_id)
+     WHERE w.id = u.want_id`,
+    [ids, setIds]
+  );
+
+  // As with cards, only link where the set and number pick out one catalogue card
+  const result = await db.query(
+    `UPDATE want_list w SET card_index_id = m.card_index_id
+     FROM (
+       SELECT u.want_id, MIN(ci.id) AS card_index_id
+       FROM unnest($1::int[], $2::text[], $3::text[]) AS u(want_id, set_id, number)
+       JOIN card_index ci ON ci.set_id = u.set_id
+         AND regexp_replace(UPPER(ci.local_id), '(^|[^0-9])0+([0-9])', '\\1\\2', 'g') = u.number
+       GROUP BY u.want_id
+       HAVING COUNT(*) = 1
+     ) m
+     WHERE w.id = m.want_id`,
+    [ids, setIds, located.map(w => w.number)]
+  );
+  if (result.rowCount > 0) {
+    console.log(`   🔄 Linked ${result.rowCount} wants to card_index`);
+  }
+  return result.rowCount;
+}
+
+module.exports = {
+  WANT_PRIORITIES,
+  parseVariants,
+  parseWantFields,
+  resolveWantCard,
+  syncMaxPriceAlert,
+  backfillWantLinks,
+};
@@ -0,0 +1,13 @@
+// One-off card_index backfills from the PokePulse catalogue cache.
+// import-cards.js re-runs the same backfills after each rebuild via
+// backfill-card-index.js, so this only needs to run once per database.
+const { backfillCardIndex } = require('../lib/card-index-backfill');
+
+async function up(client) {
+  await backfillCardIndex(client);
+}
+
+// Data-only migration — the backfilled values are left in place.
+async function down() {}
+
+module.exports = { up, down };
@@ -0,0 +1,49 @@
+// Trades were read and written by routes/trades.js and the admin trade
+// endpoints but never created by a migration. Allowed status values and
+// transitions live in lib/trade-state.js.
+//
+// A trade is the record of what changed hands and what was paid, so its card
+// can't be deleted out from under it (ON DELETE RESTRICT). DELETE /api/cards/:id
+// clears away dead trades itself and refuses while a finished one remains.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS trades (
+      id                SERIAL PRIMARY KEY,
+      seller_id         INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      buyer_id          INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      card_id           INTEGER NOT NULL REFERENCES cards(id) ON DELETE RESTRICT,
+      status            VARCHAR(30) NOT NULL DEFAULT 'requested',
+      tracking_number   VARCHAR(100),
+      outbound_tracking VARCHAR(100),
+      price             DECIMAL(10,2),
+      holoswap_fee      DECIMAL(10,2),
+      payment_status    VARCHAR(20) DEFAULT 'unpaid',
+      payment_method    VARCHAR(50),
+      payment_id        VARCHAR(255),
+      seller_paid       BOOLEAN DEFAULT FALSE,
+      notes             TEXT,
+      created_at        TIMESTAMPTZ DEFAULT NOW(),
+      updated_at        TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trades_seller ON trades(seller_id);
+    CREATE INDEX IF NOT EXISTS idx_trades_buyer ON trades(buyer_id);
+    CREATE INDEX IF NOT EXISTS idx_trades_card ON trades(card_id);
+    CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status);
+
+    -- Tables that predate the runner were created with ON DELETE CASCADE
+    ALTER TABLE trades DROP CONSTRAINT IF EXISTS trades_card_id_fkey;
+    ALTER TABLE trades ADD CONSTRAINT trades_card_id_fkey
+      FOREIGN KEY (card_id) REFERENCES cards(id) ON DELETE RESTRICT;
+
+    -- 'dispatched' was the old name for shipped_to_buyer
+    UPDATE trades SET status = 'shipped_to_buyer' WHERE status = 'dispatched';
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS trades');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Audit log of trade status changes, written by applyTransition() in
+// lib/trade-state.js and read by GET /api/trades/:id/timeline.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS trade_events (
+      id            SERIAL PRIMARY KEY,
+      trade_id      INTEGER NOT NULL REFERENCES trades(id) ON DELETE CASCADE,
+      actor_id      INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      from_status   VARCHAR(30),
+      to_status     VARCHAR(30) NOT NULL,
+      notes         TEXT,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trade_events_trade ON trade_events(trade_id, created_at);
+
+    -- Best-effort history for trades that predate the log: when they were
+    -- requested, and when they reached their current status
+    INSERT INTO trade_events (trade_id, actor_id, from_status, to_status, notes, created_at)
+    SELECT id, buyer_id, NULL, 'requested', 'Backfilled from trade record', created_at FROM trades;
+
+    INSERT INTO trade_events (trade_id, actor_id, from_status, to_status, notes, created_at)
+    SELECT id, NULL, NULL, status, 'Backfilled from trade record', updated_at FROM trades
+    WHERE status <> 'requested';
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS trade_events');
+}
+
+module.exports = { up, down };
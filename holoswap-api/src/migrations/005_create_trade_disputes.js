@@ -0,0 +1,46 @@
+// Disputes raised by a buyer or seller once the card is on its way to the
+// buyer, plus the evidence notes either side (or an admin) attaches.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS trade_disputes (
+      id                SERIAL PRIMARY KEY,
+      trade_id          INTEGER NOT NULL REFERENCES trades(id) ON DELETE CASCADE,
+      opened_by         INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      reason            TEXT NOT NULL,
+      status            VARCHAR(20) NOT NULL DEFAULT 'open',
+      outcome           VARCHAR(20),
+      refund_amount     DECIMAL(10,2),
+      resolution_notes  TEXT,
+      resolved_by       INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      resolved_at       TIMESTAMPTZ,
+      created_at        TIMESTAMPTZ DEFAULT NOW(),
+      updated_at        TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trade_disputes_trade ON trade_disputes(trade_id);
+    CREATE INDEX IF NOT EXISTS idx_trade_disputes_status ON trade_disputes(status);
+    -- At most one open dispute per trade
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_trade_disputes_one_open
+      ON trade_disputes(trade_id) WHERE status = 'open';
+
+    CREATE TABLE IF NOT EXISTS trade_dispute_evidence (
+      id            SERIAL PRIMARY KEY,
+      dispute_id    INTEGER NOT NULL REFERENCES trade_disputes(id) ON DELETE CASCADE,
+      user_id       INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      note          TEXT NOT NULL,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trade_dispute_evidence_dispute ON trade_dispute_evidence(dispute_id);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS trade_dispute_evidence;
+    DROP TABLE IF EXISTS trade_disputes;
+  `);
+}
+
+module.exports = { up, down };
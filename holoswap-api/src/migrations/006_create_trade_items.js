@@ -0,0 +1,45 @@
+// Trades can hold several cards from each side plus a cash balance.
+// trade_items lists every card in a trade and who it belongs to; trades.card_id
+// stays as the first card requested from the seller so existing joins keep working.
+// Whoever makes the offer is stored as buyer_id, the other party as seller_id.
+// Like trades.card_id, a card can't be deleted while a bundle lists it
+// (ON DELETE RESTRICT), so a finished bundle keeps every card it moved.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS trade_items (
+      id                SERIAL PRIMARY KEY,
+      trade_id          INTEGER NOT NULL REFERENCES trades(id) ON DELETE CASCADE,
+      card_id           INTEGER NOT NULL REFERENCES cards(id) ON DELETE RESTRICT,
+      owner_id          INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      tracking_number   VARCHAR(100),
+      shipped_at        TIMESTAMPTZ,
+      created_at        TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE(trade_id, card_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trade_items_card ON trade_items(card_id);
+
+    -- Cash on top of the cards; cash_payer_id is null when there's none
+    ALTER TABLE trades ADD COLUMN IF NOT EXISTS cash_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+    ALTER TABLE trades ADD COLUMN IF NOT EXISTS cash_payer_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+    -- Existing single-card trades become one-item bundles
+    INSERT INTO trade_items (trade_id, card_id, owner_id, tracking_number, shipped_at, created_at)
+    SELECT t.id, t.card_id, t.seller_id, t.tracking_number,
+      (SELECT MIN(e.created_at) FROM trade_events e WHERE e.trade_id = t.id AND e.to_status = 'shipped'),
+      t.created_at
+    FROM trades t
+    ON CONFLICT (trade_id, card_id) DO NOTHING;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS trade_items;
+    ALTER TABLE trades DROP COLUMN IF EXISTS cash_payer_id;
+    ALTER TABLE trades DROP COLUMN IF EXISTS cash_amount;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+// Price negotiation on trades. Each offer or counter-offer is a row in
+// trade_offers; only one can be pending per trade. Accepting one copies its
+// amount to trades.agreed_price, which shipping and the seller payout use.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS trade_offers (
+      id            SERIAL PRIMARY KEY,
+      trade_id      INTEGER NOT NULL REFERENCES trades(id) ON DELETE CASCADE,
+      from_user_id  INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      amount        DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+      message       TEXT,
+      status        VARCHAR(20) NOT NULL DEFAULT 'pending',
+      expires_at    TIMESTAMPTZ NOT NULL,
+      responded_at  TIMESTAMPTZ,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trade_offers_trade ON trade_offers(trade_id, created_at);
+    -- At most one offer awaiting a reply per trade
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_trade_offers_one_pending
+      ON trade_offers(trade_id) WHERE status = 'pending';
+
+    ALTER TABLE trades ADD COLUMN IF NOT EXISTS agreed_price DECIMAL(10,2);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS trade_offers;
+    ALTER TABLE trades DROP COLUMN IF EXISTS agreed_price;
+  `);
+}
+
+module.exports = { up, down };
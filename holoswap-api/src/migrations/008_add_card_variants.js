@@ -0,0 +1,24 @@
+// Variants (normal / holo / reverse / first_edition) on cards and wants, and
+// condition codes for want_list.min_condition — see lib/matching.js.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS variant VARCHAR(20);
+    ALTER TABLE want_list ADD COLUMN IF NOT EXISTS variant VARCHAR(20);
+
+    -- 'played' was the old free-text default; MP is what it meant
+    UPDATE want_list SET min_condition = 'MP' WHERE min_condition = 'played';
+    ALTER TABLE want_list ALTER COLUMN min_condition SET DEFAULT 'MP';
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE want_list ALTER COLUMN min_condition SET DEFAULT 'played';
+    UPDATE want_list SET min_condition = 'played' WHERE min_condition = 'MP';
+    ALTER TABLE want_list DROP COLUMN IF EXISTS variant;
+    ALTER TABLE cards DROP COLUMN IF EXISTS variant;
+  `);
+}
+
+module.exports = { up, down };
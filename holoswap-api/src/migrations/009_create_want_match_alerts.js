@@ -0,0 +1,32 @@
+// Alerts when a card on someone's want list is listed. Users opt in through
+// notification_settings.match_alerts ('off', 'instant' or 'digest');
+// want_match_alerts records each card a user has been told about (or is
+// waiting on a digest for) so re-listing a card doesn't alert them twice.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE notification_settings ADD COLUMN IF NOT EXISTS match_alerts VARCHAR(10) NOT NULL DEFAULT 'off';
+
+    CREATE TABLE IF NOT EXISTS want_match_alerts (
+      id            SERIAL PRIMARY KEY,
+      user_id       INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      card_id       INTEGER NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+      want_id       INTEGER REFERENCES want_list(id) ON DELETE SET NULL,
+      notified_at   TIMESTAMPTZ,
+      created_at    TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE(user_id, card_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_want_match_alerts_pending
+      ON want_match_alerts(user_id) WHERE notified_at IS NULL;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS want_match_alerts;
+    ALTER TABLE notification_settings DROP COLUMN IF EXISTS match_alerts;
+  `);
+}
+
+module.exports = { up, down };
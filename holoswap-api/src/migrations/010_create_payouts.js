@@ -0,0 +1,69 @@
+// Seller payout ledger. One payouts row per paid trade records what was paid,
+// the fee kept, how and when; payout_batches groups payouts sent together
+// (e.g. one bank run). trades.seller_paid is kept in step for older clients.
+//
+// trade_id is SET NULL rather than cascading: a trade still goes if either
+// party's account is deleted (trades.seller_id/buyer_id cascade), and money
+// already paid out has to stay in the ledger. description keeps a readable
+// record of what the payout was for.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS payout_batches (
+      id            SERIAL PRIMARY KEY,
+      method        VARCHAR(30) NOT NULL,
+      reference     VARCHAR(255),
+      notes         TEXT,
+      created_by    INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS payouts (
+      id            SERIAL PRIMARY KEY,
+      trade_id      INTEGER UNIQUE REFERENCES trades(id) ON DELETE SET NULL,
+      seller_id     INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      batch_id      INTEGER REFERENCES payout_batches(id) ON DELETE SET NULL,
+      description   VARCHAR(255),
+      gross_amount  DECIMAL(10,2) NOT NULL,
+      fee_amount    DECIMAL(10,2) NOT NULL DEFAULT 0,
+      net_amount    DECIMAL(10,2) NOT NULL,
+      method        VARCHAR(30) NOT NULL,
+      reference     VARCHAR(255),
+      notes         TEXT,
+      paid_by       INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      paid_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      created_at    TIMESTAMPTZ DEFAULT NOW(),
+      CHECK (net_amount = gross_amount - fee_amount)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_payouts_seller ON payouts(seller_id, paid_at);
+    CREATE INDEX IF NOT EXISTS idx_payouts_paid_at ON payouts(paid_at);
+    CREATE INDEX IF NOT EXISTS idx_payouts_batch ON payouts(batch_id);
+
+    -- Trades already marked paid get a ledger row so the books start complete
+    INSERT INTO payouts (trade_id, seller_id, description, gross_amount, fee_amount, net_amount, method, notes, paid_at)
+    SELECT t.id, t.seller_id, c.card_name,
+      COALESCE(t.agreed_price, t.price, 0),
+      COALESCE(t.holoswap_fee, 0),
+      COALESCE(t.agreed_price, t.price, 0) - COALESCE(t.holoswap_fee, 0),
+      'unknown',
+      'Recorded before the payout ledger existed',
+      COALESCE(
+        (SELECT MAX(e.created_at) FROM trade_events e WHERE e.trade_id = t.id AND e.notes LIKE 'Seller paid%'),
+        t.updated_at
+      )
+    FROM trades t
+    LEFT JOIN cards c ON t.card_id = c.id
+    WHERE t.seller_paid = true
+    ON CONFLICT (trade_id) DO NOTHING;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS payouts;
+    DROP TABLE IF EXISTS payout_batches;
+  `);
+}
+
+module.exports = { up, down };
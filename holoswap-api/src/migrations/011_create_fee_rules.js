@@ -0,0 +1,42 @@
+// Platform fee rules. Each rule covers a band of trade values
+// [min_value, max_value) and charges percent of the value, clamped to
+// min_fee / max_fee; pro_percent is the rate for is_pro sellers. The fee is
+// worked out at payment-received and stored on the trade with the rule and
+// rate used, so later rule changes never rewrite past trades.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS fee_rules (
+      id            SERIAL PRIMARY KEY,
+      name          VARCHAR(100) NOT NULL,
+      min_value     DECIMAL(10,2) NOT NULL DEFAULT 0,
+      max_value     DECIMAL(10,2),
+      percent       DECIMAL(5,2) NOT NULL CHECK (percent >= 0 AND percent <= 100),
+      pro_percent   DECIMAL(5,2) CHECK (pro_percent >= 0 AND pro_percent <= 100),
+      min_fee       DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (min_fee >= 0),
+      max_fee       DECIMAL(10,2) CHECK (max_fee >= min_fee),
+      active        BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at    TIMESTAMPTZ DEFAULT NOW(),
+      updated_at    TIMESTAMPTZ DEFAULT NOW(),
+      CHECK (max_value IS NULL OR max_value > min_value)
+    );
+
+    ALTER TABLE trades ADD COLUMN IF NOT EXISTS fee_rule_id INTEGER REFERENCES fee_rules(id) ON DELETE SET NULL;
+    ALTER TABLE trades ADD COLUMN IF NOT EXISTS fee_percent DECIMAL(5,2);
+
+    -- One catch-all rule to start from; admins add tiers through /api/admin/fee-rules
+    INSERT INTO fee_rules (name, min_value, percent, pro_percent, min_fee, max_fee)
+    SELECT 'Standard', 0, 8, 5, 0.50, 50
+    WHERE NOT EXISTS (SELECT 1 FROM fee_rules);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE trades DROP COLUMN IF EXISTS fee_percent;
+    ALTER TABLE trades DROP COLUMN IF EXISTS fee_rule_id;
+    DROP TABLE IF EXISTS fee_rules;
+  `);
+}
+
+module.exports = { up, down };
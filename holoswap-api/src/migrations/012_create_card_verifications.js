@@ -0,0 +1,30 @@
+// Inspection reports from card verification. checks holds the checklist
+// from lib/verification.js ({ centering: { pass, notes }, ... }); result is
+// 'pass' only if every check passed. The scans at the time are copied in so
+// a report still shows what was inspected if the card is re-scanned.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS card_verifications (
+      id            SERIAL PRIMARY KEY,
+      card_id       INTEGER NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+      trade_id      INTEGER REFERENCES trades(id) ON DELETE SET NULL,
+      inspected_by  INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      checks        JSONB NOT NULL,
+      result        VARCHAR(10) NOT NULL CHECK (result IN ('pass', 'fail')),
+      notes         TEXT,
+      scan_front    TEXT,
+      scan_back     TEXT,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_card_verifications_card ON card_verifications(card_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_card_verifications_trade ON card_verifications(trade_id);
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS card_verifications;');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+// Condition grading (see lib/conditions.js): cards get sub-grades and the
+// overall grade computed from them, and vendor buys record the condition
+// they were bought at. Free-text conditions already stored on cards and
+// seller items are rewritten to the short codes where they're recognisable;
+// anything else is left for an admin to regrade.
+
+const ALIASES = {
+  NM: ['nm', 'nearmint', 'mint', 'm'],
+  LP: ['lp', 'lightlyplayed', 'excellent', 'ex'],
+  MP: ['mp', 'moderatelyplayed', 'played', 'good', 'gd'],
+  HP: ['hp', 'heavilyplayed', 'poor'],
+  DMG: ['dmg', 'damaged'],
+};
+
+// CASE expression mapping recognisable free text in `column` to its code
+function normaliseSql(column) {
+  const key = `lower(regexp_replace(${column}, '[^A-Za-z]', '', 'g'))`;
+  const cases = Object.entries(ALIASES)
+    .map(([code, aliases]) => `WHEN ${key} IN (${aliases.map(a => `'${a}'`).join(', ')}) THEN '${code}'`);
+  return `CASE ${cases.join(' ')} ELSE ${column} END`;
+}
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS subgrades JSONB;
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS grade DECIMAL(3,1);
+    ALTER TABLE vending_lookups ADD COLUMN IF NOT EXISTS condition VARCHAR(10);
+
+    UPDATE cards SET condition = ${normaliseSql('condition')}
+    WHERE condition IS NOT NULL AND condition NOT IN ('NM', 'LP', 'MP', 'HP', 'DMG', 'unknown');
+
+    UPDATE seller_submission_items SET condition = ${normaliseSql('condition')}
+    WHERE condition IS NOT NULL AND condition NOT IN ('NM', 'LP', 'MP', 'HP', 'DMG');
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE vending_lookups DROP COLUMN IF EXISTS condition;
+    ALTER TABLE cards DROP COLUMN IF EXISTS grade;
+    ALTER TABLE cards DROP COLUMN IF EXISTS subgrades;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,61 @@
+// Graded slabs (see lib/grading.js). Cards record the grading company, slab
+// grade and cert number; watchlist entries can follow a graded product, so
+// the one-entry-per-card rule now includes the grading. Graded prices get
+// their own history keyed by product — market_price_history stays raw NM,
+// which vending analytics rely on.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS grading_company VARCHAR(10);
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS slab_grade DECIMAL(3,1);
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS cert_number VARCHAR(30);
+    ALTER TABLE cards ADD CONSTRAINT cards_slab_check
+      CHECK ((grading_company IS NULL) = (slab_grade IS NULL));
+    CREATE INDEX IF NOT EXISTS idx_cards_cert ON cards(grading_company, cert_number) WHERE cert_number IS NOT NULL;
+
+    ALTER TABLE price_watchlist ADD COLUMN IF NOT EXISTS grading_company VARCHAR(10);
+    ALTER TABLE price_watchlist ADD COLUMN IF NOT EXISTS slab_grade DECIMAL(3,1);
+    ALTER TABLE price_watchlist DROP CONSTRAINT IF EXISTS price_watchlist_user_id_set_id_card_number_key;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_pw_card_unique
+      ON price_watchlist(user_id, set_id, card_number, COALESCE(grading_company, ''), COALESCE(slab_grade, 0))
+      WHERE product_type = 'card';
+
+    CREATE TABLE IF NOT EXISTS graded_price_history (
+      id              SERIAL PRIMARY KEY,
+      product_id      VARCHAR(100) NOT NULL,
+      set_id          VARCHAR(50),
+      card_number     VARCHAR(50),
+      card_name       VARCHAR(255),
+      grading_company VARCHAR(10) NOT NULL,
+      slab_grade      DECIMAL(3,1) NOT NULL,
+      market_price    DECIMAL(10,2),
+      last_sold_price DECIMAL(10,2),
+      last_sold_date  TIMESTAMPTZ,
+      snapshot_date   DATE NOT NULL DEFAULT CURRENT_DATE,
+      created_at      TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE(product_id, snapshot_date)
+    );
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS graded_price_history;
+
+    -- Graded watchlist entries can't survive the old one-per-card constraint
+    DELETE FROM price_watchlist WHERE grading_company IS NOT NULL;
+    DROP INDEX IF EXISTS idx_pw_card_unique;
+    ALTER TABLE price_watchlist ADD CONSTRAINT price_watchlist_user_id_set_id_card_number_key
+      UNIQUE (user_id, set_id, card_number);
+    ALTER TABLE price_watchlist DROP COLUMN IF EXISTS slab_grade;
+    ALTER TABLE price_watchlist DROP COLUMN IF EXISTS grading_company;
+
+    DROP INDEX IF EXISTS idx_cards_cert;
+    ALTER TABLE cards DROP CONSTRAINT IF EXISTS cards_slab_check;
+    ALTER TABLE cards DROP COLUMN IF EXISTS cert_number;
+    ALTER TABLE cards DROP COLUMN IF EXISTS slab_grade;
+    ALTER TABLE cards DROP COLUMN IF EXISTS grading_company;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+// Collection valuation (see lib/portfolio.js). Cards get a purchase price so
+// the portfolio has a cost basis, and portfolio_snapshots keeps one row per
+// user per day of what the collection was worth, for the value-over-time chart.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS purchase_price DECIMAL(10,2);
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS purchased_at DATE;
+
+    CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+      id              SERIAL PRIMARY KEY,
+      user_id         INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      snapshot_date   DATE NOT NULL DEFAULT CURRENT_DATE,
+      card_count      INTEGER NOT NULL DEFAULT 0,
+      priced_count    INTEGER NOT NULL DEFAULT 0,
+      total_value     DECIMAL(12,2) NOT NULL DEFAULT 0,
+      cost_basis      DECIMAL(12,2) NOT NULL DEFAULT 0,
+      unrealised_gain DECIMAL(12,2) NOT NULL DEFAULT 0,
+      created_at      TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE(user_id, snapshot_date)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_portfolio_snapshots_user ON portfolio_snapshots(user_id, snapshot_date DESC);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS portfolio_snapshots;
+    ALTER TABLE cards DROP COLUMN IF EXISTS purchased_at;
+    ALTER TABLE cards DROP COLUMN IF EXISTS purchase_price;
+  `);
+}
+
+module.exports = { up, down };
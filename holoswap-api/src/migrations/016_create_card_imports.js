@@ -0,0 +1,30 @@
+// Bulk collection imports (see lib/card-import.js). An upload is resolved
+// into a preview that's stored here until the user commits it, so the rows
+// they review are exactly the rows that get added.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS card_imports (
+      id              SERIAL PRIMARY KEY,
+      user_id         INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      filename        VARCHAR(255),
+      layout          VARCHAR(30) NOT NULL,
+      status          VARCHAR(20) NOT NULL DEFAULT 'preview',
+      rows            JSONB NOT NULL,
+      counts          JSONB NOT NULL,
+      imported_count  INTEGER,
+      created_at      TIMESTAMPTZ DEFAULT NOW(),
+      committed_at    TIMESTAMPTZ
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_card_imports_user ON card_imports(user_id, created_at DESC);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS card_imports;
+  `);
+}
+
+module.exports = { up, down };
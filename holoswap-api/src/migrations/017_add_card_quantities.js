@@ -0,0 +1,32 @@
+// Quantity-aware inventory (see lib/inventory.js). A cards row can now stand
+// for a stack of identical copies still in the owner's hands, and is linked to
+// the catalogue card it's a copy of so duplicates can be counted.
+//
+// card_index_id has no foreign key: import-cards.js TRUNCATEs card_index on
+// every rebuild, and its ids (set_id-local_id) are stable across rebuilds.
+const { backfillCardIndexIds } = require('../lib/inventory');
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS quantity INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS card_index_id VARCHAR(50);
+
+    ALTER TABLE cards DROP CONSTRAINT IF EXISTS cards_quantity_check;
+    ALTER TABLE cards ADD CONSTRAINT cards_quantity_check CHECK (quantity > 0);
+
+    CREATE INDEX IF NOT EXISTS idx_cards_user_card_index ON cards(user_id, card_index_id);
+  `);
+
+  await backfillCardIndexIds(client);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_cards_user_card_index;
+    ALTER TABLE cards DROP CONSTRAINT IF EXISTS cards_quantity_check;
+    ALTER TABLE cards DROP COLUMN IF EXISTS card_index_id;
+    ALTER TABLE cards DROP COLUMN IF EXISTS quantity;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Sharing (see lib/sharing.js). Collectors can opt in to a public profile at
+// /u/<profile_slug>, and each binder is private, unlisted (anyone with its
+// share link) or public (also shown on the profile). share_token is the
+// binder's link, so unlisted binders can't be found by walking ids.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_slug VARCHAR(30);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_public BOOLEAN NOT NULL DEFAULT FALSE;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_profile_slug ON users(profile_slug);
+
+    ALTER TABLE binders ADD COLUMN IF NOT EXISTS visibility VARCHAR(20) NOT NULL DEFAULT 'private';
+    ALTER TABLE binders ADD COLUMN IF NOT EXISTS share_token VARCHAR(32);
+    ALTER TABLE binders DROP CONSTRAINT IF EXISTS binders_visibility_check;
+    ALTER TABLE binders ADD CONSTRAINT binders_visibility_check CHECK (visibility IN ('private', 'unlisted', 'public'));
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_binders_share_token ON binders(share_token);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_binders_share_token;
+    ALTER TABLE binders DROP CONSTRAINT IF EXISTS binders_visibility_check;
+    ALTER TABLE binders DROP COLUMN IF EXISTS share_token;
+    ALTER TABLE binders DROP COLUMN IF EXISTS visibility;
+
+    DROP INDEX IF EXISTS idx_users_profile_slug;
+    ALTER TABLE users DROP COLUMN IF EXISTS profile_public;
+    ALTER TABLE users DROP COLUMN IF EXISTS profile_slug;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// Smart binders (see lib/smart-binders.js): a binder with rules is filled
+// live from the owner's cards instead of from binder_cards. Clearing the
+// rules turns it back into a manual binder with whatever binder_cards it had.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE binders ADD COLUMN IF NOT EXISTS rules JSONB;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE binders DROP COLUMN IF EXISTS rules;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,60 @@
+// Want-list entries linked to card_index (see lib/wants.js), with a priority,
+// a quantity, a max price and a list of acceptable printings. variants
+// replaces the single variant column (null is still any printing).
+//
+// As on cards, card_index_id has no foreign key — card_index is rebuilt by
+// TRUNCATE. A want's max-price alert is a price_alerts row pointing back at
+// it, so removing the want removes the alert.
+const { backfillWantLinks } = require('../lib/wants');
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE want_list ADD COLUMN IF NOT EXISTS card_index_id VARCHAR(50);
+    ALTER TABLE want_list ADD COLUMN IF NOT EXISTS set_id VARCHAR(50);
+    ALTER TABLE want_list ADD COLUMN IF NOT EXISTS priority VARCHAR(10) NOT NULL DEFAULT 'normal';
+    ALTER TABLE want_list ADD COLUMN IF NOT EXISTS quantity INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE want_list ADD COLUMN IF NOT EXISTS max_price DECIMAL(10,2);
+    ALTER TABLE want_list ADD COLUMN IF NOT EXISTS variants VARCHAR(20)[];
+
+    ALTER TABLE want_list DROP CONSTRAINT IF EXISTS want_list_priority_check;
+    ALTER TABLE want_list ADD CONSTRAINT want_list_priority_check CHECK (priority IN ('high', 'normal', 'low'));
+    ALTER TABLE want_list DROP CONSTRAINT IF EXISTS want_list_quantity_check;
+    ALTER TABLE want_list ADD CONSTRAINT want_list_quantity_check CHECK (quantity > 0);
+    ALTER TABLE want_list DROP CONSTRAINT IF EXISTS want_list_max_price_check;
+    ALTER TABLE want_list ADD CONSTRAINT want_list_max_price_check CHECK (max_price > 0);
+
+    UPDATE want_list SET variants = ARRAY[variant] WHERE variant IS NOT NULL;
+    ALTER TABLE want_list DROP COLUMN IF EXISTS variant;
+
+    CREATE INDEX IF NOT EXISTS idx_want_list_card_index ON want_list(card_index_id);
+
+    ALTER TABLE price_alerts ADD COLUMN IF NOT EXISTS want_id INTEGER REFERENCES want_list(id) ON DELETE CASCADE;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_price_alerts_want ON price_alerts(want_id);
+  `);
+
+  await backfillWantLinks(client);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_price_alerts_want;
+    DELETE FROM price_alerts WHERE want_id IS NOT NULL;
+    ALTER TABLE price_alerts DROP COLUMN IF EXISTS want_id;
+
+    ALTER TABLE want_list ADD COLUMN IF NOT EXISTS variant VARCHAR(20);
+    UPDATE want_list SET variant = variants[1] WHERE array_length(variants, 1) = 1;
+
+    DROP INDEX IF EXISTS idx_want_list_card_index;
+    ALTER TABLE want_list DROP CONSTRAINT IF EXISTS want_list_max_price_check;
+    ALTER TABLE want_list DROP CONSTRAINT IF EXISTS want_list_quantity_check;
+    ALTER TABLE want_list DROP CONSTRAINT IF EXISTS want_list_priority_check;
+    ALTER TABLE want_list DROP COLUMN IF EXISTS variants;
+    ALTER TABLE want_list DROP COLUMN IF EXISTS max_price;
+    ALTER TABLE want_list DROP COLUMN IF EXISTS quantity;
+    ALTER TABLE want_list DROP COLUMN IF EXISTS priority;
+    ALTER TABLE want_list DROP COLUMN IF EXISTS set_id;
+    ALTER TABLE want_list DROP COLUMN IF EXISTS card_index_id;
+  `);
+}
+
+module.exports = { up, down };
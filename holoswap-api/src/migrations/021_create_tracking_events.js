@@ -0,0 +1,30 @@
+// Royal Mail scans for trade parcels, stored by the tracking sync job
+// (jobs/tracking-sync.js, see lib/tracking.js). 'inbound' parcels are the
+// ones a trader posts to HoloSwap (trade_items.tracking_number), 'outbound'
+// the one HoloSwap posts to the buyer (trades.outbound_tracking).
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS tracking_events (
+      id                SERIAL PRIMARY KEY,
+      trade_id          INTEGER NOT NULL REFERENCES trades(id) ON DELETE CASCADE,
+      tracking_number   VARCHAR(100) NOT NULL,
+      direction         VARCHAR(10) NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+      event_code        VARCHAR(20) NOT NULL DEFAULT '',
+      description       TEXT,
+      location          VARCHAR(255),
+      delivered         BOOLEAN NOT NULL DEFAULT FALSE,
+      occurred_at       TIMESTAMPTZ NOT NULL,
+      created_at        TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE(trade_id, tracking_number, event_code, occurred_at)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tracking_events_number ON tracking_events(tracking_number);
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS tracking_events');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// Inbound labels: a submissions row is one parcel a trader posts to the
+// HoloSwap hub on a label we bought (see lib/submissions.js). The cards in it
+// are the trade_items rows pointing at it, across one or more trades.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE trade_items ADD COLUMN IF NOT EXISTS submission_id INTEGER REFERENCES submissions(id) ON DELETE SET NULL;
+    CREATE INDEX IF NOT EXISTS idx_trade_items_submission ON trade_items(submission_id);
+
+    ALTER TABLE submissions ADD COLUMN IF NOT EXISTS carrier_order_id VARCHAR(100);
+    ALTER TABLE submissions ADD COLUMN IF NOT EXISTS service_code VARCHAR(20);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE submissions DROP COLUMN IF EXISTS service_code;
+    ALTER TABLE submissions DROP COLUMN IF EXISTS carrier_order_id;
+    DROP INDEX IF EXISTS idx_trade_items_submission;
+    ALTER TABLE trade_items DROP COLUMN IF EXISTS submission_id;
+  `);
+}
+
+module.exports = { up, down };
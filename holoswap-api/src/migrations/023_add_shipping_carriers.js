@@ -0,0 +1,30 @@
+// Parcels can go by carriers other than Royal Mail (see lib/carriers.js), so
+// every label and tracking scan records which carrier it belongs to.
+// Outbound Royal Mail orders were only noted in trades.notes ("RM Order: N");
+// they move to their own columns.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE trades ADD COLUMN IF NOT EXISTS outbound_carrier VARCHAR(30);
+    ALTER TABLE trades ADD COLUMN IF NOT EXISTS outbound_order_id VARCHAR(100);
+    UPDATE trades SET outbound_carrier = 'royal_mail', outbound_order_id = substring(notes from 'RM Order: (\\d+)')
+    WHERE outbound_order_id IS NULL AND notes ~ 'RM Order: \\d+';
+
+    ALTER TABLE submissions ADD COLUMN IF NOT EXISTS carrier VARCHAR(30) NOT NULL DEFAULT 'royal_mail';
+
+    ALTER TABLE tracking_events ADD COLUMN IF NOT EXISTS carrier VARCHAR(30) NOT NULL DEFAULT 'royal_mail';
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE tracking_events DROP COLUMN IF EXISTS carrier;
+
+    ALTER TABLE submissions DROP COLUMN IF EXISTS carrier;
+
+    ALTER TABLE trades DROP COLUMN IF EXISTS outbound_order_id;
+    ALTER TABLE trades DROP COLUMN IF EXISTS outbound_carrier;
+  `);
+}
+
+module.exports = { up, down };
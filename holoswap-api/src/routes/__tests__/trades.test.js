@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Stand in for the pg pool before the router loads it: trade #1 is whatever
+// `current` says, and every query (transaction clients included) is logged
+const queries = [];
+let current = null;
+let failOn = null;
+const fakeDb = {
+  async query(sql) {
+    queries.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+    if (failOn && sql.includes(failOn)) throw new Error(`${failOn} failed`);
+    if (sql.startsWith('SELECT * FROM trades')) return { rows: current ? [current] : [] };
+    if (sql.includes('UPDATE trades')) return { rows: [{ ...current }] };
+    return { rows: [] };
+  },
+  async connect() {
+    return { query: fakeDb.query, release() {} };
+  },
+};
+const dbPath = path.join(__dirname, '..', '..', 'db.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+process.env.JWT_SECRET = 'test-secret';
+const router = require('../trades');
+
+const SELLER = 1;
+const BUYER = 2;
+const trade = status => ({ id: 1, seller_id: SELLER, buyer_id: BUYER, card_id: 10, status });
+
+async function request(method, url, userId, body) {
+  queries.length = 0;
+  const app = express();
+  app.use(express.json());
+  app.use('/api/trades', router);
+  const server = app.listen(0);
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/trades${url}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${jwt.sign({ id: userId }, process.env.JWT_SECRET)}`,
+        'Content-Type': 'application/json',
+      },
+      body: body && JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function decline(userId, status) {
+  current = trade(status);
+  return request('PUT', '/1/decline', userId);
+}
+
+test('declining a shipped trade is refused, like cancelling it', async () => {
+  for (const userId of [SELLER, BUYER]) {
+    const res = await decline(userId, 'shipped');
+    assert.equal(res.status, 409);
+    assert.match(res.body.error, /contact HoloSwap to cancel/);
+    assert.deepEqual(queries, ['SELECT *']);
+  }
+  assert.equal((await decline(BUYER, 'complete')).status, 409);
+});
+
+test('the seller declines a request; before shipping either side cancels', async () => {
+  let res = await decline(SELLER, 'requested');
+  assert.deepEqual([res.status, res.body.message], [200, 'Trade declined']);
+  assert.equal(queries[1], 'BEGIN');
+  assert.equal(queries.at(-1), 'COMMIT');
+
+  res = await decline(BUYER, 'accepted');
+  assert.deepEqual([res.status, res.body.message], [200, 'Trade cancelled']);
+});
+
+test('a cancellation that fails partway is rolled back', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  failOn = 'UPDATE trade_offers';
+  try {
+    const res = await decline(BUYER, 'accepted');
+    assert.equal(res.status, 500);
+    assert.equal(queries.at(-1), 'ROLLBACK');
+    assert.ok(!queries.includes('COMMIT'));
+  } finally {
+    failOn = null;
+  }
+});
+
+test('dispute text that isn\'t a string is a 400, not a crash', async () => {
+  current = trade('shipped_to_buyer');
+  for (const body of [{ reason: 5 }, { reason: ['bent'] }, { reason: 'Bent corner', evidence: {} }]) {
+    const res = await request('POST', '/1/disputes', BUYER, body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.deepEqual(queries, []);
+  }
+  assert.equal((await request('POST', '/1/disputes/1/evidence', BUYER, { note: { text: 'photo' } })).status, 400);
+});
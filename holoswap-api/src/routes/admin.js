@@ -1,8 +1,41 @@
-const { Router } = require('express');
+const { Router, raw } = require('express');
 const pool = require('../db');
 const auth = require('../middleware/auth');
+const {
+  DISPUTE_OUTCOMES,
+  applyTransition, recordTradeEvent, canCancel,
+} = require('../lib/trade-state');
+const {
+  TRADE_ITEMS_JSON, parseFailedCards, setTradeCardStatus, returnPostedCards, settleCompletedTrade,
+} = require('../lib/trade-bundles');
+const { tradeValue, sellerPayout, defaultRefund, withdrawPendingOffers } = require('../lib/trade-offers');
+const { withTransaction } = require('../lib/db-transaction');
+const { parseFeeRule, quoteFee } = require('../lib/fees');
+const { parseConditionInput } = require('../lib/conditions');
+const { IMAGE_EXTENSIONS, SCAN_MAX_BYTES, createLocalStorage, storeScan } = require('../lib/scan-storage');
+const {
+  parseChecklist, checklistResult, describeChecklist, cleanNotes, findOpenTradeForCard, findTradeReports,
+} = require('../lib/verification');
+const {
+  PAYOUT_METHODS, PAYABLE_STATUSES, parseMonth, reconcile, recordPayout,
+} = require('../lib/payouts');
+const { notifyWantMatches } = require('../jobs/match-alerts');
 
 const router = Router();
+const scanStorage = createLocalStorage();
+
+// Read an uploaded scan into req.body as a Buffer
+const parseScan = raw({ type: Object.keys(IMAGE_EXTENSIONS), limit: SCAN_MAX_BYTES });
+function readScan(req, res, next) {
+  parseScan(req, res, (err) => {
+    if (err) {
+      return res.status(err.status || 400).json({
+        error: err.type === 'entity.too.large' ? 'Scans can be up to 10 MB' : 'Could not read the upload',
+      });
+    }
+    next();
+  });
+}
 
 // Middleware: check if user is admin
 async function requireAdmin(req, res, next) {
@@ -177,6 +210,12 @@ router.put('/cards/:id/status', auth, requireAdmin, async (req, res) => {
 
     params.push(req.params.id);
 
+    const previous = await pool.query('SELECT status, quantity FROM cards WHERE id = $1', [req.params.id]);
+    // Only single copies go through HoloSwap — the owner splits one off a stack first
+    if (previous.rows[0]?.quantity > 1) {
+      return res.status(400).json({ error: `This card is a stack of ${previous.rows[0].quantity} copies — the owner needs to split one off first` });
+    }
+
     const result = await pool.query(
       `UPDATE cards SET ${updates.join(', ')} WHERE id = $${params.length} RETURNING *`,
       params
@@ -186,6 +225,12 @@ router.put('/cards/:id/status', auth, requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Card not found' });
     }
 
+    // Newly listed — tell anyone who wants it (non-blocking)
+    if (status === 'listed' && previous.rows[0]?.status !== 'listed') {
+      notifyWantMatches(result.rows[0].id)
+        .catch(err => console.error('[MatchAlerts] Failed to send match alerts:', err.message));
+    }
+
     res.json({ card: result.rows[0] });
   } catch (err) {
     console.error('Admin update card error:', err);
@@ -193,6 +238,111 @@ router.put('/cards/:id/status', auth, requireAdmin, async (req, res) => {
   }
 });
 
+// PUT /api/admin/cards/:id/scans/:side — upload the front or back scan of a card.
+// The image is the raw request body (Content-Type image/jpeg, image/png or image/webp).
+// The previous scan's file is kept — older inspection reports still point at it.
+router.put('/cards/:id/scans/:side', auth, requireAdmin, readScan, async (req, res) => {
+  try {
+    const card = await pool.query('SELECT id FROM cards WHERE id = $1', [req.params.id]);
+    if (card.rows.length === 0) return res.status(404).json({ error: 'Card not found' });
+
+    const url = await storeScan(scanStorage, {
+      cardId: card.rows[0].id, side: req.params.side, buffer: req.body,
+    });
+
+    const column = req.params.side === 'front' ? 'scan_front' : 'scan_back';
+    const result = await pool.query(
+      `UPDATE cards SET ${column} = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+      [url, card.rows[0].id]
+    );
+    res.json({ card: result.rows[0] });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Admin scan upload error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// POST /api/admin/cards/:id/verifications — record an inspection report
+// Body: { checks: { centering: { pass, notes }, surface, edges, corners, authenticity }, notes, trade_id }
+// trade_id defaults to the open trade the card is in.
+router.post('/cards/:id/verifications', auth, requireAdmin, async (req, res) => {
+  try {
+    const checks = parseChecklist(req.body?.checks);
+    const notes = cleanNotes(req.body?.notes);
+
+    const card = await pool.query('SELECT id, scan_front, scan_back FROM cards WHERE id = $1', [req.params.id]);
+    if (card.rows.length === 0) return res.status(404).json({ error: 'Card not found' });
+
+    let tradeId = req.body?.trade_id ?? null;
+    if (tradeId != null) {
+      const item = await pool.query(
+        'SELECT 1 FROM trade_items WHERE trade_id = $1 AND card_id = $2',
+        [tradeId, card.rows[0].id]
+      );
+      if (item.rows.length === 0) return res.status(400).json({ error: 'This card is not part of that trade' });
+    } else {
+      tradeId = await findOpenTradeForCard(pool, card.rows[0].id);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO card_verifications (card_id, trade_id, inspected_by, checks, result, notes, scan_front, scan_back)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [card.rows[0].id, tradeId, req.user.id, JSON.stringify(checks), checklistResult(checks), notes,
+        card.rows[0].scan_front, card.rows[0].scan_back]
+    );
+
+    const report = result.rows[0];
+    res.status(201).json({ report: { ...report, checks: describeChecklist(report.checks) } });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Admin verification report error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/admin/cards/:id/verifications — every inspection report for a card, newest first
+router.get('/cards/:id/verifications', auth, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT v.*, u.display_name as inspected_by_name
+       FROM card_verifications v
+       LEFT JOIN users u ON v.inspected_by = u.id
+       WHERE v.card_id = $1
+       ORDER BY v.created_at DESC`,
+      [req.params.id]
+    );
+    res.json({ reports: result.rows.map(r => ({ ...r, checks: describeChecklist(r.checks) })) });
+  } catch (err) {
+    console.error('Admin verification reports error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// PUT /api/admin/cards/:id/grade — grade a card { subgrades: { centering, corners, edges, surface } }
+// or set { condition } directly; sub-grades work out the overall grade and condition
+router.put('/cards/:id/grade', auth, requireAdmin, async (req, res) => {
+  try {
+    const graded = parseConditionInput(req.body || {});
+    if (graded.condition === undefined) {
+      return res.status(400).json({ error: 'Send subgrades or a condition' });
+    }
+
+    const result = await pool.query(
+      `UPDATE cards SET condition = $1, subgrades = $2, grade = $3, updated_at = NOW()
+       WHERE id = $4 RETURNING *`,
+      [graded.condition, graded.subgrades ? JSON.stringify(graded.subgrades) : null, graded.grade, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Card not found' });
+    res.json({ card: result.rows[0] });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Admin grade card error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
 // PUT /api/admin/users/:id — update user (make admin, pro, vendor, etc)
 router.put('/users/:id', auth, requireAdmin, async (req, res) => {
   try {
@@ -247,17 +397,26 @@ router.get('/vendors', auth, requireAdmin, async (req, res) => {
 // TRADE ADMIN ENDPOINTS
 // =====================
 
-// GET /api/admin/trades — list trades with optional status filter
+async function findTrade(id) {
+  const result = await pool.query('SELECT * FROM trades WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+// GET /api/admin/trades — list trades with optional status / ?disputed=true filter
 router.get('/trades', auth, requireAdmin, async (req, res) => {
   try {
     const status = req.query.status || '';
-    let where = '';
+    const conditions = [];
     const params = [];
 
     if (status) {
-      where = 'WHERE t.status = $1';
       params.push(status);
+      conditions.push(`t.status = $${params.length}`);
+    }
+    if (req.query.disputed === 'true') {
+      conditions.push('EXISTS (SELECT 1 FROM trade_disputes d WHERE d.trade_id = t.id)');
     }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
 
     const result = await pool.query(
       `SELECT t.*,
@@ -266,7 +425,9 @@ router.get('/trades', auth, requireAdmin, async (req, res) => {
         buyer.address_line1, buyer.address_line2, buyer.city as buyer_city,
         buyer.county as buyer_county, buyer.postcode as buyer_postcode,
         buyer.country as buyer_country,
-        c.card_name, c.card_set, c.card_number, c.condition, c.image_url
+        c.card_name, c.card_set, c.card_number, c.condition, c.image_url,
+        (SELECT id FROM trade_disputes d WHERE d.trade_id = t.id AND d.status = 'open') as open_dispute_id,
+        ${TRADE_ITEMS_JSON} as items
        FROM trades t
        JOIN users seller ON t.seller_id = seller.id
        JOIN users buyer ON t.buyer_id = buyer.id
@@ -286,20 +447,18 @@ router.get('/trades', auth, requireAdmin, async (req, res) => {
 // PUT /api/admin/trades/:id/received — mark card received at HoloSwap
 router.put('/trades/:id/received', auth, requireAdmin, async (req, res) => {
   try {
-    const result = await pool.query(
-      `UPDATE trades SET status = 'received', updated_at = NOW() WHERE id = $1 RETURNING *`,
-      [req.params.id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Trade not found' });
+    const trade = await findTrade(req.params.id);
+    if (!trade) return res.status(404).json({ error: 'Trade not found' });
 
-    // Also update card status
-    await pool.query(
-      `UPDATE cards SET status = 'received', updated_at = NOW() WHERE id = $1`,
-      [result.rows[0].card_id]
-    );
+    const updated = await withTransaction(async (client) => {
+      const received = await applyTransition(client, trade, 'received', { actorId: req.user.id });
+      await setTradeCardStatus(client, received.id, 'received');
+      return received;
+    });
 
-    res.json({ trade: result.rows[0] });
+    res.json({ trade: updated });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Admin receive error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
@@ -309,64 +468,111 @@ router.put('/trades/:id/received', auth, requireAdmin, async (req, res) => {
 router.put('/trades/:id/verified', auth, requireAdmin, async (req, res) => {
   try {
     const { condition_notes } = req.body || {};
-    const result = await pool.query(
-      `UPDATE trades SET status = 'verified', notes = COALESCE(notes, '') || $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
-      [condition_notes ? ` | Verified: ${condition_notes}` : ' | Verified', req.params.id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Trade not found' });
+    const trade = await findTrade(req.params.id);
+    if (!trade) return res.status(404).json({ error: 'Trade not found' });
 
-    await pool.query(
-      `UPDATE cards SET status = 'verified', verified_at = NOW(), verified_by = $1, updated_at = NOW() WHERE id = $2`,
-      [req.user.id, result.rows[0].card_id]
-    );
+    // A card whose latest inspection failed has to be re-inspected or rejected
+    const failed = (await findTradeReports(pool, trade.id)).filter(r => r.result === 'fail');
+    if (failed.length > 0) {
+      return res.status(409).json({
+        error: `${failed.map(r => r.card_name).join(', ')} failed inspection — re-inspect or reject the trade`,
+        card_ids: failed.map(r => r.card_id),
+      });
+    }
+
+    const updated = await withTransaction(async (client) => {
+      const verified = await applyTransition(client, trade, 'verified', {
+        actorId: req.user.id,
+        notes: condition_notes || null,
+        fields: { notes: (trade.notes || '') + (condition_notes ? ` | Verified: ${condition_notes}` : ' | Verified') },
+      });
 
-    res.json({ trade: result.rows[0] });
+      await client.query(
+        `UPDATE cards SET status = 'verified', verified_at = NOW(), verified_by = $1, updated_at = NOW()
+         WHERE id IN (SELECT card_id FROM trade_items WHERE trade_id = $2)`,
+        [req.user.id, verified.id]
+      );
+      return verified;
+    });
+
+    res.json({ trade: updated });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Admin verify error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
-// PUT /api/admin/trades/:id/rejected — reject card
+// PUT /api/admin/trades/:id/rejected — reject the trade. card_ids names the cards that
+// failed verification (default: all of them); the rest go back to their owners.
 router.put('/trades/:id/rejected', auth, requireAdmin, async (req, res) => {
   try {
-    const { reason } = req.body || {};
-    const result = await pool.query(
-      `UPDATE trades SET status = 'rejected', notes = COALESCE(notes, '') || $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
-      [reason ? ` | Rejected: ${reason}` : ' | Rejected', req.params.id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Trade not found' });
+    const { reason, card_ids } = req.body || {};
+    const trade = await findTrade(req.params.id);
+    if (!trade) return res.status(404).json({ error: 'Trade not found' });
 
-    await pool.query(
-      `UPDATE cards SET status = 'rejected', updated_at = NOW() WHERE id = $1`,
-      [result.rows[0].card_id]
-    );
+    const items = await pool.query('SELECT card_id FROM trade_items WHERE trade_id = $1', [trade.id]);
+    const failed = parseFailedCards(card_ids, items.rows.map(i => i.card_id));
+
+    const updated = await withTransaction(async (client) => {
+      const rejected = await applyTransition(client, trade, 'rejected', {
+        actorId: req.user.id,
+        notes: reason || null,
+        fields: { notes: (trade.notes || '') + (reason ? ` | Rejected: ${reason}` : ' | Rejected') },
+      });
+
+      if (failed) {
+        await setTradeCardStatus(client, rejected.id, 'returned');
+        await setTradeCardStatus(client, rejected.id, 'rejected', { cardIds: failed });
+      } else {
+        await setTradeCardStatus(client, rejected.id, 'rejected');
+      }
+      return rejected;
+    });
 
-    res.json({ trade: result.rows[0] });
+    res.json({ trade: updated });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Admin reject error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
-// PUT /api/admin/trades/:id/payment-received — record buyer payment
+// PUT /api/admin/trades/:id/payment-received — record buyer payment and work out HoloSwap's fee
+// An explicit holoswap_fee overrides the fee rules (e.g. to waive it).
 router.put('/trades/:id/payment-received', auth, requireAdmin, async (req, res) => {
   try {
     const { payment_method, price, holoswap_fee, payment_id } = req.body || {};
-    const result = await pool.query(
-      `UPDATE trades SET
-        payment_status = 'paid',
-        payment_method = COALESCE($1, payment_method),
-        price = COALESCE($2, price),
-        holoswap_fee = COALESCE($3, holoswap_fee),
-        payment_id = COALESCE($4, payment_id),
-        updated_at = NOW()
-       WHERE id = $5 RETURNING *`,
-      [payment_method, price, holoswap_fee, payment_id, req.params.id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Trade not found' });
-    res.json({ trade: result.rows[0] });
+    const trade = await findTrade(req.params.id);
+    if (!trade) return res.status(404).json({ error: 'Trade not found' });
+
+    // Default to the price agreed through offers
+    const value = price ?? trade.agreed_price ?? trade.price;
+
+    // The fee comes off the same amount the seller's payout is worked out from
+    // (tradeValue: the agreed price wins over what was paid), so they reconcile
+    const feeBase = tradeValue({ ...trade, price: value });
+    let fee = { fee: holoswap_fee ?? trade.holoswap_fee, rule_id: null, percent: null };
+    if (holoswap_fee == null && feeBase !== null) {
+      fee = await quoteFee(pool, { value: feeBase, sellerId: trade.seller_id });
+    }
+
+    const updated = await applyTransition(pool, trade, 'payment_received', {
+      actorId: req.user.id,
+      notes: payment_method ? `Paid via ${payment_method}` : null,
+      fields: {
+        payment_status: 'paid',
+        payment_method: payment_method ?? trade.payment_method,
+        price: value,
+        holoswap_fee: fee.fee,
+        fee_rule_id: fee.rule_id,
+        fee_percent: fee.percent,
+        payment_id: payment_id ?? trade.payment_id,
+      },
+    });
+    res.json({ trade: updated });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Admin payment error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
@@ -376,37 +582,37 @@ router.put('/trades/:id/payment-received', auth, requireAdmin, async (req, res)
 router.put('/trades/:id/processed', auth, requireAdmin, async (req, res) => {
   try {
     const { outbound_tracking } = req.body || {};
-    const result = await pool.query(
-      `UPDATE trades SET
-        status = 'processed',
-        outbound_tracking = COALESCE($1, outbound_tracking),
-        updated_at = NOW()
-       WHERE id = $2 RETURNING *`,
-      [outbound_tracking, req.params.id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Trade not found' });
-    res.json({ trade: result.rows[0] });
+    const trade = await findTrade(req.params.id);
+    if (!trade) return res.status(404).json({ error: 'Trade not found' });
+
+    const updated = await applyTransition(pool, trade, 'processed', {
+      actorId: req.user.id,
+      notes: outbound_tracking ? `Outbound tracking: ${outbound_tracking}` : null,
+      fields: { outbound_tracking: outbound_tracking ?? trade.outbound_tracking },
+    });
+    res.json({ trade: updated });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Admin processed error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
-// PUT /api/admin/trades/:id/ship-to-buyer — mark as dispatched (RM scanned)
+// PUT /api/admin/trades/:id/ship-to-buyer — mark as shipped to buyer (RM scanned)
 router.put('/trades/:id/ship-to-buyer', auth, requireAdmin, async (req, res) => {
   try {
     const { outbound_tracking } = req.body || {};
-    const result = await pool.query(
-      `UPDATE trades SET
-        status = 'dispatched',
-        outbound_tracking = COALESCE($1, outbound_tracking),
-        updated_at = NOW()
-       WHERE id = $2 RETURNING *`,
-      [outbound_tracking, req.params.id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Trade not found' });
-    res.json({ trade: result.rows[0] });
+    const trade = await findTrade(req.params.id);
+    if (!trade) return res.status(404).json({ error: 'Trade not found' });
+
+    const updated = await applyTransition(pool, trade, 'shipped_to_buyer', {
+      actorId: req.user.id,
+      notes: outbound_tracking ? `Outbound tracking: ${outbound_tracking}` : null,
+      fields: { outbound_tracking: outbound_tracking ?? trade.outbound_tracking },
+    });
+    res.json({ trade: updated });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Admin dispatch error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
@@ -415,48 +621,476 @@ router.put('/trades/:id/ship-to-buyer', auth, requireAdmin, async (req, res) =>
 // PUT /api/admin/trades/:id/complete — mark trade complete, clean up want list
 router.put('/trades/:id/complete', auth, requireAdmin, async (req, res) => {
   try {
+    const existing = await findTrade(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Trade not found' });
+
+    const trade = await withTransaction(async (client) => {
+      const completed = await applyTransition(client, existing, 'complete', { actorId: req.user.id });
+      await settleCompletedTrade(client, completed);
+      return completed;
+    });
+
+    res.json({ trade });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Admin complete error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// PUT /api/admin/trades/:id/cancel — cancel a trade at any point before it reaches the buyer
+router.put('/trades/:id/cancel', auth, requireAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    const existing = await findTrade(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Trade not found' });
+
+    if (!canCancel(existing.status, { isAdmin: true })) {
+      return res.status(409).json({ error: `A ${existing.status} trade can't be cancelled` });
+    }
+
+    const trade = await withTransaction(async (client) => {
+      const cancelled = await applyTransition(client, existing, 'cancelled', { actorId: req.user.id, notes: reason || null });
+      await withdrawPendingOffers(client, cancelled.id);
+
+      // Anything already posted needs sending back to its owner
+      await returnPostedCards(client, cancelled.id);
+      return cancelled;
+    });
+
+    res.json({ trade });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Admin cancel trade error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// PUT /api/admin/trades/:id/pay-seller — pay the seller and record it in the payouts ledger
+// Body: { method, reference, batch_id, amount, notes } — amount defaults to the trade value
+router.put('/trades/:id/pay-seller', auth, requireAdmin, async (req, res) => {
+  try {
+    const { method, reference, batch_id, amount, notes } = req.body || {};
+
+    const result = await withTransaction(async (client) => {
+      const locked = await client.query('SELECT * FROM trades WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (locked.rows.length === 0) {
+        throw Object.assign(new Error('Trade not found'), { status: 404 });
+      }
+
+      const payout = await recordPayout(client, {
+        trade: locked.rows[0], method, reference, batchId: batch_id, amount, notes, paidBy: req.user.id,
+      });
+      const trade = await client.query('SELECT * FROM trades WHERE id = $1', [req.params.id]);
+      return { trade: trade.rows[0], payout };
+    });
+
+    res.json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Admin pay seller error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// =====================
+// PAYOUT ADMIN ENDPOINTS
+// =====================
+
+// POST /api/admin/payouts/batches — pay several trades in one run (e.g. one bank upload)
+// Body: { trade_ids: [...], method, reference, notes }. All or nothing.
+router.post('/payouts/batches', auth, requireAdmin, async (req, res) => {
+  try {
+    const { trade_ids, method = 'bank_transfer', reference, notes } = req.body || {};
+    const tradeIds = [...new Set((Array.isArray(trade_ids) ? trade_ids : []).map(Number))];
+    if (tradeIds.length === 0 || tradeIds.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({ error: 'trade_ids must be a list of trade ids' });
+    }
+    if (!PAYOUT_METHODS.includes(method)) {
+      return res.status(400).json({ error: `Payout method must be one of: ${PAYOUT_METHODS.join(', ')}` });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const trades = await client.query(
+        'SELECT * FROM trades WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+        [tradeIds]
+      );
+      if (trades.rows.length !== tradeIds.length) {
+        const found = trades.rows.map(t => t.id);
+        const missing = tradeIds.filter(id => !found.includes(id));
+        throw Object.assign(new Error(`Trade(s) not found: ${missing.join(', ')}`), { status: 404 });
+      }
+
+      const batch = await client.query(
+        `INSERT INTO payout_batches (method, reference, notes, created_by)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [method, reference || null, notes || null, req.user.id]
+      );
+
+      const payouts = [];
+      for (const trade of trades.rows) {
+        try {
+          payouts.push(await recordPayout(client, {
+            trade, method, reference, batchId: batch.rows[0].id, paidBy: req.user.id,
+          }));
+        } catch (err) {
+          if (err.status) err.message = `Trade #${trade.id}: ${err.message}`;
+          throw err;
+        }
+      }
+
+      const total = payouts.reduce((sum, p) => sum + parseFloat(p.net_amount), 0);
+      return { batch: batch.rows[0], payouts, total: Math.round(total * 100) / 100 };
+    });
+
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Admin payout batch error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/admin/payouts — the payouts ledger
+// Query: ?from=&to= (dates, to is exclusive), ?seller_id=, ?batch_id=
+router.get('/payouts', auth, requireAdmin, async (req, res) => {
+  try {
+    const { from, to, seller_id, batch_id } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (from) {
+      params.push(from);
+      conditions.push(`p.paid_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`p.paid_at < $${params.length}`);
+    }
+    if (seller_id) {
+      params.push(seller_id);
+      conditions.push(`p.seller_id = $${params.length}`);
+    }
+    if (batch_id) {
+      params.push(batch_id);
+      conditions.push(`p.batch_id = $${params.length}`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
     const result = await pool.query(
-      `UPDATE trades SET status = 'complete', updated_at = NOW() WHERE id = $1 RETURNING *`,
-      [req.params.id]
+      `SELECT p.*, seller.display_name as seller_name, seller.email as seller_email,
+        t.status as trade_status
+       FROM payouts p
+       LEFT JOIN users seller ON p.seller_id = seller.id
+       LEFT JOIN trades t ON p.trade_id = t.id
+       ${where}
+       ORDER BY p.paid_at DESC
+       LIMIT 500`,
+      params
+    );
+
+    const sum = (field) => Math.round(
+      result.rows.reduce((total, p) => total + parseFloat(p[field]), 0) * 100
+    ) / 100;
+
+    res.json({
+      payouts: result.rows,
+      totals: { count: result.rows.length, gross: sum('gross_amount'), fees: sum('fee_amount'), net: sum('net_amount') },
+    });
+  } catch (err) {
+    console.error('Admin payouts error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/admin/payouts/pending — trades the buyer has paid for where the seller hasn't been
+router.get('/payouts/pending', auth, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT t.id, t.status, t.seller_id, t.price, t.agreed_price, t.holoswap_fee, t.updated_at,
+        c.card_name, seller.display_name as seller_name, seller.email as seller_email
+       FROM trades t
+       LEFT JOIN cards c ON t.card_id = c.id
+       LEFT JOIN users seller ON t.seller_id = seller.id
+       WHERE t.status = ANY($1) AND t.payment_status = 'paid'
+         AND NOT EXISTS (SELECT 1 FROM payouts p WHERE p.trade_id = t.id)
+       ORDER BY t.updated_at ASC`,
+      [PAYABLE_STATUSES]
     );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Trade not found' });
 
-    const trade = result.rows[0];
+    const trades = result.rows.map(t => ({ ...t, payout: sellerPayout(t) }));
 
-    // Mark card as traded
-    await pool.query(
-      `UPDATE cards SET status = 'traded', updated_at = NOW() WHERE id = $1`,
-      [trade.card_id]
+    const sellers = new Map();
+    for (const t of trades) {
+      if (!sellers.has(t.seller_id)) {
+        sellers.set(t.seller_id, { seller_id: t.seller_id, seller_name: t.seller_name, trades: 0, total: 0 });
+      }
+      const seller = sellers.get(t.seller_id);
+      seller.trades++;
+      seller.total = Math.round((seller.total + (t.payout || 0)) * 100) / 100;
+    }
+
+    res.json({
+      trades,
+      sellers: [...sellers.values()],
+      total: Math.round(trades.reduce((sum, t) => sum + (t.payout || 0), 0) * 100) / 100,
+      // Trades with no price need an amount passing to pay-seller
+      unpriced: trades.filter(t => t.payout === null).length,
+    });
+  } catch (err) {
+    console.error('Admin pending payouts error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/admin/payouts/reconciliation?month=YYYY-MM — month-end check of
+// trades completed in the month against payouts made in it
+router.get('/payouts/reconciliation', auth, requireAdmin, async (req, res) => {
+  try {
+    const { start, end } = parseMonth(req.query.month);
+
+    // Completed = the latest move to 'complete' on the timeline (dismissed disputes complete again)
+    const completed = await pool.query(
+      `SELECT t.id, t.seller_id, t.price, t.agreed_price, t.holoswap_fee, done.completed_at,
+        c.card_name, p.id as payout_id, p.gross_amount as payout_gross, p.paid_at as payout_paid_at
+       FROM trades t
+       JOIN (
+         SELECT trade_id, MAX(created_at) as completed_at FROM trade_events
+         WHERE to_status = 'complete' GROUP BY trade_id
+       ) done ON done.trade_id = t.id
+       LEFT JOIN cards c ON t.card_id = c.id
+       LEFT JOIN payouts p ON p.trade_id = t.id
+       WHERE t.status = 'complete' AND done.completed_at >= $1 AND done.completed_at < $2
+       ORDER BY done.completed_at`,
+      [start, end]
     );
 
-    // Remove from buyer's want list
-    await pool.query(
-      `DELETE FROM want_list WHERE user_id = $1 AND card_set = (
-        SELECT card_set FROM cards WHERE id = $2
-      ) AND card_number = (
-        SELECT card_number FROM cards WHERE id = $2
-      )`,
-      [trade.buyer_id, trade.card_id]
+    const payouts = await pool.query(
+      `SELECT p.*, t.status as trade_status
+       FROM payouts p
+       LEFT JOIN trades t ON p.trade_id = t.id
+       WHERE p.paid_at >= $1 AND p.paid_at < $2
+       ORDER BY p.paid_at`,
+      [start, end]
     );
 
-    res.json({ trade });
+    res.json({
+      month: req.query.month,
+      ...reconcile(completed.rows, payouts.rows),
+    });
   } catch (err) {
-    console.error('Admin complete error:', err);
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Admin payout reconciliation error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
-// PUT /api/admin/trades/:id/pay-seller — mark seller as paid
-router.put('/trades/:id/pay-seller', auth, requireAdmin, async (req, res) => {
+// =====================
+// FEE RULE ADMIN ENDPOINTS
+// =====================
+
+// GET /api/admin/fee-rules — all fee rules, active first
+router.get('/fee-rules', auth, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM fee_rules ORDER BY active DESC, min_value ASC');
+    res.json({ rules: result.rows });
+  } catch (err) {
+    console.error('Admin fee rules error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/admin/fee-rules/quote?value=&seller_id= — preview the fee on a trade
+router.get('/fee-rules/quote', auth, requireAdmin, async (req, res) => {
+  try {
+    const value = Number(req.query.value);
+    if (!req.query.value || !Number.isFinite(value) || value < 0) {
+      return res.status(400).json({ error: 'value must be a trade value in pounds' });
+    }
+
+    res.json({ quote: await quoteFee(pool, { value, sellerId: req.query.seller_id || null }) });
+  } catch (err) {
+    console.error('Admin fee quote error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// POST /api/admin/fee-rules — add a rule { name, percent, pro_percent, min_value, max_value, min_fee, max_fee }
+router.post('/fee-rules', auth, requireAdmin, async (req, res) => {
+  try {
+    const rule = parseFeeRule(req.body);
+    const columns = Object.keys(rule);
+
+    const result = await pool.query(
+      `INSERT INTO fee_rules (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING *`,
+      columns.map(col => rule[col])
+    );
+    res.status(201).json({ rule: result.rows[0] });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    if (err.code === '23514') return res.status(400).json({ error: 'Invalid fee rule' });
+    console.error('Admin create fee rule error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// PUT /api/admin/fee-rules/:id — change a rule; only affects trades paid from now on
+router.put('/fee-rules/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const rule = parseFeeRule(req.body, { partial: true });
+    const columns = Object.keys(rule);
+    if (columns.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+
+    const result = await pool.query(
+      `UPDATE fee_rules SET ${columns.map((col, i) => `${col} = $${i + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [req.params.id, ...columns.map(col => rule[col])]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Fee rule not found' });
+    res.json({ rule: result.rows[0] });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    if (err.code === '23514') return res.status(400).json({ error: 'Invalid fee rule' });
+    console.error('Admin update fee rule error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// DELETE /api/admin/fee-rules/:id — retire a rule (kept for trades that used it)
+router.delete('/fee-rules/:id', auth, requireAdmin, async (req, res) => {
   try {
     const result = await pool.query(
-      `UPDATE trades SET seller_paid = true, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      'UPDATE fee_rules SET active = false, updated_at = NOW() WHERE id = $1 RETURNING *',
       [req.params.id]
     );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Trade not found' });
-    res.json({ trade: result.rows[0] });
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Fee rule not found' });
+    res.json({ rule: result.rows[0] });
   } catch (err) {
-    console.error('Admin pay seller error:', err);
+    console.error('Admin delete fee rule error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// =====================
+// DISPUTE ADMIN ENDPOINTS
+// =====================
+
+// GET /api/admin/disputes — list disputes (default: open ones)
+router.get('/disputes', auth, requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    const params = [];
+    let where = '';
+
+    if (status !== 'all') {
+      where = 'WHERE d.status = $1';
+      params.push(status);
+    }
+
+    const result = await pool.query(
+      `SELECT d.*, t.status as trade_status, t.price, t.seller_id, t.buyer_id,
+        seller.display_name as seller_name, buyer.display_name as buyer_name,
+        opener.display_name as opened_by_name,
+        c.card_name, c.card_set, c.card_number, c.condition, c.image_url,
+        COALESCE(json_agg(
+          json_build_object('id', e.id, 'user_id', e.user_id, 'note', e.note, 'created_at', e.created_at)
+          ORDER BY e.created_at
+        ) FILTER (WHERE e.id IS NOT NULL), '[]') as evidence
+       FROM trade_disputes d
+       JOIN trades t ON d.trade_id = t.id
+       JOIN users seller ON t.seller_id = seller.id
+       JOIN users buyer ON t.buyer_id = buyer.id
+       LEFT JOIN users opener ON d.opened_by = opener.id
+       JOIN cards c ON t.card_id = c.id
+       LEFT JOIN trade_dispute_evidence e ON e.dispute_id = d.id
+       ${where}
+       GROUP BY d.id, t.id, seller.id, buyer.id, opener.id, c.id
+       ORDER BY d.created_at ASC`,
+      params
+    );
+
+    res.json({ disputes: result.rows });
+  } catch (err) {
+    console.error('Admin disputes error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// PUT /api/admin/disputes/:id/resolve — settle a dispute: refund, return or dismissed
+router.put('/disputes/:id/resolve', auth, requireAdmin, async (req, res) => {
+  try {
+    const { outcome, refund_amount, notes } = req.body || {};
+
+    if (!DISPUTE_OUTCOMES[outcome]) {
+      return res.status(400).json({ error: `Outcome must be one of: ${Object.keys(DISPUTE_OUTCOMES).join(', ')}` });
+    }
+
+    let refund = null;
+    if (outcome !== 'dismissed' && refund_amount != null && refund_amount !== '') {
+      refund = parseFloat(refund_amount);
+      if (isNaN(refund) || refund < 0) {
+        return res.status(400).json({ error: 'Invalid refund amount' });
+      }
+    }
+
+    const result = await withTransaction(async (client) => {
+      const dispute = await client.query('SELECT * FROM trade_disputes WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (dispute.rows.length === 0) {
+        throw Object.assign(new Error('Dispute not found'), { status: 404 });
+      }
+      if (dispute.rows[0].status !== 'open') {
+        throw Object.assign(new Error('This dispute has already been resolved'), { status: 409 });
+      }
+
+      const existing = await client.query('SELECT * FROM trades WHERE id = $1', [dispute.rows[0].trade_id]);
+      const t = existing.rows[0];
+
+      // Refunds default to what the buyer paid — the agreed price, or a bundle's cash
+      const paid = defaultRefund(t);
+      if (outcome !== 'dismissed' && refund === null) refund = paid;
+      if (refund !== null && paid !== null && refund > paid) {
+        throw Object.assign(new Error('Refund can\'t be more than the trade price'), { status: 400 });
+      }
+
+      // A dispute raised before the buyer confirmed receipt hasn't been through completion yet
+      const completedBefore = await client.query(
+        "SELECT 1 FROM trade_events WHERE trade_id = $1 AND to_status = 'complete' LIMIT 1",
+        [t.id]
+      );
+
+      const trade = await applyTransition(client, t, DISPUTE_OUTCOMES[outcome], {
+        actorId: req.user.id,
+        notes: `Dispute #${dispute.rows[0].id} resolved: ${outcome}${notes ? ` — ${notes}` : ''}`,
+        fields: outcome === 'dismissed' ? {} : { payment_status: 'refunded' },
+      });
+
+      const resolved = await client.query(
+        `UPDATE trade_disputes
+         SET status = 'resolved', outcome = $1, refund_amount = $2, resolution_notes = $3,
+             resolved_by = $4, resolved_at = NOW(), updated_at = NOW()
+         WHERE id = $5
+         RETURNING *`,
+        [outcome, outcome === 'dismissed' ? null : refund, notes || null, req.user.id, dispute.rows[0].id]
+      );
+
+      // The buyer posts the card back to HoloSwap for the seller
+      if (outcome === 'return') {
+        await setTradeCardStatus(client, trade.id, 'returned');
+      }
+      if (outcome === 'dismissed' && completedBefore.rows.length === 0) {
+        await settleCompletedTrade(client, trade);
+      }
+
+      return { dispute: resolved.rows[0], trade };
+    });
+
+    res.json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Admin resolve dispute error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
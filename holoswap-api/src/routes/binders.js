@@ -1,10 +1,17 @@
 const { Router } = require('express');
 const pool = require('../db');
 const auth = require('../middleware/auth');
+const { loadPortfolioCards, summarise } = require('../lib/portfolio');
+const { CARD_COLUMNS, parseExportFormat, sendExport } = require('../lib/collection-export');
+const { parseVisibility, newShareToken } = require('../lib/sharing');
+const { parseRules, loadSmartBinders, loadSmartBinderCards } = require('../lib/smart-binders');
 
 const router = Router();
 
+const SMART_BINDER_CARDS_ERROR = "A smart binder's cards come from its rules - change the rules instead";
+
 // GET /api/binders - List user's binders with card counts
+// A smart binder (one with rules - see lib/smart-binders.js) counts the cards its rules pick
 router.get('/', auth, async (req, res) => {
   try {
     const result = await pool.query(
@@ -16,7 +23,10 @@ router.get('/', auth, async (req, res) => {
        ORDER BY b.created_at DESC`,
       [req.user.id]
     );
-    res.json({ binders: result.rows });
+    const smart = await loadSmartBinders(pool, req.user.id, result.rows);
+    const binders = result.rows.map(b => (smart.has(b.id) ? { ...b, card_count: String(smart.get(b.id).length) } : b));
+
+    res.json({ binders });
   } catch (err) {
     console.error('Get binders error:', err);
     res.status(500).json({ error: 'Failed to load binders' });
@@ -24,11 +34,13 @@ router.get('/', auth, async (req, res) => {
 });
 
 // GET /api/binders/:id - Get single binder with all cards
+// A smart binder's cards are worked out now, ordered by set and number, and
+// come back in the same shape (with no binder_card_id or added_at)
 router.get('/:id', auth, async (req, res) => {
   try {
     // Verify ownership
     const binderCheck = await pool.query(
-      'SELECT user_id FROM binders WHERE id = $1',
+      'SELECT id, user_id, rules FROM binders WHERE id = $1',
       [req.params.id]
     );
 
@@ -40,11 +52,14 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    const { rules } = binderCheck.rows[0];
+    const smartCards = rules ? await loadSmartBinderCards(pool, binderCheck.rows[0]) : null;
+
     // Get binder with cards
     const result = await pool.query(
-      `SELECT b.id, b.name, b.description, b.created_at, b.updated_at,
+      `SELECT b.id, b.name, b.description, b.rules, b.created_at, b.updated_at,
               c.id as card_id, c.card_name, c.card_set, c.card_number,
-              c.rarity, c.condition, c.image_url, c.status,
+              c.rarity, c.condition, c.image_url, c.status, c.quantity,
               bc.id as binder_card_id, bc.position, bc.added_at
        FROM binders b
        LEFT JOIN binder_cards bc ON b.id = bc.binder_id
@@ -64,7 +79,21 @@ router.get('/:id', auth, async (req, res) => {
       description: result.rows[0].description,
       created_at: result.rows[0].created_at,
       updated_at: result.rows[0].updated_at,
-      cards: result.rows
+      rules,
+      cards: smartCards ? smartCards.map((c, i) => ({
+        id: c.id,
+        card_name: c.card_name,
+        card_set: c.card_set,
+        card_number: c.card_number,
+        rarity: c.rarity,
+        condition: c.condition,
+        image_url: c.image_url,
+        status: c.status,
+        quantity: c.quantity,
+        binder_card_id: null,
+        position: i,
+        added_at: null
+      })) : result.rows
         .filter(r => r.card_id !== null)
         .map(r => ({
           id: r.card_id,
@@ -75,6 +104,7 @@ router.get('/:id', auth, async (req, res) => {
           condition: r.condition,
           image_url: r.image_url,
           status: r.status,
+          quantity: r.quantity,
           binder_card_id: r.binder_card_id,
           position: r.position,
           added_at: r.added_at
@@ -88,7 +118,50 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// GET /api/binders/:id/export?format=csv|json|pdf - One binder's cards in
+// binder order with current values (&images=0 leaves PDF thumbnails out)
+router.get('/:id/export', auth, async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const binder = await pool.query(
+      'SELECT id, user_id, name, description, rules FROM binders WHERE id = $1',
+      [req.params.id]
+    );
+    if (binder.rows.length === 0) {
+      return res.status(404).json({ error: 'Binder not found' });
+    }
+    if (binder.rows[0].user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    let binderCards;
+    if (binder.rows[0].rules) {
+      binderCards = await loadSmartBinderCards(pool, binder.rows[0]);
+    } else {
+      const order = await pool.query(
+        'SELECT card_id FROM binder_cards WHERE binder_id = $1 ORDER BY position ASC, added_at ASC',
+        [req.params.id]
+      );
+      const cards = new Map((await loadPortfolioCards(pool, req.user.id)).map(c => [c.id, c]));
+      binderCards = order.rows.map(r => cards.get(r.card_id)).filter(Boolean);
+    }
+
+    const { name, description } = binder.rows[0];
+    await sendExport(res, {
+      format, name: `binder-${name}`, columns: CARD_COLUMNS, rows: binderCards,
+      title: name, subtitle: description, totals: summarise(binderCards), images: req.query.images !== '0',
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Export binder error:', err);
+    res.status(500).json({ error: 'Failed to export binder' });
+  }
+});
+
 // POST /api/binders - Create new binder
+// visibility is private (default), unlisted (anyone with the share link) or
+// public (also shown on your public profile) - see lib/sharing.js.
+// rules makes it a smart binder - see lib/smart-binders.js
 router.post('/', auth, async (req, res) => {
   try {
     const { name, description } = req.body;
@@ -96,34 +169,51 @@ router.post('/', auth, async (req, res) => {
     if (!name || !name.trim()) {
       return res.status(400).json({ error: 'Binder name is required' });
     }
+    const visibility = req.body.visibility === undefined ? 'private' : parseVisibility(req.body.visibility);
+    const rules = parseRules(req.body.rules) || null;
 
     const result = await pool.query(
-      `INSERT INTO binders (user_id, name, description)
-       VALUES ($1, $2, $3)
+      `INSERT INTO binders (user_id, name, description, visibility, share_token, rules)
+       VALUES ($1, $2, $3, $4, $5, $6)
        RETURNING *`,
-      [req.user.id, name.trim(), description || null]
+      [req.user.id, name.trim(), description || null, visibility, visibility === 'private' ? null : newShareToken(),
+        rules && JSON.stringify(rules)]
     );
 
     res.status(201).json({ binder: result.rows[0] });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Create binder error:', err);
     res.status(500).json({ error: 'Failed to create binder' });
   }
 });
 
 // PUT /api/binders/:id - Update binder
+// A binder keeps its share link when made private and shared again;
+// rotate_link: true gives it a new one (the old link stops working).
+// rules: null turns a smart binder back into a manual one
 router.put('/:id', auth, async (req, res) => {
   try {
     const { name, description } = req.body;
+    const visibility = req.body.visibility === undefined ? null : parseVisibility(req.body.visibility);
+    const rules = parseRules(req.body.rules);
 
     const result = await pool.query(
       `UPDATE binders
        SET name = COALESCE($1, name),
            description = COALESCE($2, description),
+           visibility = COALESCE($5, visibility),
+           share_token = CASE
+             WHEN $6 THEN $7
+             WHEN COALESCE($5, visibility) <> 'private' THEN COALESCE(share_token, $7)
+             ELSE share_token
+           END,
+           rules = CASE WHEN $8 THEN $9::jsonb ELSE rules END,
            updated_at = NOW()
        WHERE id = $3 AND user_id = $4
        RETURNING *`,
-      [name, description, req.params.id, req.user.id]
+      [name, description, req.params.id, req.user.id, visibility, req.body.rotate_link === true, newShareToken(),
+        rules !== undefined, rules ? JSON.stringify(rules) : null]
     );
 
     if (result.rows.length === 0) {
@@ -132,6 +222,7 @@ router.put('/:id', auth, async (req, res) => {
 
     res.json({ binder: result.rows[0] });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Update binder error:', err);
     res.status(500).json({ error: 'Failed to update binder' });
   }
@@ -167,7 +258,7 @@ router.post('/:id/cards', auth, async (req, res) => {
 
     // Verify binder ownership
     const binder = await pool.query(
-      'SELECT id FROM binders WHERE id = $1 AND user_id = $2',
+      'SELECT id, rules FROM binders WHERE id = $1 AND user_id = $2',
       [req.params.id, req.user.id]
     );
 
@@ -175,6 +266,10 @@ router.post('/:id/cards', auth, async (req, res) => {
       return res.status(404).json({ error: 'Binder not found' });
     }
 
+    if (binder.rows[0].rules) {
+      return res.status(400).json({ error: SMART_BINDER_CARDS_ERROR });
+    }
+
     // Verify card ownership
     const card = await pool.query(
       'SELECT id FROM cards WHERE id = $1 AND user_id = $2',
@@ -218,7 +313,7 @@ router.delete('/:id/cards/:cardId', auth, async (req, res) => {
   try {
     // Verify binder ownership
     const binder = await pool.query(
-      'SELECT id FROM binders WHERE id = $1 AND user_id = $2',
+      'SELECT id, rules FROM binders WHERE id = $1 AND user_id = $2',
       [req.params.id, req.user.id]
     );
 
@@ -226,6 +321,10 @@ router.delete('/:id/cards/:cardId', auth, async (req, res) => {
       return res.status(404).json({ error: 'Binder not found' });
     }
 
+    if (binder.rows[0].rules) {
+      return res.status(400).json({ error: SMART_BINDER_CARDS_ERROR });
+    }
+
     const result = await pool.query(
       'DELETE FROM binder_cards WHERE binder_id = $1 AND card_id = $2 RETURNING id',
       [req.params.id, req.params.cardId]
@@ -253,7 +352,7 @@ router.put('/:id/cards/:cardId', auth, async (req, res) => {
 
     // Verify binder ownership
     const binder = await pool.query(
-      'SELECT id FROM binders WHERE id = $1 AND user_id = $2',
+      'SELECT id, rules FROM binders WHERE id = $1 AND user_id = $2',
       [req.params.id, req.user.id]
     );
 
@@ -261,6 +360,10 @@ router.put('/:id/cards/:cardId', auth, async (req, res) => {
       return res.status(404).json({ error: 'Binder not found' });
     }
 
+    if (binder.rows[0].rules) {
+      return res.status(400).json({ error: SMART_BINDER_CARDS_ERROR });
+    }
+
     const result = await pool.query(
       'UPDATE binder_cards SET position = $1 WHERE binder_id = $2 AND card_id = $3 RETURNING *',
       [position, req.params.id, req.params.cardId]
@@ -1,9 +1,33 @@
-const { Router } = require('express');
+const { Router, text } = require('express');
 const pool = require('../db');
 const auth = require('../middleware/auth');
+const { FINAL_STATUSES, INACTIVE_STATUSES } = require('../lib/trade-state');
+const { VARIANTS, normaliseVariant } = require('../lib/matching');
+const { CONDITION_UNKNOWN, parseConditionInput } = require('../lib/conditions');
+const { parseSlab } = require('../lib/grading');
+const { parsePurchase, loadPortfolioCards, summarise } = require('../lib/portfolio');
+const { CARD_COLUMNS, parseExportFormat, sendExport } = require('../lib/collection-export');
+const { withTransaction } = require('../lib/db-transaction');
+const { readImportRows, resolveImportRows, countRows, planImport } = require('../lib/card-import');
+const {
+  IN_HAND_STATUS, parseQuantity, parseKeep, checkStackable, groupInventory, findDuplicates, loadInventory, findCardIndexEntry,
+} = require('../lib/inventory');
 
 const router = Router();
 
+// Read an uploaded CSV into req.body as a string (JSON { csv } works too)
+const parseCsvUpload = text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '5mb' });
+function readCsv(req, res, next) {
+  parseCsvUpload(req, res, (err) => {
+    if (err) {
+      return res.status(err.status || 400).json({
+        error: err.type === 'entity.too.large' ? 'Imports can be up to 5 MB' : 'Could not read the upload',
+      });
+    }
+    next();
+  });
+}
+
 // GET /api/cards — get user's cards
 router.get('/', auth, async (req, res) => {
   try {
@@ -18,86 +42,399 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// GET /api/cards/inventory — owned cards grouped by printing, with the total
+// quantity and how many copies are in each condition
+router.get('/inventory', auth, async (req, res) => {
+  try {
+    const cards = await loadInventory(pool, req.user.id);
+    res.json({ inventory: groupInventory(cards) });
+  } catch (err) {
+    console.error('Get inventory error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/cards/duplicates?keep=1 — tradeable duplicates: copies in your
+// collection past the best `keep` of each printing, worst condition first
+router.get('/duplicates', auth, async (req, res) => {
+  try {
+    const keep = parseKeep(req.query.keep);
+    const duplicates = findDuplicates(await loadInventory(pool, req.user.id), keep);
+    res.json({
+      keep,
+      spare_quantity: duplicates.reduce((total, d) => total + d.spare_quantity, 0),
+      duplicates,
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Get duplicates error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/cards/export?format=csv|json|pdf — the whole collection with current
+// values. The PDF is a printable inventory with thumbnails (&images=0 to leave them out).
+router.get('/export', auth, async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const cards = await loadPortfolioCards(pool, req.user.id);
+
+    await sendExport(res, {
+      format, name: 'cards', columns: CARD_COLUMNS, rows: cards,
+      title: 'Collection inventory', totals: summarise(cards), images: req.query.images !== '0',
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Export cards error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// POST /api/cards/import — upload a CSV of cards and get a preview back.
+// Columns are matched by header (name, set, set code, number, condition,
+// quantity, price paid, printing, rarity); TCGplayer, Dragon Shield and
+// Collectr exports work as they are. Nothing is added until the preview is committed.
+router.post('/import', auth, readCsv, async (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+    if (!csv) {
+      return res.status(400).json({ error: 'Send the CSV as text/csv, or as JSON { csv }' });
+    }
+    const filename = (req.query.filename || req.body?.filename || '').toString().slice(0, 255) || null;
+
+    const { layout, rows } = readImportRows(csv);
+    const resolved = await resolveImportRows(pool, rows);
+    const counts = countRows(resolved);
+
+    const result = await pool.query(
+      `INSERT INTO card_imports (user_id, filename, layout, rows, counts)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, filename, layout, status, counts, created_at`,
+      [req.user.id, filename, layout, JSON.stringify(resolved), JSON.stringify(counts)]
+    );
+
+    res.status(201).json({ import: result.rows[0], rows: resolved });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Card import preview error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/cards/import/:id — an import's preview (or what it added, once committed)
+router.get('/import/:id', auth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, filename, layout, status, counts, imported_count, rows, created_at, committed_at
+       FROM card_imports WHERE id = $1 AND user_id = $2`,
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    const { rows, ...cardImport } = result.rows[0];
+    res.json({ import: cardImport, rows });
+  } catch (err) {
+    console.error('Get card import error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// POST /api/cards/import/:id/commit — add the previewed cards to the collection
+// Body: { resolutions: { <line>: <card_index id> }, skip: [<line>], include_unmatched }
+// Matched rows are added as matched; ambiguous rows need a resolution or are skipped.
+router.post('/import/:id/commit', auth, async (req, res) => {
+  try {
+    const { resolutions = {}, skip = [], include_unmatched: includeUnmatched = false } = req.body || {};
+    if (typeof resolutions !== 'object' || Array.isArray(resolutions) || !Array.isArray(skip)) {
+      return res.status(400).json({ error: 'resolutions must be an object and skip an array' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const found = await client.query(
+        'SELECT id, status, rows FROM card_imports WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [req.params.id, req.user.id]
+      );
+      if (found.rows.length === 0) {
+        throw Object.assign(new Error('Import not found'), { status: 404 });
+      }
+      if (found.rows[0].status !== 'preview') {
+        throw Object.assign(new Error('This import has already been committed'), { status: 409 });
+      }
+
+      const pickIds = [...new Set(Object.values(resolutions))];
+      const picked = await client.query(
+        'SELECT id, name, set_name, local_id, rarity, image_url FROM card_index WHERE id = ANY($1)',
+        [pickIds]
+      );
+      const { cards, skipped } = planImport(found.rows[0].rows, { resolutions, skip, includeUnmatched: Boolean(includeUnmatched) },
+        new Map(picked.rows.map(row => [row.id, row])));
+
+      if (cards.length > 0) {
+        const column = key => cards.map(card => card[key] ?? null);
+        await client.query(
+          `INSERT INTO cards (user_id, card_name, card_set, card_number, rarity, image_url, condition, variant, purchase_price,
+             quantity, card_index_id)
+           SELECT $1, card_name, card_set, card_number, rarity, image_url, COALESCE(condition, $10), variant, purchase_price,
+             quantity, card_index_id
+           FROM unnest($2::text[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::text[], $9::decimal[],
+             $11::int[], $12::text[])
+             AS c(card_name, card_set, card_number, rarity, image_url, condition, variant, purchase_price, quantity, card_index_id)`,
+          [req.user.id, column('card_name'), column('card_set'), column('card_number'), column('rarity'),
+           column('image_url'), column('condition'), column('variant'), column('purchase_price'), CONDITION_UNKNOWN,
+           column('quantity'), column('card_index_id')]
+        );
+      }
+
+      const imported = cards.reduce((total, card) => total + card.quantity, 0);
+      await client.query(
+        `UPDATE card_imports SET status = 'committed', imported_count = $1, committed_at = NOW() WHERE id = $2`,
+        [imported, req.params.id]
+      );
+      return { imported, skipped };
+    });
+
+    res.json(outcome);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Card import commit error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
 // POST /api/cards — add a card to user's have list
+// condition is a grade code (NM/LP/MP/HP/DMG), or pass subgrades
+// { centering, corners, edges, surface } to have it worked out.
+// Graded slabs also take grading_company (PSA/BGS/CGC), slab_grade and cert_number.
+// purchase_price / purchased_at give the card a cost basis for the portfolio.
+// quantity adds a stack of identical copies (purchase_price is per copy).
+// card_index_id links the catalogue card and fills in anything left blank;
+// without it the card is linked from its set and number where that's unambiguous.
 router.post('/', auth, async (req, res) => {
   try {
-    const { card_name, card_set, card_number, rarity, condition, notes, image_url } = req.body;
+    const { card_index_id: cardIndexId, variant, notes } = req.body;
+
+    const entry = await findCardIndexEntry(pool, req.body);
+    if (cardIndexId && !entry) {
+      return res.status(400).json({ error: 'Unknown card_index_id' });
+    }
+    const card_name = req.body.card_name || entry?.name;
+    const card_set = req.body.card_set || entry?.set_name;
+    const card_number = req.body.card_number || entry?.local_id;
+    const rarity = req.body.rarity || entry?.rarity;
+    const image_url = req.body.image_url || entry?.image_url;
 
     if (!card_name) {
       return res.status(400).json({ error: 'Card name is required' });
     }
 
+    const cardVariant = variant ? normaliseVariant(variant) : null;
+    if (variant && !cardVariant) {
+      return res.status(400).json({ error: `Variant must be one of: ${VARIANTS.join(', ')}` });
+    }
+
+    const graded = parseConditionInput(req.body);
+    const slab = parseSlab(req.body) || null;
+    const purchase = parsePurchase(req.body);
+    const quantity = parseQuantity(req.body.quantity) ?? 1;
+    checkStackable({ quantity, status: IN_HAND_STATUS, grading_company: slab?.company });
+
     const result = await pool.query(
-      `INSERT INTO cards (user_id, card_name, card_set, card_number, rarity, condition, notes, image_url)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `INSERT INTO cards (user_id, card_name, card_set, card_number, rarity, condition, subgrades, grade, variant, notes, image_url,
+         grading_company, slab_grade, cert_number, purchase_price, purchased_at, quantity, card_index_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
        RETURNING *`,
       [req.user.id, card_name, card_set || null, card_number || null, rarity || null,
-       condition || 'unknown', notes || null, image_url || null]
+       graded.condition || CONDITION_UNKNOWN, graded.subgrades ? JSON.stringify(graded.subgrades) : null,
+       graded.grade ?? null, cardVariant, notes || null, image_url || null,
+       slab?.company ?? null, slab?.grade ?? null, slab?.certNumber ?? null,
+       purchase.price ?? null, purchase.date ?? null, quantity, entry?.id ?? null]
     );
 
     res.status(201).json({ card: result.rows[0] });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Add card error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
 // PUT /api/cards/:id — update a card
+// quantity only goes above 1 for cards in your collection; card_index_id: null
+// unlinks the card, and changing its set or number re-links it.
 router.put('/:id', auth, async (req, res) => {
   try {
-    const { card_name, card_set, card_number, rarity, condition, notes, image_url } = req.body;
+    const { card_name, card_set, card_number, rarity, variant, notes, image_url } = req.body;
+
+    const cardVariant = variant ? normaliseVariant(variant) : null;
+    if (variant && !cardVariant) {
+      return res.status(400).json({ error: `Variant must be one of: ${VARIANTS.join(', ')}` });
+    }
+
+    // Sub-grades are replaced whenever the condition is (cleared if it's set by hand)
+    const graded = parseConditionInput(req.body);
+    const regraded = graded.condition !== undefined;
+    // Slab fields are left alone unless sent; grading_company: null cracks the slab
+    const slab = parseSlab(req.body);
+    const purchase = parsePurchase(req.body);
+    const quantity = parseQuantity(req.body.quantity);
+
+    if (quantity > 1 || slab?.company) {
+      const current = await pool.query(
+        'SELECT status, grading_company, quantity FROM cards WHERE id = $1 AND user_id = $2',
+        [req.params.id, req.user.id]
+      );
+      if (current.rows.length === 0) {
+        return res.status(404).json({ error: 'Card not found' });
+      }
+      checkStackable({
+        quantity: quantity ?? current.rows[0].quantity,
+        status: current.rows[0].status,
+        grading_company: slab !== undefined ? slab?.company : current.rows[0].grading_company,
+      });
+    }
+
+    let link;
+    if (req.body.card_index_id !== undefined) {
+      const entry = req.body.card_index_id ? await findCardIndexEntry(pool, { card_index_id: req.body.card_index_id }) : null;
+      if (req.body.card_index_id && !entry) {
+        return res.status(400).json({ error: 'Unknown card_index_id' });
+      }
+      link = entry?.id ?? null;
+    }
 
     const result = await pool.query(
       `UPDATE cards SET card_name = COALESCE($1, card_name), card_set = COALESCE($2, card_set),
        card_number = COALESCE($3, card_number), rarity = COALESCE($4, rarity),
-       condition = COALESCE($5, condition), notes = COALESCE($6, notes),
-       image_url = COALESCE($7, image_url), updated_at = NOW()
-       WHERE id = $8 AND user_id = $9
+       condition = COALESCE($5, condition), variant = COALESCE($6, variant), notes = COALESCE($7, notes),
+       image_url = COALESCE($8, image_url),
+       subgrades = CASE WHEN $11 THEN $12::jsonb ELSE subgrades END,
+       grade = CASE WHEN $11 THEN $13::decimal ELSE grade END,
+       grading_company = CASE WHEN $14 THEN $15 ELSE grading_company END,
+       slab_grade = CASE WHEN $14 THEN $16::decimal ELSE slab_grade END,
+       cert_number = CASE WHEN $14 THEN $17 ELSE cert_number END,
+       purchase_price = CASE WHEN $18 THEN $19::decimal ELSE purchase_price END,
+       purchased_at = CASE WHEN $20 THEN $21::date ELSE purchased_at END,
+       quantity = COALESCE($22, quantity),
+       card_index_id = CASE WHEN $23 THEN $24 ELSE card_index_id END,
+       updated_at = NOW()
+       WHERE id = $9 AND user_id = $10
        RETURNING *`,
-      [card_name, card_set, card_number, rarity, condition, notes, image_url,
-       req.params.id, req.user.id]
+      [card_name, card_set, card_number, rarity, graded.condition ?? null, cardVariant, notes, image_url,
+       req.params.id, req.user.id, regraded,
+       graded.subgrades ? JSON.stringify(graded.subgrades) : null, graded.grade ?? null,
+       slab !== undefined, slab?.company ?? null, slab?.grade ?? null, slab?.certNumber ?? null,
+       purchase.price !== undefined, purchase.price ?? null, purchase.date !== undefined, purchase.date ?? null,
+       quantity ?? null, link !== undefined, link ?? null]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Card not found' });
     }
 
-    res.json({ card: result.rows[0] });
+    let card = result.rows[0];
+    if (link === undefined && (card_set || card_number)) {
+      const entry = await findCardIndexEntry(pool, { card_set: card.card_set, card_number: card.card_number });
+      if ((entry?.id ?? null) !== card.card_index_id) {
+        const relinked = await pool.query(
+          'UPDATE cards SET card_index_id = $1 WHERE id = $2 RETURNING *',
+          [entry?.id ?? null, card.id]
+        );
+        card = relinked.rows[0];
+      }
+    }
+
+    res.json({ card });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Update card error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
-// DELETE /api/cards/:id — remove a card
-router.delete('/:id', auth, async (req, res) => {
+// POST /api/cards/:id/split — move `quantity` copies off a stack into a card
+// of their own, e.g. to send one in or to record a copy in worse condition.
+// Body: { quantity = 1, condition? } — condition (or sub-grades) for the new card.
+router.post('/:id/split', auth, async (req, res) => {
   try {
-    // Check for active trades
-    const activeTrade = await pool.query(
-      `SELECT id FROM trades WHERE card_id = $1 AND status NOT IN ('cancelled', 'rejected', 'complete')`,
-      [req.params.id]
-    );
-    if (activeTrade.rows.length > 0) {
-      return res.status(400).json({ error: 'Cannot delete a card with an active trade' });
-    }
+    const quantity = parseQuantity(req.body.quantity) ?? 1;
+    const graded = parseConditionInput(req.body);
 
-    // Remove any dead trades (cancelled/rejected/complete) referencing this card
-    await pool.query(
-      `DELETE FROM trades WHERE card_id = $1 AND status IN ('cancelled', 'rejected', 'complete')`,
-      [req.params.id]
-    );
+    const outcome = await withTransaction(async (client) => {
+      const found = await client.query(
+        'SELECT * FROM cards WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [req.params.id, req.user.id]
+      );
+      if (found.rows.length === 0) {
+        throw Object.assign(new Error('Card not found'), { status: 404 });
+      }
+      const stack = found.rows[0];
+      if (stack.quantity <= quantity) {
+        throw Object.assign(new Error(`This card only has ${stack.quantity} ${stack.quantity === 1 ? 'copy' : 'copies'} — leave at least one behind`), { status: 400 });
+      }
 
-    const result = await pool.query(
-      'DELETE FROM cards WHERE id = $1 AND user_id = $2 RETURNING id',
-      [req.params.id, req.user.id]
-    );
+      const remaining = await client.query(
+        'UPDATE cards SET quantity = quantity - $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [quantity, stack.id]
+      );
+      // The new card keeps everything but the binder placement
+      const split = await client.query(
+        `INSERT INTO cards (user_id, card_name, card_set, card_number, rarity, condition, subgrades, grade, variant, notes, image_url,
+           estimated_value, purchase_price, purchased_at, quantity, card_index_id)
+         SELECT user_id, card_name, card_set, card_number, rarity,
+           CASE WHEN $3 THEN $4 ELSE condition END, CASE WHEN $3 THEN $5::jsonb ELSE subgrades END,
+           CASE WHEN $3 THEN $6::decimal ELSE grade END,
+           variant, notes, image_url, estimated_value, purchase_price, purchased_at, $2, card_index_id
+         FROM cards WHERE id = $1
+         RETURNING *`,
+        [stack.id, quantity, graded.condition !== undefined, graded.condition ?? null,
+         graded.subgrades ? JSON.stringify(graded.subgrades) : null, graded.grade ?? null]
+      );
+      return { card: remaining.rows[0], split: split.rows[0] };
+    });
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Card not found' });
-    }
+    res.status(201).json(outcome);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Split card error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// DELETE /api/cards/:id — remove a card. Dead trades (declined, rejected,
+// cancelled) go with it; a card from a finished trade stays, as part of that
+// trade's record.
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    await withTransaction(async (client) => {
+      const card = await client.query(
+        'SELECT id FROM cards WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [req.params.id, req.user.id]
+      );
+      if (card.rows.length === 0) throw Object.assign(new Error('Card not found'), { status: 404 });
+
+      const trades = await client.query(
+        `SELECT DISTINCT t.id, t.status FROM trades t
+         LEFT JOIN trade_items ti ON ti.trade_id = t.id
+         WHERE t.card_id = $1 OR ti.card_id = $1`,
+        [card.rows[0].id]
+      );
+      if (trades.rows.some(t => !FINAL_STATUSES.includes(t.status))) {
+        throw Object.assign(new Error('Cannot delete a card with an active trade'), { status: 400 });
+      }
+      if (trades.rows.some(t => !INACTIVE_STATUSES.includes(t.status))) {
+        throw Object.assign(new Error('This card is part of a finished trade, so it stays on record'), { status: 409 });
+      }
+
+      // Only dead trades are left
+      await client.query('DELETE FROM trades WHERE id = ANY($1)', [trades.rows.map(t => t.id)]);
+      await client.query('DELETE FROM cards WHERE id = $1', [card.rows[0].id]);
+    });
 
     res.json({ message: 'Card removed' });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Delete card error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
@@ -7,13 +7,16 @@ const {
   convertSetIdToPokePulse, searchCatalogue, getMarketData,
   findMatchingCards, extractCardsArray, extractPricingRecords, formatPricingData
 } = require('../lib/pricing');
+const { parseSlab } = require('../lib/grading');
 
 const router = Router();
 
 // GET /api/pricing/check?setId=sv03.5&number=199&name=Charizard ex
+// Add &grading_company=PSA&grade=10 to price a graded slab
 router.get('/check', auth, async (req, res) => {
   try {
     const { setId, number, name } = req.query;
+    const grading = parseSlab({ grading_company: req.query.grading_company, slab_grade: req.query.grade }) || null;
 
     if (!setId || !number || !name) {
       return res.status(400).json({
@@ -35,13 +38,13 @@ router.get('/check', auth, async (req, res) => {
     console.log(`setId: ${setId} → pokepulse: ${pokePulseSetId}`);
 
     // Check catalogue cache
-    const catalogueCacheKey = `catalogue:${pokePulseSetId}:${name}`;
+    const catalogueCacheKey = `catalogue:${pokePulseSetId}:${name}${grading ? ':graded' : ''}`;
     let catalogueData = getCached(catalogueCache, catalogueCacheKey, CATALOGUE_TTL);
 
     if (!catalogueData) {
       checkRateLimit();
       console.log(`Catalogue cache miss: ${catalogueCacheKey}`);
-      catalogueData = await searchCatalogue(pokePulseSetId, name);
+      catalogueData = await searchCatalogue(pokePulseSetId, name, { graded: Boolean(grading) });
       setCache(catalogueCache, catalogueCacheKey, catalogueData);
     } else {
       console.log(`Catalogue cache hit: ${catalogueCacheKey}`);
@@ -55,7 +58,7 @@ router.get('/check', auth, async (req, res) => {
 
     console.log(`Catalogue returned ${cardsArray.length} cards for "${name}" in set ${pokePulseSetId}`);
 
-    const matchingCards = findMatchingCards(cardsArray, number);
+    const matchingCards = findMatchingCards(cardsArray, number, grading);
     if (!matchingCards || matchingCards.length === 0) {
       return res.json({ success: true, data: null, message: 'No pricing data found for this card' });
     }
@@ -98,6 +101,7 @@ router.get('/check', auth, async (req, res) => {
     if (err.status === 429) {
       return res.status(429).json({ error: err.message, retryAfter: err.retryAfter });
     }
+    if (err.status === 400) return res.status(400).json({ error: err.message });
 
     res.status(500).json({ error: 'Failed to fetch pricing data' });
   }
@@ -1,6 +1,17 @@
 const { Router } = require('express');
 const pool = require('../db');
 const auth = require('../middleware/auth');
+const { PAYABLE_STATUSES } = require('../lib/payouts');
+const { sellerPayout } = require('../lib/trade-offers');
+const { loadPortfolioCards, summarise, breakdown, recordSnapshot } = require('../lib/portfolio');
+const { loadSetIndex } = require('../lib/matching');
+const { parseSlug } = require('../lib/sharing');
+const {
+  parseProgressMode, checklistSlots, setProgress, loadOwnedIndexCards, loadSetCards, describeSet, findSetId, missingWants,
+} = require('../lib/set-progress');
+const { loadSmartBinders } = require('../lib/smart-binders');
+const { parseWantFields } = require('../lib/wants');
+const { countryName } = require('../lib/carriers');
 
 const router = Router();
 
@@ -8,7 +19,7 @@ const router = Router();
 router.get('/', auth, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, email, display_name, avatar_url, city, postcode, bio, is_pro, is_admin, is_vendor, vendor_code, created_at, address_line1, address_line2, county, country FROM users WHERE id = $1',
+      'SELECT id, email, display_name, avatar_url, city, postcode, bio, is_pro, is_admin, is_vendor, vendor_code, created_at, address_line1, address_line2, county, country, profile_slug, profile_public FROM users WHERE id = $1',
       [req.user.id]
     );
 
@@ -17,7 +28,7 @@ router.get('/', auth, async (req, res) => {
     }
 
     // Get card, want and traded counts
-    const cardCount = await pool.query("SELECT COUNT(*) FROM cards WHERE user_id = $1 AND status NOT IN ('traded', 'returned')", [req.user.id]);
+    const cardCount = await pool.query("SELECT COALESCE(SUM(quantity), 0) AS count FROM cards WHERE user_id = $1 AND status NOT IN ('traded', 'returned')", [req.user.id]);
     const wantCount = await pool.query('SELECT COUNT(*) FROM want_list WHERE user_id = $1', [req.user.id]);
     const tradedCount = await pool.query(
       "SELECT COUNT(*) FROM trades WHERE (seller_id = $1 OR buyer_id = $1) AND status = 'complete'",
@@ -39,9 +50,28 @@ router.get('/', auth, async (req, res) => {
 });
 
 // PUT /api/profile — update profile
+// profile_slug is your public profile's URL; profile_public: true opts in to it
 router.put('/', auth, async (req, res) => {
   try {
-    const { display_name, city, postcode, bio, address_line1, address_line2, county, country } = req.body;
+    const { display_name, city, postcode, bio, address_line1, address_line2, county } = req.body;
+    // Stored by name; it has to be somewhere we can post to (lib/carriers.js)
+    const country = req.body.country ? countryName(req.body.country) : null;
+    const slug = req.body.profile_slug === undefined ? null : parseSlug(req.body.profile_slug);
+    const makePublic = req.body.profile_public === undefined ? null : Boolean(req.body.profile_public);
+
+    if (makePublic && !slug) {
+      const current = await pool.query('SELECT profile_slug FROM users WHERE id = $1', [req.user.id]);
+      if (!current.rows[0]?.profile_slug) {
+        return res.status(400).json({ error: 'Choose a profile URL before making your profile public' });
+      }
+    }
+
+    if (slug) {
+      const taken = await pool.query('SELECT 1 FROM users WHERE profile_slug = $1 AND id <> $2', [slug, req.user.id]);
+      if (taken.rows.length > 0) {
+        return res.status(409).json({ error: 'That profile URL is taken' });
+      }
+    }
 
     const result = await pool.query(
       `UPDATE users SET
@@ -53,17 +83,259 @@ router.put('/', auth, async (req, res) => {
         address_line2 = COALESCE($6, address_line2),
         county = COALESCE($7, county),
         country = COALESCE($8, country),
+        profile_slug = COALESCE($10, profile_slug),
+        profile_public = COALESCE($11, profile_public),
         updated_at = NOW()
        WHERE id = $9
-       RETURNING id, email, display_name, avatar_url, city, postcode, bio, is_pro, address_line1, address_line2, county, country`,
-      [display_name, city, postcode, bio, address_line1, address_line2, county, country, req.user.id]
+       RETURNING id, email, display_name, avatar_url, city, postcode, bio, is_pro, address_line1, address_line2, county, country,
+         profile_slug, profile_public`,
+      [display_name, city, postcode, bio, address_line1, address_line2, county, country, req.user.id, slug, makePublic]
     );
 
     res.json({ user: result.rows[0] });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    // Two people claiming the same slug at once
+    if (err.code === '23505') return res.status(409).json({ error: 'That profile URL is taken' });
     console.error('Update profile error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
+// GET /api/profile/payouts — seller statement: payouts received plus what's still owed
+// Query: ?from=&to= (dates, to is exclusive)
+router.get('/payouts', auth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const params = [req.user.id];
+    let where = 'WHERE p.seller_id = $1';
+
+    if (from) {
+      params.push(from);
+      where += ` AND p.paid_at >= $${params.length}`;
+    }
+    if (to) {
+      params.push(to);
+      where += ` AND p.paid_at < $${params.length}`;
+    }
+
+    const payouts = await pool.query(
+      `SELECT p.id, p.trade_id, p.description, p.gross_amount, p.fee_amount, p.net_amount,
+        p.method, p.reference, p.paid_at
+       FROM payouts p
+       ${where}
+       ORDER BY p.paid_at DESC`,
+      params
+    );
+
+    const pending = await pool.query(
+      `SELECT t.id as trade_id, t.status, t.price, t.agreed_price, t.holoswap_fee, c.card_name
+       FROM trades t
+       LEFT JOIN cards c ON t.card_id = c.id
+       WHERE t.seller_id = $1 AND t.status = ANY($2) AND t.payment_status = 'paid'
+         AND NOT EXISTS (SELECT 1 FROM payouts p WHERE p.trade_id = t.id)
+       ORDER BY t.updated_at ASC`,
+      [req.user.id, PAYABLE_STATUSES]
+    );
+
+    const sum = (rows, fn) => Math.round(rows.reduce((total, row) => total + (fn(row) || 0), 0) * 100) / 100;
+    const owed = pending.rows.map(t => ({
+      trade_id: t.trade_id,
+      card_name: t.card_name,
+      status: t.status,
+      amount: sellerPayout(t),
+    }));
+
+    res.json({
+      payouts: payouts.rows,
+      totals: {
+        gross: sum(payouts.rows, p => parseFloat(p.gross_amount)),
+        fees: sum(payouts.rows, p => parseFloat(p.fee_amount)),
+        net: sum(payouts.rows, p => parseFloat(p.net_amount)),
+      },
+      pending: owed,
+      pending_total: sum(owed, p => p.amount),
+    });
+  } catch (err) {
+    console.error('Get payouts error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/profile/portfolio — what the collection is worth: totals, cost
+// basis and unrealised gain, breakdowns by set / binder / rarity, the most
+// valuable cards and daily value snapshots. Query: ?days= of history (default 90)
+router.get('/portfolio', auth, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 90, 365);
+    const cards = await loadPortfolioCards(pool, req.user.id);
+    const totals = summarise(cards);
+
+    // Today's snapshot is refreshed on every view as well as by the nightly job
+    await recordSnapshot(pool, req.user.id, totals);
+
+    const binders = await pool.query('SELECT id, name, rules FROM binders WHERE user_id = $1', [req.user.id]);
+    const binderNames = new Map(binders.rows.map(b => [b.id, b.name]));
+
+    // Smart binders hold whatever their rules pick right now
+    const smart = await loadSmartBinders(pool, req.user.id, binders.rows, cards);
+    const byId = new Map(cards.map(c => [c.id, c]));
+    for (const [binderId, members] of smart) {
+      for (const member of members) byId.get(member.id).binder_ids.push(binderId);
+    }
+
+    const history = await pool.query(
+      `SELECT snapshot_date, card_count, priced_count, total_value, cost_basis, unrealised_gain
+       FROM portfolio_snapshots
+       WHERE user_id = $1 AND snapshot_date > CURRENT_DATE - $2::integer
+       ORDER BY snapshot_date ASC`,
+      [req.user.id, days]
+    );
+
+    const strip = ({ key, cards: groupCards, ...summary }) => summary;
+
+    res.json({
+      totals,
+      by_set: breakdown(cards, c => c.set_id || c.card_set || null).map(group => ({
+        set_id: group.cards[0].set_id,
+        set_name: group.cards[0].card_set || 'Unknown set',
+        ...strip(group),
+      })),
+      by_binder: breakdown(cards, c => (c.binder_ids.length ? c.binder_ids : [null])).map(group => ({
+        binder_id: group.key,
+        name: group.key === null ? 'Not in a binder' : binderNames.get(group.key),
+        ...strip(group),
+      })),
+      by_rarity: breakdown(cards, c => c.rarity || 'Unknown').map(group => ({
+        rarity: group.key,
+        ...strip(group),
+      })),
+      top_cards: cards
+        .filter(c => c.value != null)
+        .sort((a, b) => b.value - a.value)
+        .slice(0, 10)
+        .map(c => ({
+          id: c.id, card_name: c.card_name, card_set: c.card_set, card_number: c.card_number,
+          grading_company: c.grading_company, slab_grade: c.slab_grade, image_url: c.image_url,
+          value: c.value, price_source: c.price_source, purchase_price: c.purchase_price,
+        })),
+      history: history.rows,
+    });
+  } catch (err) {
+    console.error('Get portfolio error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/profile/sets?mode=standard|full|master — completion of every set
+// I own a card from, closest to complete first
+router.get('/sets', auth, async (req, res) => {
+  try {
+    const mode = parseProgressMode(req.query.mode);
+    const owned = await loadOwnedIndexCards(pool, req.user.id);
+    const setCards = await loadSetCards(pool, [...new Set(owned.map(c => c.set_id))]);
+
+    const bySet = new Map();
+    for (const card of setCards) {
+      if (!bySet.has(card.set_id)) bySet.set(card.set_id, []);
+      bySet.get(card.set_id).push(card);
+    }
+
+    const sets = [...bySet.values()].map(indexCards => {
+      const { cards, ...progress } = setProgress(
+        checklistSlots(indexCards, mode),
+        owned.filter(c => c.set_id === indexCards[0].set_id),
+        mode
+      );
+      return { ...describeSet(indexCards), ...progress };
+    }).sort((a, b) => b.percent - a.percent || a.missing_count - b.missing_count);
+
+    res.json({ mode, sets });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Get set progress summary error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/profile/sets/:setId/progress?mode=standard|full|master — every card
+// in the set with how many I own, plus the owned / missing counts, secret
+// rares and (master mode) reverse holos. :setId is a set id, name or code.
+router.get('/sets/:setId/progress', auth, async (req, res) => {
+  try {
+    const mode = parseProgressMode(req.query.mode);
+    const setId = await findSetId(pool, req.params.setId);
+    if (!setId) {
+      return res.status(404).json({ error: 'Set not found' });
+    }
+
+    const indexCards = await loadSetCards(pool, [setId]);
+    const owned = await loadOwnedIndexCards(pool, req.user.id, setId);
+    const progress = setProgress(checklistSlots(indexCards, mode), owned, mode);
+
+    res.json({
+      set: describeSet(indexCards),
+      ...progress,
+      missing: progress.cards.filter(c => c.owned === 0),
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Get set progress error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// POST /api/profile/sets/:setId/want-missing — add every card I'm missing
+// from the set to my want list, linked to card_index.
+// Body: { mode, min_condition = 'MP', priority = 'normal' }.
+// Cards already on the want list are left as they are.
+router.post('/sets/:setId/want-missing', auth, async (req, res) => {
+  try {
+    const mode = parseProgressMode(req.body.mode);
+    const { min_condition: minCondition, priority } = parseWantFields({
+      min_condition: req.body.min_condition, priority: req.body.priority,
+    });
+
+    const setId = await findSetId(pool, req.params.setId);
+    if (!setId) {
+      return res.status(404).json({ error: 'Set not found' });
+    }
+
+    const indexCards = await loadSetCards(pool, [setId]);
+    const owned = await loadOwnedIndexCards(pool, req.user.id, setId);
+    const progress = setProgress(checklistSlots(indexCards, mode), owned, mode);
+
+    const existing = await pool.query(
+      'SELECT set_id, card_name, card_set, card_number, variants FROM want_list WHERE user_id = $1',
+      [req.user.id]
+    );
+    const toAdd = missingWants(progress, existing.rows, await loadSetIndex(pool), setId);
+
+    if (toAdd.length > 0) {
+      const { set_name: setName } = describeSet(indexCards);
+      await pool.query(
+        `INSERT INTO want_list (user_id, set_id, card_set, min_condition, priority,
+           card_index_id, card_name, card_number, rarity, variants)
+         SELECT $1, $2, $3, $4, $5, card_index_id, card_name, card_number, rarity,
+           CASE WHEN variant IS NULL THEN NULL ELSE ARRAY[variant]::varchar[] END
+         FROM unnest($6::text[], $7::text[], $8::text[], $9::text[], $10::text[])
+           AS w(card_index_id, card_name, card_number, rarity, variant)`,
+        [req.user.id, setId, setName, minCondition, priority,
+         toAdd.map(c => c.card_index_id), toAdd.map(c => c.card_name), toAdd.map(c => c.card_number),
+         toAdd.map(c => c.rarity), toAdd.map(c => c.variant)]
+      );
+    }
+
+    res.status(201).json({
+      added: toAdd.length,
+      already_wanted: progress.missing_count - toAdd.length,
+      wants: toAdd.map(({ card_index_id, card_name, card_number, variant }) => ({ card_index_id, card_name, card_number, variant })),
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Want missing cards error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
 module.exports = router;
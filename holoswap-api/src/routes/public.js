@@ -0,0 +1,128 @@
+const { Router } = require('express');
+const pool = require('../db');
+const { publicCard, publicProfile, loadReputation, loadBinderCards } = require('../lib/sharing');
+const { loadSmartBinders } = require('../lib/smart-binders');
+const { WANT_PRIORITIES } = require('../lib/wants');
+const { findSetId } = require('../lib/set-progress');
+const {
+  parseRegion, parseBoardSize, loadDemandBoard, loadDemandSummary,
+} = require('../lib/demand');
+
+const router = Router();
+
+// Public pages — no login. See lib/sharing.js for what's shown.
+
+// GET /api/public/collectors/:slug — a collector's public profile: their
+// listed cards, want list, public binders and trade reputation
+router.get('/collectors/:slug', async (req, res) => {
+  try {
+    const user = await pool.query(
+      `SELECT id, profile_slug, display_name, avatar_url, city, bio, created_at
+       FROM users WHERE profile_slug = $1 AND profile_public = TRUE`,
+      [String(req.params.slug).toLowerCase()]
+    );
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'Collector not found' });
+    }
+    const userId = user.rows[0].id;
+
+    const [listed, wants, binders, reputation] = await Promise.all([
+      pool.query(
+        "SELECT * FROM cards WHERE user_id = $1 AND status = 'listed' ORDER BY updated_at DESC",
+        [userId]
+      ),
+      pool.query(
+        `SELECT card_index_id, card_name, card_set, card_number, rarity, variants, min_condition, quantity, priority
+         FROM want_list WHERE user_id = $1
+         ORDER BY array_position($2::varchar[], priority), created_at DESC`,
+        [userId, WANT_PRIORITIES]
+      ),
+      pool.query(
+        `SELECT b.id, b.rules, b.name, b.description, b.share_token, b.updated_at, COUNT(bc.id)::int AS card_count
+         FROM binders b
+         LEFT JOIN binder_cards bc ON bc.binder_id = b.id
+         WHERE b.user_id = $1 AND b.visibility = 'public'
+         GROUP BY b.id
+         ORDER BY b.updated_at DESC`,
+        [userId]
+      ),
+      loadReputation(pool, userId),
+    ]);
+
+    const smart = await loadSmartBinders(pool, userId, binders.rows);
+
+    res.json({
+      collector: publicProfile(user.rows[0]),
+      reputation,
+      listed_cards: listed.rows.map(publicCard),
+      wants: wants.rows,
+      binders: binders.rows.map(({ id, rules, ...binder }) => (
+        smart.has(id) ? { ...binder, card_count: smart.get(id).length } : binder
+      )),
+    });
+  } catch (err) {
+    console.error('Public profile error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/public/binders/:token — an unlisted or public binder from its share link
+router.get('/binders/:token', async (req, res) => {
+  try {
+    const binder = await pool.query(
+      `SELECT b.id, b.user_id, b.rules, b.name, b.description, b.visibility, b.updated_at,
+              u.display_name, u.profile_slug, u.profile_public
+       FROM binders b
+       JOIN users u ON u.id = b.user_id
+       WHERE b.share_token = $1 AND b.visibility <> 'private'`,
+      [req.params.token]
+    );
+    if (binder.rows.length === 0) {
+      return res.status(404).json({ error: 'Binder not found' });
+    }
+
+    const b = binder.rows[0];
+    res.json({
+      binder: {
+        name: b.name,
+        description: b.description,
+        visibility: b.visibility,
+        updated_at: b.updated_at,
+        // The profile link only when the owner has made their profile public
+        owner: { display_name: b.display_name, slug: b.profile_public ? b.profile_slug : null },
+        cards: await loadBinderCards(pool, b),
+      },
+    });
+  } catch (err) {
+    console.error('Public binder error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/public/wanted?set=&region=&limit= — the most-wanted cards across
+// every want list, with how many collectors want each. Narrow it to a set
+// (id, name or code) and/or a postcode area. See lib/demand.js.
+router.get('/wanted', async (req, res) => {
+  try {
+    const region = parseRegion(req.query.region);
+    let setId = null;
+    if (req.query.set) {
+      setId = await findSetId(pool, req.query.set);
+      if (!setId) {
+        return res.status(404).json({ error: 'Set not found' });
+      }
+    }
+
+    const filter = { setIds: setId ? [setId] : null, region };
+    const cards = await loadDemandBoard(pool, { ...filter, limit: parseBoardSize(req.query.limit) });
+    const { sets, regions } = await loadDemandSummary(pool, filter);
+
+    res.json({ set_id: setId, region, cards, sets, regions });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Wanted board error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+module.exports = router;
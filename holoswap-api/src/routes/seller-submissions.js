@@ -13,6 +13,7 @@ const { sendSubmissionEmail, sendTestEmail } = require('../lib/email');
 const { sendSubmissionDiscord, sendTestDiscord } = require('../lib/discord');
 const { SET_CODE_MAP } = require('../lib/set-codes');
 const { parseCardInput } = require('../lib/card-input');
+const { parseConditionInput } = require('../lib/conditions');
 
 const router = Router();
 
@@ -430,6 +431,15 @@ router.post('/submit', async (req, res) => {
       return res.status(400).json({ error: 'Maximum 100 items per submission' });
     }
 
+    // Vendors only price NM/LP/MP/HP — anything worse isn't bought through here
+    for (const item of items) {
+      const { condition } = parseConditionInput({ condition: item.condition }, { allowUnknown: false });
+      item.condition = condition || 'NM';
+      if (!(item.condition in DEFAULT_BUY)) {
+        return res.status(400).json({ error: `Condition must be one of: ${Object.keys(DEFAULT_BUY).join(', ')}` });
+      }
+    }
+
     // Resolve vendor and fetch multipliers
     let vendorId = null;
     let vendorMultipliers = {};
@@ -451,8 +461,7 @@ router.post('/submit', async (req, res) => {
     // Recalculate asking prices server-side to prevent manipulation
     for (const item of items) {
       if (item.market_price) {
-        const condition = item.condition || 'NM';
-        item.asking_price = serverBuyPrice(item.market_price, condition, vendorMultipliers);
+        item.asking_price = serverBuyPrice(item.market_price, item.condition, vendorMultipliers);
       }
     }
 
@@ -485,7 +494,7 @@ router.post('/submit', async (req, res) => {
           item.image_url || null,
           item.market_price || null,
           item.asking_price || null,
-          item.condition || 'NM',
+          item.condition,
         ]
       );
     }
@@ -525,6 +534,7 @@ router.post('/submit', async (req, res) => {
       count: items.length,
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('[Seller] Submit error:', err);
     res.status(500).json({ error: 'Submission failed' });
   }
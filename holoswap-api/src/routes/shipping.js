@@ -1,11 +1,20 @@
 const { Router } = require('express');
 const pool = require('../db');
 const auth = require('../middleware/auth');
+const { recordTradeEvent } = require('../lib/trade-state');
+const { tradeValue } = require('../lib/trade-offers');
+const { withTransaction } = require('../lib/db-transaction');
+const {
+  getCarrier, labelCarrier, userAddress, hasDeliveryAddress, hubAddress, parseWeight, buildShipment,
+} = require('../lib/carriers');
+const {
+  parseTradeIds, declaredValue, loadUnlabelledItems, loadSubmissions, releaseSubmission,
+} = require('../lib/submissions');
 
 const router = Router();
 
-const ROYAL_MAIL_API = 'https://api.parcel.royalmail.com/api/v1';
-const ROYAL_MAIL_KEY = process.env.ROYAL_MAIL_API_KEY || 'a9d519f6-c9eb-4a44-a7d9-8a2bc7da016b';
+// Labels, tracking and orders go through a carrier adapter (lib/carriers.js);
+// body.carrier / ?carrier= picks one, SHIPPING_CARRIER is the default.
 
 // Middleware: check if user is admin
 async function requireAdmin(req, res, next) {
@@ -20,17 +29,26 @@ async function requireAdmin(req, res, next) {
   }
 }
 
-// POST /api/shipping/create-order — create Royal Mail order for a trade
+function sendLabel(res, orderId, pdf) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename=label-${orderId}.pdf`);
+  res.send(pdf);
+}
+
+// POST /api/shipping/create-order — create a carrier order for a trade, to
+// the buyer's address wherever users.country puts it
 router.post('/create-order', auth, requireAdmin, async (req, res) => {
   try {
-    const { trade_id, service_code, weight } = req.body;
+    const { trade_id, service_code } = req.body;
+    const weight = parseWeight(req.body.weight);
+    const carrier = labelCarrier(req.body.carrier);
 
     // Get trade with buyer address
     const trade = await pool.query(
       `SELECT t.*,
         buyer.display_name as buyer_name, buyer.email as buyer_email,
-        buyer.address_line1, buyer.address_line2, buyer.city as buyer_city,
-        buyer.county as buyer_county, buyer.postcode as buyer_postcode,
+        buyer.address_line1 as buyer_address_line1, buyer.address_line2 as buyer_address_line2,
+        buyer.city as buyer_city, buyer.county as buyer_county, buyer.postcode as buyer_postcode,
         buyer.country as buyer_country,
         c.card_name, c.card_set, c.card_number
        FROM trades t
@@ -46,191 +64,117 @@ router.post('/create-order', auth, requireAdmin, async (req, res) => {
 
     const t = trade.rows[0];
 
-    if (!t.address_line1 || !t.buyer_city || !t.buyer_postcode) {
-      return res.status(400).json({ error: 'Buyer has no delivery address' });
-    }
-
-    // Determine package format based on service
-    const svc = service_code || 'SD1';
-    const letterServices = ['BPL1', 'BPL2', 'BPR1', 'BPR2', 'STL1', 'STL2'];
-    const largeLetterServices = ['TPN24', 'TPS48'];
-    let packageFormat = 'smallParcel';
-    if (letterServices.includes(svc)) packageFormat = 'letter';
-    if (largeLetterServices.includes(svc)) packageFormat = 'largeLetter';
-
-    const dimensionsByFormat = {
-      letter: { heightInMms: 5, widthInMms: 100, depthInMms: 150 },
-      largeLetter: { heightInMms: 25, widthInMms: 176, depthInMms: 250 },
-      smallParcel: { heightInMms: 25, widthInMms: 160, depthInMms: 230 },
-    };
-
-    // Build Royal Mail order
-    const orderData = {
-      items: [{
-        orderReference: `HS-${t.id}`,
-        recipient: {
-          address: {
-            fullName: t.buyer_name || 'Pokemon Trainer',
-            addressLine1: t.address_line1,
-            addressLine2: t.address_line2 || '',
-            city: t.buyer_city,
-            county: t.buyer_county || '',
-            postcode: t.buyer_postcode,
-            countryCode: 'GB',
-          },
-          emailAddress: t.buyer_email || '',
-        },
-        billing: {
-          address: {
-            fullName: t.buyer_name || 'Pokemon Trainer',
-            addressLine1: t.address_line1,
-            city: t.buyer_city,
-            postcode: t.buyer_postcode,
-            countryCode: 'GB',
-          },
-        },
-        packages: [{
-          weightInGrams: weight || 100,
-          packageFormatIdentifier: packageFormat,
-          dimensions: dimensionsByFormat[packageFormat] || dimensionsByFormat.smallParcel,
-          contents: [{
-            name: `${t.card_name} - ${t.card_set} #${t.card_number}`,
-            quantity: 1,
-            unitValue: parseFloat(t.price) || 5.00,
-            unitWeightInGrams: weight || 100,
-          }],
-        }],
-        orderDate: new Date().toISOString(),
-        subtotal: parseFloat(t.price) || 5.00,
-        shippingCostCharged: 0,
-        total: parseFloat(t.price) || 5.00,
-        currencyCode: 'GBP',
-        postageDetails: {
-          serviceCode: svc, // Default: Special Delivery 1pm
-          sendNotificationsTo: 'sender',
-        },
-        label: {
-          includeLabelInResponse: true,
-        },
-      }],
-    };
-
-    const response = await fetch(`${ROYAL_MAIL_API}/orders`, {
-      method: 'POST',
-      headers: {
-        'Authorization': ROYAL_MAIL_KEY,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(orderData),
-    });
-
-    const responseText = await response.text();
-    console.log('Royal Mail response status:', response.status);
-    console.log('Royal Mail response body:', responseText);
-
-    let result;
-    try {
-      result = JSON.parse(responseText);
-    } catch (parseErr) {
-      console.error('Failed to parse Royal Mail response:', responseText);
-      return res.status(400).json({ error: 'Invalid response from Royal Mail', raw: responseText.substring(0, 500) });
-    }
-
-    if (!response.ok) {
-      console.error('Royal Mail error:', JSON.stringify(result));
-      return res.status(400).json({ error: 'Royal Mail API error', details: result });
-    }
-
-    // RM may return createdOrders and/or failedOrders
-    const createdOrder = result.createdOrders?.[0];
-    const failedOrder = result.failedOrders?.[0];
+    // Everything the buyer is getting from the seller (several cards for a bundle)
+    const items = await pool.query(
+      `SELECT c.card_name, c.card_set, c.card_number
+       FROM trade_items ti
+       JOIN cards c ON ti.card_id = c.id
+       WHERE ti.trade_id = $1 AND ti.owner_id = $2
+       ORDER BY ti.id`,
+      [t.id, t.seller_id]
+    );
+    const cards = items.rows.length ? items.rows : [t];
+    // Declared value is the agreed price; 5.00 only for old trades that never had one
+    const value = tradeValue(t);
+    const orderValue = value === null ? 5.00 : value;
 
-    if (failedOrder && !createdOrder) {
-      console.error('Royal Mail order failed:', JSON.stringify(failedOrder));
-      return res.status(400).json({ error: 'Royal Mail rejected order', details: failedOrder });
+    const to = userAddress(t, 'buyer_');
+    if (!hasDeliveryAddress(to)) {
+      return res.status(400).json({ error: 'Buyer has no delivery address' });
     }
 
-    const rmOrderId = createdOrder?.orderIdentifier;
-    const trackingNumber = createdOrder?.trackingNumber || null;
-    const label = createdOrder?.label || null;
-
-    // Store Royal Mail order ID and tracking on the trade
+    const order = await carrier.createOrder(buildShipment({
+      reference: `HS-${t.id}`,
+      from: hubAddress(),
+      to,
+      cards,
+      value: orderValue,
+      weight,
+      serviceCode: service_code || null,
+    }));
+
+    // Store the carrier order and tracking on the trade
     await pool.query(
       `UPDATE trades SET
         outbound_tracking = COALESCE($1, outbound_tracking),
-        notes = COALESCE(notes, '') || $2,
+        outbound_carrier = $2,
+        outbound_order_id = $3,
         updated_at = NOW()
-       WHERE id = $3`,
-      [
-        trackingNumber,
-        ` | RM Order: ${rmOrderId || 'pending'}`,
-        trade_id,
-      ]
+       WHERE id = $4`,
+      [order.trackingNumber, carrier.name, order.orderId, t.id]
     );
 
+    await recordTradeEvent(pool, {
+      tradeId: t.id,
+      actorId: req.user.id,
+      fromStatus: t.status,
+      toStatus: t.status,
+      notes: `${carrier.label} order ${order.orderId || 'pending'} created${order.trackingNumber ? ` (tracking ${order.trackingNumber})` : ''}`,
+    });
+
     res.json({
-      message: 'Royal Mail order created',
-      orderIdentifier: rmOrderId,
-      trackingNumber,
-      label,
-      fullResponse: result,
+      message: `${carrier.label} order created`,
+      carrier: carrier.name,
+      orderIdentifier: order.orderId,
+      trackingNumber: order.trackingNumber,
+      label: order.label,
+      fullResponse: order.raw,
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, ...err.body });
     console.error('Create shipping order error:', err);
     res.status(500).json({ error: 'Failed to create shipping order' });
   }
 });
 
-// GET /api/shipping/label/:orderIdentifier — download label PDF
+// GET /api/shipping/label/:orderIdentifier?carrier= — download label PDF
 router.get('/label/:orderIdentifier', auth, requireAdmin, async (req, res) => {
   try {
-    const response = await fetch(
-      `${ROYAL_MAIL_API}/orders/${req.params.orderIdentifier}/label?documentType=postageLabel&includeReturnsLabel=false&includeCN=false`,
-      {
-        headers: {
-          'Authorization': ROYAL_MAIL_KEY,
-        },
-      }
-    );
-
-    if (!response.ok) {
-      const err = await response.json();
-      return res.status(400).json({ error: 'Failed to get label', details: err });
-    }
-
-    const pdfBuffer = await response.arrayBuffer();
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `inline; filename=label-${req.params.orderIdentifier}.pdf`);
-    res.send(Buffer.from(pdfBuffer));
+    const carrier = getCarrier(req.query.carrier);
+    sendLabel(res, req.params.orderIdentifier, await carrier.fetchLabel(req.params.orderIdentifier));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, ...err.body });
     console.error('Get label error:', err);
     res.status(500).json({ error: 'Failed to get label' });
   }
 });
 
-// GET /api/shipping/tracking/:trackingNumber — get tracking info
+// GET /api/shipping/tracking/:trackingNumber — get tracking info, with the
+// scans the tracking sync job has stored for it (lib/tracking.js) when the
+// parcel belongs to one of your trades
 router.get('/tracking/:trackingNumber', auth, async (req, res) => {
   try {
-    // Royal Mail tracking URL for users
-    const trackingUrl = `https://www.royalmail.com/track-your-item#/tracking-results/${req.params.trackingNumber}`;
+    const events = await pool.query(
+      `SELECT e.trade_id, e.direction, e.carrier, e.event_code, e.description, e.location, e.delivered, e.occurred_at
+       FROM tracking_events e
+       JOIN trades t ON t.id = e.trade_id
+       JOIN users u ON u.id = $2
+       WHERE e.tracking_number = $1 AND (t.seller_id = u.id OR t.buyer_id = u.id OR u.is_admin)
+       ORDER BY e.occurred_at ASC, e.id ASC`,
+      [req.params.trackingNumber, req.user.id]
+    );
 
-    // We could also hit the Royal Mail Tracking API v2 here if we have access
-    // For now, return the tracking URL
+    // The carrier the scans came from, else the one asked for
+    const carrier = getCarrier(events.rows[0]?.carrier || req.query.carrier);
     res.json({
       trackingNumber: req.params.trackingNumber,
-      trackingUrl,
+      carrier: carrier.name,
+      trackingUrl: carrier.trackingUrl(req.params.trackingNumber),
+      delivered: events.rows.some(e => e.delivered),
+      events: events.rows,
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, ...err.body });
     console.error('Tracking error:', err);
     res.status(500).json({ error: 'Failed to get tracking info' });
   }
 });
 
-// GET /api/shipping/orders/:tradeId — get Royal Mail order status
+// GET /api/shipping/orders/:tradeId — get the carrier's view of a trade's outbound order
 router.get('/orders/:tradeId', auth, requireAdmin, async (req, res) => {
   try {
     const trade = await pool.query(
-      `SELECT notes FROM trades WHERE id = $1`,
+      'SELECT outbound_carrier, outbound_order_id FROM trades WHERE id = $1',
       [req.params.tradeId]
     );
 
@@ -238,27 +182,191 @@ router.get('/orders/:tradeId', auth, requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Trade not found' });
     }
 
-    // Extract RM order ID from notes
-    const notes = trade.rows[0].notes || '';
-    const match = notes.match(/RM Order: (\d+)/);
+    const { outbound_carrier: carrierName, outbound_order_id: orderId } = trade.rows[0];
+    if (!orderId) {
+      return res.status(404).json({ error: 'No shipping order found for this trade' });
+    }
+
+    res.json(await getCarrier(carrierName).getOrder(orderId));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, ...err.body });
+    console.error('Get shipping order error:', err);
+    res.status(500).json({ error: 'Failed to get order status' });
+  }
+});
 
-    if (!match) {
-      return res.status(404).json({ error: 'No Royal Mail order found for this trade' });
+// POST /api/shipping/submissions — buy a label for posting my cards to
+// HoloSwap: one parcel for everything I still owe on my accepted trades (or
+// just body.trade_ids). See lib/submissions.js.
+router.post('/submissions', auth, async (req, res) => {
+  try {
+    const tradeIds = parseTradeIds(req.body.trade_ids);
+    const carrier = labelCarrier(req.body.carrier);
+    const svc = req.body.service_code || null;
+    const weight = parseWeight(req.body.weight);
+    const hub = hubAddress();
+    if (!hub) {
+      return res.status(503).json({ error: 'Inbound labels are not set up (missing HOLOSWAP_HUB_* address)' });
     }
 
-    const rmOrderId = match[1];
+    const user = await pool.query(
+      `SELECT display_name, email, address_line1, address_line2, city, county, postcode, country
+       FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+    const from = userAddress(user.rows[0]);
+    if (!hasDeliveryAddress(from)) {
+      return res.status(400).json({ error: 'Add your address to your profile before creating a label' });
+    }
+
+    // Claim the cards on a pending submission, so the label is only bought once they're ours
+    const { submissionId, items } = await withTransaction(async (client) => {
+      const unlabelled = await loadUnlabelledItems(client, req.user.id, tradeIds);
+      if (unlabelled.length === 0) {
+        throw Object.assign(new Error('No cards left to post — they are already posted or on a label'), { status: 400 });
+      }
 
-    const response = await fetch(`${ROYAL_MAIL_API}/orders/${rmOrderId}`, {
-      headers: {
-        'Authorization': ROYAL_MAIL_KEY,
-      },
+      const inserted = await client.query(
+        `INSERT INTO submissions (user_id, card_count, carrier, service_code, status)
+         VALUES ($1, $2, $3, $4, 'pending') RETURNING id`,
+        [req.user.id, unlabelled.length, carrier.name, svc]
+      );
+      const id = inserted.rows[0].id;
+      await client.query('UPDATE trade_items SET submission_id = $1 WHERE id = ANY($2)', [id, unlabelled.map(i => i.id)]);
+      return { submissionId: id, items: unlabelled };
     });
 
-    const result = await response.json();
-    res.json(result);
+    let order;
+    try {
+      order = await carrier.createOrder(buildShipment({
+        reference: `HS-IN-${submissionId}`, from, to: hub, cards: items, value: declaredValue(items), weight, serviceCode: svc,
+      }));
+    } catch (err) {
+      await withTransaction(client => releaseSubmission(client, submissionId, 'failed'));
+      throw err;
+    }
+
+    try {
+      await withTransaction(async (client) => {
+        // Cancelled while the carrier was busy
+        const saved = await client.query(
+          `UPDATE submissions SET status = 'label_created', tracking_number = $1, carrier_order_id = $2, updated_at = NOW()
+           WHERE id = $3 AND status = 'pending' RETURNING id`,
+          [order.trackingNumber, order.orderId, submissionId]
+        );
+        if (saved.rows.length === 0) {
+          throw Object.assign(new Error('This label was cancelled while it was being created'), { status: 409 });
+        }
+
+        for (const tradeId of new Set(items.map(i => i.trade_id))) {
+          await recordTradeEvent(client, {
+            tradeId,
+            actorId: req.user.id,
+            fromStatus: 'accepted',
+            toStatus: 'accepted',
+            notes: `${carrier.label} label created for posting to HoloSwap${order.trackingNumber ? ` (tracking ${order.trackingNumber})` : ''}`,
+          });
+        }
+      });
+    } catch (err) {
+      // Nothing points at the label we just bought, so void it
+      await carrier.cancel(order.orderId).catch(voidErr => {
+        console.error(`Void ${carrier.label} order ${order.orderId} error:`, voidErr);
+      });
+      if (!err.status) {
+        await withTransaction(client => releaseSubmission(client, submissionId, 'failed')).catch(() => {});
+      }
+      throw err;
+    }
+
+    const [submission] = await loadSubmissions(pool, req.user.id, { submissionId });
+    res.status(201).json({ submission, label: order.label });
   } catch (err) {
-    console.error('Get RM order error:', err);
-    res.status(500).json({ error: 'Failed to get order status' });
+    if (err.status) return res.status(err.status).json({ error: err.message, ...err.body });
+    console.error('Create submission error:', err);
+    res.status(500).json({ error: 'Failed to create label' });
+  }
+});
+
+// GET /api/shipping/submissions — my labels to HoloSwap, newest first, with their cards
+router.get('/submissions', auth, async (req, res) => {
+  try {
+    res.json({ submissions: await loadSubmissions(pool, req.user.id) });
+  } catch (err) {
+    console.error('Get submissions error:', err);
+    res.status(500).json({ error: 'Failed to get submissions' });
+  }
+});
+
+// GET /api/shipping/submissions/:id
+router.get('/submissions/:id', auth, async (req, res) => {
+  try {
+    const [submission] = await loadSubmissions(pool, req.user.id, { submissionId: parseInt(req.params.id, 10) || 0 });
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    res.json({ submission });
+  } catch (err) {
+    console.error('Get submission error:', err);
+    res.status(500).json({ error: 'Failed to get submission' });
+  }
+});
+
+// GET /api/shipping/submissions/:id/label — the label PDF again
+router.get('/submissions/:id/label', auth, async (req, res) => {
+  try {
+    const [submission] = await loadSubmissions(pool, req.user.id, { submissionId: parseInt(req.params.id, 10) || 0 });
+    if (!submission || submission.status === 'cancelled' || !submission.carrier_order_id) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    const carrier = getCarrier(submission.carrier);
+    sendLabel(res, submission.carrier_order_id, await carrier.fetchLabel(submission.carrier_order_id));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, ...err.body });
+    console.error('Get submission label error:', err);
+    res.status(500).json({ error: 'Failed to get label' });
+  }
+});
+
+// PUT /api/shipping/submissions/:id/cancel — cancel an unused label. Its
+// cards can go on a new one.
+router.put('/submissions/:id/cancel', auth, async (req, res) => {
+  try {
+    const [submission] = await loadSubmissions(pool, req.user.id, { submissionId: parseInt(req.params.id, 10) || 0 });
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    if (submission.status === 'cancelled') {
+      return res.status(409).json({ error: 'This label is already cancelled' });
+    }
+    if (submission.items.some(item => item.shipped_at)) {
+      return res.status(409).json({ error: "This parcel has been posted, so the label can't be cancelled" });
+    }
+
+    if (submission.status === 'failed') {
+      return res.status(409).json({ error: 'This label was never created' });
+    }
+
+    // A pending label has no carrier order yet; if one turns up it's voided
+    if (submission.carrier_order_id) {
+      await getCarrier(submission.carrier).cancel(submission.carrier_order_id);
+    }
+
+    // Only let go of the cards if the label is as we found it: a pending one
+    // may have been created meanwhile, and that label still needs voiding
+    await withTransaction(async (client) => {
+      const locked = await client.query('SELECT status FROM submissions WHERE id = $1 FOR UPDATE', [submission.id]);
+      if (locked.rows[0].status !== submission.status) {
+        throw Object.assign(new Error('This label changed while it was being cancelled — try again'), { status: 409 });
+      }
+      await releaseSubmission(client, submission.id, 'cancelled');
+    });
+
+    res.json({ message: 'Label cancelled' });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, ...err.body });
+    console.error('Cancel submission error:', err);
+    res.status(500).json({ error: 'Failed to cancel label' });
   }
 });
 
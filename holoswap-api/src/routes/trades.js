@@ -1,9 +1,52 @@
 const { Router } = require('express');
 const pool = require('../db');
 const auth = require('../middleware/auth');
+const {
+  DISPUTE_WINDOW_DAYS,
+  applyTransition, recordTradeEvent, partyCancelRefusal, canOpenDispute,
+} = require('../lib/trade-state');
+const {
+  TRADE_ITEMS_JSON, parseOffer, buildSwapProposals, findCardsInActiveTrades,
+  insertTradeItems, returnPostedCards, settleCompletedTrade,
+} = require('../lib/trade-bundles');
+const {
+  parseOfferInput, offerExpiry, offerResponseError, expireStaleOffers,
+  findPendingOffer, withdrawPendingOffers, createOffer, acceptOffer, tradeValue,
+} = require('../lib/trade-offers');
+const { loadFeeRules, quoteFee } = require('../lib/fees');
+const { findTradeReports } = require('../lib/verification');
+const { findWantMatches } = require('../lib/matching');
+const { parseKeep, findDuplicateMatches } = require('../lib/inventory');
+const { withTransaction } = require('../lib/db-transaction');
 
 const router = Router();
 
+// Load a trade the current user may see — its buyer, its seller or an admin.
+// Throws a 404/403 error (with .status) otherwise.
+async function findVisibleTrade(tradeId, userId) {
+  const trade = await pool.query('SELECT * FROM trades WHERE id = $1', [tradeId]);
+  if (trade.rows.length === 0) {
+    throw Object.assign(new Error('Trade not found'), { status: 404 });
+  }
+
+  const t = trade.rows[0];
+  if (t.seller_id === userId || t.buyer_id === userId) {
+    return { trade: t, isAdmin: false };
+  }
+
+  const user = await pool.query('SELECT is_admin FROM users WHERE id = $1', [userId]);
+  if (!user.rows[0]?.is_admin) {
+    throw Object.assign(new Error('Not your trade'), { status: 403 });
+  }
+  return { trade: t, isAdmin: true };
+}
+
+// The value to quote a fee on before acceptance: the pending offer, else any agreed price
+function feeQuoteValue(trade) {
+  if (trade.pending_offer_amount != null) return parseFloat(trade.pending_offer_amount);
+  return tradeValue(trade);
+}
+
 // GET /api/trades — get user's trades (as buyer or seller)
 router.get('/', auth, async (req, res) => {
   try {
@@ -12,7 +55,10 @@ router.get('/', auth, async (req, res) => {
         seller.email as seller_email, seller.display_name as seller_name,
         buyer.email as buyer_email, buyer.display_name as buyer_name,
         c.card_name, c.card_set, c.card_number, c.rarity, c.condition,
-        c.image_url, c.status as card_status
+        c.image_url, c.status as card_status,
+        ${TRADE_ITEMS_JSON} as items,
+        (SELECT o.amount FROM trade_offers o
+         WHERE o.trade_id = t.id AND o.status = 'pending' AND o.expires_at > NOW()) as pending_offer_amount
        FROM trades t
        JOIN users seller ON t.seller_id = seller.id
        JOIN users buyer ON t.buyer_id = buyer.id
@@ -22,6 +68,18 @@ router.get('/', auth, async (req, res) => {
       [req.user.id]
     );
 
+    // Sellers see HoloSwap's fee on requests before they accept them
+    const toQuote = result.rows.filter(t =>
+      t.seller_id === req.user.id && t.status === 'requested' && feeQuoteValue(t) !== null
+    );
+    if (toQuote.length > 0) {
+      const rules = await loadFeeRules(pool);
+      const me = await pool.query('SELECT is_pro FROM users WHERE id = $1', [req.user.id]);
+      for (const t of toQuote) {
+        t.fee_quote = await quoteFee(pool, { value: feeQuoteValue(t), rules, isPro: Boolean(me.rows[0]?.is_pro) });
+      }
+    }
+
     res.json({ trades: result.rows });
   } catch (err) {
     console.error('Get trades error:', err);
@@ -29,138 +87,122 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// GET /api/trades/matches — find cards that match my want list
+// GET /api/trades/matches — find cards that match my want list, plus two-way swaps.
+// duplicates are other collectors' spare copies I want (?keep= copies each are held back).
 router.get('/matches', auth, async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT
-        w.id as want_id,
-        w.card_name as wanted_card,
-        w.card_set as wanted_set,
-        w.min_condition,
-        c.id as card_id,
-        c.card_name,
-        c.card_set,
-        c.card_number,
-        c.rarity,
-        c.condition,
-        c.image_url,
-        c.estimated_value,
-        c.user_id as seller_id,
-        u.display_name as seller_name,
-        u.city as seller_city
-       FROM want_list w
-       JOIN cards c ON LOWER(c.card_set) = LOWER(w.card_set)
-         AND c.card_number = w.card_number
-         AND c.user_id != $1
-         AND c.status = 'listed'
-       JOIN users u ON c.user_id = u.id
-       WHERE w.user_id = $1
-       AND NOT EXISTS (
-         SELECT 1 FROM trades
-         WHERE trades.card_id = c.id
-         AND trades.status NOT IN ('cancelled', 'rejected')
-       )
-       ORDER BY w.card_name, c.condition`,
-      [req.user.id]
-    );
-
-    res.json({ matches: result.rows });
+    const keep = parseKeep(req.query.keep);
+    const [matches, buyers, duplicates] = await Promise.all([
+      findWantMatches(pool, { buyerId: req.user.id }),
+      findWantMatches(pool, { sellerId: req.user.id }),
+      findDuplicateMatches(pool, { buyerId: req.user.id, keep }),
+    ]);
+
+    res.json({ matches, swaps: buildSwapProposals(matches, buyers), duplicates });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Find matches error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
-// GET /api/trades/selling — find people who want my listed cards
+// GET /api/trades/selling — find people who want my listed cards, plus two-way swaps.
+// duplicates are people who want my spare copies — worth sending in to list.
 router.get('/selling', auth, async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT
-        c.id as card_id,
-        c.card_name,
-        c.card_set,
-        c.card_number,
-        c.rarity,
-        c.condition,
-        c.image_url,
-        c.estimated_value,
-        w.id as want_id,
-        w.user_id as buyer_id,
-        w.min_condition,
-        u.display_name as buyer_name,
-        u.city as buyer_city
-       FROM cards c
-       JOIN want_list w ON LOWER(w.card_set) = LOWER(c.card_set)
-         AND w.card_number = c.card_number
-         AND w.user_id != $1
-       JOIN users u ON w.user_id = u.id
-       WHERE c.user_id = $1
-       AND c.status = 'listed'
-       AND NOT EXISTS (
-         SELECT 1 FROM trades
-         WHERE trades.card_id = c.id
-         AND trades.status NOT IN ('cancelled', 'rejected')
-       )
-       ORDER BY c.card_name`,
-      [req.user.id]
-    );
-
-    res.json({ buyers: result.rows });
+    const keep = parseKeep(req.query.keep);
+    const [matches, buyers, duplicates] = await Promise.all([
+      findWantMatches(pool, { buyerId: req.user.id }),
+      findWantMatches(pool, { sellerId: req.user.id }),
+      findDuplicateMatches(pool, { sellerId: req.user.id, keep }),
+    ]);
+
+    res.json({ buyers, swaps: buildSwapProposals(matches, buyers), duplicates });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Find buyers error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
-// POST /api/trades — buyer requests a card
+// POST /api/trades — offer a trade: one or more of the seller's cards, optionally
+// in exchange for some of mine and/or a cash balance. offer_amount (with
+// message / expires_in_hours) opens price negotiation.
 router.post('/', auth, async (req, res) => {
   try {
-    const { card_id, seller_id } = req.body;
-
-    if (seller_id === req.user.id) {
+    const sellerId = parseInt(req.body.seller_id, 10);
+    const offer = parseOffer(req.body);
+    const opening = req.body.offer_amount == null ? null : parseOfferInput({
+      amount: req.body.offer_amount,
+      message: req.body.message,
+      expires_in_hours: req.body.expires_in_hours,
+    });
+
+    if (sellerId === req.user.id) {
       return res.status(400).json({ error: "You can't buy your own card" });
     }
 
-    // Verify card exists, is listed, belongs to seller
-    const card = await pool.query(
-      "SELECT * FROM cards WHERE id = $1 AND user_id = $2 AND status = 'listed'",
-      [card_id, seller_id]
+    // Every card must be listed and belong to the side it's offered from
+    const cards = await pool.query(
+      "SELECT id, user_id FROM cards WHERE id = ANY($1) AND status = 'listed'",
+      [[...offer.requestedCardIds, ...offer.offeredCardIds]]
     );
-    if (card.rows.length === 0) {
+    const ownerOf = new Map(cards.rows.map(c => [c.id, c.user_id]));
+    if (offer.requestedCardIds.some(id => ownerOf.get(id) !== sellerId)) {
       return res.status(400).json({ error: 'Card is not available' });
     }
+    if (offer.offeredCardIds.some(id => ownerOf.get(id) !== req.user.id)) {
+      return res.status(400).json({ error: 'You can only offer your own listed cards' });
+    }
 
-    // Check no existing active trade for this card
-    const existing = await pool.query(
-      `SELECT id FROM trades WHERE card_id = $1 AND status NOT IN ('cancelled', 'rejected')`,
-      [card_id]
-    );
-    if (existing.rows.length > 0) {
-      return res.status(400).json({ error: 'This card already has an active trade' });
+    // Check none of them are already in an active trade
+    const busy = await findCardsInActiveTrades(pool, [...offer.requestedCardIds, ...offer.offeredCardIds]);
+    if (busy.length > 0) {
+      return res.status(400).json({
+        error: busy.length === 1 ? 'This card already has an active trade' : 'Some of these cards already have active trades',
+        card_ids: busy,
+      });
     }
 
-    const result = await pool.query(
-      `INSERT INTO trades (seller_id, buyer_id, card_id, status)
-       VALUES ($1, $2, $3, 'requested')
-       RETURNING *`,
-      [seller_id, req.user.id, card_id]
-    );
+    const cashPayerId = offer.cashPayer === 'seller' ? sellerId : offer.cashPayer === 'buyer' ? req.user.id : null;
+
+    const trade = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO trades (seller_id, buyer_id, card_id, status, cash_amount, cash_payer_id)
+         VALUES ($1, $2, $3, 'requested', $4, $5)
+         RETURNING *`,
+        [sellerId, req.user.id, offer.requestedCardIds[0], offer.cashAmount, cashPayerId]
+      );
 
-    res.status(201).json({ trade: result.rows[0] });
+      await insertTradeItems(client, result.rows[0].id, sellerId, offer.requestedCardIds);
+      await insertTradeItems(client, result.rows[0].id, req.user.id, offer.offeredCardIds);
+      await recordTradeEvent(client, { tradeId: result.rows[0].id, actorId: req.user.id, toStatus: 'requested' });
+
+      if (opening) {
+        await createOffer(client, {
+          tradeId: result.rows[0].id,
+          fromUserId: req.user.id,
+          amount: opening.amount,
+          message: opening.message,
+          expiresAt: offerExpiry(opening.expiresInHours),
+        });
+      }
+
+      return result.rows[0];
+    });
+
+    res.status(201).json({ trade });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Create trade error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
-// PUT /api/trades/:id/accept — seller accepts the request
+// PUT /api/trades/:id/accept — seller accepts the request, at the buyer's pending offer if there is one
 router.put('/:id/accept', auth, async (req, res) => {
   try {
-    const trade = await pool.query(
-      "SELECT * FROM trades WHERE id = $1 AND status = 'requested'",
-      [req.params.id]
-    );
+    const trade = await pool.query('SELECT * FROM trades WHERE id = $1', [req.params.id]);
     if (trade.rows.length === 0) {
       return res.status(404).json({ error: 'Trade not found' });
     }
@@ -169,25 +211,31 @@ router.put('/:id/accept', auth, async (req, res) => {
       return res.status(403).json({ error: 'Only the seller can accept' });
     }
 
-    await pool.query(
-      "UPDATE trades SET status = 'accepted', updated_at = NOW() WHERE id = $1",
-      [req.params.id]
-    );
+    await withTransaction(async (client) => {
+      const pending = await findPendingOffer(client, trade.rows[0].id);
+      if (pending && pending.from_user_id === req.user.id) {
+        throw Object.assign(new Error('Your counter-offer is still waiting on the buyer'), { status: 409 });
+      }
+      if (pending) {
+        return acceptOffer(client, trade.rows[0], pending, req.user.id);
+      }
+      return applyTransition(client, trade.rows[0], 'accepted', { actorId: req.user.id });
+    });
 
     res.json({ message: 'Trade accepted! Please ship the card to HoloSwap.' });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Accept trade error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
-// PUT /api/trades/:id/decline — either party declines
+// PUT /api/trades/:id/decline — seller declines a request; otherwise either
+// party cancels, on the same terms as /cancel
 router.put('/:id/decline', auth, async (req, res) => {
   try {
-    const trade = await pool.query(
-      "SELECT * FROM trades WHERE id = $1 AND status IN ('requested', 'accepted')",
-      [req.params.id]
-    );
+    const { reason } = req.body || {};
+    const trade = await pool.query('SELECT * FROM trades WHERE id = $1', [req.params.id]);
     if (trade.rows.length === 0) {
       return res.status(404).json({ error: 'Trade not found' });
     }
@@ -197,49 +245,132 @@ router.put('/:id/decline', auth, async (req, res) => {
       return res.status(403).json({ error: 'Not your trade' });
     }
 
-    await pool.query(
-      "UPDATE trades SET status = 'cancelled', updated_at = NOW() WHERE id = $1",
-      [req.params.id]
-    );
+    const declining = t.seller_id === req.user.id && t.status === 'requested';
+    const refusal = declining ? null : partyCancelRefusal(t.status);
+    if (refusal) {
+      return res.status(409).json({ error: refusal });
+    }
 
-    res.json({ message: 'Trade cancelled' });
+    await withTransaction(async (client) => {
+      await applyTransition(client, t, declining ? 'declined' : 'cancelled', { actorId: req.user.id, notes: reason || null });
+      await withdrawPendingOffers(client, t.id);
+      if (!declining) await returnPostedCards(client, t.id);
+    });
+
+    res.json({ message: declining ? 'Trade declined' : 'Trade cancelled' });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Decline trade error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
-// PUT /api/trades/:id/shipped — seller marks card as shipped
+// PUT /api/trades/:id/cancel — buyer or seller backs out before the card is posted
+router.put('/:id/cancel', auth, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    const trade = await pool.query('SELECT * FROM trades WHERE id = $1', [req.params.id]);
+    if (trade.rows.length === 0) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+
+    const t = trade.rows[0];
+    if (t.seller_id !== req.user.id && t.buyer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not your trade' });
+    }
+
+    const refusal = partyCancelRefusal(t.status);
+    if (refusal) {
+      return res.status(409).json({ error: refusal });
+    }
+
+    await withTransaction(async (client) => {
+      await applyTransition(client, t, 'cancelled', { actorId: req.user.id, notes: reason || null });
+      await withdrawPendingOffers(client, t.id);
+
+      // In a swap one side may already have posted their cards
+      await returnPostedCards(client, t.id);
+    });
+
+    res.json({ message: 'Trade cancelled' });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Cancel trade error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// PUT /api/trades/:id/shipped — a party marks their cards as posted to HoloSwap.
+// The trade moves to shipped once every card in it is on its way.
 router.put('/:id/shipped', auth, async (req, res) => {
   try {
     const { tracking_number } = req.body;
 
-    const trade = await pool.query(
-      "SELECT * FROM trades WHERE id = $1 AND status = 'accepted'",
-      [req.params.id]
-    );
+    const trade = await pool.query('SELECT * FROM trades WHERE id = $1', [req.params.id]);
     if (trade.rows.length === 0) {
-      return res.status(404).json({ error: 'Trade not found or not accepted' });
+      return res.status(404).json({ error: 'Trade not found' });
     }
 
-    if (trade.rows[0].seller_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the seller can mark as shipped' });
+    if (trade.rows[0].seller_id !== req.user.id && trade.rows[0].buyer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not your trade' });
     }
 
-    // Update card status
-    await pool.query(
-      "UPDATE cards SET status = 'shipped', updated_at = NOW() WHERE id = $1",
-      [trade.rows[0].card_id]
-    );
+    const allShipped = await withTransaction(async (client) => {
+      // Lock the trade so both sides posting at once can't each miss the other
+      const locked = await client.query('SELECT * FROM trades WHERE id = $1 FOR UPDATE', [req.params.id]);
+      const t = locked.rows[0];
+      if (t.status !== 'accepted') {
+        throw Object.assign(new Error(`Can't mark a ${t.status} trade as shipped`), { status: 409 });
+      }
+
+      // Cards on an inbound label (see lib/submissions.js) take its tracking number
+      const marked = await client.query(
+        `UPDATE trade_items ti SET shipped_at = NOW(),
+           tracking_number = COALESCE($1, (SELECT s.tracking_number FROM submissions s WHERE s.id = ti.submission_id))
+         WHERE ti.trade_id = $2 AND ti.owner_id = $3 AND ti.shipped_at IS NULL
+         RETURNING ti.card_id, ti.tracking_number`,
+        [tracking_number || null, t.id, req.user.id]
+      );
+      if (marked.rows.length === 0) {
+        throw Object.assign(new Error("You've already posted your cards for this trade"), { status: 409 });
+      }
+
+      // Update card status
+      await client.query(
+        "UPDATE cards SET status = 'shipped', updated_at = NOW() WHERE id = ANY($1)",
+        [marked.rows.map(r => r.card_id)]
+      );
 
-    // Update trade
-    await pool.query(
-      "UPDATE trades SET status = 'shipped', tracking_number = $1, updated_at = NOW() WHERE id = $2",
-      [tracking_number || null, req.params.id]
-    );
+      const isSeller = t.seller_id === req.user.id;
+      const tracking = tracking_number || marked.rows.find(r => r.tracking_number)?.tracking_number || null;
+      const notes = [
+        `${isSeller ? 'Seller' : 'Buyer'} posted ${marked.rows.length} card${marked.rows.length === 1 ? '' : 's'}`,
+        tracking ? `Tracking: ${tracking}` : null,
+      ].filter(Boolean).join(' — ');
 
-    res.json({ message: 'Card marked as shipped' });
+      const unshipped = await client.query(
+        'SELECT COUNT(*) FROM trade_items WHERE trade_id = $1 AND shipped_at IS NULL',
+        [t.id]
+      );
+      if (parseInt(unshipped.rows[0].count) > 0) {
+        await recordTradeEvent(client, { tradeId: t.id, actorId: req.user.id, fromStatus: t.status, toStatus: t.status, notes });
+        return false;
+      }
+
+      await applyTransition(client, t, 'shipped', {
+        actorId: req.user.id,
+        notes,
+        fields: isSeller ? { tracking_number: tracking } : {},
+      });
+      return true;
+    });
+
+    res.json({
+      message: allShipped ? 'Card marked as shipped' : 'Cards marked as shipped — waiting for the other side to post theirs',
+    });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Ship trade error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
@@ -248,46 +379,383 @@ router.put('/:id/shipped', auth, async (req, res) => {
 // PUT /api/trades/:id/confirm-received — buyer confirms they received the card
 router.put('/:id/confirm-received', auth, async (req, res) => {
   try {
-    const trade = await pool.query(
-      "SELECT * FROM trades WHERE id = $1 AND status = 'dispatched'",
-      [req.params.id]
-    );
+    const trade = await pool.query('SELECT * FROM trades WHERE id = $1', [req.params.id]);
     if (trade.rows.length === 0) {
-      return res.status(404).json({ error: 'Trade not found or not dispatched' });
+      return res.status(404).json({ error: 'Trade not found' });
     }
 
     if (trade.rows[0].buyer_id !== req.user.id) {
       return res.status(403).json({ error: 'Only the buyer can confirm receipt' });
     }
 
-    // Update trade to complete
-    await pool.query(
-      "UPDATE trades SET status = 'complete', updated_at = NOW() WHERE id = $1",
-      [req.params.id]
+    await withTransaction(async (client) => {
+      const completed = await applyTransition(client, trade.rows[0], 'complete', { actorId: req.user.id, notes: 'Buyer confirmed receipt' });
+      await settleCompletedTrade(client, completed);
+    });
+
+    res.json({ message: 'Card received! Trade complete.' });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Confirm received error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/trades/:id/timeline — status history, visible to both parties and admins
+router.get('/:id/timeline', auth, async (req, res) => {
+  try {
+    const { trade: t } = await findVisibleTrade(req.params.id, req.user.id);
+
+    // Admin and system actors are shown as "HoloSwap" rather than by name
+    const events = await pool.query(
+      `SELECT e.id, e.from_status, e.to_status, e.notes, e.created_at,
+        CASE
+          WHEN e.actor_id = $2 THEN 'seller'
+          WHEN e.actor_id = $3 THEN 'buyer'
+          WHEN e.actor_id IS NULL THEN 'system'
+          ELSE 'holoswap'
+        END as actor_role,
+        CASE WHEN e.actor_id IN ($2, $3) THEN u.display_name ELSE 'HoloSwap' END as actor_name
+       FROM trade_events e
+       LEFT JOIN users u ON e.actor_id = u.id
+       WHERE e.trade_id = $1
+       ORDER BY e.created_at ASC, e.id ASC`,
+      [t.id, t.seller_id, t.buyer_id]
     );
 
-    // Update card status to traded
-    await pool.query(
-      "UPDATE cards SET status = 'traded', updated_at = NOW() WHERE id = $1",
-      [trade.rows[0].card_id]
+    res.json({ trade_id: t.id, status: t.status, events: events.rows });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Trade timeline error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/trades/:id/verification — HoloSwap's inspection report for each card on the trade
+router.get('/:id/verification', auth, async (req, res) => {
+  try {
+    const { trade } = await findVisibleTrade(req.params.id, req.user.id);
+    res.json({ reports: await findTradeReports(pool, trade.id) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Get verification error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// =====================
+// OFFERS
+// =====================
+
+// GET /api/trades/:id/offers — offer and counter-offer history, oldest first
+router.get('/:id/offers', auth, async (req, res) => {
+  try {
+    const { trade } = await findVisibleTrade(req.params.id, req.user.id);
+    await expireStaleOffers(pool, trade.id);
+
+    const result = await pool.query(
+      `SELECT o.id, o.amount, o.message, o.status, o.expires_at, o.responded_at, o.created_at,
+        CASE WHEN o.from_user_id = $2 THEN 'seller' ELSE 'buyer' END as from_role
+       FROM trade_offers o
+       WHERE o.trade_id = $1
+       ORDER BY o.created_at ASC`,
+      [trade.id, trade.seller_id]
     );
 
-    // Remove from want list
-    const cardInfo = await pool.query(
-      "SELECT card_set, card_number FROM cards WHERE id = $1",
-      [trade.rows[0].card_id]
+    res.json({ agreed_price: trade.agreed_price, offers: result.rows });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Get offers error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/trades/:id/fee-quote?amount= — the seller's fee and payout at a price,
+// e.g. before accepting or countering. Defaults to the pending offer / agreed price.
+router.get('/:id/fee-quote', auth, async (req, res) => {
+  try {
+    const { trade } = await findVisibleTrade(req.params.id, req.user.id);
+    if (trade.buyer_id === req.user.id) {
+      return res.status(403).json({ error: 'Only the seller can see fees on this trade' });
+    }
+
+    let value;
+    if (req.query.amount != null) {
+      value = Number(req.query.amount);
+      if (!Number.isFinite(value) || value < 0) return res.status(400).json({ error: 'Invalid amount' });
+    } else {
+      const pending = await findPendingOffer(pool, trade.id);
+      value = feeQuoteValue({ ...trade, pending_offer_amount: pending ? pending.amount : null });
+      if (value === null) return res.status(400).json({ error: 'No price yet — pass an amount' });
+    }
+
+    res.json({ quote: await quoteFee(pool, { value, sellerId: trade.seller_id }) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Fee quote error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// POST /api/trades/:id/offers — make an offer or counter-offer { amount, message, expires_in_hours }
+router.post('/:id/offers', auth, async (req, res) => {
+  try {
+    const input = parseOfferInput(req.body);
+
+    const trade = await pool.query('SELECT * FROM trades WHERE id = $1', [req.params.id]);
+    if (trade.rows.length === 0) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+    if (trade.rows[0].seller_id !== req.user.id && trade.rows[0].buyer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not your trade' });
+    }
+
+    const offer = await withTransaction(async (client) => {
+      const locked = await client.query('SELECT * FROM trades WHERE id = $1 FOR UPDATE', [req.params.id]);
+      const t = locked.rows[0];
+      if (t.status !== 'requested') {
+        throw Object.assign(new Error('Offers can only be made before the trade is accepted'), { status: 409 });
+      }
+
+      const created = await createOffer(client, {
+        tradeId: t.id,
+        fromUserId: req.user.id,
+        amount: input.amount,
+        message: input.message,
+        expiresAt: offerExpiry(input.expiresInHours),
+      });
+
+      const role = t.seller_id === req.user.id ? 'Seller' : 'Buyer';
+      await recordTradeEvent(client, {
+        tradeId: t.id, actorId: req.user.id, fromStatus: t.status, toStatus: t.status,
+        notes: `${role} offered £${input.amount.toFixed(2)}`,
+      });
+
+      return created;
+    });
+
+    res.status(201).json({ offer });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Make offer error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// PUT /api/trades/:id/offers/:offerId/accept — accept the other side's offer; the trade is agreed at that price
+router.put('/:id/offers/:offerId/accept', auth, async (req, res) => {
+  try {
+    const trade = await withTransaction(async (client) => {
+      const locked = await client.query('SELECT * FROM trades WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (locked.rows.length === 0) {
+        throw Object.assign(new Error('Trade not found'), { status: 404 });
+      }
+      const t = locked.rows[0];
+      if (t.seller_id !== req.user.id && t.buyer_id !== req.user.id) {
+        throw Object.assign(new Error('Not your trade'), { status: 403 });
+      }
+
+      await expireStaleOffers(client, t.id);
+      const offer = await client.query(
+        'SELECT * FROM trade_offers WHERE id = $1 AND trade_id = $2',
+        [req.params.offerId, t.id]
+      );
+      if (offer.rows.length === 0) {
+        throw Object.assign(new Error('Offer not found'), { status: 404 });
+      }
+
+      const error = offerResponseError(offer.rows[0], req.user.id);
+      if (error) throw Object.assign(new Error(error), { status: 409 });
+
+      return acceptOffer(client, t, offer.rows[0], req.user.id);
+    });
+
+    res.json({ message: 'Offer accepted! Please ship the card to HoloSwap.', trade });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Accept offer error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// PUT /api/trades/:id/offers/:offerId/decline — turn down an offer without cancelling the trade
+router.put('/:id/offers/:offerId/decline', auth, async (req, res) => {
+  try {
+    const trade = await pool.query('SELECT * FROM trades WHERE id = $1', [req.params.id]);
+    if (trade.rows.length === 0) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+
+    const t = trade.rows[0];
+    if (t.seller_id !== req.user.id && t.buyer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not your trade' });
+    }
+
+    await expireStaleOffers(pool, t.id);
+    const offer = await pool.query(
+      'SELECT * FROM trade_offers WHERE id = $1 AND trade_id = $2',
+      [req.params.offerId, t.id]
     );
-    if (cardInfo.rows.length > 0) {
-      const c = cardInfo.rows[0];
-      await pool.query(
-        "DELETE FROM want_list WHERE user_id = $1 AND LOWER(card_set) = LOWER($2) AND card_number = $3",
-        [trade.rows[0].buyer_id, c.card_set, c.card_number]
+    if (offer.rows.length === 0) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    const error = offerResponseError(offer.rows[0], req.user.id);
+    if (error) return res.status(409).json({ error });
+
+    await pool.query(
+      "UPDATE trade_offers SET status = 'declined', responded_at = NOW() WHERE id = $1 AND status = 'pending'",
+      [offer.rows[0].id]
+    );
+    await recordTradeEvent(pool, {
+      tradeId: t.id, actorId: req.user.id, fromStatus: t.status, toStatus: t.status,
+      notes: `Offer of £${parseFloat(offer.rows[0].amount).toFixed(2)} declined`,
+    });
+
+    res.json({ message: 'Offer declined' });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Decline offer error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// =====================
+// DISPUTES
+// =====================
+
+// POST /api/trades/:id/disputes — buyer or seller raises a dispute once the card is with the buyer
+router.post('/:id/disputes', auth, async (req, res) => {
+  try {
+    const { reason, evidence } = req.body || {};
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'Please describe the problem' });
+    }
+    if (evidence != null && typeof evidence !== 'string') {
+      return res.status(400).json({ error: 'Evidence must be a text note' });
+    }
+
+    const trade = await pool.query('SELECT * FROM trades WHERE id = $1', [req.params.id]);
+    if (trade.rows.length === 0) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+
+    const t = trade.rows[0];
+    if (t.seller_id !== req.user.id && t.buyer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not your trade' });
+    }
+
+    let completedAt = null;
+    if (t.status === 'complete') {
+      const completed = await pool.query(
+        "SELECT MAX(created_at) as completed_at FROM trade_events WHERE trade_id = $1 AND to_status = 'complete'",
+        [t.id]
       );
+      completedAt = completed.rows[0].completed_at || t.updated_at;
     }
 
-    res.json({ message: 'Card received! Trade complete.' });
+    if (!canOpenDispute(t.status, completedAt)) {
+      return res.status(409).json({
+        error: `Disputes can be raised once the card has been sent to the buyer, up to ${DISPUTE_WINDOW_DAYS} days after the trade completes`,
+      });
+    }
+
+    const dispute = await withTransaction(async (client) => {
+      await applyTransition(client, t, 'disputed', { actorId: req.user.id, notes: reason.trim() });
+
+      const created = await client.query(
+        `INSERT INTO trade_disputes (trade_id, opened_by, reason)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [t.id, req.user.id, reason.trim()]
+      );
+
+      if (evidence && evidence.trim()) {
+        await client.query(
+          'INSERT INTO trade_dispute_evidence (dispute_id, user_id, note) VALUES ($1, $2, $3)',
+          [created.rows[0].id, req.user.id, evidence.trim()]
+        );
+      }
+
+      return created.rows[0];
+    });
+
+    res.status(201).json({ dispute });
   } catch (err) {
-    console.error('Confirm received error:', err);
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Open dispute error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// GET /api/trades/:id/disputes — disputes on a trade with their evidence
+router.get('/:id/disputes', auth, async (req, res) => {
+  try {
+    const { trade } = await findVisibleTrade(req.params.id, req.user.id);
+
+    const result = await pool.query(
+      `SELECT d.*,
+        COALESCE(json_agg(
+          json_build_object(
+            'id', e.id,
+            'note', e.note,
+            'created_at', e.created_at,
+            'author', CASE
+              WHEN e.user_id = $2 THEN 'seller'
+              WHEN e.user_id = $3 THEN 'buyer'
+              ELSE 'holoswap'
+            END
+          ) ORDER BY e.created_at
+        ) FILTER (WHERE e.id IS NOT NULL), '[]') as evidence
+       FROM trade_disputes d
+       LEFT JOIN trade_dispute_evidence e ON e.dispute_id = d.id
+       WHERE d.trade_id = $1
+       GROUP BY d.id
+       ORDER BY d.created_at DESC`,
+      [trade.id, trade.seller_id, trade.buyer_id]
+    );
+
+    res.json({ disputes: result.rows });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Get disputes error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// POST /api/trades/:id/disputes/:disputeId/evidence — attach an evidence note to an open dispute
+router.post('/:id/disputes/:disputeId/evidence', auth, async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    if (typeof note !== 'string' || !note.trim()) {
+      return res.status(400).json({ error: 'Evidence note is required' });
+    }
+
+    const { trade } = await findVisibleTrade(req.params.id, req.user.id);
+
+    const dispute = await pool.query(
+      'SELECT id, status FROM trade_disputes WHERE id = $1 AND trade_id = $2',
+      [req.params.disputeId, trade.id]
+    );
+    if (dispute.rows.length === 0) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+    if (dispute.rows[0].status !== 'open') {
+      return res.status(409).json({ error: 'This dispute has already been resolved' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO trade_dispute_evidence (dispute_id, user_id, note)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [dispute.rows[0].id, req.user.id, note.trim()]
+    );
+    await pool.query('UPDATE trade_disputes SET updated_at = NOW() WHERE id = $1', [dispute.rows[0].id]);
+
+    res.status(201).json({ evidence: result.rows[0] });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Add dispute evidence error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
@@ -12,6 +12,8 @@ const {
 } = require('../lib/pricing');
 const { SET_CODE_MAP } = require('../lib/set-codes');
 const { parseCardInput } = require('../lib/card-input');
+const { parseConditionInput } = require('../lib/conditions');
+const { parseRegion, demandForCard, loadDemandBoard } = require('../lib/demand');
 
 const router = Router();
 
@@ -847,10 +849,12 @@ router.get('/queue', auth, requireVendorOrAdmin, async (req, res) => {
 });
 
 // ADMIN: PUT /api/vending/queue/:id/complete
+// Optional condition (NM/LP/MP/HP/DMG) records the grade the card changed hands at
 router.put('/queue/:id/complete', auth, requireVendorOrAdmin, async (req, res) => {
   try {
     const { sale_price, sale_notes, payment_method } = req.body;
-    const vf = vendorFilter(req, 6);
+    const { condition } = parseConditionInput({ condition: req.body.condition }, { allowUnknown: false });
+    const vf = vendorFilter(req, 7);
     const result = await pool.query(
       `UPDATE vending_lookups SET
         status = 'completed',
@@ -858,14 +862,17 @@ router.put('/queue/:id/complete', auth, requireVendorOrAdmin, async (req, res) =
         sale_notes = $2,
         payment_method = $3,
         completed_by = $4,
+        condition = COALESCE($6, condition),
         completed_at = NOW()
        WHERE id = $5 ${vf.clause}
        RETURNING *`,
-      [sale_price || null, sale_notes || null, payment_method || null, req.user.id, req.params.id, ...vf.params]
+      [sale_price || null, sale_notes || null, payment_method || null, req.user.id, req.params.id,
+       condition ?? null, ...vf.params]
     );
     if (result.rows.length === 0) return res.status(404).json({ error: 'Lookup not found' });
     res.json({ lookup: result.rows[0] });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('[Vending] Complete error:', err);
     res.status(500).json({ error: 'Failed to complete sale' });
   }
@@ -1340,6 +1347,57 @@ router.get('/buys/stats', auth, requireVendorOrAdmin, async (req, res) => {
   }
 });
 
+// ADMIN: GET /api/vending/buys/demand?days=30&region=
+// The cards bought in over a period, each with what HoloSwap collectors
+// want of it (the public wanted board, lib/demand.js), most wanted first
+router.get('/buys/demand', auth, requireVendorOrAdmin, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '30', 10);
+    const region = parseRegion(req.query.region);
+    const vf = vendorFilter(req, 2);
+
+    const buysResult = await pool.query(
+      `SELECT set_id, card_number, MAX(card_name) as card_name, MAX(set_name) as set_name,
+        COUNT(*) as buy_count,
+        COALESCE(AVG(sale_price), 0) as avg_buy_price,
+        MAX(completed_at) as last_buy_date
+       FROM vending_lookups
+       WHERE status = 'completed'
+         AND COALESCE(type, 'sell') = 'buy'
+         AND set_id IS NOT NULL
+         AND completed_at >= NOW() - $1::interval
+         ${vf.clause}
+       GROUP BY set_id, card_number`,
+      [`${days} days`, ...vf.params]
+    );
+
+    const setIds = [...new Set(buysResult.rows.map(b => b.set_id))];
+    const board = setIds.length ? await loadDemandBoard(pool, { setIds, region }) : [];
+
+    const cards = buysResult.rows.map(buy => {
+      const demand = demandForCard(board, buy);
+      return {
+        set_id: buy.set_id,
+        set_name: buy.set_name,
+        card_number: buy.card_number,
+        card_name: buy.card_name,
+        buy_count: parseInt(buy.buy_count),
+        avg_buy_price: parseFloat(buy.avg_buy_price),
+        last_buy_date: buy.last_buy_date,
+        wanted_by: demand.reduce((sum, row) => sum + row.collectors, 0),
+        copies_wanted: demand.reduce((sum, row) => sum + row.copies, 0),
+      };
+    });
+    cards.sort((a, b) => b.wanted_by - a.wanted_by || b.buy_count - a.buy_count);
+
+    res.json({ period_days: days, region, cards });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('[Vending] Buy demand error:', err);
+    res.status(500).json({ error: 'Failed to load buy demand' });
+  }
+});
+
 // ADMIN: GET /api/vending/card-stats/:setId/:cardNumber
 // Returns historical stats for a specific card
 router.get('/card-stats/:setId/:cardNumber', auth, requireVendorOrAdmin, async (req, res) => {
@@ -1354,7 +1412,8 @@ router.get('/card-stats/:setId/:cardNumber', auth, requireVendorOrAdmin, async (
         COALESCE(AVG(sale_price), 0) as avg_buy_price,
         COALESCE(MIN(sale_price), 0) as min_buy_price,
         COALESCE(MAX(sale_price), 0) as max_buy_price,
-        MAX(completed_at) as last_buy_date
+        MAX(completed_at) as last_buy_date,
+        MAX(card_name) as card_name
        FROM vending_lookups
        WHERE status = 'completed'
          AND COALESCE(type, 'sell') = 'buy'
@@ -1372,7 +1431,8 @@ router.get('/card-stats/:setId/:cardNumber', auth, requireVendorOrAdmin, async (
         COALESCE(AVG(sale_price), 0) as avg_sell_price,
         COALESCE(MIN(sale_price), 0) as min_sell_price,
         COALESCE(MAX(sale_price), 0) as max_sell_price,
-        MAX(completed_at) as last_sell_date
+        MAX(completed_at) as last_sell_date,
+        MAX(card_name) as card_name
        FROM vending_lookups
        WHERE status = 'completed'
          AND COALESCE(type, 'sell') = 'sell'
@@ -1385,6 +1445,11 @@ router.get('/card-stats/:setId/:cardNumber', auth, requireVendorOrAdmin, async (
     const buyData = buyResult.rows[0];
     const sellData = sellResult.rows[0];
 
+    // What collectors want of this card, from the public wanted board
+    const board = await loadDemandBoard(pool, { setIds: [setId] });
+    const cardName = buyData.card_name || sellData.card_name;
+    const demand = demandForCard(board, { set_id: setId, card_number: cardNumber, card_name: cardName });
+
     res.json({
       buys: {
         count: parseInt(buyData.buy_count),
@@ -1400,6 +1465,11 @@ router.get('/card-stats/:setId/:cardNumber', auth, requireVendorOrAdmin, async (
         max_price: parseFloat(sellData.max_sell_price),
         last_date: sellData.last_sell_date,
       },
+      demand: {
+        wanted_by: demand.reduce((sum, row) => sum + row.collectors, 0),
+        copies_wanted: demand.reduce((sum, row) => sum + row.copies, 0),
+        high_priority: demand.reduce((sum, row) => sum + row.high_priority, 0),
+      },
     });
   } catch (err) {
     console.error('[Vending] Card stats error:', err);
@@ -1,15 +1,22 @@
 const { Router } = require('express');
 const pool = require('../db');
 const auth = require('../middleware/auth');
+const { withTransaction } = require('../lib/db-transaction');
+const { WANT_PRIORITIES, parseWantFields, resolveWantCard, syncMaxPriceAlert } = require('../lib/wants');
+const { WANT_COLUMNS, parseExportFormat, valueWants, sendExport } = require('../lib/collection-export');
 
 const router = Router();
 
-// GET /api/wants — get user's want list
+// GET /api/wants — get user's want list, highest priority first
 router.get('/', auth, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT * FROM want_list WHERE user_id = $1 ORDER BY created_at DESC',
-      [req.user.id]
+      `SELECT w.*, pa.id AS price_alert_id
+       FROM want_list w
+       LEFT JOIN price_alerts pa ON pa.want_id = w.id
+       WHERE w.user_id = $1
+       ORDER BY array_position($2::varchar[], w.priority), w.created_at DESC`,
+      [req.user.id, WANT_PRIORITIES]
     );
     res.json({ wants: result.rows });
   } catch (err) {
@@ -18,30 +25,101 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// POST /api/wants — add a card to want list
-router.post('/', auth, async (req, res) => {
+// GET /api/wants/export?format=csv|json|pdf — the want list with current market
+// values; the PDF is a checklist to take round card shows (&images=0 for none)
+router.get('/export', auth, async (req, res) => {
   try {
-    const { card_name, card_set, card_number, rarity, min_condition, notes } = req.body;
-
-    if (!card_name) {
-      return res.status(400).json({ error: 'Card name is required' });
-    }
-
+    const format = parseExportFormat(req.query.format);
     const result = await pool.query(
-      `INSERT INTO want_list (user_id, card_name, card_set, card_number, rarity, min_condition, notes)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING *`,
-      [req.user.id, card_name, card_set || null, card_number || null, rarity || null,
-       min_condition || 'played', notes || null]
+      'SELECT * FROM want_list WHERE user_id = $1 ORDER BY card_set, card_number, card_name',
+      [req.user.id]
     );
+    const wants = await valueWants(pool, result.rows);
+    const cardCount = wants.reduce((total, w) => total + w.quantity, 0);
+    const totalValue = Math.round(wants.reduce((total, w) => total + (w.value || 0) * w.quantity, 0) * 100) / 100;
 
-    res.status(201).json({ want: result.rows[0] });
+    await sendExport(res, {
+      format, name: 'want-list', columns: WANT_COLUMNS, rows: wants,
+      title: 'Want list', totals: { card_count: cardCount, total_value: totalValue }, images: req.query.images !== '0',
+    });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Export wants error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// POST /api/wants — add a card to want list. Send card_index_id for a
+// catalogue card, or card_name with card_set and card_number; card_name and
+// card_set without a number want any card of that name in the set. Also:
+// priority, variants (or a single variant), quantity, max_price, min_condition, notes.
+// See lib/wants.js.
+router.post('/', auth, async (req, res) => {
+  try {
+    const fields = parseWantFields(req.body);
+    const card = await resolveWantCard(pool, req.body);
+
+    const want = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO want_list (user_id, card_index_id, set_id, card_name, card_set, card_number, rarity,
+           min_condition, variants, priority, quantity, max_price, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING *`,
+        [req.user.id, card.card_index_id, card.set_id, card.card_name, card.card_set, card.card_number, card.rarity,
+         fields.min_condition, fields.variants, fields.priority, fields.quantity, fields.max_price, fields.notes]
+      );
+      const alert = await syncMaxPriceAlert(client, result.rows[0]);
+      return { ...result.rows[0], price_alert_id: alert ? alert.id : null };
+    });
+
+    res.status(201).json({ want });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Add want error:', err);
     res.status(500).json({ error: 'Something went wrong' });
   }
 });
 
+// PUT /api/wants/:id — change a want's priority, variants, quantity,
+// max_price (null to clear), min_condition or notes
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const fields = parseWantFields(req.body, { partial: true });
+    const has = key => key in fields;
+
+    const want = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE want_list SET
+           priority = COALESCE($3, priority),
+           min_condition = COALESCE($4, min_condition),
+           variants = CASE WHEN $5 THEN $6::varchar[] ELSE variants END,
+           quantity = COALESCE($7, quantity),
+           max_price = CASE WHEN $8 THEN $9::decimal ELSE max_price END,
+           notes = CASE WHEN $10 THEN $11 ELSE notes END
+         WHERE id = $1 AND user_id = $2
+         RETURNING *`,
+        [req.params.id, req.user.id, fields.priority ?? null, fields.min_condition ?? null,
+         has('variants'), fields.variants ?? null, fields.quantity ?? null,
+         has('max_price'), fields.max_price ?? null, has('notes'), fields.notes ?? null]
+      );
+      if (result.rows.length === 0) return null;
+
+      const alert = await syncMaxPriceAlert(client, result.rows[0]);
+      return { ...result.rows[0], price_alert_id: alert ? alert.id : null };
+    });
+
+    if (!want) {
+      return res.status(404).json({ error: 'Want not found' });
+    }
+
+    res.json({ want });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Update want error:', err);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
 // DELETE /api/wants/:id — remove from want list
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -12,8 +12,11 @@ const {
   extractPricingRecords,
   formatPricingData,
   savePriceHistory,
+  saveGradedPriceHistory,
   checkRateLimit,
 } = require('../lib/pricing');
+const { parseSlab } = require('../lib/grading');
+const { MATCH_ALERT_MODES } = require('../lib/match-alerts');
 
 // ─── Watchlist CRUD ───────────────────────────────────────────
 
@@ -29,7 +32,8 @@ router.get('/', auth, async (req, res) => {
                   'threshold', pa.threshold,
                   'is_active', pa.is_active,
                   'last_triggered', pa.last_triggered,
-                  'cooldown_hours', pa.cooldown_hours
+                  'cooldown_hours', pa.cooldown_hours,
+                  'want_id', pa.want_id
                 )
               ) FILTER (WHERE pa.id IS NOT NULL), '[]') AS alerts
        FROM price_watchlist pw
@@ -47,10 +51,16 @@ router.get('/', auth, async (req, res) => {
 });
 
 // POST /api/watchlist — add card or sealed product to watchlist
+// grading_company + slab_grade (e.g. PSA 10) watch that graded slab instead of the raw card
 router.post('/', auth, async (req, res) => {
   try {
     const { set_id, card_number, card_name, set_name, image_url, product_id, product_type, buy_price } = req.body;
     const type = product_type || 'card';
+    const grading = parseSlab(req.body) || null;
+
+    if (grading && type !== 'card') {
+      return res.status(400).json({ error: 'Only cards can be graded' });
+    }
 
     if (type === 'card' && (!set_id || !card_number)) {
       return res.status(400).json({ error: 'set_id and card_number are required for cards' });
@@ -69,7 +79,7 @@ router.post('/', auth, async (req, res) => {
 
         // Step 1: Check catalogue cache
         if (!resolvedProductId) {
-          const cached = await findCachedProducts(ppSetId, card_number);
+          const cached = await findCachedProducts(ppSetId, card_number, grading);
           if (cached.length > 0) {
             resolvedProductId = cached[0].product_id;
           }
@@ -78,11 +88,11 @@ router.post('/', auth, async (req, res) => {
         // Step 2: If not cached, search catalogue API
         if (!resolvedProductId) {
           checkRateLimit();
-          const catalogueData = await searchCatalogue(ppSetId, card_name || '');
+          const catalogueData = await searchCatalogue(ppSetId, card_name || '', { graded: Boolean(grading) });
           const cardsArray = extractCardsArray(catalogueData);
           if (cardsArray && cardsArray.length > 0) {
             await cacheCatalogueResults(ppSetId, cardsArray);
-            const matches = findMatchingCards(cardsArray, card_number);
+            const matches = findMatchingCards(cardsArray, card_number, grading);
             if (matches.length > 0) {
               resolvedProductId = matches[0].product_id;
             }
@@ -98,7 +108,11 @@ router.post('/', auth, async (req, res) => {
             const pricing = formatPricingData(records, resolvedProductId, false);
             if (pricing.marketPrice > 0) {
               resolvedPrice = pricing.marketPrice;
-              await savePriceHistory(set_id, card_number, card_name, pricing);
+              if (grading) {
+                await saveGradedPriceHistory(resolvedProductId, { setId: set_id, cardNumber: card_number, cardName: card_name }, pricing);
+              } else {
+                await savePriceHistory(set_id, card_number, card_name, pricing);
+              }
             }
           }
         }
@@ -150,14 +164,16 @@ router.post('/', auth, async (req, res) => {
       );
     } else {
       result = await pool.query(
-        `INSERT INTO price_watchlist (user_id, set_id, card_number, card_name, set_name, image_url, product_id, product_type, last_price, last_checked)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, 'card', $8, $9)
-         ON CONFLICT (user_id, set_id, card_number) DO NOTHING
+        `INSERT INTO price_watchlist (user_id, set_id, card_number, card_name, set_name, image_url, product_id, product_type, last_price, last_checked,
+           grading_company, slab_grade)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'card', $8, $9, $10, $11)
+         ON CONFLICT DO NOTHING
          RETURNING *`,
         [
           req.user.id, set_id, card_number, card_name || null, set_name || null,
           image_url || null, resolvedProductId, resolvedPrice,
-          resolvedPrice ? new Date() : null
+          resolvedPrice ? new Date() : null,
+          grading?.company ?? null, grading?.grade ?? null
         ]
       );
     }
@@ -166,20 +182,23 @@ router.post('/', auth, async (req, res) => {
       return res.status(409).json({ error: type === 'sealed' ? 'Product already on watchlist' : 'Card already on watchlist' });
     }
 
-    // If we resolved a product_id for a card, update all other users watching the same card
+    // If we resolved a product_id for a card, update all other users watching the same card (and grade)
     if (type === 'card' && (resolvedProductId || resolvedPrice)) {
       await pool.query(
         `UPDATE price_watchlist SET
           product_id = COALESCE(product_id, $1),
           last_price = COALESCE($2, last_price),
           last_checked = COALESCE($3, last_checked)
-         WHERE set_id = $4 AND card_number = $5 AND id != $6`,
-        [resolvedProductId, resolvedPrice, resolvedPrice ? new Date() : null, set_id, card_number, result.rows[0].id]
+         WHERE set_id = $4 AND card_number = $5 AND id != $6
+           AND grading_company IS NOT DISTINCT FROM $7 AND slab_grade IS NOT DISTINCT FROM $8`,
+        [resolvedProductId, resolvedPrice, resolvedPrice ? new Date() : null, set_id, card_number, result.rows[0].id,
+         grading?.company ?? null, grading?.grade ?? null]
       );
     }
 
     res.status(201).json(result.rows[0]);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Watchlist add error:', err);
     res.status(500).json({ error: 'Failed to add to watchlist' });
   }
@@ -254,19 +273,31 @@ router.get('/summary', auth, async (req, res) => {
 });
 
 // GET /api/watchlist/:id/history — price history from market_price_history
+// (graded_price_history for slabs)
 router.get('/:id/history', auth, async (req, res) => {
   try {
     const item = await pool.query(
-      'SELECT set_id, card_number FROM price_watchlist WHERE id = $1 AND user_id = $2',
+      'SELECT set_id, card_number, product_id, grading_company FROM price_watchlist WHERE id = $1 AND user_id = $2',
       [req.params.id, req.user.id]
     );
     if (item.rows.length === 0) {
       return res.status(404).json({ error: 'Watchlist item not found' });
     }
 
-    const { set_id, card_number } = item.rows[0];
+    const { set_id, card_number, product_id, grading_company } = item.rows[0];
     const days = parseInt(req.query.days) || 30;
 
+    if (grading_company) {
+      const graded = await pool.query(
+        `SELECT snapshot_date, market_price, last_sold_price
+         FROM graded_price_history
+         WHERE product_id = $1 AND snapshot_date >= CURRENT_DATE - $2::integer
+         ORDER BY snapshot_date ASC`,
+        [product_id, days]
+      );
+      return res.json(graded.rows);
+    }
+
     const history = await pool.query(
       `SELECT snapshot_date, market_price, last_sold_price, trend_7d_pct, trend_30d_pct
        FROM market_price_history
@@ -404,17 +435,23 @@ router.get('/notifications', auth, async (req, res) => {
 // PUT /api/watchlist/notifications
 router.put('/notifications', auth, async (req, res) => {
   try {
-    const { web_push_sub, telegram_chat_id, pushover_user_key, ntfy_topic, channels_enabled } = req.body;
+    const { web_push_sub, telegram_chat_id, pushover_user_key, ntfy_topic, channels_enabled, match_alerts } = req.body;
+
+    // Want-list match alerts: off, instant, or one daily digest
+    if (match_alerts && !MATCH_ALERT_MODES.includes(match_alerts)) {
+      return res.status(400).json({ error: `match_alerts must be one of: ${MATCH_ALERT_MODES.join(', ')}` });
+    }
 
     const result = await pool.query(
-      `INSERT INTO notification_settings (user_id, web_push_sub, telegram_chat_id, pushover_user_key, ntfy_topic, channels_enabled, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      `INSERT INTO notification_settings (user_id, web_push_sub, telegram_chat_id, pushover_user_key, ntfy_topic, channels_enabled, match_alerts, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 'off'), NOW())
        ON CONFLICT (user_id) DO UPDATE SET
          web_push_sub = COALESCE($2, notification_settings.web_push_sub),
          telegram_chat_id = COALESCE($3, notification_settings.telegram_chat_id),
          pushover_user_key = COALESCE($4, notification_settings.pushover_user_key),
          ntfy_topic = COALESCE($5, notification_settings.ntfy_topic),
          channels_enabled = COALESCE($6, notification_settings.channels_enabled),
+         match_alerts = COALESCE($7, notification_settings.match_alerts),
          updated_at = NOW()
        RETURNING *`,
       [
@@ -423,7 +460,8 @@ router.put('/notifications', auth, async (req, res) => {
         telegram_chat_id || null,
         pushover_user_key || null,
         ntfy_topic || null,
-        channels_enabled ? JSON.stringify(channels_enabled) : null
+        channels_enabled ? JSON.stringify(channels_enabled) : null,
+        match_alerts || null
       ]
     );
     res.json(result.rows[0]);